@@ -0,0 +1,260 @@
+// locales/en.js
+// English bot copy, keyed as used in routes/whatsapp.js and routes/razorpayWebhook.js.
+// {name} placeholders are filled in by t() (utils/i18n.js); entries with
+// { one, other } are picked by the `count` variable. Commands the customer
+// types ("start", "weekly", ...) stay in English in every language.
+export default {
+  // Language picker
+  "language.saved": "✅ I'll reply in English from now on. Type \"language\" to change it.",
+
+  // General
+  "common.sessionExpired": "❌ Session expired. Please type \"start\" to begin again.",
+  "common.unknown": "❓ I didn't understand that. Type 'start' to begin or 'help' for assistance.",
+  "common.error": "❌ An error occurred. Please try again.",
+  "common.exit": "❌ Booking cancelled. Type 'start' anytime to begin again.",
+  "common.payNow": "Pay Now",
+  "common.skip": "Skip",
+  "common.cancel": "Cancel",
+  "common.enterName": "Please enter your full name:",
+  "common.invalidName": "Please enter a valid name (at least 3 characters):",
+  "common.holdExpired": "⌛ Your slot hold has expired. Type \"start\" to book again.",
+  "common.linkFailed": "⚠️ Unable to create a payment link right now. Please try again in a few minutes.",
+  "common.listBody": "Please select from the list below",
+  "common.listButton": "View Options",
+
+  // Sport, location and duration
+  "sport.ask": "🏃 Welcome! Which sport would you like to play?",
+  "sport.section": "Sports",
+  "sport.none": "😔 No sports are open for booking right now. Please check back later.",
+  "sport.unavailable": "❌ That sport is not available right now. Please choose again.",
+  "location.ask": "Select your preferred location:",
+  "location.section": "Locations",
+  "location.none": "😔 No locations offer this sport right now. Type \"start\" to pick another sport.",
+  "location.unavailable": "❌ That location is not available for this sport. Please choose again.",
+  "location.noSport": "😔 That location does not offer this sport. Please pick another.",
+  "duration.ask": "⏱️ How long would you like to play?",
+  "duration.section": "Duration",
+  "duration.unavailable": "❌ That duration is not available. Please choose again.",
+  "duration.minutes": "{count} min",
+  "duration.hours": {
+    one: "{count} hour",
+    other: "{count} hours",
+  },
+  "duration.mixed": "{hours}h {minutes}m",
+
+  // Dates, periods and slots
+  "date.header": "Select a Date",
+  "date.section": "Available Dates",
+  "date.slots": { one: "{count} slot", other: "{count} slots" },
+  "date.fullyBooked": "Fully booked · join waitlist",
+  "date.checkFailed": "😔 Could not check the next 7 days right now. Type \"start\" to try again.",
+  "date.invalid": "❌ Invalid date selection. Please type \"start\" to try again.",
+  "date.tooFar": "📅 Bookings open up to 7 days ahead, so {date} can't be booked yet. Please pick a date:",
+  "period.ask": "⏰ Select a time period for {date} (start times):",
+  "period.section": "Time Periods",
+  "slot.header": "Select a Time Slot ({duration})",
+  "slot.section": "Available Slots",
+  "slot.loadFailed": "❌ Could not load the available slots right now. Please try again in a moment.",
+  "slot.noneOnDate": "❌ No available slots on this date. Please choose another date.",
+  "slot.noneInPeriod": "❌ No available slots in this period any more. Please choose another time period or date.",
+  "slot.otherTimes": "🔔 Other times",
+  "slot.otherTimesDescription": "Join the waitlist for a booked time",
+  "slot.noLongerAvailable": "❌ Sorry, this slot is no longer available.",
+  "slot.justTaken": "Sorry, this slot was just booked by someone else.",
+  "slot.venueGone": "❌ This sport or location is no longer available. Please type \"start\" to begin again.",
+  "slot.failed": "❌ Failed to process your selection. Please try again.",
+  "slot.free": "✅ {time} on {date} is free.",
+  "slot.nearest": "😔 {time} is not available on {date}. These are the nearest free times:",
+  "slot.windowFull": "😔 Nothing is free then on {date}, but other times are:",
+  "slot.courtsLeft": {
+    one: "{remaining} of {count} court left",
+    other: "{remaining} of {count} courts left",
+  },
+
+  // Waitlist
+  "waitlist.ask": "🔔 Which start times suit you?",
+  "waitlist.section": "Waitlist",
+  "waitlist.morning": "🌅 Morning",
+  "waitlist.afternoon": "☀️ Afternoon",
+  "waitlist.evening": "🌃 Evening",
+  "waitlist.anyTime": "🕐 Any time",
+  "waitlist.dayFull": "😔 Every court is booked on {date}. Join the waitlist and we'll message you if one frees up.",
+  "waitlist.slotTaken": "{text}\n\nJoin the waitlist and we'll message you if it frees up, or type \"start\" to pick another slot.",
+  "waitlist.join": "🔔 Join waitlist",
+  "waitlist.startingAt": "starting at {time}",
+  "waitlist.startingBetween": "starting between {from} and {to}",
+  "waitlist.joined": "🔔 You're on the waitlist for {sport} at {centre} on {date}, {times}.\n\nIf a court frees up we'll send you a payment link, held for you for {minutes} minutes. Type \"leave waitlist\" to stop waiting.",
+  "waitlist.left": "✅ You have left the waitlist.",
+  "waitlist.notOn": "You are not on any waitlist.",
+  "waitlist.offer": "🎉 Good news! A court has freed up for {sport} at {centre}.\n\nDate: {date}\nTime: {time}\nTotal: ₹{total}\n\nIt's held for you for {minutes} minutes. Pay here to book it:\n{url}",
+
+  // Players and add-ons
+  "players.ask": "👥 How many players, including you?",
+  "players.section": "Players",
+  "players.option": { one: "👥 {count} player", other: "👥 {count} players" },
+  "players.askPhones": "📱 Want to share the other {count} players' phone numbers? Send them in one message, separated by commas. They can then get their own payment link if you split the bill.",
+  "players.invalidPhones": "❌ Please send up to {count} phone numbers separated by commas, e.g. 98765 43210, 91234 56789.",
+  "addons.ask": "Would you like to add any additional services?",
+  "addons.section": "Additional Services",
+  "addons.each": "₹{price} each",
+  "addons.left": "{count} left",
+  "addons.inCart": "{count} in cart",
+  "addons.reviewCart": "Review cart",
+  "addons.total": "Add-ons total ₹{total}",
+  "addons.none": "No thanks, continue",
+  "addons.noneDescription": "Skip additional services",
+  "addons.unavailable": "😔 That add-on is not available for your slot.",
+  "addons.howMany": "How many {name}? (₹{price} each)",
+  "addons.quantitySection": "Quantity",
+  "addons.quantityGone": "😔 That many is no longer available for your slot. Please pick again.",
+  "addons.whichRemove": "Which add-on should be removed?",
+  "addons.soldOut": {
+    one: "😔 Not enough left for your slot any more: {items}. It has been removed from your cart.",
+    other: "😔 Not enough left for your slot any more: {items}. They have been removed from your cart.",
+  },
+  "cart.section": "Your Cart",
+  "cart.text": "🛒 Your add-ons\n\n{lines}\n\nAdd-ons total: ₹{total}\nThe court fee is added at checkout.",
+  "cart.add": "Add more",
+  "cart.remove": "Remove an item",
+  "cart.checkout": "Checkout",
+
+  // Summary, promo codes and payment
+  "summary.text": "Booking Summary\n\nName: {name}\nSport: {sport}\nLocation: {centre}\nCourt: {court}\nDate: {date}\nTime: {time} ({duration})\nPlayers: {players}{courtFee}{addons}{discount}\nTotal Amount: ₹{total}",
+  "summary.courtFee": "\nCourt Fee: ₹{amount}{rules}",
+  "summary.addons": "\nAdditional Services:\n{lines}",
+  "summary.promo": "\nPromo {code}: -₹{discount}",
+  "promo.ask": "🎟️ Have a promo code?",
+  "promo.enter": "Enter promo code",
+  "promo.skip": "No, pay now",
+  "promo.prompt": "🎟️ Please type your promo code:",
+  "promo.tryAnother": "Try another code",
+  "promo.payWithout": "Pay without code",
+  "promo.sharesPaid": "A player has already paid their share of this booking, so a promo code can't be added now.",
+  "promo.usedUp": "✅ Your booking is confirmed, but promo code {code} ran out just before your payment came in. Please pay the ₹{amount} discount here:\n{url}",
+  "promo.differencePaid": "✅ Thanks! We've received the ₹{amount} promo code difference.",
+  "promo.invalid": "That promo code isn't valid.",
+  "promo.notActive": "This promo code has expired or is not active yet.",
+  "promo.notForBooking": "This promo code can't be used for {sport} at {centre}.",
+  "promo.minSpend": "This promo code needs a booking of at least ₹{amount}.",
+  "promo.fullyRedeemed": "This promo code has been fully redeemed.",
+  "promo.alreadyUsed": "You have already used this promo code.",
+  "payment.link": "💳 Please complete payment to confirm your booking.\nAmount: ₹{amount}\n⏳ Your slot is held for {minutes} minutes.\nTap the button below to pay.\n\nWe'll confirm automatically after successful payment.",
+  "payment.linkFailedFollowUp": "⚠️ Unable to create a payment link right now. You can still confirm and we will follow up for payment.",
+  "payment.sent": "📩 Payment sent. We'll confirm your booking automatically once payment is received.",
+  "payment.how": "💳 How would you like to pay the ₹{amount}?",
+  "payment.full": "Pay in full",
+  "payment.split": "Split the bill",
+  "payment.creditsSlotTaken": "⚠️ Sorry, this slot was just booked by someone else. Your credits have not been used. Please choose another.",
+  "payment.paidFromWallet": "✅ Booking Confirmed!\n\nSport: {sport}\nCenter: {centre}\nCourt: {court}\nDate: {date}\nTime: {time}\n\n👛 Paid ₹{amount} from your wallet. Balance: ₹{balance}\n\nThank you!",
+  "payment.required": "🔒 Payment required to confirm booking.\nAmount: ₹{amount}\nPlease complete payment and wait for confirmation.",
+  "payment.noLink": "We couldn't find a payment link. Please try slot selection again or contact support.",
+
+  // Split bills
+  "split.you": "You",
+  "split.player": "Player {number}",
+  "split.failed": "⚠️ Unable to create the payment links right now. Please try again, or pay in full.",
+  "split.summary": "👥 ₹{total} split between {players} players:\n\n{shares}\n\nForward each link to its player; those whose numbers you shared also get theirs by SMS.\n⏳ Your slot is held for {minutes} minutes. We'll confirm the booking once every share is paid.",
+  "split.offerRest": "Rather cover the others? You can pay whatever is still unpaid at any time.",
+  "split.payRest": "Pay the rest",
+  "split.allPaid": "✅ Every share is already paid or being paid. We will confirm shortly.",
+  "split.noneWaiting": "⌛ There is no split booking waiting for payment. Type \"start\" to book again.",
+  "split.payRemainder": "💳 Pay the remaining ₹{amount} to confirm your booking.\nThe other players' open links have been cancelled.",
+  "split.yourSharePaid": "Your ₹{amount} share is paid.",
+  "split.playerSharePaid": "{label} paid their ₹{amount} share.",
+  "split.progress": "💸 {paid} ₹{unpaid} is still to be paid.\nWe'll confirm the booking as soon as everyone has paid, or you can pay the rest yourself.",
+
+  // Lapsed holds
+  "hold.expired": "⌛ Your hold on {sport} at {centre} ({when}) has expired because payment was not received.{refund}\nType 'start' to book again.",
+  "hold.weekly": "weekly, {time}",
+  "hold.splitRefund": "\nThe ₹{amount} already paid towards it is being refunded.",
+
+  // Confirmation
+  "booking.confirmed": "✅ Booking Confirmed!\n\n{emoji} {sport}\n📍 {centre}\n📅 {date}\n🕒 {time}{calendarNote}\n\nSee you at the court! 🎉",
+  "booking.calendarCreated": "\n📆 Calendar event created!",
+  "booking.confirmFailed": "❌ Failed to confirm booking. Please try again.",
+  "booking.cancelled": "❌ Booking cancelled. Type 'start' to begin a new booking.",
+  "booking.paid": "✅ Booking Confirmed!\n\nSport: {sport}\nCenter: {centre}\nCourt: {court}\nDate: {date}\nTime: {time}\nPlayers: {players}\nTotal: ₹{total}\n\nThank you!",
+  "booking.conflict": "⚠️ Sorry, this slot was just booked by someone else and is no longer available. Your payment of ₹{amount} is being refunded and usually reaches your account in 5-7 working days. Please choose another slot.",
+
+  // Existing bookings: picker, cancellation, reminders
+  "bookings.section": "Upcoming Bookings",
+  "bookings.row": "{time} · {sport} at {centre}",
+  "cancel.header": "Cancel a Booking",
+  "cancel.noBookings": "You have no upcoming paid bookings to cancel. Type 'start' to make a booking.",
+  "cancel.notCancellable": "❌ That booking can no longer be cancelled. Type \"cancel my booking\" to see your bookings again.",
+  "cancel.ask": "Cancel {sport} at {centre} on {date}, {time}?\n\n{refund}",
+  "cancel.refundQuote": "You will get a {percent}% refund of ₹{amount}.",
+  "cancel.refundQuoteCredits": "You will get a {percent}% refund of ₹{amount} as wallet credits.",
+  "cancel.refundQuoteChoice": "You will get a {percent}% refund of ₹{amount} as wallet credits straight away, or back to your payment method if you prefer.",
+  "cancel.tooLate": "This booking is too close to its start time for a refund.",
+  "cancel.confirm": "Yes, cancel it",
+  "cancel.confirmRefund": "Refund to payment",
+  "cancel.keep": "Keep booking",
+  "cancel.kept": "👍 Your booking is unchanged. See you at the court!",
+  "cancel.noRefund": "No refund applies under the cancellation policy.",
+  "cancel.refundedToWallet": "💸 ₹{amount} has been added to your wallet as credits. Balance: ₹{balance}.",
+  "cancel.refunded": "💸 A refund of ₹{amount} has been issued. It usually reaches your account in 5-7 working days.",
+  "cancel.refundPending": "⏳ Your refund of ₹{amount} could not be completed right away. Our team will finish it and get in touch.",
+  "cancel.done": "✅ Booking cancelled.\n\n{refund}\n\nType 'start' to make a new booking.",
+  "cancel.failed": "⚠️ We couldn't cancel your booking right now. Please try again in a few minutes.",
+  "reminder.inactive": "This booking is no longer active. Type 'start' to make a new booking.",
+  "reminder.late": "👍 Thanks for letting us know. We've told the team at {centre} you're on your way.\nYour court is still yours until {end}.",
+
+  // Rescheduling
+  "reschedule.header": "Reschedule a Booking",
+  "reschedule.noBookings": "You have no upcoming paid bookings to reschedule. Type 'start' to make a booking.",
+  "reschedule.notReschedulable": "❌ That booking can no longer be rescheduled. Type \"reschedule\" to see your bookings again.",
+  "reschedule.moving": "🔁 Moving your {sport} booking on {date}, {time}. Pick a new date:",
+  "reschedule.expired": "❌ Session expired. Type \"reschedule\" to begin again.",
+  "reschedule.sameSlot": "That is your current slot. Please pick a different time.",
+  "reschedule.taken": "❌ Sorry, this slot is no longer available. Type \"reschedule\" to pick another.",
+  "reschedule.payDifference": "💳 The new slot ({date}, {time}) costs ₹{amount} more.\n⏳ It is held for {minutes} minutes.\nYour booking moves as soon as the payment is received.",
+  "reschedule.refunded": "\n💸 ₹{amount} has been refunded for the cheaper slot.",
+  "reschedule.refundPending": "\n⏳ The ₹{amount} refund for the cheaper slot is still being processed. We'll message you once it goes through.",
+  "reschedule.refundIssued": "💸 The ₹{amount} refund for your rescheduled booking has gone through.",
+  "reschedule.done": "✅ Booking Rescheduled!\n\nSport: {sport}\nLocation: {centre}\nCourt: {court}\nDate: {date}\nTime: {time}{refund}",
+  "reschedule.failed": "❌ Failed to reschedule your booking. Please try again.",
+  "reschedule.paid": "✅ Booking Rescheduled!\n\nSport: {sport}\nCenter: {centre}\nCourt: {court}\nDate: {date}\nTime: {time}\nTotal: ₹{total}\n\nThank you!",
+  "reschedule.paidTooLate": "⚠️ Sorry, the new slot was taken before your payment came through. Your booking is unchanged and the ₹{amount} difference has been refunded.",
+
+  // Wallet
+  "wallet.balance": "👛 Wallet balance: ₹{balance}",
+  "wallet.expiry": "Some of your credits expire on {date}.",
+  "wallet.noPacks": "No credit packs are on sale right now.",
+  "wallet.autoPay": "Bookings are paid from your credits automatically whenever they cover the price.",
+  "wallet.header": "Buy Credits",
+  "wallet.section": "Credit Packs",
+  "wallet.packRow": "Pay ₹{price}, get ₹{credits}",
+  "wallet.packRowValidity": "Pay ₹{price}, get ₹{credits} · valid {days} days",
+  "wallet.packGone": "❌ That pack is no longer on sale. Type \"wallet\" to see the current ones.",
+  "wallet.packOffer": "💳 {name}: pay ₹{price} and get ₹{credits} in credits.\nWe'll add them to your wallet as soon as the payment is received.",
+  "wallet.packOfferValidity": "💳 {name}: pay ₹{price} and get ₹{credits} in credits, valid for {days} days.\nWe'll add them to your wallet as soon as the payment is received.",
+  "wallet.topUp": "✅ ₹{amount} credits added to your wallet ({note}).{expiry}\nBalance: ₹{balance}\n\nYour next bookings are paid from it automatically.",
+  "wallet.validUntil": "\nValid until: {date}",
+
+  // Weekly bookings
+  "series.intro": "🔁 Weekly booking: the same court and time every week, for up to {weeks} weeks, paid in one go.",
+  "series.expired": "❌ Session expired. Type \"weekly\" to begin again.",
+  "series.weekdayAsk": "🔁 Which day every week?",
+  "series.weekdaySection": "Weekdays",
+  "series.starting": "Starting {date}",
+  "series.timeAsk": "🕒 What time every {weekday}? Send the start time, e.g. 19:00.\nBookings start every {step} from {open} and end by {close}.",
+  "series.invalidTime": "❌ Please send a start time from {open}, every {step}, that ends by {close}, e.g. {open}.",
+  "series.lengthAsk": "🔁 For how many weeks?",
+  "series.lengthHint": "{text}\nTap one, or type a number of weeks or the last date, e.g. 31/12/2026.",
+  "series.invalidLength": "❌ Please pick up to {weeks} weeks, or a last date from {date}.",
+  "series.weeks": { one: "{count} week", other: "{count} weeks" },
+  "series.book": "Book {weeks}",
+  "series.notAvailable": "\n\n❌ Not available ({count}):\n{dates}",
+  "series.noneFree": "😔 None of the {count} dates is free at {time}.{conflicts}\n\nType \"weekly\" to try another day or time.",
+  "series.check": "🔁 {sport} at {centre}, every {weekday} {time}\n\n✅ Available ({count}):\n{dates}{conflicts}\n\nTotal for {weeks}: ₹{total}, paid in one go.",
+  "series.taken": "😔 Those dates were just taken by someone else. Type \"weekly\" to try another day or time.",
+  "series.justTaken": "\n⚠️ Just taken by someone else: {dates}",
+  "series.held": {
+    one: "🔁 {count} weekly booking held, {time}.{lost}\nTotal: ₹{total}\n\n⏳ Your slots are held for {minutes} minutes. Pay once for all of them:",
+    other: "🔁 {count} weekly bookings held, {time}.{lost}\nTotal: ₹{total}\n\n⏳ Your slots are held for {minutes} minutes. Pay once for all of them:",
+  },
+  "series.confirmed": "✅ Weekly Booking Confirmed!\n\nSport: {sport}\nCenter: {centre}\nCourt: {court}\nTime: {time} (weekly)\nDates: {dates}\nTotal: ₹{total}{lost}\n\nTo cancel a single week, type 'cancel booking'.\nThank you!",
+  "series.lost": "\n\n⚠️ {dates} could not be booked because the court was taken before your payment came through. ₹{amount} has been refunded.",
+  "series.allLost": "⚠️ Sorry, every date of your weekly booking was taken before your payment came through. ₹{amount} has been refunded.",
+};
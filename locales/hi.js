@@ -0,0 +1,258 @@
+// locales/hi.js
+// Hindi bot copy; same keys as locales/en.js, which fills in anything missing here.
+// Button titles stay within WhatsApp's 20 characters, list rows within 24.
+export default {
+  // Language picker
+  "language.saved": "✅ अब से मैं हिन्दी में जवाब दूँगा। बदलने के लिए \"language\" टाइप करें।",
+
+  // General
+  "common.sessionExpired": "❌ सत्र समाप्त हो गया। फिर से शुरू करने के लिए \"start\" टाइप करें।",
+  "common.unknown": "❓ मैं समझ नहीं पाया। शुरू करने के लिए 'start' या मदद के लिए 'help' टाइप करें।",
+  "common.error": "❌ कोई त्रुटि हुई। कृपया फिर से कोशिश करें।",
+  "common.exit": "❌ बुकिंग रद्द कर दी गई। फिर से शुरू करने के लिए कभी भी 'start' टाइप करें।",
+  "common.payNow": "अभी भुगतान करें",
+  "common.skip": "छोड़ें",
+  "common.cancel": "रद्द करें",
+  "common.enterName": "कृपया अपना पूरा नाम लिखें:",
+  "common.invalidName": "कृपया सही नाम लिखें (कम से कम 3 अक्षर):",
+  "common.holdExpired": "⌛ आपके स्लॉट का होल्ड समाप्त हो गया। फिर से बुक करने के लिए \"start\" टाइप करें।",
+  "common.linkFailed": "⚠️ अभी भुगतान लिंक नहीं बन पा रहा। कृपया कुछ मिनट बाद फिर से कोशिश करें।",
+  "common.listBody": "कृपया नीचे दी गई सूची में से चुनें",
+  "common.listButton": "विकल्प देखें",
+
+  // Sport, location and duration
+  "sport.ask": "🏃 स्वागत है! आप कौन सा खेल खेलना चाहेंगे?",
+  "sport.section": "खेल",
+  "sport.none": "😔 अभी किसी खेल की बुकिंग खुली नहीं है। कृपया बाद में देखें।",
+  "sport.unavailable": "❌ यह खेल अभी उपलब्ध नहीं है। कृपया फिर से चुनें।",
+  "location.ask": "अपनी पसंद की जगह चुनें:",
+  "location.section": "जगहें",
+  "location.none": "😔 अभी कोई जगह यह खेल नहीं देती। दूसरा खेल चुनने के लिए \"start\" टाइप करें।",
+  "location.unavailable": "❌ यह जगह इस खेल के लिए उपलब्ध नहीं है। कृपया फिर से चुनें।",
+  "location.noSport": "😔 यह जगह यह खेल नहीं देती। कृपया कोई दूसरी जगह चुनें।",
+  "duration.ask": "⏱️ आप कितनी देर खेलना चाहेंगे?",
+  "duration.section": "अवधि",
+  "duration.unavailable": "❌ यह अवधि उपलब्ध नहीं है। कृपया फिर से चुनें।",
+  "duration.minutes": "{count} मिनट",
+  "duration.hours": {
+    one: "{count} घंटा",
+    other: "{count} घंटे",
+  },
+  "duration.mixed": "{hours} घं {minutes} मि",
+
+  // Dates, periods and slots
+  "date.header": "तारीख चुनें",
+  "date.section": "उपलब्ध तारीखें",
+  "date.slots": { one: "{count} स्लॉट", other: "{count} स्लॉट" },
+  "date.fullyBooked": "पूरी तरह बुक · वेटलिस्ट से जुड़ें",
+  "date.checkFailed": "😔 अभी अगले 7 दिन नहीं देख पाए। फिर से कोशिश करने के लिए \"start\" टाइप करें।",
+  "date.invalid": "❌ गलत तारीख चुनी गई। फिर से कोशिश करने के लिए \"start\" टाइप करें।",
+  "date.tooFar": "📅 बुकिंग 7 दिन पहले तक ही खुलती है, इसलिए {date} अभी बुक नहीं हो सकती। कृपया एक तारीख चुनें:",
+  "period.ask": "⏰ {date} के लिए समय चुनें (शुरू होने का समय):",
+  "period.section": "समय",
+  "slot.header": "टाइम स्लॉट चुनें ({duration})",
+  "slot.section": "उपलब्ध स्लॉट",
+  "slot.loadFailed": "❌ अभी उपलब्ध स्लॉट नहीं देख पाए। कृपया थोड़ी देर में फिर से कोशिश करें।",
+  "slot.noneOnDate": "❌ इस तारीख पर कोई स्लॉट उपलब्ध नहीं है। कृपया दूसरी तारीख चुनें।",
+  "slot.noneInPeriod": "❌ इस समय में अब कोई स्लॉट उपलब्ध नहीं है। कृपया दूसरा समय या तारीख चुनें।",
+  "slot.otherTimes": "🔔 दूसरे समय",
+  "slot.otherTimesDescription": "बुक हो चुके समय की वेटलिस्ट से जुड़ें",
+  "slot.noLongerAvailable": "❌ माफ़ करें, यह स्लॉट अब उपलब्ध नहीं है।",
+  "slot.justTaken": "माफ़ करें, यह स्लॉट अभी-अभी किसी और ने बुक कर लिया।",
+  "slot.venueGone": "❌ यह खेल या जगह अब उपलब्ध नहीं है। फिर से शुरू करने के लिए \"start\" टाइप करें।",
+  "slot.failed": "❌ आपका चुनाव पूरा नहीं हो सका। कृपया फिर से कोशिश करें।",
+  "slot.free": "✅ {date} को {time} खाली है।",
+  "slot.nearest": "😔 {date} को {time} उपलब्ध नहीं है। सबसे नज़दीकी खाली समय ये हैं:",
+  "slot.windowFull": "😔 {date} को उस समय कुछ खाली नहीं है, पर ये समय खाली हैं:",
+  "slot.courtsLeft": {
+    one: "{count} में से {remaining} कोर्ट खाली",
+    other: "{count} में से {remaining} कोर्ट खाली",
+  },
+
+  // Waitlist
+  "waitlist.ask": "🔔 कौन से समय आपके लिए ठीक हैं?",
+  "waitlist.section": "वेटलिस्ट",
+  "waitlist.morning": "🌅 सुबह",
+  "waitlist.afternoon": "☀️ दोपहर",
+  "waitlist.evening": "🌃 शाम",
+  "waitlist.anyTime": "🕐 कभी भी",
+  "waitlist.dayFull": "😔 {date} को सभी कोर्ट बुक हैं। वेटलिस्ट से जुड़ें, कोई कोर्ट खाली होते ही हम आपको बताएँगे।",
+  "waitlist.slotTaken": "{text}\n\nवेटलिस्ट से जुड़ें, यह खाली होते ही हम आपको बताएँगे, या दूसरा स्लॉट चुनने के लिए \"start\" टाइप करें।",
+  "waitlist.join": "🔔 वेटलिस्ट से जुड़ें",
+  "waitlist.startingAt": "{time} से शुरू",
+  "waitlist.startingBetween": "{from} से {to} के बीच शुरू",
+  "waitlist.joined": "🔔 आप {date} को {centre} पर {sport} की वेटलिस्ट में हैं, {times}।\n\nकोई कोर्ट खाली होते ही हम आपको भुगतान लिंक भेजेंगे, जो {minutes} मिनट तक आपके लिए रुका रहेगा। इंतज़ार बंद करने के लिए \"leave waitlist\" टाइप करें।",
+  "waitlist.left": "✅ आप वेटलिस्ट से हट गए हैं।",
+  "waitlist.notOn": "आप किसी वेटलिस्ट में नहीं हैं।",
+  "waitlist.offer": "🎉 खुशखबरी! {centre} पर {sport} के लिए एक कोर्ट खाली हुआ है।\n\nतारीख: {date}\nसमय: {time}\nकुल: ₹{total}\n\nयह {minutes} मिनट के लिए आपके लिए रुका है। बुक करने के लिए यहाँ भुगतान करें:\n{url}",
+
+  // Players and add-ons
+  "players.ask": "👥 आपको मिलाकर कितने खिलाड़ी हैं?",
+  "players.section": "खिलाड़ी",
+  "players.option": { one: "👥 {count} खिलाड़ी", other: "👥 {count} खिलाड़ी" },
+  "players.askPhones": "📱 क्या आप बाकी {count} खिलाड़ियों के फ़ोन नंबर देना चाहेंगे? उन्हें एक ही संदेश में कॉमा लगाकर भेजें। बिल बाँटने पर उन्हें अपना भुगतान लिंक मिल सकेगा।",
+  "players.invalidPhones": "❌ कृपया ज़्यादा से ज़्यादा {count} फ़ोन नंबर कॉमा लगाकर भेजें, जैसे 98765 43210, 91234 56789।",
+  "addons.ask": "क्या आप कोई अतिरिक्त सेवा जोड़ना चाहेंगे?",
+  "addons.section": "अतिरिक्त सेवाएँ",
+  "addons.each": "₹{price} प्रति",
+  "addons.left": "{count} बचे",
+  "addons.inCart": "{count} कार्ट में",
+  "addons.reviewCart": "कार्ट देखें",
+  "addons.total": "ऐड-ऑन कुल ₹{total}",
+  "addons.none": "नहीं, आगे बढ़ें",
+  "addons.noneDescription": "अतिरिक्त सेवाएँ छोड़ें",
+  "addons.unavailable": "😔 यह ऐड-ऑन आपके स्लॉट के लिए उपलब्ध नहीं है।",
+  "addons.howMany": "कितने {name}? (₹{price} प्रति)",
+  "addons.quantitySection": "संख्या",
+  "addons.quantityGone": "😔 इतने अब आपके स्लॉट के लिए उपलब्ध नहीं हैं। कृपया फिर से चुनें।",
+  "addons.whichRemove": "कौन सा ऐड-ऑन हटाना है?",
+  "addons.soldOut": {
+    one: "😔 आपके स्लॉट के लिए अब पर्याप्त नहीं बचा: {items}। इसे आपके कार्ट से हटा दिया गया है।",
+    other: "😔 आपके स्लॉट के लिए अब पर्याप्त नहीं बचा: {items}। इन्हें आपके कार्ट से हटा दिया गया है।",
+  },
+  "cart.section": "आपका कार्ट",
+  "cart.text": "🛒 आपके ऐड-ऑन\n\n{lines}\n\nऐड-ऑन कुल: ₹{total}\nकोर्ट का शुल्क चेकआउट पर जुड़ेगा।",
+  "cart.add": "और जोड़ें",
+  "cart.remove": "कुछ हटाएँ",
+  "cart.checkout": "चेकआउट",
+
+  // Summary, promo codes and payment
+  "summary.text": "बुकिंग सारांश\n\nनाम: {name}\nखेल: {sport}\nजगह: {centre}\nकोर्ट: {court}\nतारीख: {date}\nसमय: {time} ({duration})\nखिलाड़ी: {players}{courtFee}{addons}{discount}\nकुल राशि: ₹{total}",
+  "summary.courtFee": "\nकोर्ट शुल्क: ₹{amount}{rules}",
+  "summary.addons": "\nअतिरिक्त सेवाएँ:\n{lines}",
+  "summary.promo": "\nप्रोमो {code}: -₹{discount}",
+  "promo.ask": "🎟️ क्या आपके पास प्रोमो कोड है?",
+  "promo.enter": "प्रोमो कोड डालें",
+  "promo.skip": "नहीं, अभी भुगतान",
+  "promo.prompt": "🎟️ कृपया अपना प्रोमो कोड लिखें:",
+  "promo.tryAnother": "दूसरा कोड डालें",
+  "promo.payWithout": "बिना कोड भुगतान",
+  "promo.sharesPaid": "इस बुकिंग में एक खिलाड़ी अपना हिस्सा चुका चुका है, इसलिए अब प्रोमो कोड नहीं जोड़ा जा सकता।",
+  "promo.usedUp": "✅ आपकी बुकिंग पक्की है, लेकिन आपका भुगतान आने से ठीक पहले प्रोमो कोड {code} खत्म हो गया। कृपया ₹{amount} की छूट यहाँ चुकाएँ:\n{url}",
+  "promo.differencePaid": "✅ धन्यवाद! प्रोमो कोड के अंतर के ₹{amount} हमें मिल गए।",
+  "promo.invalid": "यह प्रोमो कोड मान्य नहीं है।",
+  "promo.notActive": "यह प्रोमो कोड समाप्त हो गया है या अभी चालू नहीं है।",
+  "promo.notForBooking": "यह प्रोमो कोड {centre} पर {sport} के लिए इस्तेमाल नहीं हो सकता।",
+  "promo.minSpend": "इस प्रोमो कोड के लिए कम से कम ₹{amount} की बुकिंग चाहिए।",
+  "promo.fullyRedeemed": "यह प्रोमो कोड पूरी तरह इस्तेमाल हो चुका है।",
+  "promo.alreadyUsed": "आप यह प्रोमो कोड पहले ही इस्तेमाल कर चुके हैं।",
+  "payment.link": "💳 बुकिंग पक्की करने के लिए कृपया भुगतान करें।\nराशि: ₹{amount}\n⏳ आपका स्लॉट {minutes} मिनट के लिए रुका है।\nभुगतान के लिए नीचे बटन दबाएँ।\n\nभुगतान सफल होते ही हम अपने-आप पुष्टि कर देंगे।",
+  "payment.linkFailedFollowUp": "⚠️ अभी भुगतान लिंक नहीं बन पा रहा। आप फिर भी पुष्टि कर सकते हैं, भुगतान के लिए हम आपसे संपर्क करेंगे।",
+  "payment.sent": "📩 भुगतान लिंक भेज दिया गया। भुगतान मिलते ही हम आपकी बुकिंग अपने-आप पक्की कर देंगे।",
+  "payment.how": "💳 आप ₹{amount} का भुगतान कैसे करना चाहेंगे?",
+  "payment.full": "पूरा भुगतान करें",
+  "payment.split": "बिल बाँटें",
+  "payment.creditsSlotTaken": "⚠️ माफ़ करें, यह स्लॉट अभी-अभी किसी और ने बुक कर लिया। आपके क्रेडिट इस्तेमाल नहीं हुए। कृपया दूसरा स्लॉट चुनें।",
+  "payment.paidFromWallet": "✅ बुकिंग पक्की!\n\nखेल: {sport}\nसेंटर: {centre}\nकोर्ट: {court}\nतारीख: {date}\nसमय: {time}\n\n👛 आपके वॉलेट से ₹{amount} का भुगतान हुआ। बैलेंस: ₹{balance}\n\nधन्यवाद!",
+  "payment.required": "🔒 बुकिंग पक्की करने के लिए भुगतान ज़रूरी है।\nराशि: ₹{amount}\nकृपया भुगतान करें और पुष्टि का इंतज़ार करें।",
+  "payment.noLink": "हमें भुगतान लिंक नहीं मिला। कृपया फिर से स्लॉट चुनें या सहायता से संपर्क करें।",
+
+  // Split bills
+  "split.you": "आप",
+  "split.player": "खिलाड़ी {number}",
+  "split.failed": "⚠️ अभी भुगतान लिंक नहीं बन पा रहे। कृपया फिर से कोशिश करें, या पूरा भुगतान करें।",
+  "split.summary": "👥 ₹{total} को {players} खिलाड़ियों में बाँटा गया:\n\n{shares}\n\nहर लिंक उसके खिलाड़ी को भेजें; जिनके नंबर आपने दिए हैं उन्हें SMS से भी मिलेगा।\n⏳ आपका स्लॉट {minutes} मिनट के लिए रुका है। सभी हिस्से चुकते ही हम बुकिंग पक्की कर देंगे।",
+  "split.offerRest": "बाकी लोगों का हिस्सा आप देना चाहते हैं? जितना बाकी है, आप कभी भी चुका सकते हैं।",
+  "split.payRest": "बाकी चुकाएँ",
+  "split.allPaid": "✅ सभी हिस्से चुकाए जा चुके हैं या चुकाए जा रहे हैं। हम जल्द ही पुष्टि करेंगे।",
+  "split.noneWaiting": "⌛ भुगतान के लिए कोई बँटी हुई बुकिंग नहीं है। फिर से बुक करने के लिए \"start\" टाइप करें।",
+  "split.payRemainder": "💳 बुकिंग पक्की करने के लिए बाकी ₹{amount} चुकाएँ।\nबाकी खिलाड़ियों के खुले लिंक रद्द कर दिए गए हैं।",
+  "split.yourSharePaid": "आपका ₹{amount} का हिस्सा चुका दिया गया।",
+  "split.playerSharePaid": "{label} ने अपना ₹{amount} का हिस्सा चुका दिया।",
+  "split.progress": "💸 {paid} ₹{unpaid} अभी बाकी है।\nसबके भुगतान करते ही हम बुकिंग पक्की कर देंगे, या बाकी राशि आप खुद चुका सकते हैं।",
+
+  // Lapsed holds
+  "hold.expired": "⌛ {centre} पर {sport} ({when}) के लिए आपका होल्ड समाप्त हो गया क्योंकि भुगतान नहीं मिला।{refund}\nफिर से बुक करने के लिए 'start' टाइप करें।",
+  "hold.weekly": "साप्ताहिक, {time}",
+  "hold.splitRefund": "\nइसके लिए पहले से चुकाए गए ₹{amount} वापस किए जा रहे हैं।",
+
+  // Confirmation
+  "booking.confirmed": "✅ बुकिंग पक्की!\n\n{emoji} {sport}\n📍 {centre}\n📅 {date}\n🕒 {time}{calendarNote}\n\nकोर्ट पर मिलते हैं! 🎉",
+  "booking.calendarCreated": "\n📆 कैलेंडर में जोड़ दिया गया!",
+  "booking.confirmFailed": "❌ बुकिंग पक्की नहीं हो सकी। कृपया फिर से कोशिश करें।",
+  "booking.cancelled": "❌ बुकिंग रद्द कर दी गई। नई बुकिंग के लिए 'start' टाइप करें।",
+  "booking.paid": "✅ बुकिंग पक्की!\n\nखेल: {sport}\nसेंटर: {centre}\nकोर्ट: {court}\nतारीख: {date}\nसमय: {time}\nखिलाड़ी: {players}\nकुल: ₹{total}\n\nधन्यवाद!",
+  "booking.conflict": "⚠️ माफ़ करें, यह स्लॉट अभी-अभी किसी और ने बुक कर लिया और अब उपलब्ध नहीं है। आपके ₹{amount} के भुगतान का रिफ़ंड किया जा रहा है, जो आमतौर पर 5-7 कार्यदिवस में आपके खाते में पहुँचता है। कृपया दूसरा स्लॉट चुनें।",
+
+  // Existing bookings: picker, cancellation, reminders
+  "bookings.section": "आने वाली बुकिंग",
+  "bookings.row": "{time} · {centre} पर {sport}",
+  "cancel.header": "बुकिंग रद्द करें",
+  "cancel.noBookings": "रद्द करने के लिए आपकी कोई आने वाली भुगतान की हुई बुकिंग नहीं है। बुकिंग के लिए 'start' टाइप करें।",
+  "cancel.notCancellable": "❌ यह बुकिंग अब रद्द नहीं हो सकती। अपनी बुकिंग फिर से देखने के लिए \"cancel my booking\" टाइप करें।",
+  "cancel.ask": "{date}, {time} को {centre} पर {sport} रद्द करें?\n\n{refund}",
+  "cancel.refundQuote": "आपको ₹{amount} ({percent}%) वापस मिलेंगे।",
+  "cancel.refundQuoteCredits": "आपको ₹{amount} ({percent}%) वॉलेट क्रेडिट के रूप में वापस मिलेंगे।",
+  "cancel.refundQuoteChoice": "आपको ₹{amount} ({percent}%) तुरंत वॉलेट क्रेडिट के रूप में वापस मिलेंगे, या चाहें तो आपके भुगतान के तरीके में।",
+  "cancel.tooLate": "यह बुकिंग शुरू होने के बहुत करीब है, इसलिए रिफ़ंड नहीं मिलेगा।",
+  "cancel.confirm": "हाँ, रद्द करें",
+  "cancel.confirmRefund": "भुगतान में रिफ़ंड",
+  "cancel.keep": "बुकिंग रखें",
+  "cancel.kept": "👍 आपकी बुकिंग जैसी थी वैसी है। कोर्ट पर मिलते हैं!",
+  "cancel.noRefund": "रद्द करने की नीति के अनुसार कोई रिफ़ंड नहीं मिलेगा।",
+  "cancel.refundedToWallet": "💸 ₹{amount} आपके वॉलेट में क्रेडिट के रूप में जोड़ दिए गए। बैलेंस: ₹{balance}।",
+  "cancel.refunded": "💸 ₹{amount} का रिफ़ंड जारी कर दिया गया। यह आमतौर पर 5-7 कार्यदिवस में आपके खाते में पहुँचता है।",
+  "cancel.refundPending": "⏳ ₹{amount} का रिफ़ंड अभी पूरा नहीं हो सका। हमारी टीम इसे पूरा करके आपसे संपर्क करेगी।",
+  "cancel.done": "✅ बुकिंग रद्द हो गई।\n\n{refund}\n\nनई बुकिंग के लिए 'start' टाइप करें।",
+  "cancel.failed": "⚠️ अभी आपकी बुकिंग रद्द नहीं हो सकी। कृपया कुछ मिनट बाद फिर से कोशिश करें।",
+  "reminder.inactive": "यह बुकिंग अब सक्रिय नहीं है। नई बुकिंग के लिए 'start' टाइप करें।",
+  "reminder.late": "👍 बताने के लिए धन्यवाद। हमने {centre} की टीम को बता दिया है कि आप रास्ते में हैं।\n{end} तक कोर्ट आपका ही है।",
+
+  // Rescheduling
+  "reschedule.header": "बुकिंग का समय बदलें",
+  "reschedule.noBookings": "समय बदलने के लिए आपकी कोई आने वाली भुगतान की हुई बुकिंग नहीं है। बुकिंग के लिए 'start' टाइप करें।",
+  "reschedule.notReschedulable": "❌ इस बुकिंग का समय अब नहीं बदल सकता। अपनी बुकिंग फिर से देखने के लिए \"reschedule\" टाइप करें।",
+  "reschedule.moving": "🔁 {date}, {time} की आपकी {sport} बुकिंग बदली जा रही है। नई तारीख चुनें:",
+  "reschedule.expired": "❌ सत्र समाप्त हो गया। फिर से शुरू करने के लिए \"reschedule\" टाइप करें।",
+  "reschedule.sameSlot": "यह आपका मौजूदा स्लॉट है। कृपया कोई दूसरा समय चुनें।",
+  "reschedule.taken": "❌ माफ़ करें, यह स्लॉट अब उपलब्ध नहीं है। दूसरा चुनने के लिए \"reschedule\" टाइप करें।",
+  "reschedule.payDifference": "💳 नया स्लॉट ({date}, {time}) ₹{amount} महँगा है।\n⏳ यह {minutes} मिनट के लिए रुका है।\nभुगतान मिलते ही आपकी बुकिंग बदल जाएगी।",
+  "reschedule.refunded": "\n💸 सस्ते स्लॉट के लिए ₹{amount} वापस कर दिए गए।",
+  "reschedule.refundPending": "\n⏳ सस्ते स्लॉट के लिए ₹{amount} का रिफ़ंड अभी प्रोसेस हो रहा है। पूरा होते ही हम आपको मैसेज करेंगे।",
+  "reschedule.refundIssued": "💸 आपकी रीशेड्यूल की गई बुकिंग के ₹{amount} का रिफ़ंड हो गया है।",
+  "reschedule.done": "✅ बुकिंग का समय बदल गया!\n\nखेल: {sport}\nजगह: {centre}\nकोर्ट: {court}\nतारीख: {date}\nसमय: {time}{refund}",
+  "reschedule.failed": "❌ आपकी बुकिंग का समय नहीं बदल सका। कृपया फिर से कोशिश करें।",
+  "reschedule.paid": "✅ बुकिंग का समय बदल गया!\n\nखेल: {sport}\nसेंटर: {centre}\nकोर्ट: {court}\nतारीख: {date}\nसमय: {time}\nकुल: ₹{total}\n\nधन्यवाद!",
+  "reschedule.paidTooLate": "⚠️ माफ़ करें, आपका भुगतान पहुँचने से पहले नया स्लॉट किसी और ने ले लिया। आपकी बुकिंग जैसी थी वैसी है और ₹{amount} का अंतर वापस कर दिया गया है।",
+
+  // Wallet
+  "wallet.balance": "👛 वॉलेट बैलेंस: ₹{balance}",
+  "wallet.expiry": "आपके कुछ क्रेडिट {date} को समाप्त हो जाएँगे।",
+  "wallet.noPacks": "अभी कोई क्रेडिट पैक बिक्री पर नहीं है।",
+  "wallet.autoPay": "जब भी आपके क्रेडिट कीमत पूरी करते हैं, बुकिंग का भुगतान उन्हीं से अपने-आप हो जाता है।",
+  "wallet.header": "क्रेडिट खरीदें",
+  "wallet.section": "क्रेडिट पैक",
+  "wallet.packRow": "₹{price} दें, ₹{credits} पाएँ",
+  "wallet.packRowValidity": "₹{price} दें, ₹{credits} पाएँ · {days} दिन मान्य",
+  "wallet.packGone": "❌ यह पैक अब बिक्री पर नहीं है। मौजूदा पैक देखने के लिए \"wallet\" टाइप करें।",
+  "wallet.packOffer": "💳 {name}: ₹{price} दें और ₹{credits} के क्रेडिट पाएँ।\nभुगतान मिलते ही हम इन्हें आपके वॉलेट में जोड़ देंगे।",
+  "wallet.packOfferValidity": "💳 {name}: ₹{price} दें और ₹{credits} के क्रेडिट पाएँ, {days} दिन के लिए मान्य।\nभुगतान मिलते ही हम इन्हें आपके वॉलेट में जोड़ देंगे।",
+  "wallet.topUp": "✅ ₹{amount} के क्रेडिट आपके वॉलेट में जोड़ दिए गए ({note})।{expiry}\nबैलेंस: ₹{balance}\n\nआपकी अगली बुकिंग का भुगतान इसी से अपने-आप होगा।",
+  "wallet.validUntil": "\nमान्य: {date} तक",
+
+  // Weekly bookings
+  "series.intro": "🔁 साप्ताहिक बुकिंग: हर हफ़्ते वही कोर्ट और वही समय, {weeks} हफ़्तों तक, एक ही बार में भुगतान।",
+  "series.expired": "❌ सत्र समाप्त हो गया। फिर से शुरू करने के लिए \"weekly\" टाइप करें।",
+  "series.weekdayAsk": "🔁 हर हफ़्ते कौन सा दिन?",
+  "series.weekdaySection": "दिन",
+  "series.starting": "{date} से शुरू",
+  "series.timeAsk": "🕒 हर {weekday} किस समय? शुरू होने का समय भेजें, जैसे 19:00।\nबुकिंग {open} से हर {step} पर शुरू होती है और {close} तक खत्म होती है।",
+  "series.invalidTime": "❌ कृपया {open} से हर {step} पर शुरू होने वाला ऐसा समय भेजें जो {close} तक खत्म हो, जैसे {open}।",
+  "series.lengthAsk": "🔁 कितने हफ़्तों के लिए?",
+  "series.lengthHint": "{text}\nएक बटन दबाएँ, या हफ़्तों की संख्या या आखिरी तारीख लिखें, जैसे 31/12/2026।",
+  "series.invalidLength": "❌ कृपया ज़्यादा से ज़्यादा {weeks} हफ़्ते, या {date} के बाद की आखिरी तारीख चुनें।",
+  "series.weeks": { one: "{count} हफ़्ता", other: "{count} हफ़्ते" },
+  "series.book": "{weeks} बुक करें",
+  "series.notAvailable": "\n\n❌ उपलब्ध नहीं ({count}):\n{dates}",
+  "series.noneFree": "😔 {count} तारीखों में से किसी पर भी {time} खाली नहीं है।{conflicts}\n\nदूसरा दिन या समय आज़माने के लिए \"weekly\" टाइप करें।",
+  "series.check": "🔁 {centre} पर {sport}, हर {weekday} {time}\n\n✅ उपलब्ध ({count}):\n{dates}{conflicts}\n\n{weeks} के लिए कुल: ₹{total}, एक ही बार में भुगतान।",
+  "series.taken": "😔 ये तारीखें अभी-अभी किसी और ने ले लीं। दूसरा दिन या समय आज़माने के लिए \"weekly\" टाइप करें।",
+  "series.justTaken": "\n⚠️ अभी-अभी किसी और ने ले लीं: {dates}",
+  "series.held": {
+    one: "🔁 {count} साप्ताहिक बुकिंग रोकी गई, {time}।{lost}\nकुल: ₹{total}\n\n⏳ आपके स्लॉट {minutes} मिनट के लिए रुके हैं। सबका एक साथ भुगतान करें:",
+    other: "🔁 {count} साप्ताहिक बुकिंग रोकी गईं, {time}।{lost}\nकुल: ₹{total}\n\n⏳ आपके स्लॉट {minutes} मिनट के लिए रुके हैं। सबका एक साथ भुगतान करें:",
+  },
+  "series.confirmed": "✅ साप्ताहिक बुकिंग पक्की!\n\nखेल: {sport}\nसेंटर: {centre}\nकोर्ट: {court}\nसमय: {time} (हर हफ़्ते)\nतारीखें: {dates}\nकुल: ₹{total}{lost}\n\nकिसी एक हफ़्ते को रद्द करने के लिए 'cancel booking' टाइप करें।\nधन्यवाद!",
+  "series.lost": "\n\n⚠️ {dates} बुक नहीं हो सकीं क्योंकि आपका भुगतान पहुँचने से पहले कोर्ट ले लिया गया। ₹{amount} वापस कर दिए गए हैं।",
+  "series.allLost": "⚠️ माफ़ करें, आपका भुगतान पहुँचने से पहले आपकी साप्ताहिक बुकिंग की सभी तारीखें ले ली गईं। ₹{amount} वापस कर दिए गए हैं।",
+};
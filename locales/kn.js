@@ -0,0 +1,258 @@
+// locales/kn.js
+// Kannada bot copy; same keys as locales/en.js, which fills in anything missing here.
+// Button titles stay within WhatsApp's 20 characters, list rows within 24.
+export default {
+  // Language picker
+  "language.saved": "✅ ಇನ್ನು ಮುಂದೆ ನಾನು ಕನ್ನಡದಲ್ಲಿ ಉತ್ತರಿಸುತ್ತೇನೆ. ಬದಲಾಯಿಸಲು \"language\" ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+
+  // General
+  "common.sessionExpired": "❌ ಸೆಷನ್ ಮುಗಿದಿದೆ. ಮತ್ತೆ ಪ್ರಾರಂಭಿಸಲು \"start\" ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+  "common.unknown": "❓ ನನಗೆ ಅರ್ಥವಾಗಲಿಲ್ಲ. ಪ್ರಾರಂಭಿಸಲು 'start' ಅಥವಾ ಸಹಾಯಕ್ಕಾಗಿ 'help' ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+  "common.error": "❌ ದೋಷ ಉಂಟಾಗಿದೆ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "common.exit": "❌ ಬುಕಿಂಗ್ ರದ್ದಾಗಿದೆ. ಮತ್ತೆ ಪ್ರಾರಂಭಿಸಲು ಯಾವಾಗ ಬೇಕಾದರೂ 'start' ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+  "common.payNow": "ಈಗ ಪಾವತಿಸಿ",
+  "common.skip": "ಬಿಟ್ಟುಬಿಡಿ",
+  "common.cancel": "ರದ್ದುಮಾಡಿ",
+  "common.enterName": "ದಯವಿಟ್ಟು ನಿಮ್ಮ ಪೂರ್ಣ ಹೆಸರನ್ನು ನಮೂದಿಸಿ:",
+  "common.invalidName": "ದಯವಿಟ್ಟು ಸರಿಯಾದ ಹೆಸರನ್ನು ನಮೂದಿಸಿ (ಕನಿಷ್ಠ 3 ಅಕ್ಷರಗಳು):",
+  "common.holdExpired": "⌛ ನಿಮ್ಮ ಸ್ಲಾಟ್ ಹೋಲ್ಡ್ ಮುಗಿದಿದೆ. ಮತ್ತೆ ಬುಕ್ ಮಾಡಲು \"start\" ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+  "common.linkFailed": "⚠️ ಈಗ ಪಾವತಿ ಲಿಂಕ್ ರಚಿಸಲು ಆಗುತ್ತಿಲ್ಲ. ದಯವಿಟ್ಟು ಕೆಲವು ನಿಮಿಷಗಳ ನಂತರ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "common.listBody": "ದಯವಿಟ್ಟು ಕೆಳಗಿನ ಪಟ್ಟಿಯಿಂದ ಆಯ್ಕೆಮಾಡಿ",
+  "common.listButton": "ಆಯ್ಕೆಗಳನ್ನು ನೋಡಿ",
+
+  // Sport, location and duration
+  "sport.ask": "🏃 ಸ್ವಾಗತ! ನೀವು ಯಾವ ಆಟ ಆಡಲು ಬಯಸುತ್ತೀರಿ?",
+  "sport.section": "ಆಟಗಳು",
+  "sport.none": "😔 ಈಗ ಯಾವುದೇ ಆಟದ ಬುಕಿಂಗ್ ತೆರೆದಿಲ್ಲ. ದಯವಿಟ್ಟು ನಂತರ ನೋಡಿ.",
+  "sport.unavailable": "❌ ಆ ಆಟ ಈಗ ಲಭ್ಯವಿಲ್ಲ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಆಯ್ಕೆಮಾಡಿ.",
+  "location.ask": "ನಿಮಗೆ ಇಷ್ಟವಾದ ಸ್ಥಳವನ್ನು ಆಯ್ಕೆಮಾಡಿ:",
+  "location.section": "ಸ್ಥಳಗಳು",
+  "location.none": "😔 ಈಗ ಯಾವುದೇ ಸ್ಥಳದಲ್ಲಿ ಈ ಆಟ ಇಲ್ಲ. ಬೇರೆ ಆಟ ಆಯ್ಕೆಮಾಡಲು \"start\" ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+  "location.unavailable": "❌ ಆ ಸ್ಥಳ ಈ ಆಟಕ್ಕೆ ಲಭ್ಯವಿಲ್ಲ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಆಯ್ಕೆಮಾಡಿ.",
+  "location.noSport": "😔 ಆ ಸ್ಥಳದಲ್ಲಿ ಈ ಆಟ ಇಲ್ಲ. ದಯವಿಟ್ಟು ಬೇರೆ ಸ್ಥಳ ಆಯ್ಕೆಮಾಡಿ.",
+  "duration.ask": "⏱️ ನೀವು ಎಷ್ಟು ಹೊತ್ತು ಆಡಲು ಬಯಸುತ್ತೀರಿ?",
+  "duration.section": "ಅವಧಿ",
+  "duration.unavailable": "❌ ಆ ಅವಧಿ ಲಭ್ಯವಿಲ್ಲ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಆಯ್ಕೆಮಾಡಿ.",
+  "duration.minutes": "{count} ನಿಮಿಷ",
+  "duration.hours": {
+    one: "{count} ಗಂಟೆ",
+    other: "{count} ಗಂಟೆ",
+  },
+  "duration.mixed": "{hours} ಗಂ {minutes} ನಿ",
+
+  // Dates, periods and slots
+  "date.header": "ದಿನಾಂಕ ಆಯ್ಕೆಮಾಡಿ",
+  "date.section": "ಲಭ್ಯವಿರುವ ದಿನಾಂಕಗಳು",
+  "date.slots": { one: "{count} ಸ್ಲಾಟ್", other: "{count} ಸ್ಲಾಟ್‌ಗಳು" },
+  "date.fullyBooked": "ಪೂರ್ತಿ ಬುಕ್ ಆಗಿದೆ · ವೇಟ್‌ಲಿಸ್ಟ್ ಸೇರಿ",
+  "date.checkFailed": "😔 ಈಗ ಮುಂದಿನ 7 ದಿನಗಳನ್ನು ಪರಿಶೀಲಿಸಲು ಆಗಲಿಲ್ಲ. ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಲು \"start\" ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+  "date.invalid": "❌ ತಪ್ಪಾದ ದಿನಾಂಕ ಆಯ್ಕೆ. ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಲು \"start\" ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+  "date.tooFar": "📅 ಬುಕಿಂಗ್ 7 ದಿನ ಮುಂಚಿತವಾಗಿ ಮಾತ್ರ ತೆರೆಯುತ್ತದೆ, ಹಾಗಾಗಿ {date} ಅನ್ನು ಇನ್ನೂ ಬುಕ್ ಮಾಡಲಾಗದು. ದಯವಿಟ್ಟು ದಿನಾಂಕ ಆಯ್ಕೆಮಾಡಿ:",
+  "period.ask": "⏰ {date} ಗಾಗಿ ಸಮಯವನ್ನು ಆಯ್ಕೆಮಾಡಿ (ಪ್ರಾರಂಭದ ಸಮಯ):",
+  "period.section": "ಸಮಯಗಳು",
+  "slot.header": "ಸ್ಲಾಟ್ ಆಯ್ಕೆಮಾಡಿ ({duration})",
+  "slot.section": "ಲಭ್ಯವಿರುವ ಸ್ಲಾಟ್‌ಗಳು",
+  "slot.loadFailed": "❌ ಈಗ ಲಭ್ಯವಿರುವ ಸ್ಲಾಟ್‌ಗಳನ್ನು ತೋರಿಸಲು ಆಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ಸ್ವಲ್ಪ ಸಮಯದ ನಂತರ ಪ್ರಯತ್ನಿಸಿ.",
+  "slot.noneOnDate": "❌ ಈ ದಿನಾಂಕದಲ್ಲಿ ಯಾವುದೇ ಸ್ಲಾಟ್ ಲಭ್ಯವಿಲ್ಲ. ದಯವಿಟ್ಟು ಬೇರೆ ದಿನಾಂಕ ಆಯ್ಕೆಮಾಡಿ.",
+  "slot.noneInPeriod": "❌ ಈ ಸಮಯದಲ್ಲಿ ಈಗ ಯಾವುದೇ ಸ್ಲಾಟ್ ಲಭ್ಯವಿಲ್ಲ. ದಯವಿಟ್ಟು ಬೇರೆ ಸಮಯ ಅಥವಾ ದಿನಾಂಕ ಆಯ್ಕೆಮಾಡಿ.",
+  "slot.otherTimes": "🔔 ಬೇರೆ ಸಮಯಗಳು",
+  "slot.otherTimesDescription": "ಬುಕ್ ಆದ ಸಮಯಕ್ಕೆ ವೇಟ್‌ಲಿಸ್ಟ್ ಸೇರಿ",
+  "slot.noLongerAvailable": "❌ ಕ್ಷಮಿಸಿ, ಈ ಸ್ಲಾಟ್ ಈಗ ಲಭ್ಯವಿಲ್ಲ.",
+  "slot.justTaken": "ಕ್ಷಮಿಸಿ, ಈ ಸ್ಲಾಟ್ ಅನ್ನು ಈಗಷ್ಟೇ ಬೇರೆಯವರು ಬುಕ್ ಮಾಡಿದ್ದಾರೆ.",
+  "slot.venueGone": "❌ ಈ ಆಟ ಅಥವಾ ಸ್ಥಳ ಈಗ ಲಭ್ಯವಿಲ್ಲ. ಮತ್ತೆ ಪ್ರಾರಂಭಿಸಲು \"start\" ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+  "slot.failed": "❌ ನಿಮ್ಮ ಆಯ್ಕೆಯನ್ನು ಪೂರ್ಣಗೊಳಿಸಲು ಆಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "slot.free": "✅ {date} ರಂದು {time} ಖಾಲಿ ಇದೆ.",
+  "slot.nearest": "😔 {date} ರಂದು {time} ಲಭ್ಯವಿಲ್ಲ. ಹತ್ತಿರದ ಖಾಲಿ ಸಮಯಗಳು ಇಲ್ಲಿವೆ:",
+  "slot.windowFull": "😔 {date} ರಂದು ಆ ಸಮಯದಲ್ಲಿ ಏನೂ ಖಾಲಿ ಇಲ್ಲ, ಆದರೆ ಈ ಸಮಯಗಳು ಖಾಲಿ ಇವೆ:",
+  "slot.courtsLeft": {
+    one: "{count} ರಲ್ಲಿ {remaining} ಕೋರ್ಟ್ ಖಾಲಿ",
+    other: "{count} ರಲ್ಲಿ {remaining} ಕೋರ್ಟ್ ಖಾಲಿ",
+  },
+
+  // Waitlist
+  "waitlist.ask": "🔔 ಯಾವ ಸಮಯಗಳು ನಿಮಗೆ ಸರಿಹೊಂದುತ್ತವೆ?",
+  "waitlist.section": "ವೇಟ್‌ಲಿಸ್ಟ್",
+  "waitlist.morning": "🌅 ಬೆಳಿಗ್ಗೆ",
+  "waitlist.afternoon": "☀️ ಮಧ್ಯಾಹ್ನ",
+  "waitlist.evening": "🌃 ಸಂಜೆ",
+  "waitlist.anyTime": "🕐 ಯಾವಾಗಲಾದರೂ",
+  "waitlist.dayFull": "😔 {date} ರಂದು ಎಲ್ಲಾ ಕೋರ್ಟ್‌ಗಳು ಬುಕ್ ಆಗಿವೆ. ವೇಟ್‌ಲಿಸ್ಟ್ ಸೇರಿ, ಕೋರ್ಟ್ ಖಾಲಿಯಾದರೆ ನಾವು ತಿಳಿಸುತ್ತೇವೆ.",
+  "waitlist.slotTaken": "{text}\n\nವೇಟ್‌ಲಿಸ್ಟ್ ಸೇರಿ, ಇದು ಖಾಲಿಯಾದರೆ ನಾವು ತಿಳಿಸುತ್ತೇವೆ, ಅಥವಾ ಬೇರೆ ಸ್ಲಾಟ್ ಆಯ್ಕೆಮಾಡಲು \"start\" ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+  "waitlist.join": "🔔 ವೇಟ್‌ಲಿಸ್ಟ್ ಸೇರಿ",
+  "waitlist.startingAt": "{time} ಕ್ಕೆ ಪ್ರಾರಂಭ",
+  "waitlist.startingBetween": "{from} ರಿಂದ {to} ನಡುವೆ ಪ್ರಾರಂಭ",
+  "waitlist.joined": "🔔 ನೀವು {date} ರಂದು {centre} ನಲ್ಲಿ {sport} ವೇಟ್‌ಲಿಸ್ಟ್‌ನಲ್ಲಿದ್ದೀರಿ, {times}.\n\nಕೋರ್ಟ್ ಖಾಲಿಯಾದರೆ ನಾವು ಪಾವತಿ ಲಿಂಕ್ ಕಳುಹಿಸುತ್ತೇವೆ, ಅದು ನಿಮಗಾಗಿ {minutes} ನಿಮಿಷ ಕಾಯ್ದಿರುತ್ತದೆ. ಕಾಯುವುದನ್ನು ನಿಲ್ಲಿಸಲು \"leave waitlist\" ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+  "waitlist.left": "✅ ನೀವು ವೇಟ್‌ಲಿಸ್ಟ್‌ನಿಂದ ಹೊರಬಂದಿದ್ದೀರಿ.",
+  "waitlist.notOn": "ನೀವು ಯಾವುದೇ ವೇಟ್‌ಲಿಸ್ಟ್‌ನಲ್ಲಿ ಇಲ್ಲ.",
+  "waitlist.offer": "🎉 ಶುಭ ಸುದ್ದಿ! {centre} ನಲ್ಲಿ {sport} ಗಾಗಿ ಒಂದು ಕೋರ್ಟ್ ಖಾಲಿಯಾಗಿದೆ.\n\nದಿನಾಂಕ: {date}\nಸಮಯ: {time}\nಒಟ್ಟು: ₹{total}\n\nಇದನ್ನು {minutes} ನಿಮಿಷ ನಿಮಗಾಗಿ ಕಾಯ್ದಿರಿಸಲಾಗಿದೆ. ಬುಕ್ ಮಾಡಲು ಇಲ್ಲಿ ಪಾವತಿಸಿ:\n{url}",
+
+  // Players and add-ons
+  "players.ask": "👥 ನಿಮ್ಮನ್ನೂ ಸೇರಿ ಎಷ್ಟು ಆಟಗಾರರು?",
+  "players.section": "ಆಟಗಾರರು",
+  "players.option": { one: "👥 {count} ಆಟಗಾರ", other: "👥 {count} ಆಟಗಾರರು" },
+  "players.askPhones": "📱 ಉಳಿದ {count} ಆಟಗಾರರ ಫೋನ್ ಸಂಖ್ಯೆಗಳನ್ನು ಹಂಚಿಕೊಳ್ಳುವಿರಾ? ಅವುಗಳನ್ನು ಒಂದೇ ಸಂದೇಶದಲ್ಲಿ ಅಲ್ಪವಿರಾಮ ಹಾಕಿ ಕಳುಹಿಸಿ. ಬಿಲ್ ಹಂಚಿದರೆ ಅವರಿಗೆ ತಮ್ಮದೇ ಪಾವತಿ ಲಿಂಕ್ ಸಿಗುತ್ತದೆ.",
+  "players.invalidPhones": "❌ ದಯವಿಟ್ಟು ಗರಿಷ್ಠ {count} ಫೋನ್ ಸಂಖ್ಯೆಗಳನ್ನು ಅಲ್ಪವಿರಾಮ ಹಾಕಿ ಕಳುಹಿಸಿ, ಉದಾ. 98765 43210, 91234 56789.",
+  "addons.ask": "ಯಾವುದಾದರೂ ಹೆಚ್ಚುವರಿ ಸೇವೆ ಸೇರಿಸಲು ಬಯಸುವಿರಾ?",
+  "addons.section": "ಹೆಚ್ಚುವರಿ ಸೇವೆಗಳು",
+  "addons.each": "ಒಂದಕ್ಕೆ ₹{price}",
+  "addons.left": "{count} ಉಳಿದಿವೆ",
+  "addons.inCart": "ಕಾರ್ಟ್‌ನಲ್ಲಿ {count}",
+  "addons.reviewCart": "ಕಾರ್ಟ್ ನೋಡಿ",
+  "addons.total": "ಆಡ್-ಆನ್ ಒಟ್ಟು ₹{total}",
+  "addons.none": "ಬೇಡ, ಮುಂದುವರಿಸಿ",
+  "addons.noneDescription": "ಹೆಚ್ಚುವರಿ ಸೇವೆಗಳನ್ನು ಬಿಟ್ಟುಬಿಡಿ",
+  "addons.unavailable": "😔 ಆ ಆಡ್-ಆನ್ ನಿಮ್ಮ ಸ್ಲಾಟ್‌ಗೆ ಲಭ್ಯವಿಲ್ಲ.",
+  "addons.howMany": "ಎಷ್ಟು {name}? (ಒಂದಕ್ಕೆ ₹{price})",
+  "addons.quantitySection": "ಸಂಖ್ಯೆ",
+  "addons.quantityGone": "😔 ಅಷ್ಟು ಈಗ ನಿಮ್ಮ ಸ್ಲಾಟ್‌ಗೆ ಲಭ್ಯವಿಲ್ಲ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಆಯ್ಕೆಮಾಡಿ.",
+  "addons.whichRemove": "ಯಾವ ಆಡ್-ಆನ್ ತೆಗೆದುಹಾಕಬೇಕು?",
+  "addons.soldOut": {
+    one: "😔 ನಿಮ್ಮ ಸ್ಲಾಟ್‌ಗೆ ಈಗ ಸಾಕಷ್ಟು ಉಳಿದಿಲ್ಲ: {items}. ಅದನ್ನು ನಿಮ್ಮ ಕಾರ್ಟ್‌ನಿಂದ ತೆಗೆದುಹಾಕಲಾಗಿದೆ.",
+    other: "😔 ನಿಮ್ಮ ಸ್ಲಾಟ್‌ಗೆ ಈಗ ಸಾಕಷ್ಟು ಉಳಿದಿಲ್ಲ: {items}. ಅವುಗಳನ್ನು ನಿಮ್ಮ ಕಾರ್ಟ್‌ನಿಂದ ತೆಗೆದುಹಾಕಲಾಗಿದೆ.",
+  },
+  "cart.section": "ನಿಮ್ಮ ಕಾರ್ಟ್",
+  "cart.text": "🛒 ನಿಮ್ಮ ಆಡ್-ಆನ್‌ಗಳು\n\n{lines}\n\nಆಡ್-ಆನ್ ಒಟ್ಟು: ₹{total}\nಕೋರ್ಟ್ ಶುಲ್ಕವನ್ನು ಚೆಕ್‌ಔಟ್‌ನಲ್ಲಿ ಸೇರಿಸಲಾಗುತ್ತದೆ.",
+  "cart.add": "ಇನ್ನಷ್ಟು ಸೇರಿಸಿ",
+  "cart.remove": "ಒಂದನ್ನು ತೆಗೆಯಿರಿ",
+  "cart.checkout": "ಚೆಕ್‌ಔಟ್",
+
+  // Summary, promo codes and payment
+  "summary.text": "ಬುಕಿಂಗ್ ಸಾರಾಂಶ\n\nಹೆಸರು: {name}\nಆಟ: {sport}\nಸ್ಥಳ: {centre}\nಕೋರ್ಟ್: {court}\nದಿನಾಂಕ: {date}\nಸಮಯ: {time} ({duration})\nಆಟಗಾರರು: {players}{courtFee}{addons}{discount}\nಒಟ್ಟು ಮೊತ್ತ: ₹{total}",
+  "summary.courtFee": "\nಕೋರ್ಟ್ ಶುಲ್ಕ: ₹{amount}{rules}",
+  "summary.addons": "\nಹೆಚ್ಚುವರಿ ಸೇವೆಗಳು:\n{lines}",
+  "summary.promo": "\nಪ್ರೋಮೋ {code}: -₹{discount}",
+  "promo.ask": "🎟️ ನಿಮ್ಮ ಬಳಿ ಪ್ರೋಮೋ ಕೋಡ್ ಇದೆಯೇ?",
+  "promo.enter": "ಪ್ರೋಮೋ ಕೋಡ್ ನಮೂದಿಸಿ",
+  "promo.skip": "ಇಲ್ಲ, ಈಗ ಪಾವತಿಸಿ",
+  "promo.prompt": "🎟️ ದಯವಿಟ್ಟು ನಿಮ್ಮ ಪ್ರೋಮೋ ಕೋಡ್ ಟೈಪ್ ಮಾಡಿ:",
+  "promo.tryAnother": "ಬೇರೆ ಕೋಡ್ ಪ್ರಯತ್ನಿಸಿ",
+  "promo.payWithout": "ಕೋಡ್ ಇಲ್ಲದೆ ಪಾವತಿ",
+  "promo.sharesPaid": "ಈ ಬುಕಿಂಗ್‌ನಲ್ಲಿ ಒಬ್ಬ ಆಟಗಾರರು ಈಗಾಗಲೇ ತಮ್ಮ ಪಾಲನ್ನು ಪಾವತಿಸಿದ್ದಾರೆ, ಆದ್ದರಿಂದ ಈಗ ಪ್ರೋಮೋ ಕೋಡ್ ಸೇರಿಸಲಾಗದು.",
+  "promo.usedUp": "✅ ನಿಮ್ಮ ಬುಕಿಂಗ್ ಖಚಿತವಾಗಿದೆ, ಆದರೆ ನಿಮ್ಮ ಪಾವತಿ ಬರುವ ಸ್ವಲ್ಪ ಮೊದಲು ಪ್ರೋಮೋ ಕೋಡ್ {code} ಮುಗಿದುಹೋಯಿತು. ದಯವಿಟ್ಟು ₹{amount} ರಿಯಾಯಿತಿಯನ್ನು ಇಲ್ಲಿ ಪಾವತಿಸಿ:\n{url}",
+  "promo.differencePaid": "✅ ಧನ್ಯವಾದಗಳು! ಪ್ರೋಮೋ ಕೋಡ್ ವ್ಯತ್ಯಾಸದ ₹{amount} ನಮಗೆ ತಲುಪಿದೆ.",
+  "promo.invalid": "ಆ ಪ್ರೋಮೋ ಕೋಡ್ ಮಾನ್ಯವಾಗಿಲ್ಲ.",
+  "promo.notActive": "ಈ ಪ್ರೋಮೋ ಕೋಡ್ ಅವಧಿ ಮುಗಿದಿದೆ ಅಥವಾ ಇನ್ನೂ ಸಕ್ರಿಯವಾಗಿಲ್ಲ.",
+  "promo.notForBooking": "ಈ ಪ್ರೋಮೋ ಕೋಡ್ ಅನ್ನು {centre} ನಲ್ಲಿ {sport} ಗೆ ಬಳಸಲಾಗದು.",
+  "promo.minSpend": "ಈ ಪ್ರೋಮೋ ಕೋಡ್‌ಗೆ ಕನಿಷ್ಠ ₹{amount} ಬುಕಿಂಗ್ ಬೇಕು.",
+  "promo.fullyRedeemed": "ಈ ಪ್ರೋಮೋ ಕೋಡ್ ಸಂಪೂರ್ಣವಾಗಿ ಬಳಕೆಯಾಗಿದೆ.",
+  "promo.alreadyUsed": "ನೀವು ಈ ಪ್ರೋಮೋ ಕೋಡ್ ಅನ್ನು ಈಗಾಗಲೇ ಬಳಸಿದ್ದೀರಿ.",
+  "payment.link": "💳 ನಿಮ್ಮ ಬುಕಿಂಗ್ ಖಚಿತಪಡಿಸಲು ದಯವಿಟ್ಟು ಪಾವತಿ ಮಾಡಿ.\nಮೊತ್ತ: ₹{amount}\n⏳ ನಿಮ್ಮ ಸ್ಲಾಟ್ {minutes} ನಿಮಿಷ ಕಾಯ್ದಿರಿಸಲಾಗಿದೆ.\nಪಾವತಿಸಲು ಕೆಳಗಿನ ಬಟನ್ ಒತ್ತಿ.\n\nಪಾವತಿ ಯಶಸ್ವಿಯಾದ ನಂತರ ನಾವು ಸ್ವಯಂಚಾಲಿತವಾಗಿ ಖಚಿತಪಡಿಸುತ್ತೇವೆ.",
+  "payment.linkFailedFollowUp": "⚠️ ಈಗ ಪಾವತಿ ಲಿಂಕ್ ರಚಿಸಲು ಆಗುತ್ತಿಲ್ಲ. ನೀವು ಖಚಿತಪಡಿಸಬಹುದು, ಪಾವತಿಗಾಗಿ ನಾವು ನಿಮ್ಮನ್ನು ಸಂಪರ್ಕಿಸುತ್ತೇವೆ.",
+  "payment.sent": "📩 ಪಾವತಿ ಲಿಂಕ್ ಕಳುಹಿಸಲಾಗಿದೆ. ಪಾವತಿ ಬಂದ ತಕ್ಷಣ ನಿಮ್ಮ ಬುಕಿಂಗ್ ಅನ್ನು ಸ್ವಯಂಚಾಲಿತವಾಗಿ ಖಚಿತಪಡಿಸುತ್ತೇವೆ.",
+  "payment.how": "💳 ₹{amount} ಅನ್ನು ಹೇಗೆ ಪಾವತಿಸಲು ಬಯಸುತ್ತೀರಿ?",
+  "payment.full": "ಪೂರ್ತಿ ಪಾವತಿಸಿ",
+  "payment.split": "ಬಿಲ್ ಹಂಚಿಕೊಳ್ಳಿ",
+  "payment.creditsSlotTaken": "⚠️ ಕ್ಷಮಿಸಿ, ಈ ಸ್ಲಾಟ್ ಅನ್ನು ಈಗಷ್ಟೇ ಬೇರೆಯವರು ಬುಕ್ ಮಾಡಿದ್ದಾರೆ. ನಿಮ್ಮ ಕ್ರೆಡಿಟ್‌ಗಳನ್ನು ಬಳಸಿಲ್ಲ. ದಯವಿಟ್ಟು ಬೇರೆ ಸ್ಲಾಟ್ ಆಯ್ಕೆಮಾಡಿ.",
+  "payment.paidFromWallet": "✅ ಬುಕಿಂಗ್ ಖಚಿತವಾಗಿದೆ!\n\nಆಟ: {sport}\nಸೆಂಟರ್: {centre}\nಕೋರ್ಟ್: {court}\nದಿನಾಂಕ: {date}\nಸಮಯ: {time}\n\n👛 ನಿಮ್ಮ ವಾಲೆಟ್‌ನಿಂದ ₹{amount} ಪಾವತಿಸಲಾಗಿದೆ. ಬ್ಯಾಲೆನ್ಸ್: ₹{balance}\n\nಧನ್ಯವಾದಗಳು!",
+  "payment.required": "🔒 ಬುಕಿಂಗ್ ಖಚಿತಪಡಿಸಲು ಪಾವತಿ ಅಗತ್ಯವಿದೆ.\nಮೊತ್ತ: ₹{amount}\nದಯವಿಟ್ಟು ಪಾವತಿ ಮಾಡಿ ಮತ್ತು ಖಚಿತಪಡಿಸುವವರೆಗೆ ಕಾಯಿರಿ.",
+  "payment.noLink": "ಪಾವತಿ ಲಿಂಕ್ ಸಿಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಸ್ಲಾಟ್ ಆಯ್ಕೆಮಾಡಿ ಅಥವಾ ಸಹಾಯವನ್ನು ಸಂಪರ್ಕಿಸಿ.",
+
+  // Split bills
+  "split.you": "ನೀವು",
+  "split.player": "ಆಟಗಾರ {number}",
+  "split.failed": "⚠️ ಈಗ ಪಾವತಿ ಲಿಂಕ್‌ಗಳನ್ನು ರಚಿಸಲು ಆಗುತ್ತಿಲ್ಲ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ, ಅಥವಾ ಪೂರ್ತಿ ಪಾವತಿಸಿ.",
+  "split.summary": "👥 ₹{total} ಅನ್ನು {players} ಆಟಗಾರರ ನಡುವೆ ಹಂಚಲಾಗಿದೆ:\n\n{shares}\n\nಪ್ರತಿ ಲಿಂಕ್ ಅನ್ನು ಅದರ ಆಟಗಾರನಿಗೆ ಕಳುಹಿಸಿ; ನೀವು ಸಂಖ್ಯೆ ನೀಡಿದವರಿಗೆ SMS ಮೂಲಕವೂ ಸಿಗುತ್ತದೆ.\n⏳ ನಿಮ್ಮ ಸ್ಲಾಟ್ {minutes} ನಿಮಿಷ ಕಾಯ್ದಿರಿಸಲಾಗಿದೆ. ಎಲ್ಲಾ ಪಾಲುಗಳು ಪಾವತಿಯಾದ ನಂತರ ಬುಕಿಂಗ್ ಖಚಿತಪಡಿಸುತ್ತೇವೆ.",
+  "split.offerRest": "ಉಳಿದವರ ಪಾಲನ್ನು ನೀವೇ ಕೊಡುವಿರಾ? ಬಾಕಿ ಇರುವುದನ್ನು ಯಾವಾಗ ಬೇಕಾದರೂ ಪಾವತಿಸಬಹುದು.",
+  "split.payRest": "ಬಾಕಿ ಪಾವತಿಸಿ",
+  "split.allPaid": "✅ ಎಲ್ಲಾ ಪಾಲುಗಳು ಈಗಾಗಲೇ ಪಾವತಿಯಾಗಿವೆ ಅಥವಾ ಪಾವತಿಯಾಗುತ್ತಿವೆ. ನಾವು ಶೀಘ್ರದಲ್ಲೇ ಖಚಿತಪಡಿಸುತ್ತೇವೆ.",
+  "split.noneWaiting": "⌛ ಪಾವತಿಗಾಗಿ ಕಾಯುತ್ತಿರುವ ಹಂಚಿದ ಬುಕಿಂಗ್ ಇಲ್ಲ. ಮತ್ತೆ ಬುಕ್ ಮಾಡಲು \"start\" ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+  "split.payRemainder": "💳 ನಿಮ್ಮ ಬುಕಿಂಗ್ ಖಚಿತಪಡಿಸಲು ಬಾಕಿ ₹{amount} ಪಾವತಿಸಿ.\nಉಳಿದ ಆಟಗಾರರ ತೆರೆದ ಲಿಂಕ್‌ಗಳನ್ನು ರದ್ದುಮಾಡಲಾಗಿದೆ.",
+  "split.yourSharePaid": "ನಿಮ್ಮ ₹{amount} ಪಾಲು ಪಾವತಿಯಾಗಿದೆ.",
+  "split.playerSharePaid": "{label} ತಮ್ಮ ₹{amount} ಪಾಲನ್ನು ಪಾವತಿಸಿದ್ದಾರೆ.",
+  "split.progress": "💸 {paid} ಇನ್ನೂ ₹{unpaid} ಪಾವತಿಸಬೇಕಿದೆ.\nಎಲ್ಲರೂ ಪಾವತಿಸಿದ ತಕ್ಷಣ ಬುಕಿಂಗ್ ಖಚಿತಪಡಿಸುತ್ತೇವೆ, ಅಥವಾ ಬಾಕಿಯನ್ನು ನೀವೇ ಪಾವತಿಸಬಹುದು.",
+
+  // Lapsed holds
+  "hold.expired": "⌛ ಪಾವತಿ ಬಾರದ ಕಾರಣ {centre} ನಲ್ಲಿ {sport} ({when}) ಗಾಗಿ ನಿಮ್ಮ ಹೋಲ್ಡ್ ಅವಧಿ ಮುಗಿದಿದೆ.{refund}\nಮತ್ತೆ ಬುಕ್ ಮಾಡಲು 'start' ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+  "hold.weekly": "ವಾರಕ್ಕೊಮ್ಮೆ, {time}",
+  "hold.splitRefund": "\nಇದಕ್ಕಾಗಿ ಈಗಾಗಲೇ ಪಾವತಿಸಿದ ₹{amount} ಅನ್ನು ಹಿಂತಿರುಗಿಸಲಾಗುತ್ತಿದೆ.",
+
+  // Confirmation
+  "booking.confirmed": "✅ ಬುಕಿಂಗ್ ಖಚಿತವಾಗಿದೆ!\n\n{emoji} {sport}\n📍 {centre}\n📅 {date}\n🕒 {time}{calendarNote}\n\nಕೋರ್ಟ್‌ನಲ್ಲಿ ಭೇಟಿಯಾಗೋಣ! 🎉",
+  "booking.calendarCreated": "\n📆 ಕ್ಯಾಲೆಂಡರ್‌ಗೆ ಸೇರಿಸಲಾಗಿದೆ!",
+  "booking.confirmFailed": "❌ ಬುಕಿಂಗ್ ಖಚಿತಪಡಿಸಲು ಆಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "booking.cancelled": "❌ ಬುಕಿಂಗ್ ರದ್ದಾಗಿದೆ. ಹೊಸ ಬುಕಿಂಗ್‌ಗಾಗಿ 'start' ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+  "booking.paid": "✅ ಬುಕಿಂಗ್ ಖಚಿತವಾಗಿದೆ!\n\nಆಟ: {sport}\nಸೆಂಟರ್: {centre}\nಕೋರ್ಟ್: {court}\nದಿನಾಂಕ: {date}\nಸಮಯ: {time}\nಆಟಗಾರರು: {players}\nಒಟ್ಟು: ₹{total}\n\nಧನ್ಯವಾದಗಳು!",
+  "booking.conflict": "⚠️ ಕ್ಷಮಿಸಿ, ಈ ಸ್ಲಾಟ್ ಅನ್ನು ಈಗಷ್ಟೇ ಬೇರೆಯವರು ಬುಕ್ ಮಾಡಿದ್ದಾರೆ ಮತ್ತು ಈಗ ಲಭ್ಯವಿಲ್ಲ. ನಿಮ್ಮ ₹{amount} ಪಾವತಿಯನ್ನು ಹಿಂತಿರುಗಿಸಲಾಗುತ್ತಿದೆ; ಇದು ಸಾಮಾನ್ಯವಾಗಿ 5-7 ಕೆಲಸದ ದಿನಗಳಲ್ಲಿ ನಿಮ್ಮ ಖಾತೆಗೆ ತಲುಪುತ್ತದೆ. ದಯವಿಟ್ಟು ಬೇರೆ ಸ್ಲಾಟ್ ಆಯ್ಕೆಮಾಡಿ.",
+
+  // Existing bookings: picker, cancellation, reminders
+  "bookings.section": "ಮುಂಬರುವ ಬುಕಿಂಗ್‌ಗಳು",
+  "bookings.row": "{time} · {centre} ನಲ್ಲಿ {sport}",
+  "cancel.header": "ಬುಕಿಂಗ್ ರದ್ದುಮಾಡಿ",
+  "cancel.noBookings": "ರದ್ದುಮಾಡಲು ನಿಮ್ಮ ಬಳಿ ಮುಂಬರುವ ಪಾವತಿಸಿದ ಬುಕಿಂಗ್ ಇಲ್ಲ. ಬುಕ್ ಮಾಡಲು 'start' ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+  "cancel.notCancellable": "❌ ಆ ಬುಕಿಂಗ್ ಅನ್ನು ಈಗ ರದ್ದುಮಾಡಲಾಗದು. ನಿಮ್ಮ ಬುಕಿಂಗ್‌ಗಳನ್ನು ಮತ್ತೆ ನೋಡಲು \"cancel my booking\" ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+  "cancel.ask": "{date}, {time} ರಂದು {centre} ನಲ್ಲಿ {sport} ರದ್ದುಮಾಡಬೇಕೇ?\n\n{refund}",
+  "cancel.refundQuote": "ನಿಮಗೆ ₹{amount} ({percent}%) ಹಿಂತಿರುಗಿಸಲಾಗುತ್ತದೆ.",
+  "cancel.refundQuoteCredits": "ನಿಮಗೆ ₹{amount} ({percent}%) ವಾಲೆಟ್ ಕ್ರೆಡಿಟ್ ಆಗಿ ಹಿಂತಿರುಗಿಸಲಾಗುತ್ತದೆ.",
+  "cancel.refundQuoteChoice": "ನಿಮಗೆ ₹{amount} ({percent}%) ತಕ್ಷಣ ವಾಲೆಟ್ ಕ್ರೆಡಿಟ್ ಆಗಿ ಹಿಂತಿರುಗಿಸಲಾಗುತ್ತದೆ, ಅಥವಾ ಬೇಕಿದ್ದರೆ ನಿಮ್ಮ ಪಾವತಿ ವಿಧಾನಕ್ಕೆ.",
+  "cancel.tooLate": "ಈ ಬುಕಿಂಗ್ ಪ್ರಾರಂಭಕ್ಕೆ ತುಂಬಾ ಹತ್ತಿರವಿರುವುದರಿಂದ ಹಣ ಹಿಂತಿರುಗುವುದಿಲ್ಲ.",
+  "cancel.confirm": "ಹೌದು, ರದ್ದುಮಾಡಿ",
+  "cancel.confirmRefund": "ಪಾವತಿಗೆ ಮರುಪಾವತಿ",
+  "cancel.keep": "ಬುಕಿಂಗ್ ಇರಲಿ",
+  "cancel.kept": "👍 ನಿಮ್ಮ ಬುಕಿಂಗ್ ಬದಲಾಗಿಲ್ಲ. ಕೋರ್ಟ್‌ನಲ್ಲಿ ಭೇಟಿಯಾಗೋಣ!",
+  "cancel.noRefund": "ರದ್ದತಿ ನೀತಿಯ ಪ್ರಕಾರ ಹಣ ಹಿಂತಿರುಗುವುದಿಲ್ಲ.",
+  "cancel.refundedToWallet": "💸 ₹{amount} ಅನ್ನು ನಿಮ್ಮ ವಾಲೆಟ್‌ಗೆ ಕ್ರೆಡಿಟ್ ಆಗಿ ಸೇರಿಸಲಾಗಿದೆ. ಬ್ಯಾಲೆನ್ಸ್: ₹{balance}.",
+  "cancel.refunded": "💸 ₹{amount} ಹಿಂತಿರುಗಿಸಲಾಗಿದೆ. ಇದು ಸಾಮಾನ್ಯವಾಗಿ 5-7 ಕೆಲಸದ ದಿನಗಳಲ್ಲಿ ನಿಮ್ಮ ಖಾತೆಗೆ ತಲುಪುತ್ತದೆ.",
+  "cancel.refundPending": "⏳ ₹{amount} ಮರುಪಾವತಿಯನ್ನು ಈಗಲೇ ಪೂರ್ಣಗೊಳಿಸಲು ಆಗಲಿಲ್ಲ. ನಮ್ಮ ತಂಡ ಅದನ್ನು ಪೂರ್ಣಗೊಳಿಸಿ ನಿಮ್ಮನ್ನು ಸಂಪರ್ಕಿಸುತ್ತದೆ.",
+  "cancel.done": "✅ ಬುಕಿಂಗ್ ರದ್ದಾಗಿದೆ.\n\n{refund}\n\nಹೊಸ ಬುಕಿಂಗ್‌ಗಾಗಿ 'start' ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+  "cancel.failed": "⚠️ ಈಗ ನಿಮ್ಮ ಬುಕಿಂಗ್ ರದ್ದುಮಾಡಲು ಆಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ಕೆಲವು ನಿಮಿಷಗಳ ನಂತರ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "reminder.inactive": "ಈ ಬುಕಿಂಗ್ ಈಗ ಸಕ್ರಿಯವಾಗಿಲ್ಲ. ಹೊಸ ಬುಕಿಂಗ್‌ಗಾಗಿ 'start' ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+  "reminder.late": "👍 ತಿಳಿಸಿದ್ದಕ್ಕೆ ಧನ್ಯವಾದಗಳು. ನೀವು ದಾರಿಯಲ್ಲಿದ್ದೀರಿ ಎಂದು {centre} ತಂಡಕ್ಕೆ ತಿಳಿಸಿದ್ದೇವೆ.\n{end} ವರೆಗೆ ಕೋರ್ಟ್ ನಿಮ್ಮದೇ.",
+
+  // Rescheduling
+  "reschedule.header": "ಬುಕಿಂಗ್ ಸಮಯ ಬದಲಿಸಿ",
+  "reschedule.noBookings": "ಸಮಯ ಬದಲಿಸಲು ನಿಮ್ಮ ಬಳಿ ಮುಂಬರುವ ಪಾವತಿಸಿದ ಬುಕಿಂಗ್ ಇಲ್ಲ. ಬುಕ್ ಮಾಡಲು 'start' ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+  "reschedule.notReschedulable": "❌ ಆ ಬುಕಿಂಗ್‌ನ ಸಮಯವನ್ನು ಈಗ ಬದಲಿಸಲಾಗದು. ನಿಮ್ಮ ಬುಕಿಂಗ್‌ಗಳನ್ನು ಮತ್ತೆ ನೋಡಲು \"reschedule\" ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+  "reschedule.moving": "🔁 {date}, {time} ರ ನಿಮ್ಮ {sport} ಬುಕಿಂಗ್ ಅನ್ನು ಬದಲಿಸಲಾಗುತ್ತಿದೆ. ಹೊಸ ದಿನಾಂಕ ಆಯ್ಕೆಮಾಡಿ:",
+  "reschedule.expired": "❌ ಸೆಷನ್ ಮುಗಿದಿದೆ. ಮತ್ತೆ ಪ್ರಾರಂಭಿಸಲು \"reschedule\" ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+  "reschedule.sameSlot": "ಇದು ನಿಮ್ಮ ಈಗಿನ ಸ್ಲಾಟ್. ದಯವಿಟ್ಟು ಬೇರೆ ಸಮಯ ಆಯ್ಕೆಮಾಡಿ.",
+  "reschedule.taken": "❌ ಕ್ಷಮಿಸಿ, ಈ ಸ್ಲಾಟ್ ಈಗ ಲಭ್ಯವಿಲ್ಲ. ಬೇರೆ ಆಯ್ಕೆಮಾಡಲು \"reschedule\" ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+  "reschedule.payDifference": "💳 ಹೊಸ ಸ್ಲಾಟ್ ({date}, {time}) ₹{amount} ಹೆಚ್ಚು ವೆಚ್ಚದ್ದು.\n⏳ ಇದನ್ನು {minutes} ನಿಮಿಷ ಕಾಯ್ದಿರಿಸಲಾಗಿದೆ.\nಪಾವತಿ ಬಂದ ತಕ್ಷಣ ನಿಮ್ಮ ಬುಕಿಂಗ್ ಬದಲಾಗುತ್ತದೆ.",
+  "reschedule.refunded": "\n💸 ಕಡಿಮೆ ಬೆಲೆಯ ಸ್ಲಾಟ್‌ಗಾಗಿ ₹{amount} ಹಿಂತಿರುಗಿಸಲಾಗಿದೆ.",
+  "reschedule.refundPending": "\n⏳ ಕಡಿಮೆ ಬೆಲೆಯ ಸ್ಲಾಟ್‌ಗಾಗಿ ₹{amount} ಮರುಪಾವತಿ ಇನ್ನೂ ಪ್ರಕ್ರಿಯೆಯಲ್ಲಿದೆ. ಪೂರ್ಣಗೊಂಡ ತಕ್ಷಣ ನಾವು ನಿಮಗೆ ಸಂದೇಶ ಕಳುಹಿಸುತ್ತೇವೆ.",
+  "reschedule.refundIssued": "💸 ನಿಮ್ಮ ಮರುನಿಗದಿತ ಬುಕಿಂಗ್‌ನ ₹{amount} ಮರುಪಾವತಿ ಆಗಿದೆ.",
+  "reschedule.done": "✅ ಬುಕಿಂಗ್ ಸಮಯ ಬದಲಾಗಿದೆ!\n\nಆಟ: {sport}\nಸ್ಥಳ: {centre}\nಕೋರ್ಟ್: {court}\nದಿನಾಂಕ: {date}\nಸಮಯ: {time}{refund}",
+  "reschedule.failed": "❌ ನಿಮ್ಮ ಬುಕಿಂಗ್ ಸಮಯ ಬದಲಿಸಲು ಆಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "reschedule.paid": "✅ ಬುಕಿಂಗ್ ಸಮಯ ಬದಲಾಗಿದೆ!\n\nಆಟ: {sport}\nಸೆಂಟರ್: {centre}\nಕೋರ್ಟ್: {court}\nದಿನಾಂಕ: {date}\nಸಮಯ: {time}\nಒಟ್ಟು: ₹{total}\n\nಧನ್ಯವಾದಗಳು!",
+  "reschedule.paidTooLate": "⚠️ ಕ್ಷಮಿಸಿ, ನಿಮ್ಮ ಪಾವತಿ ಬರುವ ಮೊದಲೇ ಹೊಸ ಸ್ಲಾಟ್ ಬೇರೆಯವರ ಪಾಲಾಯಿತು. ನಿಮ್ಮ ಬುಕಿಂಗ್ ಬದಲಾಗಿಲ್ಲ ಮತ್ತು ₹{amount} ವ್ಯತ್ಯಾಸವನ್ನು ಹಿಂತಿರುಗಿಸಲಾಗಿದೆ.",
+
+  // Wallet
+  "wallet.balance": "👛 ವಾಲೆಟ್ ಬ್ಯಾಲೆನ್ಸ್: ₹{balance}",
+  "wallet.expiry": "ನಿಮ್ಮ ಕೆಲವು ಕ್ರೆಡಿಟ್‌ಗಳು {date} ರಂದು ಮುಕ್ತಾಯವಾಗುತ್ತವೆ.",
+  "wallet.noPacks": "ಈಗ ಯಾವುದೇ ಕ್ರೆಡಿಟ್ ಪ್ಯಾಕ್ ಮಾರಾಟದಲ್ಲಿಲ್ಲ.",
+  "wallet.autoPay": "ನಿಮ್ಮ ಕ್ರೆಡಿಟ್‌ಗಳು ಬೆಲೆಗೆ ಸಾಕಾದಾಗಲೆಲ್ಲಾ ಬುಕಿಂಗ್ ಪಾವತಿ ಅವುಗಳಿಂದಲೇ ಸ್ವಯಂಚಾಲಿತವಾಗಿ ಆಗುತ್ತದೆ.",
+  "wallet.header": "ಕ್ರೆಡಿಟ್ ಖರೀದಿಸಿ",
+  "wallet.section": "ಕ್ರೆಡಿಟ್ ಪ್ಯಾಕ್‌ಗಳು",
+  "wallet.packRow": "₹{price} ಕೊಡಿ, ₹{credits} ಪಡೆಯಿರಿ",
+  "wallet.packRowValidity": "₹{price} ಕೊಡಿ, ₹{credits} ಪಡೆಯಿರಿ · {days} ದಿನ ಮಾನ್ಯ",
+  "wallet.packGone": "❌ ಆ ಪ್ಯಾಕ್ ಈಗ ಮಾರಾಟದಲ್ಲಿಲ್ಲ. ಈಗಿನ ಪ್ಯಾಕ್‌ಗಳನ್ನು ನೋಡಲು \"wallet\" ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+  "wallet.packOffer": "💳 {name}: ₹{price} ಪಾವತಿಸಿ ಮತ್ತು ₹{credits} ಕ್ರೆಡಿಟ್ ಪಡೆಯಿರಿ.\nಪಾವತಿ ಬಂದ ತಕ್ಷಣ ಅವುಗಳನ್ನು ನಿಮ್ಮ ವಾಲೆಟ್‌ಗೆ ಸೇರಿಸುತ್ತೇವೆ.",
+  "wallet.packOfferValidity": "💳 {name}: ₹{price} ಪಾವತಿಸಿ ಮತ್ತು ₹{credits} ಕ್ರೆಡಿಟ್ ಪಡೆಯಿರಿ, {days} ದಿನಗಳವರೆಗೆ ಮಾನ್ಯ.\nಪಾವತಿ ಬಂದ ತಕ್ಷಣ ಅವುಗಳನ್ನು ನಿಮ್ಮ ವಾಲೆಟ್‌ಗೆ ಸೇರಿಸುತ್ತೇವೆ.",
+  "wallet.topUp": "✅ ₹{amount} ಕ್ರೆಡಿಟ್ ನಿಮ್ಮ ವಾಲೆಟ್‌ಗೆ ಸೇರಿಸಲಾಗಿದೆ ({note}).{expiry}\nಬ್ಯಾಲೆನ್ಸ್: ₹{balance}\n\nನಿಮ್ಮ ಮುಂದಿನ ಬುಕಿಂಗ್‌ಗಳ ಪಾವತಿ ಇದರಿಂದಲೇ ಸ್ವಯಂಚಾಲಿತವಾಗಿ ಆಗುತ್ತದೆ.",
+  "wallet.validUntil": "\n{date} ವರೆಗೆ ಮಾನ್ಯ",
+
+  // Weekly bookings
+  "series.intro": "🔁 ವಾರದ ಬುಕಿಂಗ್: ಪ್ರತಿ ವಾರ ಅದೇ ಕೋರ್ಟ್ ಮತ್ತು ಅದೇ ಸಮಯ, {weeks} ವಾರಗಳವರೆಗೆ, ಒಂದೇ ಬಾರಿ ಪಾವತಿ.",
+  "series.expired": "❌ ಸೆಷನ್ ಮುಗಿದಿದೆ. ಮತ್ತೆ ಪ್ರಾರಂಭಿಸಲು \"weekly\" ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+  "series.weekdayAsk": "🔁 ಪ್ರತಿ ವಾರ ಯಾವ ದಿನ?",
+  "series.weekdaySection": "ವಾರದ ದಿನಗಳು",
+  "series.starting": "{date} ರಿಂದ ಪ್ರಾರಂಭ",
+  "series.timeAsk": "🕒 ಪ್ರತಿ {weekday} ಯಾವ ಸಮಯಕ್ಕೆ? ಪ್ರಾರಂಭದ ಸಮಯ ಕಳುಹಿಸಿ, ಉದಾ. 19:00.\nಬುಕಿಂಗ್‌ಗಳು {open} ರಿಂದ ಪ್ರತಿ {step} ಗೆ ಪ್ರಾರಂಭವಾಗುತ್ತವೆ ಮತ್ತು {close} ಒಳಗೆ ಮುಗಿಯುತ್ತವೆ.",
+  "series.invalidTime": "❌ ದಯವಿಟ್ಟು {open} ರಿಂದ ಪ್ರತಿ {step} ಗೆ ಪ್ರಾರಂಭವಾಗಿ {close} ಒಳಗೆ ಮುಗಿಯುವ ಸಮಯ ಕಳುಹಿಸಿ, ಉದಾ. {open}.",
+  "series.lengthAsk": "🔁 ಎಷ್ಟು ವಾರಗಳಿಗೆ?",
+  "series.lengthHint": "{text}\nಒಂದನ್ನು ಒತ್ತಿ, ಅಥವಾ ವಾರಗಳ ಸಂಖ್ಯೆ ಅಥವಾ ಕೊನೆಯ ದಿನಾಂಕ ಟೈಪ್ ಮಾಡಿ, ಉದಾ. 31/12/2026.",
+  "series.invalidLength": "❌ ದಯವಿಟ್ಟು ಗರಿಷ್ಠ {weeks} ವಾರಗಳು, ಅಥವಾ {date} ರ ನಂತರದ ಕೊನೆಯ ದಿನಾಂಕ ಆಯ್ಕೆಮಾಡಿ.",
+  "series.weeks": { one: "{count} ವಾರ", other: "{count} ವಾರಗಳು" },
+  "series.book": "{weeks} ಬುಕ್ ಮಾಡಿ",
+  "series.notAvailable": "\n\n❌ ಲಭ್ಯವಿಲ್ಲ ({count}):\n{dates}",
+  "series.noneFree": "😔 {count} ದಿನಾಂಕಗಳಲ್ಲಿ ಯಾವುದರಲ್ಲೂ {time} ಖಾಲಿ ಇಲ್ಲ.{conflicts}\n\nಬೇರೆ ದಿನ ಅಥವಾ ಸಮಯ ಪ್ರಯತ್ನಿಸಲು \"weekly\" ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+  "series.check": "🔁 {centre} ನಲ್ಲಿ {sport}, ಪ್ರತಿ {weekday} {time}\n\n✅ ಲಭ್ಯವಿದೆ ({count}):\n{dates}{conflicts}\n\n{weeks} ಗೆ ಒಟ್ಟು: ₹{total}, ಒಂದೇ ಬಾರಿ ಪಾವತಿ.",
+  "series.taken": "😔 ಆ ದಿನಾಂಕಗಳನ್ನು ಈಗಷ್ಟೇ ಬೇರೆಯವರು ಪಡೆದಿದ್ದಾರೆ. ಬೇರೆ ದಿನ ಅಥವಾ ಸಮಯ ಪ್ರಯತ್ನಿಸಲು \"weekly\" ಎಂದು ಟೈಪ್ ಮಾಡಿ.",
+  "series.justTaken": "\n⚠️ ಈಗಷ್ಟೇ ಬೇರೆಯವರು ಪಡೆದಿದ್ದಾರೆ: {dates}",
+  "series.held": {
+    one: "🔁 {count} ವಾರದ ಬುಕಿಂಗ್ ಕಾಯ್ದಿರಿಸಲಾಗಿದೆ, {time}.{lost}\nಒಟ್ಟು: ₹{total}\n\n⏳ ನಿಮ್ಮ ಸ್ಲಾಟ್‌ಗಳನ್ನು {minutes} ನಿಮಿಷ ಕಾಯ್ದಿರಿಸಲಾಗಿದೆ. ಎಲ್ಲದಕ್ಕೂ ಒಮ್ಮೆ ಪಾವತಿಸಿ:",
+    other: "🔁 {count} ವಾರದ ಬುಕಿಂಗ್‌ಗಳನ್ನು ಕಾಯ್ದಿರಿಸಲಾಗಿದೆ, {time}.{lost}\nಒಟ್ಟು: ₹{total}\n\n⏳ ನಿಮ್ಮ ಸ್ಲಾಟ್‌ಗಳನ್ನು {minutes} ನಿಮಿಷ ಕಾಯ್ದಿರಿಸಲಾಗಿದೆ. ಎಲ್ಲದಕ್ಕೂ ಒಮ್ಮೆ ಪಾವತಿಸಿ:",
+  },
+  "series.confirmed": "✅ ವಾರದ ಬುಕಿಂಗ್ ಖಚಿತವಾಗಿದೆ!\n\nಆಟ: {sport}\nಸೆಂಟರ್: {centre}\nಕೋರ್ಟ್: {court}\nಸಮಯ: {time} (ಪ್ರತಿ ವಾರ)\nದಿನಾಂಕಗಳು: {dates}\nಒಟ್ಟು: ₹{total}{lost}\n\nಒಂದು ವಾರವನ್ನು ರದ್ದುಮಾಡಲು 'cancel booking' ಎಂದು ಟೈಪ್ ಮಾಡಿ.\nಧನ್ಯವಾದಗಳು!",
+  "series.lost": "\n\n⚠️ ನಿಮ್ಮ ಪಾವತಿ ಬರುವ ಮೊದಲೇ ಕೋರ್ಟ್ ಬೇರೆಯವರ ಪಾಲಾದ್ದರಿಂದ {dates} ಬುಕ್ ಆಗಲಿಲ್ಲ. ₹{amount} ಹಿಂತಿರುಗಿಸಲಾಗಿದೆ.",
+  "series.allLost": "⚠️ ಕ್ಷಮಿಸಿ, ನಿಮ್ಮ ಪಾವತಿ ಬರುವ ಮೊದಲೇ ನಿಮ್ಮ ವಾರದ ಬುಕಿಂಗ್‌ನ ಎಲ್ಲಾ ದಿನಾಂಕಗಳು ಬೇರೆಯವರ ಪಾಲಾದವು. ₹{amount} ಹಿಂತಿರುಗಿಸಲಾಗಿದೆ.",
+};
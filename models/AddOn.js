@@ -0,0 +1,25 @@
+// models/AddOn.js
+import mongoose from "mongoose";
+
+const addOnSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, lowercase: true, trim: true }, // e.g. "spa"
+    name: { type: String, required: true },
+    price: { type: Number, required: true }, // rupees per unit
+    venues: [String], // venue codes offering this add-on; empty means every venue
+    // Units a venue has for bookings running at the same time; unset means unlimited
+    stock: Number,
+    maxQuantity: Number, // most units one booking can take (default 10)
+    // When it can be added: days of the week (0 = Sunday) and opening hours
+    // ("HH:MM", venue time) that must cover the whole slot; unset means always
+    days: [{ type: Number, min: 0, max: 6 }],
+    availableFrom: String,
+    availableTo: String,
+    active: { type: Boolean, default: true },
+    sortOrder: { type: Number, default: 0 },
+  },
+  { timestamps: true, collection: "addons" }
+);
+
+const AddOn = mongoose.models.AddOn || mongoose.model("AddOn", addOnSchema);
+export default AddOn;
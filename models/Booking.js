@@ -1,22 +1,74 @@
 // models/Booking.js
 import mongoose from "mongoose";
+import { slotUnits } from "../utils/slots.js";
 
 const bookingSchema = new mongoose.Schema(
   {
     phone: { type: String, required: true, index: true },
-    step: { type: String, default: "sport_selection" },
+    // payment_pending -> confirmed -> cancelled, expired when the hold lapsed unpaid,
+    // or conflict when the slot was taken before payment landed (the payment is refunded).
+    // rescheduled marks a paid hold that was folded into meta.rescheduleOf.
+    status: {
+      type: String,
+      enum: ["payment_pending", "confirmed", "cancelled", "expired", "conflict", "rescheduled"],
+      default: "payment_pending",
+    },
+    // Whether this booking occupies its court; cleared when it stops doing so
+    holdsSlot: { type: Boolean, default: true },
+    holdExpiresAt: Date, // unpaid bookings give their court back after this (utils/holds.js)
     sport: String,
+    sportCode: String, // catalog code (models/Sport.js)
     centre: String,
+    venueCode: String, // catalog code (models/Venue.js)
+    court: String, // court code within the venue, assigned automatically
+    courtName: String,
     date: String, // YYYY-MM-DD
-    time_slot: String, // e.g. "11:00 - 12:00"
+    time_slot: String, // e.g. "11:00 - 12:00", or "11:00 - 12:30" for a longer booking
+    // 15-minute grid units time_slot covers (utils/slots.js), kept in step with it on save
+    slotUnits: [String],
     name: { type: String, required: true },
+    players: Number, // how many are playing, the organiser included
+    playerPhones: [String], // the other players' WhatsApp numbers, when the organiser shared them
+    series: { type: mongoose.Schema.Types.ObjectId, ref: "BookingSeries", index: true }, // weekly booking this date belongs to
+    // Split bill: one payment link per player share (utils/splitPayments.js). The
+    // booking is confirmed once every share still open is paid; when the organiser
+    // pays what is left, the shares it covers are closed.
+    split: {
+      shares: [{
+        label: String, // "You", "Player 2", ... or "Remainder"
+        phone: String, // who the link was sent to
+        amount: Number, // rupees
+        remainder: { type: Boolean, default: false },
+        paid: { type: Boolean, default: false },
+        closed: { type: Boolean, default: false }, // no longer collected: covered by a remainder or a full payment
+        paymentLinkId: String,
+        paymentLinkUrl: String,
+        paymentId: String,
+        paidAt: Date,
+      }],
+    },
     additionalServices: [{
+      code: String,
       name: String,
-      price: Number
+      price: Number, // rupees per unit
+      quantity: { type: Number, default: 1 }
     }],
     paid: { type: Boolean, default: false },
     calendarEventId: String,
+    calendarId: String, // calendar holding calendarEventId; unset for events made before per-court calendars
     totalAmount: Number,
+    cancellation: {
+      cancelledAt: Date,
+      reason: String,
+      refundPercent: Number,
+      refundAmount: Number, // rupees
+      refundedTo: { type: String, enum: ["wallet", "payment"] }, // credits, or back to the original payment
+      refundIds: [String], // Razorpay refund ids
+      refundIncomplete: Boolean, // a refund failed part way; staff finish it by hand
+    },
+    // payment metadata (meta.razorpay, or meta.wallet when paid with credits),
+    // reschedule history (meta.reschedules) and, on holds for a pricier
+    // reschedule, the booking being moved (meta.rescheduleOf)
     meta: mongoose.Schema.Types.Mixed,
   },
   { timestamps: true, collection: "bookings" }
@@ -24,8 +76,24 @@ const bookingSchema = new mongoose.Schema(
 
 // ensure index on phone (non-unique)
 bookingSchema.index({ phone: 1 });
-// NEW: Ensure a slot can only ever have at most one booking, globally per slot+centre+date+sport
-bookingSchema.index({ centre: 1, sport: 1, date: 1, time_slot: 1 }, { unique: true });
+// A court can only ever have one booking covering any grid unit, so overlapping
+// bookings of different lengths collide too; a centre takes as many as it has courts.
+// Bookings that no longer hold their slot (expired holds, conflicts) are left out.
+// (run scripts/syncBookingIndexes.js once to replace the old indexes)
+bookingSchema.index(
+  { centre: 1, court: 1, date: 1, slotUnits: 1 },
+  { unique: true, partialFilterExpression: { holdsSlot: true } }
+);
+
+// Updates that change time_slot through findOneAndUpdate must set slotUnits themselves
+bookingSchema.pre("validate", function (next) {
+  if (this.time_slot && (this.isModified("time_slot") || !this.slotUnits?.length)) {
+    this.slotUnits = slotUnits(this.time_slot);
+  }
+  next();
+});
+// Sweeper lookup for lapsed holds
+bookingSchema.index({ holdExpiresAt: 1 }, { partialFilterExpression: { paid: false } });
 
 const Booking = mongoose.models.Booking || mongoose.model("Booking", bookingSchema);
 export default Booking;
@@ -0,0 +1,33 @@
+// models/BookingSeries.js
+import mongoose from "mongoose";
+
+// The same slot booked every week. Each date is its own Booking (pointing back
+// through Booking.series), so occurrences can be cancelled one at a time;
+// the series is paid for with one payment link.
+const bookingSeriesSchema = new mongoose.Schema(
+  {
+    phone: { type: String, required: true, index: true },
+    name: String,
+    sport: String,
+    sportCode: String,
+    centre: String,
+    venueCode: String,
+    weekday: { type: Number, min: 0, max: 6 }, // 0 = Sunday
+    time_slot: String, // e.g. "19:00 - 20:00"
+    dates: [String], // "YYYY-MM-DD" occurrences held for the series
+    conflicts: [String], // requested dates that could not be booked
+    bookings: [{ type: mongoose.Schema.Types.ObjectId, ref: "Booking" }],
+    totalAmount: Number, // rupees, every occurrence together
+    // payment_pending -> confirmed; holds lapse occurrence by occurrence (utils/holds.js)
+    status: { type: String, enum: ["payment_pending", "confirmed"], default: "payment_pending" },
+    razorpay: {
+      paymentLinkId: String,
+      paymentLinkUrl: String,
+      paymentId: String,
+    },
+  },
+  { timestamps: true, collection: "booking_series" }
+);
+
+const BookingSeries = mongoose.models.BookingSeries || mongoose.model("BookingSeries", bookingSeriesSchema);
+export default BookingSeries;
@@ -0,0 +1,27 @@
+// models/Coupon.js
+import mongoose from "mongoose";
+
+// A promo code customers can type before paying (see utils/coupons.js)
+const couponSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true }, // e.g. "DIWALI20"
+    description: String,
+    discountType: { type: String, enum: ["percent", "flat"], required: true },
+    value: { type: Number, required: true, min: 0 }, // percent off, or rupees off
+    maxDiscount: Number, // caps a percent discount, in rupees
+    minSpend: Number, // booking total (court fee plus add-ons) needed to use it
+    validFrom: Date,
+    validUntil: Date,
+    maxRedemptions: Number, // across all customers; unset means unlimited
+    maxRedemptionsPerUser: Number, // per phone number
+    sports: [String], // sport codes; empty means every sport
+    venues: [String], // venue codes; empty means every venue
+    // Paid bookings that used the code, counted when the payment is confirmed
+    redemptionCount: { type: Number, default: 0 },
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true, collection: "coupons" }
+);
+
+const Coupon = mongoose.models.Coupon || mongoose.model("Coupon", couponSchema);
+export default Coupon;
@@ -0,0 +1,21 @@
+// models/CouponRedemption.js
+import mongoose from "mongoose";
+
+// One paid booking that used a coupon; written once its payment is confirmed
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon", required: true },
+    code: { type: String, required: true },
+    phone: { type: String, required: true },
+    // Unique so a payment webhook delivered twice counts once
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", required: true, unique: true },
+    discount: { type: Number, required: true }, // rupees
+  },
+  { timestamps: true, collection: "coupon_redemptions" }
+);
+
+// Per-customer usage limits
+couponRedemptionSchema.index({ coupon: 1, phone: 1 });
+
+const CouponRedemption = mongoose.models.CouponRedemption || mongoose.model("CouponRedemption", couponRedemptionSchema);
+export default CouponRedemption;
@@ -0,0 +1,21 @@
+// models/CreditPack.js
+import mongoose from "mongoose";
+
+// Something customers can buy into their wallet: a session pack or a membership
+// is sold as rupee credits, usually more than the price, that may expire
+const creditPackSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, lowercase: true, trim: true }, // e.g. "ten_sessions"
+    name: { type: String, required: true }, // e.g. "10-Session Pack"
+    description: String,
+    price: { type: Number, required: true, min: 1 }, // rupees charged
+    credits: { type: Number, required: true, min: 1 }, // rupees added to the wallet
+    validityDays: Number, // credits expire this long after purchase; unset means never
+    active: { type: Boolean, default: true },
+    sortOrder: { type: Number, default: 0 },
+  },
+  { timestamps: true, collection: "credit_packs" }
+);
+
+const CreditPack = mongoose.models.CreditPack || mongoose.model("CreditPack", creditPackSchema);
+export default CreditPack;
@@ -0,0 +1,18 @@
+// models/Customer.js
+import mongoose from "mongoose";
+
+// Long-lived per-phone details that outlive a conversation Session
+const customerSchema = new mongoose.Schema(
+  {
+    phone: { type: String, required: true, unique: true },
+    // Last message received from this phone; free-form messages are only
+    // allowed within 24 hours of it, templates are needed after that
+    lastInboundAt: Date,
+    // Language the bot replies in (utils/i18n.js); unset until the customer picks one
+    locale: { type: String, enum: ["en", "hi", "kn"] },
+  },
+  { timestamps: true, collection: "customers" }
+);
+
+const Customer = mongoose.models.Customer || mongoose.model("Customer", customerSchema);
+export default Customer;
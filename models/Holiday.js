@@ -0,0 +1,17 @@
+// models/Holiday.js
+import mongoose from "mongoose";
+
+// Dates that pricing rules with onHolidays treat as holidays
+const holidaySchema = new mongoose.Schema(
+  {
+    date: { type: String, required: true }, // "YYYY-MM-DD"
+    name: String, // e.g. "Diwali"
+    venues: [String], // venue codes; empty means every venue
+  },
+  { timestamps: true, collection: "holidays" }
+);
+
+holidaySchema.index({ date: 1 });
+
+const Holiday = mongoose.models.Holiday || mongoose.model("Holiday", holidaySchema);
+export default Holiday;
@@ -0,0 +1,30 @@
+// models/Job.js
+import mongoose from "mongoose";
+
+// A unit of scheduled work, persisted so it survives restarts (see utils/jobs.js)
+const jobSchema = new mongoose.Schema(
+  {
+    type: { type: String, required: true }, // handler name, e.g. "booking_reminder"
+    runAt: { type: Date, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+    // Optional idempotency key; scheduling the same key twice keeps one job
+    key: { type: String, unique: true, sparse: true },
+    status: {
+      type: String,
+      enum: ["pending", "running", "done", "failed"],
+      default: "pending",
+    },
+    attempts: { type: Number, default: 0 },
+    lockedAt: Date, // set while a runner is working on the job
+    lastError: String,
+  },
+  { timestamps: true, collection: "jobs", minimize: false }
+);
+
+// Runner lookup for due jobs
+jobSchema.index({ status: 1, runAt: 1 });
+// Finished jobs are kept for a week for troubleshooting
+jobSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60, partialFilterExpression: { status: "done" } });
+
+const Job = mongoose.models.Job || mongoose.model("Job", jobSchema);
+export default Job;
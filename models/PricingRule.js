@@ -0,0 +1,33 @@
+// models/PricingRule.js
+import mongoose from "mongoose";
+
+// Adjusts the price of a slot when every condition that is set matches.
+// Matching rules apply in priority order (lowest first), each to the running price.
+const pricingRuleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true }, // shown to customers, e.g. "Evening peak"
+    venues: [String], // venue codes; empty means every venue
+    sports: [String], // sport codes; empty means every sport
+    courtTypes: [String], // court types (venue courts[].type); empty means every court
+    // Days of the week the rule runs on, 0 = Sunday. With onHolidays set it
+    // also runs on holidays; with neither set it runs every day.
+    days: [{ type: Number, min: 0, max: 6 }],
+    onHolidays: { type: Boolean, default: false },
+    // Slot start times the rule covers, "HH:MM" venue time, from inclusive, to exclusive
+    from: String,
+    to: String,
+    // How far ahead of the slot the booking is made, in hours
+    minLeadHours: Number,
+    maxLeadHours: Number,
+    adjustment: {
+      type: { type: String, enum: ["percent", "amount", "fixed"], required: true }, // +/- %, +/- rupees, or a set price
+      value: { type: Number, required: true }, // per slot
+    },
+    priority: { type: Number, default: 0 },
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true, collection: "pricing_rules" }
+);
+
+const PricingRule = mongoose.models.PricingRule || mongoose.model("PricingRule", pricingRuleSchema);
+export default PricingRule;
@@ -0,0 +1,20 @@
+// models/ProcessedMessage.js
+import mongoose from "mongoose";
+
+// A WhatsApp message id claimed for handling (utils/inbound.js), so Meta's retries are ignored
+const processedMessageSchema = new mongoose.Schema(
+  {
+    messageId: { type: String, required: true, unique: true }, // "wamid...."
+    phone: String,
+    // processing while a handler has it, done once handled; failed claims are deleted
+    status: { type: String, enum: ["processing", "done"], default: "processing" },
+    claimedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, collection: "processed_messages" }
+);
+
+// Meta stops retrying a delivery after about a week; keep ids a little longer
+processedMessageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 8 * 24 * 60 * 60 });
+
+const ProcessedMessage = mongoose.models.ProcessedMessage || mongoose.model("ProcessedMessage", processedMessageSchema);
+export default ProcessedMessage;
@@ -0,0 +1,42 @@
+// models/Session.js
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+dotenv.config();
+
+// Minutes of inactivity before a conversation is forgotten
+const SESSION_TTL_MINUTES = Number(process.env.SESSION_TTL_MINUTES) || 60;
+
+const sessionSchema = new mongoose.Schema(
+  {
+    phone: { type: String, required: true, unique: true },
+    step: { type: String, default: "welcome" },
+    name: String,
+    additionalServices: [{
+      code: String,
+      name: String,
+      price: Number, // rupees per unit
+      quantity: { type: Number, default: 1 }
+    }],
+    // Booking created from this conversation that is still awaiting payment
+    bookingId: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
+    meta: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true, collection: "sessions", minimize: false }
+);
+
+// Mongo's TTL monitor removes the document once expiresAt has passed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Every save counts as activity and pushes the expiry forward
+sessionSchema.pre("validate", function (next) {
+  this.expiresAt = new Date(Date.now() + SESSION_TTL_MINUTES * 60 * 1000);
+  next();
+});
+
+sessionSchema.methods.isExpired = function () {
+  return !this.expiresAt || this.expiresAt.getTime() <= Date.now();
+};
+
+const Session = mongoose.models.Session || mongoose.model("Session", sessionSchema);
+export default Session;
@@ -0,0 +1,22 @@
+// models/SlotBlock.js
+import mongoose from "mongoose";
+
+// A slot taken out of sale by staff (maintenance, coaching, events...)
+const slotBlockSchema = new mongoose.Schema(
+  {
+    centre: { type: String, required: true }, // venue name, as stored on bookings
+    venueCode: String,
+    court: { type: String, default: null }, // null blocks every court at the centre
+    courtName: String,
+    date: { type: String, required: true }, // YYYY-MM-DD
+    time_slot: { type: String, required: true },
+    reason: String,
+    createdBy: String,
+  },
+  { timestamps: true, collection: "slot_blocks" }
+);
+
+slotBlockSchema.index({ centre: 1, date: 1 });
+
+const SlotBlock = mongoose.models.SlotBlock || mongoose.model("SlotBlock", slotBlockSchema);
+export default SlotBlock;
@@ -0,0 +1,20 @@
+// models/Sport.js
+import mongoose from "mongoose";
+
+const sportSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, lowercase: true, trim: true }, // e.g. "pickleball"
+    name: { type: String, required: true }, // shown to customers and stored on bookings
+    emoji: { type: String, default: "🏅" },
+    basePrice: Number, // rupees per slot, used when a venue does not set its own price
+    slotMinutes: Number, // length of one slot; venues can override it (utils/catalog.js getSlotSettings)
+    maxSlots: Number, // most consecutive slots one booking may take
+    maxPlayers: Number, // most players the organiser can pick (default 4)
+    active: { type: Boolean, default: true },
+    sortOrder: { type: Number, default: 0 },
+  },
+  { timestamps: true, collection: "sports" }
+);
+
+const Sport = mongoose.models.Sport || mongoose.model("Sport", sportSchema);
+export default Sport;
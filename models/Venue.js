@@ -0,0 +1,45 @@
+// models/Venue.js
+import mongoose from "mongoose";
+
+const venueSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, lowercase: true, trim: true }, // e.g. "jw"
+    name: { type: String, required: true }, // e.g. "JW Marriott"; stored on bookings as `centre`
+    address: String,
+    // Google Calendar for the whole venue; unset means GOOGLE_CALENDAR_ID
+    calendarId: String,
+    // Sports played at this venue, with an optional per-venue slot price in rupees and slot settings
+    sports: [{
+      code: { type: String, required: true },
+      price: Number,
+      slotMinutes: Number, // overrides the sport's slot length here
+      maxSlots: Number,
+    }],
+    // Bookable hours in venue time; defaults to 06:00 - 22:00
+    openingHours: {
+      open: String, // "HH:MM"
+      close: String,
+    },
+    // Individual courts; each booking occupies one court for its slot
+    courts: [{
+      code: { type: String, required: true }, // e.g. "c1", unique within the venue
+      name: String, // e.g. "Court 1"
+      sports: [String], // sport codes the court is set up for; empty means all
+      type: String, // e.g. "indoor", "outdoor"; pricing rules can target it
+      active: { type: Boolean, default: true },
+      calendarId: String, // this court's own Google Calendar; unset means the venue's
+    }],
+    // Refund tiers for customer cancellations, e.g. [{ hoursBefore: 24, refundPercent: 100 }].
+    // The first tier whose hoursBefore has not passed applies; none means no refund.
+    cancellationPolicy: [{
+      hoursBefore: { type: Number, required: true },
+      refundPercent: { type: Number, required: true, min: 0, max: 100 },
+    }],
+    active: { type: Boolean, default: true },
+    sortOrder: { type: Number, default: 0 },
+  },
+  { timestamps: true, collection: "venues" }
+);
+
+const Venue = mongoose.models.Venue || mongoose.model("Venue", venueSchema);
+export default Venue;
@@ -0,0 +1,39 @@
+// models/WaitlistEntry.js
+import mongoose from "mongoose";
+
+// A customer waiting for a court to free up on a fully booked date
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    phone: { type: String, required: true },
+    name: String,
+    centre: { type: String, required: true }, // venue name, as on Booking
+    venueCode: { type: String, required: true },
+    sport: { type: String, required: true },
+    sportCode: { type: String, required: true },
+    date: { type: String, required: true }, // "YYYY-MM-DD"
+    // Start times ("HH:MM", venue time) that would do: from inclusive, to exclusive.
+    // A single slot is a window one slot long.
+    from: { type: String, required: true },
+    to: { type: String, required: true },
+    durationMinutes: { type: Number, required: true },
+    // waiting → offered (a court is held for them) → booked, or back to waiting
+    // if the offer could not be made; expired when an offer lapses unpaid
+    status: { type: String, enum: ["waiting", "offered", "booked", "expired", "cancelled"], default: "waiting" },
+    offer: {
+      booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
+      time_slot: String,
+      expiresAt: Date,
+    },
+    // End of the waitlisted date; Mongo removes the entry after that
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true, collection: "waitlist_entries" }
+);
+
+// First come, first served per date
+waitlistEntrySchema.index({ centre: 1, date: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ phone: 1, status: 1 });
+waitlistEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const WaitlistEntry = mongoose.models.WaitlistEntry || mongoose.model("WaitlistEntry", waitlistEntrySchema);
+export default WaitlistEntry;
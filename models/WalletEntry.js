@@ -0,0 +1,39 @@
+// models/WalletEntry.js
+import mongoose from "mongoose";
+
+// One line of a phone number's credit ledger (see utils/wallet.js). Purchases
+// and refunds add credits and track how much of them is still unspent in
+// `remaining`; spends take from those and record which ones they used.
+const walletEntrySchema = new mongoose.Schema(
+  {
+    phone: { type: String, required: true },
+    type: { type: String, enum: ["purchase", "refund", "spend"], required: true },
+    // Purchases stay pending until their payment link is paid
+    status: { type: String, enum: ["pending", "completed"], default: "completed" },
+    amount: { type: Number, required: true }, // rupees; negative for spends
+    remaining: { type: Number, default: 0 }, // unspent credits of a purchase or refund
+    expiresAt: Date, // unset means the credits never expire
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
+    // Purchases: the pack bought and what it cost
+    pack: String,
+    price: Number,
+    validityDays: Number,
+    razorpay: {
+      paymentLinkId: String,
+      paymentId: String,
+    },
+    // Spends: the credit entries drawn on
+    lots: [{
+      entry: { type: mongoose.Schema.Types.ObjectId, ref: "WalletEntry" },
+      amount: Number,
+    }],
+    note: String,
+  },
+  { timestamps: true, collection: "wallet_entries" }
+);
+
+// Balance lookup: a phone's unspent credits
+walletEntrySchema.index({ phone: 1, remaining: 1 });
+
+const WalletEntry = mongoose.models.WalletEntry || mongoose.model("WalletEntry", walletEntrySchema);
+export default WalletEntry;
@@ -0,0 +1,194 @@
+// routes/admin.js
+import express from "express";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import SlotBlock from "../models/SlotBlock.js";
+import { normalizeSlotString } from "../utils/normalizeSlot.js";
+import { getVenue } from "../utils/catalog.js";
+import { blockSlot, unblockSlot } from "../utils/blocks.js";
+import { markPaidOffline } from "../utils/payments.js";
+import { releaseHold } from "../utils/holds.js";
+import { processWaitlist } from "../utils/waitlist.js";
+import { cancelBooking } from "../utils/cancellation.js";
+import dotenv from "dotenv";
+dotenv.config();
+
+const router = express.Router();
+
+const { ADMIN_API_KEY } = process.env;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function safeCompare(a, b) {
+  const ab = Buffer.from(a || "", "utf8");
+  const bb = Buffer.from(b || "", "utf8");
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+// Every admin endpoint needs `Authorization: Bearer <ADMIN_API_KEY>`
+router.use((req, res, next) => {
+  if (!ADMIN_API_KEY) {
+    return res.status(503).json({ error: "Admin API disabled: ADMIN_API_KEY is not set" });
+  }
+  const token = (req.headers.authorization || "").replace(/^Bearer\s+/i, "").trim();
+  if (!safeCompare(token, ADMIN_API_KEY)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  next();
+});
+
+// Load :id into req.booking
+router.param("id", async (req, res, next, id) => {
+  try {
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: "Invalid booking id" });
+    req.booking = await Booking.findById(id);
+    if (!req.booking) return res.status(404).json({ error: "Booking not found" });
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /admin/bookings?centre=jw&date=2025-01-31&sport=pickleball&paid=true&status=confirmed
+// centre and sport match either the code or the display name; from/to filter a date range;
+// refundIncomplete=true lists cancellations whose refund failed part way
+router.get("/bookings", async (req, res, next) => {
+  try {
+    const { centre, date, from, to, sport, paid, status, refundIncomplete } = req.query;
+    const filter = {};
+    if (centre) filter.$or = [{ venueCode: centre }, { centre }];
+    if (sport) filter.$and = [{ $or: [{ sportCode: sport }, { sport }] }];
+    if (date) filter.date = date;
+    else if (from || to) filter.date = { ...(from ? { $gte: from } : {}), ...(to ? { $lte: to } : {}) };
+    if (paid !== undefined) filter.paid = paid === "true";
+    if (status) filter.status = status;
+    if (refundIncomplete === "true") filter["cancellation.refundIncomplete"] = true;
+
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+    const bookings = await Booking.find(filter).sort({ date: 1, time_slot: 1, court: 1 }).limit(limit).lean();
+    res.json({ count: bookings.length, bookings });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /admin/bookings/:id — the full booking, including meta.razorpay and any offline payment
+router.get("/bookings/:id", (req, res) => {
+  const booking = req.booking.toObject();
+  res.json({
+    booking,
+    payment: {
+      paid: booking.paid,
+      totalAmount: booking.totalAmount,
+      razorpay: booking.meta?.razorpay || null,
+      offline: booking.meta?.offlinePayment || null,
+      cancellation: booking.cancellation || null,
+    },
+  });
+});
+
+// POST /admin/bookings/:id/paid { method, reference, by } — payment taken outside Razorpay
+router.post("/bookings/:id/paid", async (req, res, next) => {
+  const { booking } = req;
+  if (booking.paid) return res.status(409).json({ error: "Booking is already paid" });
+  if (["cancelled", "rescheduled"].includes(booking.status)) {
+    return res.status(409).json({ error: `Booking is ${booking.status}` });
+  }
+  try {
+    const { method, reference, by } = req.body || {};
+    await markPaidOffline(booking, { method, reference, by });
+    res.json({ booking });
+  } catch (err) {
+    if (err?.code === 11000) return res.status(409).json({ error: "The court for this slot has been taken by another booking" });
+    next(err);
+  }
+});
+
+// POST /admin/bookings/:id/cancel { reason, refundPercent, refundTo } — refundPercent overrides the venue policy,
+// refundTo "payment" refunds through Razorpay instead of as wallet credits
+router.post("/bookings/:id/cancel", async (req, res, next) => {
+  const { booking } = req;
+  if (["cancelled", "expired", "rescheduled"].includes(booking.status)) {
+    return res.status(409).json({ error: `Booking is already ${booking.status}` });
+  }
+  try {
+    if (!booking.paid) {
+      await releaseHold(booking);
+      await Booking.updateOne({ _id: booking._id }, { $set: { status: "cancelled", holdsSlot: false } });
+      await processWaitlist({ centre: booking.centre, date: booking.date });
+      return res.json({ booking: await Booking.findById(booking._id) });
+    }
+    const { reason = "admin", refundPercent, refundTo } = req.body || {};
+    if (refundPercent !== undefined && !(refundPercent >= 0 && refundPercent <= 100)) {
+      return res.status(400).json({ error: "refundPercent must be between 0 and 100" });
+    }
+    if (refundTo !== undefined && !["wallet", "payment"].includes(refundTo)) {
+      return res.status(400).json({ error: "refundTo must be \"wallet\" or \"payment\"" });
+    }
+    const result = await cancelBooking(booking, { reason, refundPercent, refundTo });
+    if (!result) return res.status(409).json({ error: "Booking is no longer confirmed" });
+    res.json({ booking: result.booking, refund: { percent: result.refundPercent, amount: result.refundAmount, to: result.refundedTo, ids: result.refunds.map((r) => r.id), incomplete: result.refundIncomplete } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /admin/blocks?centre=jw&date=2025-01-31
+router.get("/blocks", async (req, res, next) => {
+  try {
+    const { centre, date } = req.query;
+    const filter = {};
+    if (centre) filter.$or = [{ venueCode: centre }, { centre }];
+    if (date) filter.date = date;
+    const blocks = await SlotBlock.find(filter).sort({ date: 1, time_slot: 1 }).lean();
+    res.json({ count: blocks.length, blocks });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /admin/blocks { centre, date, time_slot, court?, reason, by } — omit court to block the whole centre
+router.post("/blocks", async (req, res, next) => {
+  try {
+    const { centre, date, time_slot, court, reason, by } = req.body || {};
+    if (!centre || !DATE_RE.test(date || "") || !time_slot) {
+      return res.status(400).json({ error: "centre, date (YYYY-MM-DD) and time_slot are required" });
+    }
+    const venue = await getVenue(centre);
+    if (!venue) return res.status(404).json({ error: `Unknown centre "${centre}"` });
+    if (court && !(venue.courts || []).some((c) => c.code === court)) {
+      return res.status(404).json({ error: `Unknown court "${court}" at ${venue.name}` });
+    }
+
+    const { block, conflicts } = await blockSlot({
+      venue,
+      court,
+      date,
+      time_slot: normalizeSlotString(time_slot),
+      reason,
+      createdBy: by,
+    });
+    res.status(201).json({ block, conflicts });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /admin/blocks/:blockId
+router.delete("/blocks/:blockId", async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.blockId)) return res.status(400).json({ error: "Invalid block id" });
+    const block = await unblockSlot(req.params.blockId);
+    if (!block) return res.status(404).json({ error: "Block not found" });
+    res.json({ block });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.use((err, req, res, next) => {
+  console.error("🔥 Admin API error:", err);
+  res.status(500).json({ error: "Server error" });
+});
+
+export default router;
@@ -2,10 +2,21 @@
 import express from "express";
 import crypto from "crypto";
 import axios from "axios";
-import { sendMessage } from "../utils/whatsapp.js";
+import { sendMessage, sendMessageOrTemplate, sendButtonsMessage } from "../utils/whatsapp.js";
 import Booking from "../models/Booking.js";
-import { formatUserDate } from "../utils/dateHelpers.js";
-import { normalizeSlotString } from "../utils/normalizeSlot.js";
+import Session from "../models/Session.js";
+import { formatUserDate, todayInTimezone } from "../utils/dateHelpers.js";
+import { recordPayment, refundBooking } from "../utils/payments.js";
+import { applyPaidReschedule } from "../utils/reschedule.js";
+import { scheduleBookingReminders } from "../utils/reminders.js";
+import { syncBookingEvent } from "../utils/calendarSync.js";
+import { recordCouponRedemption, settleCouponDifference } from "../utils/coupons.js";
+import { completePackPurchase, getWallet } from "../utils/wallet.js";
+import { recordSharePayment, unpaidAmount } from "../utils/splitPayments.js";
+import { markWaitlistBooked, processWaitlist } from "../utils/waitlist.js";
+import { confirmSeries } from "../utils/recurring.js";
+import { translatorFor } from "../utils/i18n.js";
+import { templateLanguage } from "../utils/templates.js";
 
 const router = express.Router();
 
@@ -24,6 +35,23 @@ function computeSignatures(rawBody, secret) {
   return { hex, base64 };
 }
 
+// Parameters for the booking_confirmed and booking_rescheduled templates, in the
+// customer's language where the template is approved in it
+const confirmationParams = (key, booking, locale) => {
+  const language = templateLanguage(key, locale);
+  return {
+    language,
+    body: [
+      booking.sport,
+      booking.centre,
+      booking.courtName || booking.court || "-",
+      formatUserDate(booking.date, language),
+      booking.time_slot,
+      `₹${booking.totalAmount || 0}`,
+    ],
+  };
+};
+
 function safeCompare(a, b) {
   try {
     const ab = Buffer.from(a || "", "utf8");
@@ -35,6 +63,110 @@ function safeCompare(a, b) {
   }
 }
 
+// Payment arrived for a slot someone else now holds: flag the booking, refund
+// everything paid for it, tell the customer and offer whatever its hold was
+// keeping to the waitlist. A refund that fails part way is flagged for staff
+// (cancellation.refundIncomplete) like a failed cancellation refund.
+async function rejectConflict(booking) {
+  // meta carries the payment just recorded, so it is kept for the refund
+  await Booking.updateOne({ _id: booking._id }, { $set: { status: "conflict", holdsSlot: false, meta: booking.meta } });
+  const refundAmount = (booking.meta?.razorpay?.payments || []).reduce((sum, p) => sum + p.amount - (p.refunded || 0), 0);
+  let refunds = [];
+  let refundIncomplete = false;
+  if (refundAmount > 0) {
+    try {
+      refunds = await refundBooking(booking, refundAmount, { bookingId: String(booking._id), reason: "slot_conflict" });
+    } catch (err) {
+      refunds = err.refunds || [];
+      refundIncomplete = true;
+      console.error(`⚠️ Refund of ₹${refundAmount} for conflicting booking ${booking._id} incomplete, needs staff follow-up:`, err?.message || err);
+    }
+  }
+  await Booking.updateOne({ _id: booking._id }, {
+    $set: {
+      cancellation: {
+        cancelledAt: new Date(),
+        reason: "slot_conflict",
+        refundPercent: 100,
+        refundAmount,
+        refundedTo: "payment",
+        refundIds: refunds.map((r) => r.id),
+        refundIncomplete,
+      },
+    },
+  });
+  try {
+    const tr = await translatorFor(booking.phone);
+    await sendMessage(booking.phone, tr("booking.conflict", { amount: refundAmount }));
+  } catch (err) {
+    console.error("⚠️ Failed to send WhatsApp conflict warning:", err.message || err);
+  }
+  console.warn(`Booking conflict: cannot confirm ${booking._id} because the slot is taken (${booking.centre}, ${booking.court}, ${booking.date}, ${booking.time_slot})`);
+  await processWaitlist({ centre: booking.centre, date: booking.date });
+}
+
+/**
+ * Confirm a booking whose payment is complete: mark it paid, then schedule its
+ * reminders, count its coupon, put it on the calendar and tell the customer.
+ * Returns the response body for Razorpay.
+ */
+async function confirmBooking(booking, payment) {
+  // Mark booking as paid & completed and message only once.
+  // A hold that lapsed before payment landed has to win its court back; the
+  // unique slotUnits index rejects the save if any overlapping booking holds it.
+  booking.paid = true;
+  booking.status = "confirmed";
+  booking.holdsSlot = true;
+  // Keep the payment; refunds on cancellation or reschedule are issued against it
+  recordPayment(booking, payment);
+  try {
+    await booking.save();
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+    await rejectConflict(booking);
+    return { ok: false, conflict: true };
+  }
+  // The conversation that produced this booking is finished
+  await Session.deleteOne({ phone: booking.phone, bookingId: booking._id });
+  try {
+    await scheduleBookingReminders(booking);
+  } catch (err) {
+    console.error("⚠️ Failed to schedule booking reminders:", err.message || err);
+  }
+  // Promo codes only count against their limits once the booking is paid for
+  try {
+    await recordCouponRedemption(booking);
+  } catch (err) {
+    console.error("⚠️ Failed to record coupon redemption:", err.message || err);
+  }
+  // A waitlist offer that was paid for ends that customer's wait
+  try {
+    await markWaitlistBooked(booking);
+  } catch (err) {
+    console.error("⚠️ Failed to update waitlist entry:", err.message || err);
+  }
+  // Puts the booking on the venue calendar and stores calendarEventId
+  await syncBookingEvent(booking);
+  const phone = booking.phone;
+  try {
+    const tr = await translatorFor(phone);
+    const text = tr("booking.paid", {
+      sport: booking.sport,
+      centre: booking.centre,
+      court: booking.courtName || booking.court || "-",
+      date: formatUserDate(booking.date, tr.locale),
+      time: booking.time_slot,
+      players: booking.players || "-",
+      total: booking.totalAmount || 0,
+    });
+    await sendMessageOrTemplate(phone, text, "booking_confirmed", confirmationParams("booking_confirmed", booking, tr.locale));
+    console.log("📩 Booking confirmation sent successfully");
+  } catch (err) {
+    console.error("⚠️ Failed to send WhatsApp confirmation:", err.message || err);
+  }
+  return { ok: true };
+}
+
 // ✅ Razorpay webhook handler
 router.post("/webhook", async (req, res) => {
   try {
@@ -55,12 +187,111 @@ router.post("/webhook", async (req, res) => {
 
     const successEvents = ["payment.captured", "order.paid", "payment_link.paid"];
     if (successEvents.includes(event)) {
+      // Credit pack purchases top up the wallet instead of confirming a booking
+      const walletEntryId = payload.payment_link?.entity?.notes?.walletEntryId || payload.payment?.entity?.notes?.walletEntryId;
+      if (walletEntryId) {
+        const entry = await completePackPurchase(walletEntryId, payload.payment?.entity);
+        if (!entry) {
+          console.log(`Wallet purchase ${walletEntryId} already completed or not found. No action taken.`);
+          return res.status(200).send({ ok: true, alreadyPaid: true });
+        }
+        try {
+          const { balance } = await getWallet(entry.phone);
+          const tr = await translatorFor(entry.phone);
+          const expiry = entry.expiresAt
+            ? tr("wallet.validUntil", { date: formatUserDate(todayInTimezone(undefined, entry.expiresAt), tr.locale) })
+            : "";
+          await sendMessage(entry.phone, tr("wallet.topUp", { amount: entry.amount, note: entry.note, expiry, balance }));
+        } catch (err) {
+          console.error("⚠️ Failed to send WhatsApp wallet confirmation:", err.message || err);
+        }
+        return res.status(200).send({ ok: true, wallet: true });
+      }
+
+      const notes = payload.payment_link?.entity?.notes || payload.payment?.entity?.notes || {};
+
+      // A weekly booking: one payment confirms every date of the series
+      if (notes.seriesId) {
+        const result = await confirmSeries(notes.seriesId, payload.payment?.entity);
+        if (!result) {
+          console.log(`Series ${notes.seriesId} already confirmed or not found. No action taken.`);
+          return res.status(200).send({ ok: true, alreadyPaid: true });
+        }
+        const { series, confirmed, lost, refunded } = result;
+        try {
+          const tr = await translatorFor(series.phone);
+          const dates = (bookings) => bookings.map((b) => formatUserDate(b.date, tr.locale)).join(", ");
+          const courts = [...new Set(confirmed.map((b) => b.courtName || b.court))].join(", ") || "-";
+          const lostNote = lost.length ? tr("series.lost", { dates: dates(lost), amount: refunded }) : "";
+          const text = confirmed.length
+            ? tr("series.confirmed", {
+                sport: series.sport,
+                centre: series.centre,
+                court: courts,
+                time: series.time_slot,
+                dates: dates(confirmed),
+                total: series.totalAmount - refunded,
+                lost: lostNote,
+              })
+            : tr("series.allLost", { amount: refunded });
+          await sendMessage(series.phone, text);
+        } catch (err) {
+          console.error("⚠️ Failed to send WhatsApp series confirmation:", err.message || err);
+        }
+        return res.status(200).send({ ok: confirmed.length > 0, series: true });
+      }
+
+      // One player's share of a split bill; the booking is confirmed with the last one
+      if (notes.shareId) {
+        const result = await recordSharePayment(notes.bookingId, notes.shareId, payload.payment?.entity);
+        if (!result) {
+          console.log(`Share ${notes.shareId} payment already recorded. No action taken.`);
+          return res.status(200).send({ ok: true, alreadyPaid: true });
+        }
+        if (result.refunded) return res.status(200).send({ ok: false, refunded: true });
+        if (result.complete) return res.status(200).send(await confirmBooking(result.booking, null));
+
+        const { booking, share } = result;
+        try {
+          const tr = await translatorFor(booking.phone);
+          const player = share.label.match(/^Player (\d+)$/);
+          const paidNote = share.label === "You"
+            ? tr("split.yourSharePaid", { amount: share.amount })
+            : tr("split.playerSharePaid", { label: player ? tr("split.player", { number: player[1] }) : share.label, amount: share.amount });
+          await sendButtonsMessage(
+            booking.phone,
+            tr("split.progress", { paid: paidNote, unpaid: unpaidAmount(booking) }),
+            [{ id: "split_remainder", title: tr("split.payRest") }]
+          );
+        } catch (err) {
+          console.error("⚠️ Failed to send WhatsApp split progress:", err.message || err);
+        }
+        return res.status(200).send({ ok: true, share: true });
+      }
+
+      // The discount of a promo code that was used up before the booking was paid
+      if (notes.couponDifference) {
+        const booking = await settleCouponDifference(notes.bookingId, payload.payment?.entity);
+        if (!booking) {
+          console.log(`Coupon difference for booking ${notes.bookingId} already paid or not found. No action taken.`);
+          return res.status(200).send({ ok: true, alreadyPaid: true });
+        }
+        try {
+          const tr = await translatorFor(booking.phone);
+          await sendMessage(booking.phone, tr("promo.differencePaid", { amount: booking.meta.coupon.shortfall.amount }));
+        } catch (err) {
+          console.error("⚠️ Failed to send WhatsApp coupon difference receipt:", err.message || err);
+        }
+        return res.status(200).send({ ok: true, couponDifference: true });
+      }
+
       // Try to identify the booking related to the payment
       let booking = null;
       let foundBy = null;
       let bookingId = null;
       if (payload.payment_link?.entity?.reference_id) {
-        bookingId = payload.payment_link.entity.reference_id;
+        // Links re-issued for a booking carry "<bookingId>_<n>"
+        bookingId = payload.payment_link.entity.reference_id.split("_")[0];
         booking = await Booking.findById(bookingId);
         foundBy = 'payment_link.reference_id';
       } else if (payload.payment?.entity?.notes?.bookingId) {
@@ -79,38 +310,31 @@ router.post("/webhook", async (req, res) => {
         console.log(`Booking already marked as paid (id: ${booking._id}). No action taken.`);
         return res.status(200).send({ ok: true, alreadyPaid: true });
       }
-      // Check for booking conflicts before allowing confirmation
-      const conflict = await Booking.findOne({
-        centre: booking.centre,
-        date: booking.date,
-        time_slot: normalizeSlotString(booking.time_slot),
-        paid: true,
-        _id: { $ne: booking._id },
-      });
-      if (conflict) {
-        booking.step = "conflict";
-        await booking.save();
+      // A payment for the price difference of a reschedule moves the original booking
+      if (booking.meta?.rescheduleOf) {
+        const moved = await applyPaidReschedule(booking, payload.payment?.entity);
         try {
-          await sendMessage(booking.phone, `⚠️ Sorry, this slot was just booked by someone else and is no longer available. Please choose another.`);
+          const tr = await translatorFor(booking.phone);
+          const text = moved
+            ? tr("reschedule.paid", {
+                sport: moved.sport,
+                centre: moved.centre,
+                court: moved.courtName || moved.court || "-",
+                date: formatUserDate(moved.date, tr.locale),
+                time: moved.time_slot,
+                total: moved.totalAmount || 0,
+              })
+            : tr("reschedule.paidTooLate", { amount: booking.totalAmount });
+          // Payment can land after the customer-service window has closed
+          if (moved) await sendMessageOrTemplate(booking.phone, text, "booking_rescheduled", confirmationParams("booking_rescheduled", moved, tr.locale));
+          else await sendMessage(booking.phone, text);
         } catch (err) {
-          console.error("⚠️ Failed to send WhatsApp conflict warning:", err.message || err);
+          console.error("⚠️ Failed to send WhatsApp reschedule confirmation:", err.message || err);
         }
-        console.warn(`Booking conflict: cannot confirm ${booking._id} because of existing paid booking for slot (${booking.centre}, ${booking.date}, ${booking.time_slot})`);
-        return res.status(200).send({ ok: false, conflict: true });
-      }
-      // Mark booking as paid & completed and message only once
-      booking.paid = true;
-      booking.step = "completed";
-      await booking.save();
-      const phone = booking.phone;
-      const text = `✅ Booking Confirmed!\n\nSport: ${booking.sport}\nCenter: ${booking.centre}\nDate: ${formatUserDate(booking.date)}\nTime: ${booking.time_slot}\nPlayers: ${booking.players || "-"}\nTotal: ₹${booking.totalAmount || 0}\n\nThank you!`;
-      try {
-        await sendMessage(phone, text);
-        console.log("📩 Booking confirmation sent successfully");
-      } catch (err) {
-        console.error("⚠️ Failed to send WhatsApp confirmation:", err.message || err);
+        return res.status(200).send({ ok: !!moved, rescheduled: !!moved });
       }
-      return res.status(200).send({ ok: true });
+      const result = await confirmBooking(booking, payload.payment?.entity);
+      return res.status(200).send(result);
     }
 
     // Always respond quickly to Razorpay
@@ -1,31 +1,115 @@
 // routes/whatsApp.js
 
 import express from "express";
+import crypto from "crypto";
 import Booking from "../models/Booking.js";
+import Session from "../models/Session.js";
 import { sendMessage, sendButtonsMessage, sendListMessage, sendUrlButtonMessage } from "../utils/whatsapp.js";
-import { getAvailableSlots, createEvent } from "../utils/googleCalendar.js";
+import { getAvailableSlots, getCalendarFreeCourts } from "../utils/googleCalendar.js";
 import { createPaymentLink } from "../utils/payments.js";
+import {
+  getActiveSports,
+  getSport,
+  getVenuesForSport,
+  getVenue,
+  getAddOnsForVenue,
+  getVenueForBooking,
+  getSlotSettings,
+  getDurationOptions,
+  getActivePacks,
+  getPack,
+} from "../utils/catalog.js";
+import {
+  getCourtsForSport,
+  getCourtOccupancy,
+  describeCapacity,
+  reserveCourt,
+} from "../utils/courts.js";
+import { normalizeSlotString } from "../utils/normalizeSlot.js";
+import { formatDuration, slotDurationMinutes, toMinutes, fromMinutes, formatSlot, parseTimeOfDay } from "../utils/slots.js";
+import { getPricer, describePriceRange } from "../utils/pricing.js";
+import { hasActiveCoupons, applyCoupon } from "../utils/coupons.js";
+import { getWallet, payWithCredits, startPackPurchase } from "../utils/wallet.js";
+import { isAddOnOfferedAt, getAddOnLimits, lineTotal, addOnsTotal } from "../utils/addons.js";
+import { HOLD_TTL_MINUTES, holdExpiry, releaseHold } from "../utils/holds.js";
+import { getUpcomingPaidBookings, getRefundQuote, cancelBooking } from "../utils/cancellation.js";
+import { quoteReschedule, rescheduleBooking, holdRescheduleSlot } from "../utils/reschedule.js";
+import {
+  formatUserDate,
+  formatShortDate,
+  formatLongDate,
+  formatWeekday,
+  getSlotStart,
+  addDaysToIsoDate,
+  getUpcomingDates,
+  parseUserDate,
+  todayInTimezone,
+} from "../utils/dateHelpers.js";
+import { recordInboundMessage, normalizePhone } from "../utils/customers.js";
+import { claimMessage, finishMessage, releaseMessage, runInOrder } from "../utils/inbound.js";
+import { SPLIT_HOLD_MINUTES, canSplit, hasPaidShares, closeOpenShares, startSplitPayment, startRemainderPayment } from "../utils/splitPayments.js";
+import { isStaffNumber, handleStaffCommand } from "../utils/staff.js";
+import { WAITLIST_OFFER_MINUTES, joinWaitlist, leaveWaitlist, processWaitlist } from "../utils/waitlist.js";
+import { MAX_SERIES_WEEKS, getSeriesDates, checkSeries, holdSeries } from "../utils/recurring.js";
+import { readBookingRequest } from "../utils/bookingRequest.js";
+import { SUPPORTED_LOCALES, LANGUAGE_NAMES, getLocale, setLocale, translatorFor } from "../utils/i18n.js";
 import dotenv from "dotenv";
 dotenv.config();
 
 const router = express.Router();
 
-// Helper function to check if a slot is available in DB
-const isSlotAvailable = async (centre, sport, date, timeSlot) => {
+// Helper function to check if a slot still has a free court in DB
+const isSlotAvailable = async (centre, sport, date, timeSlot, courts) => {
   try {
-    const existing = await Booking.findOne({
-      centre,
-      sport,
-      date,
-      time_slot: timeSlot,
-    });
-    return !existing; // true if available, false if taken
+    const takenCourtsFor = await getCourtOccupancy({ centre, sport, date, courts });
+    return takenCourtsFor(timeSlot).size < courts.length; // true if a court is free, false if all are taken
   } catch (err) {
     console.error("Error checking slot availability:", err);
     return false; // Fail safe - assume not available if error
   }
 };
 
+// Centre, sport, courts and slot settings to check availability against for the
+// session's choices, for a booking of the chosen length (one slot until picked)
+const getSlotOptions = async (session) => {
+  const sport = await getSport(session.meta?.selectedSport);
+  const venue = await getVenue(session.meta?.selectedLocation);
+  if (!sport || !venue) return null;
+  const settings = getSlotSettings(venue, sport);
+  return {
+    centre: venue.name,
+    sport: sport.name,
+    courts: getCourtsForSport(venue, sport.code),
+    ...settings,
+    durationMinutes: session.meta?.durationMinutes || settings.slotMinutes,
+  };
+};
+
+// Load the conversation for a phone, discarding it if it has outlived its TTL
+// (Mongo's TTL monitor only sweeps about once a minute)
+const findActiveSession = async (phone) => {
+  const session = await Session.findOne({ phone });
+  if (session && session.isExpired()) {
+    await resetSession(phone);
+    return null;
+  }
+  return session;
+};
+
+// Forget the conversation for a phone. A hold it created that is still unpaid
+// is released with it; paid bookings are never touched.
+const resetSession = async (phone) => {
+  const session = await Session.findOne({ phone });
+  if (!session) return;
+  if (session.bookingId) {
+    await releaseHold({ _id: session.bookingId });
+  }
+  // Releasing one date of a weekly booking releases the rest with it
+  const seriesHold = session.meta?.seriesId && await Booking.findOne({ series: session.meta.seriesId, paid: false });
+  if (seriesHold) await releaseHold(seriesHold);
+  await Session.deleteOne({ _id: session._id });
+};
+
 // Verification endpoint for webhook
 router.get("/", (req, res) => {
   const VERIFY_TOKEN = process.env.VERIFY_TOKEN;
@@ -41,31 +125,94 @@ router.get("/", (req, res) => {
   res.sendStatus(403);
 });
 
-// Main webhook handler
-router.post("/", async (req, res) => {
+// Meta signs every delivery with the app secret: X-Hub-Signature-256 is "sha256="
+// followed by the HMAC-SHA256 of the raw body (kept by server.js as req.rawBody)
+const isSignatureValid = (req) => {
+  const secret = process.env.WHATSAPP_APP_SECRET;
+  if (!secret) {
+    console.error('❌ WHATSAPP_APP_SECRET is not set; WhatsApp webhooks cannot be verified');
+    return false;
+  }
+  const signature = String(req.headers['x-hub-signature-256'] || '');
+  if (!req.rawBody || !signature.startsWith('sha256=')) return false;
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(req.rawBody).digest('hex'), 'utf8');
+  const given = Buffer.from(signature.slice('sha256='.length), 'utf8');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Every message in a delivery, in the order Meta sent them. A delivery can batch
+// several entries, changes and messages; status updates carry none.
+const getWebhookMessages = (body) =>
+  (body?.entry || []).flatMap((entry) =>
+    (entry.changes || []).flatMap((change) => change.value?.messages || [])
+  );
+
+// Main webhook handler. Meta retries deliveries that are slow to be acknowledged,
+// so the 200 goes out first and the messages are handled afterwards, one at a time.
+router.post("/", (req, res) => {
   console.log('=== NEW WEBHOOK REQUEST ===');
+  if (!isSignatureValid(req)) {
+    console.warn('❌ Invalid WhatsApp webhook signature');
+    return res.sendStatus(403);
+  }
+  res.sendStatus(200);
   
+  const messages = getWebhookMessages(req.body);
+  if (messages.length === 0) {
+    console.log('No message found in webhook');
+    return;
+  }
+  processMessages(messages);
+});
+
+// Handles a delivery's messages in order, each behind any earlier message from
+// the same phone; never rejects
+const processMessages = async (messages) => {
+  for (const message of messages) {
+    await runInOrder(message.from, () => handleMessageOnce(message));
+  }
+};
+
+// Meta redelivers messages it thinks were missed, so each id is claimed before it
+// is handled and marked done after. A message that fails gives its claim back,
+// so a redelivery of it is handled again instead of being dropped as a duplicate.
+const handleMessageOnce = async (message) => {
+  const messageId = message?.id;
   try {
-    // Extract message details
-    const entry = req.body.entry?.[0];
-    const changes = entry?.changes?.[0]?.value;
-    const message = changes?.messages?.[0];
-    
-    if (!message) {
-      console.log('No message found in webhook');
-      return res.sendStatus(200);
+    if (messageId && !(await claimMessage(messageId, message.from))) {
+      console.log("Duplicate webhook ignored", messageId);
+      return;
+    }
+  } catch (err) {
+    console.error('❌ Could not claim message', messageId, err?.message || err);
+    return;
+  }
+  try {
+    await handleIncomingMessage(message);
+  } catch {
+    if (messageId) {
+      await releaseMessage(messageId).catch((err) => console.error('Failed to release message claim:', err?.message || err));
     }
+    return;
+  }
+  if (messageId) {
+    await finishMessage(messageId).catch((err) => console.error('Failed to mark message handled:', err?.message || err));
+  }
+};
 
+// Handle one inbound message, telling the customer if it could not be handled
+// (the error is thrown on to handleMessageOnce)
+async function handleIncomingMessage(message) {
+  try {
     // Process message
-    const messageId = message?.id;
     const interactive = message?.interactive || {};
     const buttonReply = interactive?.button_reply || null;
     const listReply = interactive?.list_reply || null;
     const incomingText = message.text?.body?.trim() || '';
     
-    // Determine the message content
-    const msgRaw = listReply?.id || buttonReply?.id || 
-                  listReply?.title || buttonReply?.title || 
+    // Determine the message content (template quick replies arrive as message.button)
+    const msgRaw = listReply?.id || buttonReply?.id || message.button?.payload ||
+                  listReply?.title || buttonReply?.title || message.button?.text ||
                   incomingText || "";
     
     const msg = String(msgRaw).trim();
@@ -73,692 +220,1990 @@ router.post("/", async (req, res) => {
     const from = message.from;
 
     console.log(`Processing message from ${from}: ${msg}`)
+    // Opens (or extends) the 24h window for free-form replies
+    await recordInboundMessage(from, message.timestamp ? new Date(Number(message.timestamp) * 1000) : new Date());
+
+    // Front-desk numbers get the operator commands instead of the booking flow
+    if (isStaffNumber(from)) {
+      await handleStaffCommand(from, msg);
+      return;
+    }
     console.log('Message details:', { listReply, buttonReply, incomingText });
 
-    // Find or create booking
-    let booking = await Booking.findOne({ phone: from });
-    if (!booking) {
-      booking = new Booking({
+    // Language picked from the picker; a first contact carries on with the message
+    // that brought up the picker, or the welcome
+    const languageChoice = msg.match(/^lang_([a-z]{2})$/);
+    if (languageChoice && SUPPORTED_LOCALES.includes(languageChoice[1])) {
+      await setLocale(from, languageChoice[1]);
+      const tr = await translatorFor(from);
+      await sendMessage(from, tr('language.saved'));
+      const pending = await takePendingMessage(from);
+      if (pending) {
+        await handleIncomingMessage(pending);
+      } else if (!(await findActiveSession(from))) {
+        await new Session({ phone: from, step: 'welcome', meta: {} }).save();
+        await sendWelcomeMessage(from);
+      }
+      return;
+    }
+
+    // Ask for a language on first contact, and whenever the customer asks to change it.
+    // Quick replies on templates answer something we sent, so they go through in English.
+    const wantsLanguage = ['language', 'lang', 'भाषा', 'ಭಾಷೆ'].includes(msgLower);
+    if (wantsLanguage || (!message.button && !(await getLocale(from)))) {
+      if (!wantsLanguage) await keepPendingMessage(from, message);
+      await sendLanguagePicker(from);
+      return;
+    }
+    const tr = await translatorFor(from);
+
+    // Requests about existing bookings work even without an ongoing conversation
+    const wantsCancellation = msg === 'cancel_booking' || msgLower === 'cancel my booking' || msgLower === 'cancel booking';
+    const wantsReschedule = msg === 'reschedule_booking' || msgLower === 'reschedule' || msgLower === 'reschedule my booking';
+    const reminderReply = msg.match(/^remind_(late|cancel)_([a-f0-9]{24})$/);
+    const wantsWallet = ['wallet', 'credits', 'balance', 'packs', 'buy credits'].includes(msgLower);
+    const wantsLeaveWaitlist = msgLower === 'leave waitlist';
+    const wantsRecurring = ['weekly', 'recurring', 'weekly booking'].includes(msgLower);
+
+    // Find or create the conversation session
+    let session = await findActiveSession(from);
+    
+    // A typed request such as "book pickleball tomorrow 7pm at JW"; part-way through
+    // a booking, "sat morning" is enough
+    const picked = session?.meta || {};
+    const inBooking = Boolean((picked.selectedSport || picked.selectedLocation) && !picked.rescheduleBookingId && !picked.recurring);
+    const typedRequest = incomingText ? await readBookingRequest(incomingText, { inBooking }) : null;
+    
+    if (!session) {
+      session = new Session({
         phone: from,
         step: 'welcome',
         meta: {}
       });
-      await booking.save();
-      console.log('Created new booking record:', { id: booking._id?.toString(), phone: booking.phone });
+      await session.save();
+      console.log('Created new session:', { id: session._id?.toString(), phone: session.phone });
       
-      await sendWelcomeMessage(from);
-      return res.sendStatus(200);
+      if (!wantsCancellation && !wantsReschedule && !reminderReply && !wantsWallet && !wantsLeaveWaitlist && !wantsRecurring && !typedRequest && msg !== 'split_remainder') {
+        await sendWelcomeMessage(from);
+        return;
+      }
     }
 
-    // Dedupe by messageId
-    if (messageId) {
-      if (!booking.meta) booking.meta = {};
-      if (booking.meta.lastMessageId === messageId) {
-        console.log("Duplicate webhook ignored", messageId);
-        return res.sendStatus(200);
+    // Typed request: start a fresh booking from whatever it names, keeping the
+    // sport and venue already picked when it names neither
+    if (typedRequest) {
+      if (session.bookingId) {
+        await releaseHold({ _id: session.bookingId });
+        session.bookingId = undefined;
       }
-      booking.meta.lastMessageId = messageId;
-      booking.markModified('meta');
+      if (inBooking && !typedRequest.sportCode && !typedRequest.venueCode) {
+        typedRequest.sportCode = picked.selectedSport || null;
+        typedRequest.venueCode = picked.selectedLocation || null;
+      }
+      session.meta = { typedRequest };
+      session.additionalServices = [];
+      session.step = 'welcome';
+      session.markModified('meta');
+      await continueTypedRequest(from, session);
+      return;
     }
 
     // Handle sport selection
     if (msg.startsWith('sport_')) {
-      const selectedSport = msg.split('_')[1];
-      if (!booking.meta) booking.meta = {};
-      booking.meta.selectedSport = selectedSport;
-      booking.step = 'selecting_location';
-      booking.markModified('meta');
-      await booking.save();
+      const selectedSport = msg.slice('sport_'.length);
+      const sport = await getSport(selectedSport);
+      if (!sport) {
+        await sendMessage(from, tr('sport.unavailable'));
+        await sendSportSelection(from);
+        return;
+      }
+      if (!session.meta) session.meta = {};
+      session.meta.selectedSport = selectedSport;
+      // Picking a sport starts a new booking, not a reschedule
+      delete session.meta.rescheduleBookingId;
+      delete session.meta.durationMinutes;
+      session.step = 'selecting_location';
+      session.markModified('meta');
+      await session.save();
       
       console.log('✅ Selected sport:', selectedSport);
       
+      // A typed request may already name the location
+      if (session.meta.typedRequest) {
+        await continueTypedRequest(from, session);
+        return;
+      }
+      
       // Send location selection
-      await sendLocationSelection(from);
-      return res.sendStatus(200);
+      await sendLocationSelection(from, selectedSport);
+      return;
     }
 
     // Handle location selection
     if (msg.startsWith('location_')) {
-      const selectedLocation = msg.split('_')[1];
-      if (!booking.meta) booking.meta = {};
-      booking.meta.selectedLocation = selectedLocation;
-      booking.step = 'selecting_date';
-      booking.markModified('meta');
-      await booking.save();
+      const selectedLocation = msg.slice('location_'.length);
+      const venue = await getVenue(selectedLocation);
+      if (!venue || !venue.sports.some((s) => s.code === session.meta?.selectedSport)) {
+        await sendMessage(from, tr('location.unavailable'));
+        await sendLocationSelection(from, session.meta?.selectedSport);
+        return;
+      }
+      if (!session.meta) session.meta = {};
+      session.meta.selectedLocation = selectedLocation;
+      delete session.meta.durationMinutes;
+      session.markModified('meta');
+      await session.save();
       
       console.log('✅ Selected location:', selectedLocation);
       
-      // Get dates with available slots
-      let datesWithSlots = await getAvailableDates();
-      
-      // Fallback: if calendar check fails, show all dates
-      if (datesWithSlots.length === 0) {
-        console.warn('⚠️ Calendar API unavailable, showing all dates as fallback');
-        const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-        
-        datesWithSlots = [];
-        for (let i = 0; i < 7; i++) {
-          const date = new Date();
-          date.setDate(date.getDate() + i);
-          const dayName = days[date.getDay()];
-          const day = String(date.getDate()).padStart(2, '0');
-          const month = months[date.getMonth()];
-          const dateStr = date.toISOString().split('T')[0];
-          
-          datesWithSlots.push({
-            dateStr,
-            title: `${dayName}, ${day} ${month}`,
-            availableCount: 16 // Show estimated slots
-          });
-        }
+      if (session.meta.typedRequest) {
+        await continueTypedRequest(from, session);
+        return;
       }
+      await sendDurationSelection(from, session);
+      return;
+    }
+
+    // Handle duration selection
+    if (/^dur_\d+$/.test(msg)) {
+      const minutes = Number(msg.slice('dur_'.length));
+      const slotOptions = await getSlotOptions(session);
+      if (!slotOptions) {
+        await sendMessage(from, tr('common.sessionExpired'));
+        return;
+      }
+      if (!getDurationOptions(slotOptions).includes(minutes)) {
+        await sendMessage(from, tr('duration.unavailable'));
+        await sendDurationSelection(from, session);
+        return;
+      }
+      session.meta.durationMinutes = minutes;
+      session.step = 'selecting_date';
+      session.markModified('meta');
+      await session.save();
       
-      // Send date selection list (shorten IDs for WhatsApp)
-      const dateRows = datesWithSlots.map((d, idx) => ({
-        id: `dt${idx}`, // Short ID format
-        title: d.title,
-        description: `${d.availableCount} slots`
-      }));
-      
-      // Store date mapping for later
-      if (!booking.meta) booking.meta = {};
-      booking.meta.dateMapping = datesWithSlots.reduce((acc, d, idx) => {
-        acc[`dt${idx}`] = d.dateStr;
-        return acc;
-      }, {});
-      booking.markModified('meta'); // Mark meta as modified for MongoDB
-      await booking.save();
-      
-      console.log('Saved date mapping:', booking.meta.dateMapping);
-      
-      await sendListMessage(from, 'Select a Date', [{
-        title: 'Available Dates',
-        rows: dateRows
-      }]);
-      
-      return res.sendStatus(200);
+      await sendDateSelection(from, session);
+      return;
     }
 
     // Handle date selection
     if (msg.startsWith('dt')) {
       console.log('Date selection detected:', msg);
-      console.log('Date mapping:', booking.meta?.dateMapping);
+      console.log('Date mapping:', session.meta?.dateMapping);
       
-      if (!booking.meta?.dateMapping) {
-        await sendMessage(from, '❌ Session expired. Please type "start" to begin again.');
-        return res.sendStatus(200);
+      if (!session.meta?.dateMapping) {
+        await sendMessage(from, tr('common.sessionExpired'));
+        return;
       }
       
-      const selectedDate = booking.meta.dateMapping[msg];
+      const selectedDate = session.meta.dateMapping[msg];
       
       if (!selectedDate) {
-        await sendMessage(from, '❌ Invalid date selection. Please type "start" to try again.');
-        return res.sendStatus(200);
+        await sendMessage(from, tr('date.invalid'));
+        return;
       }
       
-      booking.meta.selectedDate = selectedDate;
-      booking.step = 'selecting_time_period';
-      booking.markModified('meta');
-      await booking.save();
+      session.meta.selectedDate = selectedDate;
+      session.step = 'selecting_time_period';
+      session.markModified('meta');
+      await session.save();
       
       console.log('✅ Saved selected date:', selectedDate);
       
-      // Format date for display
-      const date = new Date(selectedDate);
-      const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
-      const formattedDate = date.toLocaleDateString('en-US', options);
+      await sendPeriodSelection(from, session);
+      return;
+    }
+
+    // Handle time period selection: a range of start times from sendPeriodSelection
+    if (/^period_\d+$/.test(msg)) {
+      const range = session.meta?.periodMapping?.[msg];
+      const selectedDate = session.meta?.selectedDate;
       
-      // Store selected date for time period buttons
-      booking.meta.currentDate = selectedDate;
-      booking.markModified('meta');
-      await booking.save();
+      if (!range || !selectedDate) {
+        await sendMessage(from, tr('common.sessionExpired'));
+        return;
+      }
       
-      // Send time period selection (Morning and Evening only)
-      const timePeriodButtons = [
-        {
-          id: 'period_morning',
-          title: '🌅 Morning'
-        },
-        {
-          id: 'period_evening',
-          title: '🌃 Evening'
-        }
-      ];
+      await sendSlotList(from, session, range);
+      return;
+    }
+
+    // Waitlist for a fully booked slot or window: wl_<from>_<to> start times as HHMM, to exclusive
+    const waitlistWindow = msg.match(/^wl_(\d{2})(\d{2})_(\d{2})(\d{2})$/);
+    if (waitlistWindow) {
+      const [, fromHour, fromMinute, toHour, toMinute] = waitlistWindow;
+      const sport = await getSport(session.meta?.selectedSport);
+      const venue = await getVenue(session.meta?.selectedLocation);
+      const date = session.meta?.selectedDate;
+      if (!sport || !venue || !date) {
+        await sendMessage(from, tr('common.sessionExpired'));
+        return;
+      }
+      const windowFrom = `${fromHour}:${fromMinute}`;
+      const windowTo = `${toHour}:${toMinute}`;
+      const slotOptions = await getSlotOptions(session);
+      await joinWaitlist({
+        phone: from,
+        name: session.name,
+        venue,
+        sport,
+        date,
+        from: windowFrom,
+        to: windowTo,
+        durationMinutes: slotOptions.durationMinutes,
+      });
+      const lastStart = fromMinutes(toMinutes(windowTo) - slotOptions.slotMinutes);
+      const times = windowFrom === lastStart
+        ? tr('waitlist.startingAt', { time: windowFrom })
+        : tr('waitlist.startingBetween', { from: windowFrom, to: lastStart });
+      await sendMessage(from, tr('waitlist.joined', {
+        sport: sport.name,
+        centre: venue.name,
+        date: formatUserDate(date, tr.locale),
+        times,
+        minutes: WAITLIST_OFFER_MINUTES
+      }));
+      // Something in the window may be free already
+      await processWaitlist({ centre: venue.name, date });
+      return;
+    }
+
+    // Pick a window of start times to wait for
+    if (msg === 'wl_times') {
+      await sendWaitlistWindows(from, session, null);
+      return;
+    }
+
+    if (wantsLeaveWaitlist) {
+      const count = await leaveWaitlist(from);
+      await sendMessage(from, tr(count > 0 ? 'waitlist.left' : 'waitlist.notOn'));
+      return;
+    }
+
+    // Handle cancel booking: list upcoming paid bookings to pick from
+    if (wantsCancellation) {
+      await sendBookingPicker(from, session, 'cancel');
+      return;
+    }
+
+    // Handle choice of booking to cancel
+    if (/^cx\d+$/.test(msg)) {
+      const bookingId = session.meta?.cancelMapping?.[msg];
+      const booking = bookingId
+        ? await Booking.findOne({ _id: bookingId, phone: from, paid: true, status: 'confirmed' })
+        : null;
       
-      await sendButtonsMessage(
-        from,
-        `⏰ Select a time period for ${formattedDate}:`,
-        timePeriodButtons
-      );
+      if (!booking) {
+        await sendMessage(from, tr('cancel.notCancellable'));
+        return;
+      }
       
-      return res.sendStatus(200);
+      await sendCancellationConfirm(from, session, booking);
+      return;
     }
 
-    // Handle time period selection (morning/evening)
-    if (msg.startsWith('period_')) {
-      const period = msg.replace('period_', '');
-      const selectedDate = booking.meta.currentDate;
+    // Handle quick replies on reminder templates
+    if (reminderReply) {
+      const [, action, bookingId] = reminderReply;
+      const booking = await Booking.findOne({ _id: bookingId, phone: from, paid: true, status: 'confirmed' });
+      if (!booking) {
+        await sendMessage(from, tr('reminder.inactive'));
+        return;
+      }
       
-      if (!selectedDate) {
-        await sendMessage(from, '❌ Session expired. Please type "start" to begin again.');
-        return res.sendStatus(200);
+      if (action === 'cancel') {
+        await sendCancellationConfirm(from, session, booking);
+        return;
       }
       
-      booking.meta.selectedDate = selectedDate;
-      booking.meta.selectedPeriod = period;
-      booking.step = 'selecting_time_slot';
+      booking.meta = booking.meta || {};
+      booking.meta.runningLateAt = new Date().toISOString();
       booking.markModified('meta');
       await booking.save();
+      console.log(`🏃 Customer running late for booking ${booking._id}`);
+      await sendMessage(from, tr('reminder.late', { centre: booking.centre, end: booking.time_slot.split(' - ')[1] }));
+      return;
+    }
+
+    // Handle reschedule: list upcoming paid bookings to move
+    if (wantsReschedule) {
+      await sendBookingPicker(from, session, 'reschedule');
+      return;
+    }
+
+    // Handle choice of booking to reschedule, then reuse the date/period/slot pickers
+    if (/^rx\d+$/.test(msg)) {
+      const bookingId = session.meta?.rescheduleMapping?.[msg];
+      const booking = bookingId
+        ? await Booking.findOne({ _id: bookingId, phone: from, paid: true, status: 'confirmed' })
+        : null;
+      const venue = booking && await getVenueForBooking(booking);
       
-      // Define time ranges for each period
-      let startHour, endHour;
-      // We split the full day (6:00 - 22:00) into two equal periods of 8 slots each:
-      // Morning: 06:00 - 14:00 (8 one-hour slots)
-      // Evening: 14:00 - 22:00 (8 one-hour slots)
-      if (period === 'morning') {
-        startHour = 6;
-        endHour = 14;
-      } else { // evening
-        startHour = 14; // 2 PM
-        endHour = 22; // 10 PM
-      }
-      
-      // Get available slots from Google Calendar
-      let availableSlots = [];
-      try {
-        availableSlots = await getAvailableSlots(selectedDate);
-      } catch (error) {
-        console.warn('⚠️ Calendar API unavailable, generating fallback slots');
-        // Generate fallback slots if API fails
-        for (let hour = startHour; hour < endHour; hour++) {
-          const startTimeStr = hour.toString().padStart(2, '0') + ':00';
-          const endTimeStr = (hour + 1).toString().padStart(2, '0') + ':00';
-          availableSlots.push({
-            start: new Date(),
-            end: new Date(),
-            formatted: `${startTimeStr} - ${endTimeStr}`
-          });
-        }
-      }
-      
-      // Filter slots for the selected period
-      const periodSlots = availableSlots.filter(slot => {
-        const slotHour = slot.start ? slot.start.getHours() : parseInt(slot.formatted.split(':')[0]);
-        return slotHour >= startHour && slotHour < endHour;
-      });
-      
-      if (periodSlots.length === 0) {
-        await sendMessage(from, `❌ No available slots for ${period} on this date. Please choose another time period or date.`);
-        return res.sendStatus(200);
+      if (!booking || !venue) {
+        await sendMessage(from, tr('reschedule.notReschedulable'));
+        return;
       }
       
-      // Generate time slot rows with short IDs
-      const slotRows = periodSlots.map((slot, idx) => ({
-        id: `sl${idx}`,
-        title: slot.formatted,
-        description: 'Available'
-      }));
+      session.meta.rescheduleBookingId = bookingId;
+      session.meta.selectedSport = booking.sportCode || String(booking.sport || '').toLowerCase();
+      session.meta.selectedLocation = venue.code;
+      // The new slot is as long as the one being moved
+      session.meta.durationMinutes = slotDurationMinutes(booking.time_slot) || undefined;
+      session.step = 'selecting_date';
+      session.markModified('meta');
+      await session.save();
       
-      // Store slot mapping
-      booking.meta.slotMapping = periodSlots.reduce((acc, slot, idx) => {
-        acc[`sl${idx}`] = slot.formatted;
-        return acc;
-      }, {});
-      booking.markModified('meta');
-      await booking.save();
+      await sendMessage(from, tr('reschedule.moving', { sport: booking.sport, date: formatUserDate(booking.date, tr.locale), time: booking.time_slot }));
+      await sendDateSelection(from, session);
+      return;
+    }
+
+    // Handle cancellation confirmation; refunds are wallet credits unless cancel_refund asks for the payment back
+    if (msg === 'cancel_confirm' || msg === 'cancel_refund' || msg === 'cancel_keep') {
+      const bookingId = session.meta?.cancelBookingId;
+      delete session.meta.cancelBookingId;
+      delete session.meta.cancelMapping;
+      session.step = 'welcome';
+      session.markModified('meta');
+      await session.save();
       
-      console.log('✅ Saved slot mapping:', booking.meta.slotMapping);
+      if (msg === 'cancel_keep') {
+        await sendMessage(from, tr('cancel.kept'));
+        return;
+      }
       
-      // Send time slot selection as a list
-      await sendListMessage(from, 'Select a Time Slot', [{
-        title: `${period === 'morning' ? 'Morning' : 'Evening'} Slots`,
-        rows: slotRows
-      }]);
+      const booking = bookingId
+        ? await Booking.findOne({ _id: bookingId, phone: from, paid: true, status: 'confirmed' })
+        : null;
+      if (!booking) {
+        await sendMessage(from, tr('cancel.notCancellable'));
+        return;
+      }
       
-      return res.sendStatus(200);
+      try {
+        const result = await cancelBooking(booking, { refundTo: msg === 'cancel_refund' ? 'payment' : 'wallet' });
+        if (!result) {
+          await sendMessage(from, tr('cancel.notCancellable'));
+          return;
+        }
+        let refundNote = tr('cancel.noRefund');
+        if (result.refundIncomplete) {
+          refundNote = tr('cancel.refundPending', { amount: result.refundAmount });
+        } else if (result.refundedTo === 'wallet') {
+          const { balance } = await getWallet(from);
+          refundNote = tr('cancel.refundedToWallet', { amount: result.refundAmount, balance });
+        } else if (result.refundAmount > 0) {
+          refundNote = tr('cancel.refunded', { amount: result.refundAmount });
+        }
+        await sendMessage(from, tr('cancel.done', { refund: refundNote }));
+      } catch (err) {
+        console.error('Cancellation error:', err?.message || err);
+        await sendMessage(from, tr('cancel.failed'));
+      }
+      return;
+    }
+
+    // Wallet balance and the credit packs on sale
+    if (wantsWallet) {
+      await sendWalletMenu(from);
+      return;
     }
 
-    // Handle cancel booking
-    if (msg === 'cancel_booking') {
-      await Booking.deleteOne({ phone: from });
-      await sendMessage(from, "Booking cancelled. Type 'start' to begin a new booking.");
-      return res.sendStatus(200);
+    // Buy a credit pack through a payment link; the credits land when the webhook confirms it
+    if (msg.startsWith('pack_')) {
+      const pack = await getPack(msg.replace('pack_', ''));
+      if (!pack) {
+        await sendMessage(from, tr('wallet.packGone'));
+        return;
+      }
+      try {
+        const paymentUrl = await startPackPurchase(from, pack, session.name);
+        const body = tr(pack.validityDays ? 'wallet.packOfferValidity' : 'wallet.packOffer', {
+          name: pack.name,
+          price: pack.price,
+          credits: pack.credits,
+          days: pack.validityDays
+        });
+        await sendPayLink(from, body, paymentUrl, tr);
+      } catch (err) {
+        console.error('Failed to create pack payment link:', err?.message || err);
+        await sendMessage(from, tr('common.linkFailed'));
+      }
+      return;
+    }
+
+    // Weekly booking: the usual sport, venue and duration, then a weekday, time and length
+    if (wantsRecurring) {
+      await resetSession(from);
+      session = await new Session({ phone: from, step: 'selecting_sport', meta: { recurring: true } }).save();
+      await sendMessage(from, tr('series.intro', { weeks: MAX_SERIES_WEEKS }));
+      await sendSportSelection(from);
+      return;
+    }
+
+    if (session.step === 'selecting_weekday' && msg.startsWith('wd_')) {
+      const startDate = msg.slice('wd_'.length);
+      const slotOptions = await getSlotOptions(session);
+      if (!slotOptions || !getUpcomingDates(7).includes(startDate)) {
+        await sendMessage(from, tr('series.expired'));
+        return;
+      }
+      session.meta.seriesStart = startDate;
+      session.step = 'entering_series_time';
+      session.markModified('meta');
+      await session.save();
+      
+      await sendMessage(from, tr('series.timeAsk', {
+        weekday: formatWeekday(startDate, tr.locale),
+        step: formatDuration(slotOptions.slotMinutes, tr.locale),
+        open: slotOptions.open,
+        close: slotOptions.close
+      }));
+      return;
     }
 
     // Handle calendar/book command
     if (msgLower === 'calendar' || msgLower === 'check calendar' || msgLower === 'book') {
-      booking.step = 'selecting_sport';
-      await booking.save();
+      session.step = 'selecting_sport';
+      await session.save();
       
       await sendSportSelection(from);
-      return res.sendStatus(200);
+      return;
     }
     
     // Handle slot selection
     if (msg.startsWith('sl') && /^sl\d+$/.test(msg)) {
-      const timeRange = booking.meta?.slotMapping?.[msg];
-      const date = booking.meta?.selectedDate;
+      const timeRange = session.meta?.slotMapping?.[msg];
+      const date = session.meta?.selectedDate;
       
       if (!timeRange || !date) {
-        await sendMessage(from, 'Session expired. Please type "start" to begin again.');
-        return res.sendStatus(200);
+        await sendMessage(from, tr('common.sessionExpired'));
+        return;
       }
 
-      // Store slot selection and move to name collection step
-      booking.meta.selectedTimeSlot = timeRange;
-      booking.meta.confirmDate = date;
-      booking.meta.confirmTime = timeRange;
-      booking.step = 'collecting_name';
-      booking.markModified('meta');
-      await booking.save();
+      // Rescheduling an existing booking skips name and add-ons
+      if (session.meta.rescheduleBookingId) {
+        await handleRescheduleSelection(from, session, timeRange);
+        return;
+      }
 
-      await sendMessage(from, 'Please enter your full name:');
-      return res.sendStatus(200);
+      await startSlotBooking(from, session, timeRange);
+      return;
     }
 
     // Handle name collection
-    if (booking.step === 'collecting_name' && !msg.startsWith('confirm_')) {
+    if (session.step === 'collecting_name' && !msg.startsWith('confirm_')) {
       // Validate name
       if (!msg || msg.length < 3) {
-        await sendMessage(from, 'Please enter a valid name (at least 3 characters):');
-        return res.sendStatus(200);
+        await sendMessage(from, tr('common.invalidName'));
+        return;
       }
 
-      // Store name and move to addon selection
-      booking.name = msg;
-      booking.step = 'selecting_addons';
-      await booking.save();
+      // Store name and ask how many are playing
+      session.name = msg;
+      session.step = 'selecting_players';
+      await session.save();
 
-      // Show addon options
-      const addonsList = [{
-        title: 'Additional Services',
-        rows: [
-          {
-            id: 'addon_spa',
-            title: 'Spa',
-            description: '₹2000'
-          },
-          {
-            id: 'addon_gym',
-            title: 'Gym Access',
-            description: '₹500'
-          },
-          {
-            id: 'addon_sauna',
-            title: 'Sauna',
-            description: '₹800'
-          },
-          {
-            id: 'addon_none',
-            title: 'No thanks, proceed to payment',
-            description: 'Skip additional services'
-          }
-        ]
-      }];
-
-      await sendListMessage(from, 'Would you like to add any additional services?', addonsList);
-      return res.sendStatus(200);
-    }
-
-    // Handle addon selection
-    if (booking.step === 'selecting_addons' && msg.startsWith('addon_')) {
-      const addon = msg.replace('addon_', '');
-      if (addon === 'none') {
-        await handleSlotSelection(from, booking, booking.meta.selectedTimeSlot);
-      } else {
-        // Map of addon prices
-        const addonPrices = {
-          spa: { name: 'Spa', price: 2000 },
-          gym: { name: 'Gym Access', price: 500 },
-          sauna: { name: 'Sauna', price: 800 }
-        };
-
-        const selectedAddon = addonPrices[addon];
-        if (!selectedAddon) {
-          await sendMessage(from, 'Invalid selection. Please try again.');
-          return res.sendStatus(200);
-        }
+      await sendPlayerCountSelection(from, session);
+      return;
+    }
+
+    // Handle player count
+    if (session.step === 'selecting_players' && /^players_\d+$/.test(msg)) {
+      const slotOptions = await getSlotOptions(session);
+      const players = Number(msg.replace('players_', ''));
+      if (!slotOptions || players < 1 || players > slotOptions.maxPlayers) {
+        await sendPlayerCountSelection(from, session);
+        return;
+      }
+      session.meta.players = players;
+      session.meta.playerPhones = [];
+      session.markModified('meta');
+      
+      if (players === 1) {
+        session.step = 'selecting_addons';
+        await session.save();
+        await sendAddOnMenu(from, session);
+        return;
+      }
+      session.step = 'collecting_player_phones';
+      await session.save();
+      await sendButtonsMessage(
+        from,
+        tr('players.askPhones', { count: players - 1 }),
+        [{ id: 'phones_skip', title: tr('common.skip') }]
+      );
+      return;
+    }
 
-        // Add addon to booking
-        if (!booking.additionalServices) {
-          booking.additionalServices = [];
+    // Handle the other players' phone numbers (optional)
+    if (session.step === 'collecting_player_phones') {
+      if (msg !== 'phones_skip') {
+        const entries = incomingText.split(/[,;\n]+/).map((entry) => entry.trim()).filter(Boolean);
+        const phones = entries.map(normalizePhone);
+        if (entries.length === 0 || phones.includes(null) || phones.length > session.meta.players - 1) {
+          await sendButtonsMessage(
+            from,
+            tr('players.invalidPhones', { count: session.meta.players - 1 }),
+            [{ id: 'phones_skip', title: tr('common.skip') }]
+          );
+          return;
         }
-        booking.additionalServices.push(selectedAddon);
-        await booking.save();
+        session.meta.playerPhones = phones;
+        session.markModified('meta');
+      }
+      session.step = 'selecting_addons';
+      await session.save();
+      await sendAddOnMenu(from, session);
+      return;
+    }
 
-        // Proceed to payment
-        await handleSlotSelection(from, booking, booking.meta.selectedTimeSlot);
+    // Add-on cart: pick an add-on, then how many
+    if (session.step === 'selecting_addons' && msg.startsWith('addon_') && msg !== 'addon_none') {
+      const options = await loadAddOnOptions(session);
+      const addOn = options?.addOns.find((a) => a.code === msg.replace('addon_', ''));
+      const max = addOn ? options.limits[addOn.code] : 0;
+      if (!max) {
+        await sendMessage(from, tr('addons.unavailable'));
+        await sendAddOnMenu(from, session);
+        return;
+      }
+      if (max === 1) {
+        setCartItem(session, addOn, 1);
+        await session.save();
+        await sendCart(from, session);
+        return;
       }
-      return res.sendStatus(200);
+      
+      const quantityRows = Array.from({ length: Math.min(max, 10) }, (_, i) => ({
+        id: `qty_${addOn.code}_${i + 1}`,
+        title: `× ${i + 1}`,
+        description: `₹${addOn.price * (i + 1)}`
+      }));
+      await sendChoices(from, tr('addons.howMany', { name: addOn.name, price: addOn.price }).slice(0, 60), tr('addons.quantitySection'), quantityRows);
+      return;
     }
-    
-    // Handle booking confirmation
-    if (msg.startsWith('confirm_')) {
-      await handleBookingConfirmation(from, booking, msg);
-      return res.sendStatus(200);
+
+    const quantityReply = msg.match(/^qty_(.+)_(\d+)$/);
+    if (session.step === 'selecting_addons' && quantityReply) {
+      const options = await loadAddOnOptions(session);
+      const addOn = options?.addOns.find((a) => a.code === quantityReply[1]);
+      const quantity = Number(quantityReply[2]);
+      if (!addOn || quantity < 1 || quantity > options.limits[addOn.code]) {
+        await sendMessage(from, tr('addons.quantityGone'));
+        await sendAddOnMenu(from, session);
+        return;
+      }
+      setCartItem(session, addOn, quantity);
+      await session.save();
+      await sendCart(from, session);
+      return;
     }
 
-    // Handle start/restart
-    if (msgLower === "start" || msgLower === "hi" || msgLower === "hello" || msgLower === "1") {
-      await Booking.deleteOne({ phone: from });
-      await sendWelcomeMessage(from);
-      return res.sendStatus(200);
+    if (session.step === 'selecting_addons' && (msg === 'cart_add' || msg === 'cart_view')) {
+      if (msg === 'cart_add') await sendAddOnMenu(from, session);
+      else await sendCart(from, session);
+      return;
     }
 
-    // Handle exit/cancel
-    if (msgLower === "exit" || msgLower === "cancel") {
-      await Booking.deleteOne({ phone: from });
-      await sendMessage(from, "❌ Booking cancelled. Type 'start' anytime to begin again.");
-      return res.sendStatus(200);
+    if (session.step === 'selecting_addons' && msg === 'cart_remove') {
+      const cartRows = (session.additionalServices || []).map((item) => ({
+        id: `rm_${item.code}`,
+        title: item.name.slice(0, 20),
+        description: `× ${item.quantity || 1} · ₹${lineTotal(item)}`
+      }));
+      if (cartRows.length === 0) {
+        await sendAddOnMenu(from, session);
+        return;
+      }
+      await sendChoices(from, tr('addons.whichRemove'), tr('cart.section'), cartRows);
+      return;
     }
 
-    // Fallback: Unknown command
-    await sendMessage(from, "❓ I didn't understand that. Type 'start' to begin or 'help' for assistance.");
+    if (session.step === 'selecting_addons' && msg.startsWith('rm_')) {
+      const code = msg.replace('rm_', '');
+      session.additionalServices = (session.additionalServices || []).filter((item) => item.code !== code);
+      await session.save();
+      await sendCart(from, session);
+      return;
+    }
 
-    await booking.save();
-    return res.sendStatus(200);
-    
-  } catch (error) {
-    console.error('❌ Webhook Error:', {
-      message: error.message,
-      stack: error.stack,
-      requestBody: req.body
-    });
-    
-    // Try to send error message to user
-    try {
-      const from = req.body?.entry?.[0]?.changes?.[0]?.value?.messages?.[0]?.from;
-      if (from) {
-        await sendMessage(from, '❌ An error occurred. Please try again.');
+    // Check out with the cart, or without add-ons
+    if (session.step === 'selecting_addons' && (msg === 'cart_checkout' || msg === 'addon_none')) {
+      if (msg === 'addon_none') {
+        session.additionalServices = [];
+        await session.save();
       }
-    } catch (e) {
-      console.error('Failed to send error message to user:', e);
+      await handleSlotSelection(from, session, session.meta.selectedTimeSlot);
+      return;
     }
     
-    return res.status(500).json({
-      error: 'Internal Server Error',
-      message: error.message
-    });
-  }
-});
-
-// Helper function to get dates with available slots
-const getAvailableDates = async () => {
-  const datesWithSlots = [];
-  const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-  
-  for (let i = 0; i < 7; i++) {
-    const date = new Date();
-    date.setDate(date.getDate() + i);
-    const dayName = days[date.getDay()];
-    const day = String(date.getDate()).padStart(2, '0');
-    const month = months[date.getMonth()];
-    const dateStr = date.toISOString().split('T')[0]; // YYYY-MM-DD
-    
-    try {
-      // Check if this date has any available slots
-      const slots = await getAvailableSlots(dateStr);
-      
-      if (slots.length > 0) {
-        datesWithSlots.push({
-          dateStr,
-          title: `${dayName}, ${day} ${month}`,
-          availableCount: slots.length
-        });
+    // Pay for the whole booking, or split it between the players
+    if (msg === 'pay_full' || msg === 'pay_split') {
+      const booking = await findHeldBooking(session);
+      if (!booking) {
+        await sendMessage(from, tr('common.holdExpired'));
+        return;
       }
-    } catch (error) {
-      console.error(`Error checking availability for ${dateStr}:`, error);
-    }
+      if (msg === 'pay_full' || !canSplit(booking)) {
+        // Paying in full replaces a split: once a share is paid only the rest is left
+        // to pay, otherwise the share links are cancelled before the full one is sent
+        if (hasPaidShares(booking)) {
+          await sendRemainderLink(from, booking);
+          return;
+        }
+        await closeOpenShares(booking);
+        await collectPayment(from, booking);
+        return;
+      }
+      
+      try {
+        await startSplitPayment(booking);
+      } catch (err) {
+        console.error('Failed to split the bill:', err?.message || err);
+        await sendMessage(from, tr('split.failed'));
+        return;
+      }
+      const shareLines = booking.split.shares.map((share) => {
+        const label = shareLabel(tr, share);
+        const who = share.label === 'You' || !share.phone ? label : `${label} (${share.phone})`;
+        return `- ${who}: ₹${share.amount}\n  ${share.paymentLinkUrl}`;
+      });
+      await sendMessage(from, tr('split.summary', {
+        total: booking.totalAmount,
+        players: booking.players,
+        shares: shareLines.join('\n'),
+        minutes: SPLIT_HOLD_MINUTES
+      }));
+      await sendButtonsMessage(from, tr('split.offerRest'), [
+        { id: 'split_remainder', title: tr('split.payRest') }
+      ]);
+      return;
+    }
+
+    // The organiser pays what is left of a split bill
+    if (msg === 'split_remainder') {
+      const booking = await Booking.findOne({
+        phone: from,
+        paid: false,
+        holdsSlot: true,
+        holdExpiresAt: { $gt: new Date() },
+        'split.shares.0': { $exists: true }
+      }).sort({ createdAt: -1 });
+      await sendRemainderLink(from, booking);
+      return;
+    }
+
+    // Promo code step between the booking summary and the payment link
+    if (msg === 'promo_enter' || msg === 'promo_skip') {
+      const booking = await findHeldBooking(session);
+      if (!booking) {
+        await sendMessage(from, tr('common.holdExpired'));
+        return;
+      }
+      if (msg === 'promo_skip') {
+        session.step = 'payment_pending';
+        await session.save();
+        await offerPaymentOptions(from, booking);
+        return;
+      }
+      // A new price can't be spread over shares that are already paid
+      if (hasPaidShares(booking)) {
+        await sendMessage(from, tr('promo.sharesPaid'));
+        return;
+      }
+      session.step = 'entering_promo';
+      await session.save();
+      await sendMessage(from, tr('promo.prompt'));
+      return;
+    }
+
+    // Handle booking confirmation
+    if (msg.startsWith('confirm_')) {
+      await handleBookingConfirmation(from, session, msg);
+      return;
+    }
+
+    // Handle start/restart
+    if (msgLower === "start" || msgLower === "hi" || msgLower === "hello" || msgLower === "1") {
+      await resetSession(from);
+      await new Session({ phone: from, step: 'welcome', meta: {} }).save();
+      await sendWelcomeMessage(from);
+      return;
+    }
+
+    // Handle exit/cancel
+    if (msgLower === "exit" || msgLower === "cancel") {
+      await resetSession(from);
+      await sendMessage(from, tr('common.exit'));
+      return;
+    }
+
+    // Start time of a weekly booking, on the venue's slot grid
+    if (session.step === 'entering_series_time' && incomingText) {
+      const slotOptions = await getSlotOptions(session);
+      if (!slotOptions) {
+        await sendMessage(from, tr('series.expired'));
+        return;
+      }
+      const start = parseTimeOfDay(incomingText);
+      const open = toMinutes(slotOptions.open);
+      if (start === null || start < open || (start - open) % slotOptions.slotMinutes !== 0 || start + slotOptions.durationMinutes > toMinutes(slotOptions.close)) {
+        await sendMessage(from, tr('series.invalidTime', {
+          open: slotOptions.open,
+          step: formatDuration(slotOptions.slotMinutes, tr.locale),
+          close: slotOptions.close
+        }));
+        return;
+      }
+      session.meta.seriesSlot = formatSlot(start, start + slotOptions.durationMinutes);
+      session.step = 'entering_series_length';
+      session.markModified('meta');
+      await session.save();
+      
+      await sendSeriesLengthPrompt(from, tr('series.lengthAsk'));
+      return;
+    }
+
+    // Length of a weekly booking: a number of weeks or the last date
+    if (session.step === 'entering_series_length' && (incomingText || msg.startsWith('weeks_'))) {
+      const startDate = session.meta?.seriesStart;
+      const text = msg.startsWith('weeks_') ? msg.slice('weeks_'.length) : incomingText;
+      const endDate = parseUserDate(text);
+      const dates = /^\d{1,2}$/.test(text) && Number(text) > 0
+        ? getSeriesDates(startDate, { weeks: Number(text) })
+        : endDate ? getSeriesDates(startDate, { endDate }) : null;
+      if (!dates?.length) {
+        await sendSeriesLengthPrompt(from, tr('series.invalidLength', { weeks: MAX_SERIES_WEEKS, date: formatUserDate(startDate, tr.locale) }));
+        return;
+      }
+      session.meta.seriesDates = dates;
+      session.markModified('meta');
+      if (!session.name) {
+        session.step = 'collecting_series_name';
+        await session.save();
+        await sendMessage(from, tr('common.enterName'));
+        return;
+      }
+      await session.save();
+      await sendSeriesCheck(from, session);
+      return;
+    }
+
+    if (session.step === 'collecting_series_name' && incomingText) {
+      if (incomingText.length < 3) {
+        await sendMessage(from, tr('common.invalidName'));
+        return;
+      }
+      session.name = incomingText;
+      await session.save();
+      await sendSeriesCheck(from, session);
+      return;
+    }
+
+    // Hold every free date of the weekly booking and send one payment link for them
+    if (session.step === 'confirming_series' && msg === 'series_book') {
+      const sport = await getSport(session.meta?.selectedSport);
+      const venue = await getVenue(session.meta?.selectedLocation);
+      const plan = session.meta?.seriesPlan;
+      if (!sport || !venue || !plan?.length) {
+        await sendMessage(from, tr('series.expired'));
+        return;
+      }
+      try {
+        const series = await holdSeries({
+          phone: from,
+          name: session.name,
+          venue,
+          sport,
+          time_slot: session.meta.seriesSlot,
+          plan,
+          conflicts: session.meta.seriesConflicts,
+        });
+        if (!series) {
+          await sendMessage(from, tr('series.taken'));
+          return;
+        }
+        session.meta.seriesId = String(series._id);
+        session.step = 'payment_pending';
+        session.markModified('meta');
+        await session.save();
+        
+        const lost = series.conflicts.filter((date) => !session.meta.seriesConflicts.includes(date));
+        const lostNote = lost.length
+          ? tr('series.justTaken', { dates: lost.map((date) => formatUserDate(date, tr.locale)).join(', ') })
+          : '';
+        const body = tr('series.held', {
+          count: series.dates.length,
+          time: series.time_slot,
+          lost: lostNote,
+          total: series.totalAmount,
+          minutes: HOLD_TTL_MINUTES
+        });
+        await sendPayLink(from, body, series.razorpay.paymentLinkUrl, tr);
+      } catch (err) {
+        console.error('Failed to hold weekly booking:', err?.message || err);
+        await sendMessage(from, tr('common.linkFailed'));
+      }
+      return;
+    }
+
+    // Promo code typed after tapping "Enter promo code"
+    if (session.step === 'entering_promo' && incomingText) {
+      const booking = await findHeldBooking(session);
+      if (!booking) {
+        await sendMessage(from, tr('common.holdExpired'));
+        return;
+      }
+      if (hasPaidShares(booking)) {
+        await sendMessage(from, tr('promo.sharesPaid'));
+        return;
+      }
+      const { error } = await applyCoupon(booking, incomingText);
+      if (error) {
+        await sendButtonsMessage(from, `❌ ${error}`, [
+          { id: 'promo_enter', title: tr('promo.tryAnother') },
+          { id: 'promo_skip', title: tr('promo.payWithout') }
+        ]);
+        return;
+      }
+      // Links sent at the old price can no longer be paid; a new one follows
+      await closeOpenShares(booking);
+      session.step = 'payment_pending';
+      await session.save();
+      await sendMessage(from, bookingSummary(booking, tr));
+      await offerPaymentOptions(from, booking);
+      return;
+    }
+
+    // Fallback: Unknown command
+    await sendMessage(from, tr('common.unknown'));
+
+    await session.save();
+    return;
+    
+  } catch (error) {
+    console.error('❌ Webhook Error:', {
+      message: error.message,
+      stack: error.stack,
+      messageId: message?.id
+    });
+    
+    // Try to send error message to user
+    try {
+      if (message?.from) {
+        const tr = await translatorFor(message.from);
+        await sendMessage(message.from, tr('common.error'));
+      }
+    } catch (e) {
+      console.error('Failed to send error message to user:', e);
+    }
+    throw error;
+  }
+}
+
+// Helper function to get dates with available slots (slotOptions: { centre, sport, courts })
+// Dates are counted from today in the venue's timezone, not the server's
+// Fully booked dates are kept (availableCount 0) so customers can join their waitlist
+const getAvailableDates = async (slotOptions = {}, locale) => {
+  const datesWithSlots = [];
+  
+  for (const dateStr of getUpcomingDates(7)) {
+    try {
+      // Check how many slots this date has available
+      const slots = await getAvailableSlots(dateStr, slotOptions);
+      
+      datesWithSlots.push({
+        dateStr,
+        title: formatShortDate(dateStr, locale),
+        availableCount: slots.length
+      });
+    } catch (error) {
+      console.error(`Error checking availability for ${dateStr}:`, error);
+    }
   }
   
   return datesWithSlots;
 };
 
+// Send up to three choices as reply buttons, or up to ten as a list
+const sendChoices = async (to, body, sectionTitle, rows) => {
+  if (rows.length <= 3) {
+    await sendButtonsMessage(to, body, rows);
+    return;
+  }
+  await sendListMessage(to, body, [{
+    title: sectionTitle,
+    rows: rows.slice(0, 10)
+  }]);
+};
+
+// Ask which language to reply in; the picker itself is in every language
+// A message that arrived before the customer picked a language, kept on their
+// session (one of its own on first contact) to be handled once they have
+const keepPendingMessage = async (phone, message) => {
+  const session = (await findActiveSession(phone)) || new Session({ phone, step: 'choosing_language', meta: {} });
+  if (!session.meta) session.meta = {};
+  session.meta.pendingMessage = message;
+  session.markModified('meta');
+  await session.save();
+};
+
+// Takes back the message kept by keepPendingMessage, if any. A session that only
+// held it is removed, so the message is handled as the first contact it was.
+const takePendingMessage = async (phone) => {
+  const session = await findActiveSession(phone);
+  const pending = session?.meta?.pendingMessage;
+  if (!pending) return null;
+  if (session.step === 'choosing_language') {
+    await Session.deleteOne({ _id: session._id });
+  } else {
+    delete session.meta.pendingMessage;
+    session.markModified('meta');
+    await session.save();
+  }
+  return pending;
+};
+
+const sendLanguagePicker = async (to) => {
+  await sendButtonsMessage(
+    to,
+    '🌐 Please choose your language\nकृपया अपनी भाषा चुनें\nದಯವಿಟ್ಟು ನಿಮ್ಮ ಭಾಷೆಯನ್ನು ಆಯ್ಕೆಮಾಡಿ',
+    SUPPORTED_LOCALES.map((locale) => ({ id: `lang_${locale}`, title: LANGUAGE_NAMES[locale] }))
+  );
+};
+
 // Helper function to send sport selection
 const sendSportSelection = async (to) => {
-  const sportButtons = [
-    {
-      id: 'sport_pickleball',
-      title: 'Pickleball'
-    }
-  ];
+  const tr = await translatorFor(to);
+  const sports = await getActiveSports();
+  if (sports.length === 0) {
+    await sendMessage(to, tr('sport.none'));
+    return;
+  }
+  
+  const sportRows = sports.map((sport) => ({
+    id: `sport_${sport.code}`,
+    title: `${sport.emoji} ${sport.name}`.slice(0, 20)
+  }));
+  
+  await sendChoices(to, tr('sport.ask'), tr('sport.section'), sportRows);
+};
+
+// Helper function to send location selection for a sport
+const sendLocationSelection = async (to, sportCode) => {
+  const tr = await translatorFor(to);
+  const venues = await getVenuesForSport(sportCode);
+  if (venues.length === 0) {
+    await sendMessage(to, tr('location.none'));
+    return;
+  }
+  
+  const locationRows = venues.map((venue) => ({
+    id: `location_${venue.code}`,
+    title: venue.name.slice(0, 20)
+  }));
+  
+  await sendChoices(to, tr('location.ask'), tr('location.section'), locationRows);
+};
+
+
+// Helper function to send the date picker for the session's sport and location
+const sendDateSelection = async (to, session) => {
+  // A weekly booking picks a weekday instead
+  if (session.meta?.recurring) {
+    await sendWeekdaySelection(to, session);
+    return;
+  }
+  // Get dates with available slots
+  const tr = await translatorFor(to);
+  const slotOptions = await getSlotOptions(session);
+  const datesWithSlots = await getAvailableDates(slotOptions, tr.locale);
+  
+  if (datesWithSlots.length === 0) {
+    await sendMessage(to, tr('date.checkFailed'));
+    return;
+  }
+  
+  // Send date selection list (shorten IDs for WhatsApp)
+  const dateRows = datesWithSlots.map((d, idx) => ({
+    id: `dt${idx}`, // Short ID format
+    title: d.title,
+    description: d.availableCount > 0 ? tr('date.slots', { count: d.availableCount }) : tr('date.fullyBooked')
+  }));
+  
+  // Store date mapping for later
+  if (!session.meta) session.meta = {};
+  session.meta.dateMapping = datesWithSlots.reduce((acc, d, idx) => {
+    acc[`dt${idx}`] = d.dateStr;
+    return acc;
+  }, {});
+  session.markModified('meta'); // Mark meta as modified for MongoDB
+  await session.save();
+  
+  console.log('Saved date mapping:', session.meta.dateMapping);
+  
+  await sendListMessage(to, tr('date.header'), [{
+    title: tr('date.section'),
+    rows: dateRows
+  }]);
+};
+
+// Ask how long to play when the sport allows more than one slot per booking,
+// otherwise go straight to the dates
+const sendDurationSelection = async (to, session) => {
+  const tr = await translatorFor(to);
+  const slotOptions = await getSlotOptions(session);
+  if (!slotOptions) {
+    await sendMessage(to, tr('common.sessionExpired'));
+    return;
+  }
+  
+  const durations = getDurationOptions(slotOptions);
+  if (durations.length <= 1) {
+    session.meta.durationMinutes = durations[0];
+    session.step = 'selecting_date';
+    session.markModified('meta');
+    await session.save();
+    await sendDateSelection(to, session);
+    return;
+  }
+  
+  session.step = 'selecting_duration';
+  await session.save();
+  
+  const durationRows = durations.slice(0, 10).map((minutes) => ({
+    id: `dur_${minutes}`,
+    title: `⏱️ ${formatDuration(minutes, tr.locale)}`
+  }));
+  await sendChoices(to, tr('duration.ask'), tr('duration.section'), durationRows);
+};
+
+// Available slots for the session's date and duration, or null (after telling the customer) on failure
+const loadSessionSlots = async (to, session) => {
+  const tr = await translatorFor(to);
+  const slotOptions = await getSlotOptions(session);
+  if (!slotOptions || !session.meta?.selectedDate) {
+    await sendMessage(to, tr('common.sessionExpired'));
+    return null;
+  }
+  try {
+    return await getAvailableSlots(session.meta.selectedDate, slotOptions);
+  } catch (error) {
+    console.error('Error loading slots:', error);
+    await sendMessage(to, tr('slot.loadFailed'));
+    return null;
+  }
+};
+
+// A WhatsApp list holds 10 rows: up to nine slots and the waitlist row. Days
+// with more start times are split into periods first.
+const SLOTS_PER_LIST = 9;
+
+const slotStart = (slot) => slot.formatted.split(' - ')[0];
+
+const periodEmoji = (start) => {
+  const hour = parseInt(start, 10);
+  if (hour < 12) return '🌅';
+  return hour < 17 ? '☀️' : '🌃';
+};
+
+// Send the slots for the selected date, or the periods to choose between when they do not fit one list
+const sendPeriodSelection = async (to, session) => {
+  const slots = await loadSessionSlots(to, session);
+  if (!slots) return;
+  const tr = await translatorFor(to);
+  
+  if (slots.length === 0 && session.meta.rescheduleBookingId) {
+    await sendMessage(to, tr('slot.noneOnDate'));
+    return;
+  }
+  if (slots.length === 0) {
+    await sendWaitlistWindows(to, session, tr('waitlist.dayFull', { date: formatLongDate(session.meta.selectedDate, tr.locale) }));
+    return;
+  }
+  if (slots.length <= SLOTS_PER_LIST) {
+    await sendSlotList(to, session, null, slots);
+    return;
+  }
+  
+  const periods = [];
+  for (let i = 0; i < slots.length; i += SLOTS_PER_LIST) {
+    const chunk = slots.slice(i, i + SLOTS_PER_LIST);
+    periods.push({ from: slotStart(chunk[0]), to: slotStart(chunk[chunk.length - 1]) });
+  }
+  
+  session.meta.periodMapping = periods.reduce((acc, period, idx) => {
+    acc[`period_${idx}`] = period;
+    return acc;
+  }, {});
+  session.markModified('meta');
+  await session.save();
+  
+  const periodRows = periods.slice(0, 10).map((period, idx) => ({
+    id: `period_${idx}`,
+    title: `${periodEmoji(period.from)} ${period.from} - ${period.to}`
+  }));
+  await sendChoices(
+    to,
+    tr('period.ask', { date: formatLongDate(session.meta.selectedDate, tr.locale) }),
+    tr('period.section'),
+    periodRows
+  );
+};
+
+// HH:MM start times as a wl_<from>_<to> waitlist choice
+const waitlistId = (from, to) => `wl_${from.replace(':', '')}_${to.replace(':', '')}`;
+
+// Offer the parts of the day to wait for on the session's date, clipped to
+// opening hours, after an optional explanation
+const sendWaitlistWindows = async (to, session, intro) => {
+  const tr = await translatorFor(to);
+  const slotOptions = await getSlotOptions(session);
+  if (!slotOptions || !session.meta?.selectedDate) {
+    await sendMessage(to, tr('common.sessionExpired'));
+    return;
+  }
+  const open = toMinutes(slotOptions.open);
+  // Just past the last start time that still ends by closing
+  const close = toMinutes(slotOptions.close) - slotOptions.durationMinutes + slotOptions.slotMinutes;
+  const windows = [
+    { title: tr('waitlist.morning'), from: open, to: 12 * 60 },
+    { title: tr('waitlist.afternoon'), from: 12 * 60, to: 17 * 60 },
+    { title: tr('waitlist.evening'), from: 17 * 60, to: close },
+    { title: tr('waitlist.anyTime'), from: open, to: close },
+  ]
+    .map((w) => ({ ...w, from: Math.max(w.from, open), to: Math.min(w.to, close) }))
+    .filter((w) => w.from < w.to);
+  const rows = windows.map((w) => ({ id: waitlistId(fromMinutes(w.from), fromMinutes(w.to)), title: w.title }));
+  if (intro) await sendMessage(to, intro);
+  await sendChoices(to, tr('waitlist.ask'), tr('waitlist.section'), rows);
+};
+
+// Tell the customer their slot has gone and offer to wait for it
+const sendSlotTaken = async (to, timeRange, slotMinutes, text) => {
+  const tr = await translatorFor(to);
+  const start = normalizeSlotString(timeRange).split(' - ')[0];
+  await sendButtonsMessage(to, tr('waitlist.slotTaken', { text }), [
+    { id: waitlistId(start, fromMinutes(toMinutes(start) + slotMinutes)), title: tr('waitlist.join') }
+  ]);
+};
+
+// Send the slots starting within `range` ({ from, to } start times, null for all) as a list
+const sendSlotList = async (to, session, range, slots) => {
+  const available = slots || await loadSessionSlots(to, session);
+  if (!available) return;
+  const tr = await translatorFor(to);
+  
+  const periodSlots = (range
+    ? available.filter((slot) => slotStart(slot) >= range.from && slotStart(slot) <= range.to)
+    : available
+  ).slice(0, SLOTS_PER_LIST);
+  
+  if (periodSlots.length === 0) {
+    await sendMessage(to, tr('slot.noneInPeriod'));
+    return;
+  }
+  
+  // Generate time slot rows with short IDs, priced for the slot's time and courts
+  const sport = await getSport(session.meta.selectedSport);
+  const venue = await getVenue(session.meta.selectedLocation);
+  const priceSlot = await getPricer({ venue, sport, date: session.meta.selectedDate });
+  const courts = getCourtsForSport(venue, sport.code);
+  const slotRows = periodSlots.map((slot, idx) => ({
+    id: `sl${idx}`,
+    title: slot.formatted,
+    description: `${describePriceRange(priceSlot, slot.formatted, courts)} · ${describeCapacity(slot, tr.locale)}`
+  }));
+  
+  // For a time that is already taken (waitlist offers are new bookings, not reschedules)
+  if (!session.meta.rescheduleBookingId) {
+    slotRows.push({ id: 'wl_times', title: tr('slot.otherTimes'), description: tr('slot.otherTimesDescription') });
+  }
+  
+  // Store slot mapping
+  session.meta.slotMapping = periodSlots.reduce((acc, slot, idx) => {
+    acc[`sl${idx}`] = slot.formatted;
+    return acc;
+  }, {});
+  session.step = 'selecting_time_slot';
+  session.markModified('meta');
+  await session.save();
+  
+  console.log('✅ Saved slot mapping:', session.meta.slotMapping);
+  
+  const duration = formatDuration(slotDurationMinutes(periodSlots[0].formatted), tr.locale);
+  await sendListMessage(to, tr('slot.header', { duration }), [{
+    title: range ? `${range.from} - ${range.to}` : tr('slot.section'),
+    rows: slotRows
+  }]);
+};
+
+// Helper function to quote the refund for a booking and ask the customer to confirm cancelling it
+const sendCancellationConfirm = async (to, session, booking) => {
+  const tr = await translatorFor(to);
+  const quote = getRefundQuote(booking, await getVenueForBooking(booking));
+  if (!session.meta) session.meta = {};
+  session.meta.cancelBookingId = booking._id.toString();
+  session.step = 'confirming_cancellation';
+  session.markModified('meta');
+  await session.save();
+  
+  // Refunds are wallet credits; card and UPI payments can be refunded to the
+  // payment instead. Money taken at the desk is handed back at the desk.
+  const canChoose = quote.refundAmount > 0 && !booking.meta?.offlinePayment && !booking.meta?.wallet;
+  const quoteKey = booking.meta?.offlinePayment ? 'cancel.refundQuote' : canChoose ? 'cancel.refundQuoteChoice' : 'cancel.refundQuoteCredits';
+  const refundNote = quote.refundAmount > 0
+    ? tr(quoteKey, { percent: quote.refundPercent, amount: quote.refundAmount })
+    : tr('cancel.tooLate');
   
   await sendButtonsMessage(
     to,
-    '🏃 Welcome! Which sport would you like to play?',
-    sportButtons
+    tr('cancel.ask', {
+      sport: booking.sport,
+      centre: booking.centre,
+      date: formatUserDate(booking.date, tr.locale),
+      time: booking.time_slot,
+      refund: refundNote
+    }),
+    [
+      { id: 'cancel_confirm', title: tr('cancel.confirm') },
+      ...(canChoose ? [{ id: 'cancel_refund', title: tr('cancel.confirmRefund') }] : []),
+      { id: 'cancel_keep', title: tr('cancel.keep') }
+    ]
   );
 };
 
-// Helper function to send location selection
-const sendLocationSelection = async (to) => {
-  const locationButtons = [
-    {
-      id: 'location_jw',
-      title: 'JW Marriott'
-    }
-  ];
+// Upcoming-booking pickers: row IDs, where the ID mapping is kept, the step they start
+// and their catalog keys (locales/)
+const BOOKING_PICKERS = {
+  cancel: { prefix: 'cx', mappingKey: 'cancelMapping', step: 'selecting_cancellation', header: 'cancel.header', none: 'cancel.noBookings' },
+  reschedule: { prefix: 'rx', mappingKey: 'rescheduleMapping', step: 'selecting_reschedule', header: 'reschedule.header', none: 'reschedule.noBookings' }
+};
+
+// Helper function to list a customer's upcoming paid bookings to cancel or reschedule
+const sendBookingPicker = async (to, session, purpose) => {
+  const tr = await translatorFor(to);
+  const picker = BOOKING_PICKERS[purpose];
+  const bookings = (await getUpcomingPaidBookings(to)).slice(0, 10);
+  if (bookings.length === 0) {
+    await sendMessage(to, tr(picker.none));
+    return;
+  }
+  
+  const bookingRows = bookings.map((b, idx) => ({
+    id: `${picker.prefix}${idx}`,
+    title: formatUserDate(b.date, tr.locale),
+    description: `${b.series ? '🔁 ' : ''}${tr('bookings.row', { time: b.time_slot, sport: b.sport, centre: b.centre })}`.slice(0, 72)
+  }));
+  
+  if (!session.meta) session.meta = {};
+  session.meta[picker.mappingKey] = bookings.reduce((acc, b, idx) => {
+    acc[`${picker.prefix}${idx}`] = b._id.toString();
+    return acc;
+  }, {});
+  session.step = picker.step;
+  session.markModified('meta');
+  await session.save();
+  
+  await sendListMessage(to, tr(picker.header), [{
+    title: tr('bookings.section'),
+    rows: bookingRows
+  }]);
+};
+
+// Weekly bookings: the day of the week, each starting on its next date
+const sendWeekdaySelection = async (to, session) => {
+  const tr = await translatorFor(to);
+  session.step = 'selecting_weekday';
+  await session.save();
+  
+  const weekdayRows = getUpcomingDates(7).map((date) => ({
+    id: `wd_${date}`,
+    title: formatWeekday(date, tr.locale),
+    description: tr('series.starting', { date: formatShortDate(date, tr.locale) })
+  }));
+  await sendListMessage(to, tr('series.weekdayAsk'), [{
+    title: tr('series.weekdaySection'),
+    rows: weekdayRows
+  }]);
+};
+
+const sendSeriesLengthPrompt = async (to, text) => {
+  const tr = await translatorFor(to);
+  await sendButtonsMessage(to, tr('series.lengthHint', { text }), [4, 8, 12].map((weeks) => (
+    { id: `weeks_${weeks}`, title: tr('series.weeks', { count: weeks }) }
+  )));
+};
+
+// Check every date of the weekly booking, report the conflicts and ask to book the rest
+const sendSeriesCheck = async (to, session) => {
+  const tr = await translatorFor(to);
+  const sport = await getSport(session.meta?.selectedSport);
+  const venue = await getVenue(session.meta?.selectedLocation);
+  const { seriesDates: dates, seriesSlot: timeSlot } = session.meta || {};
+  if (!sport || !venue || !dates?.length || !timeSlot) {
+    await sendMessage(to, tr('series.expired'));
+    return;
+  }
   
+  const { available, conflicts } = await checkSeries({ venue, sport, time_slot: timeSlot, dates });
+  session.meta.seriesPlan = available;
+  session.meta.seriesConflicts = conflicts;
+  session.step = 'confirming_series';
+  session.markModified('meta');
+  await session.save();
+  
+  const conflictNote = conflicts.length
+    ? tr('series.notAvailable', { count: conflicts.length, dates: conflicts.map((date) => formatUserDate(date, tr.locale)).join('\n') })
+    : '';
+  if (available.length === 0) {
+    await sendMessage(to, tr('series.noneFree', { count: dates.length, time: timeSlot, conflicts: conflictNote }));
+    return;
+  }
+  const total = available.reduce((sum, d) => sum + d.amount, 0);
+  const weeks = tr('series.weeks', { count: available.length });
   await sendButtonsMessage(
     to,
-    'Select your preferred location:',
-    locationButtons
+    tr('series.check', {
+      sport: sport.name,
+      centre: venue.name,
+      weekday: formatWeekday(dates[0], tr.locale),
+      time: timeSlot,
+      count: available.length,
+      dates: available.map((d) => `${formatUserDate(d.date, tr.locale)} · ₹${d.amount}`).join('\n'),
+      conflicts: conflictNote,
+      weeks,
+      total
+    }),
+    [
+      { id: 'series_book', title: tr('series.book', { weeks }) },
+      { id: 'confirm_no', title: tr('common.cancel') }
+    ]
   );
 };
 
+// Keep the chosen slot and move on to the name, players and add-ons
+const startSlotBooking = async (to, session, timeRange) => {
+  session.meta.selectedTimeSlot = timeRange;
+  session.meta.confirmDate = session.meta.selectedDate;
+  session.meta.confirmTime = timeRange;
+  session.step = 'collecting_name';
+  session.markModified('meta');
+  await session.save();
+  
+  const tr = await translatorFor(to);
+  await sendMessage(to, tr('common.enterName'));
+};
+
+/**
+ * continueTypedRequest(to, session)
+ * Carries on with session.meta.typedRequest (utils/bookingRequest.js): asks for
+ * the sport and location when the request does not settle them, then goes
+ * straight to the slot asked for, the nearest free ones when it is taken, or
+ * the slots of the day or part of the day.
+ */
+const continueTypedRequest = async (to, session) => {
+  const tr = await translatorFor(to);
+  const request = session.meta.typedRequest;
+  
+  if (!session.meta.selectedSport) {
+    const sports = await getActiveSports();
+    const venue = request.venueCode ? await getVenue(request.venueCode) : null;
+    const candidates = venue ? sports.filter((s) => venue.sports.some((offered) => offered.code === s.code)) : sports;
+    const sport = sports.find((s) => s.code === request.sportCode) || (candidates.length === 1 ? candidates[0] : null);
+    if (!sport) {
+      session.step = 'selecting_sport';
+      await session.save();
+      await sendSportSelection(to);
+      return;
+    }
+    session.meta.selectedSport = sport.code;
+  }
+  
+  if (!session.meta.selectedLocation) {
+    const venues = await getVenuesForSport(session.meta.selectedSport);
+    const venue = venues.find((v) => v.code === request.venueCode) || (venues.length === 1 ? venues[0] : null);
+    if (!venue) {
+      session.step = 'selecting_location';
+      session.markModified('meta');
+      await session.save();
+      if (request.venueCode) await sendMessage(to, tr('location.noSport'));
+      await sendLocationSelection(to, session.meta.selectedSport);
+      return;
+    }
+    session.meta.selectedLocation = venue.code;
+  }
+  
+  // One slot unless the request gave a range ("7-8pm") the venue takes bookings
+  // that long for, or the customer picks a longer booking from the list
+  delete session.meta.typedRequest;
+  delete session.meta.durationMinutes;
+  session.markModified('meta');
+  if (request.duration) {
+    const slotOptions = await getSlotOptions(session);
+    if (slotOptions && getDurationOptions(slotOptions).includes(request.duration)) {
+      session.meta.durationMinutes = request.duration;
+    }
+  }
+  
+  // A time without a date is today, or tomorrow once it has passed
+  const today = todayInTimezone();
+  let date = request.date;
+  if (!date && request.time) {
+    date = getSlotStart(today, `${request.time} - ${request.time}`) > new Date() ? today : addDaysToIsoDate(today, 1);
+  }
+  if (!date && request.window) date = today;
+  if (!date) {
+    await session.save();
+    await sendDurationSelection(to, session);
+    return;
+  }
+  if (!getUpcomingDates(7).includes(date)) {
+    await session.save();
+    await sendMessage(to, tr('date.tooFar', { date: formatUserDate(date, tr.locale) }));
+    await sendDurationSelection(to, session);
+    return;
+  }
+  
+  session.meta.selectedDate = date;
+  session.step = 'selecting_time_period';
+  await session.save();
+  
+  const slots = await loadSessionSlots(to, session);
+  if (!slots) return;
+  
+  if (request.time) {
+    const exact = slots.find((slot) => slotStart(slot) === request.time);
+    if (exact) {
+      await sendMessage(to, tr('slot.free', { time: exact.formatted, date: formatLongDate(date, tr.locale) }));
+      await startSlotBooking(to, session, exact.formatted);
+      return;
+    }
+    const distance = (slot) => Math.abs(toMinutes(slotStart(slot)) - toMinutes(request.time));
+    const nearest = [...slots].sort((a, b) => distance(a) - distance(b)).slice(0, 5).sort((a, b) => a.start - b.start);
+    if (nearest.length > 0) {
+      await sendMessage(to, tr('slot.nearest', { time: request.time, date: formatLongDate(date, tr.locale) }));
+      await sendSlotList(to, session, null, nearest);
+      return;
+    }
+  }
+  
+  if (request.window) {
+    const inWindow = slots.filter((slot) => slotStart(slot) >= request.window.from && slotStart(slot) < request.window.to);
+    if (inWindow.length > 0) {
+      await sendSlotList(to, session, null, inWindow);
+      return;
+    }
+    if (slots.length > 0) await sendMessage(to, tr('slot.windowFull', { date: formatLongDate(date, tr.locale) }));
+  }
+  await sendPeriodSelection(to, session);
+};
 
 // Helper function to send welcome message with sport selection
 const sendWelcomeMessage = async (to) => {
   await sendSportSelection(to);
 };
 
+// Ask how many are playing, up to the sport's maxPlayers
+const sendPlayerCountSelection = async (to, session) => {
+  const tr = await translatorFor(to);
+  const slotOptions = await getSlotOptions(session);
+  if (!slotOptions) {
+    await sendMessage(to, tr('common.sessionExpired'));
+    return;
+  }
+  const playerRows = Array.from({ length: Math.min(slotOptions.maxPlayers, 10) }, (_, i) => ({
+    id: `players_${i + 1}`,
+    title: tr('players.option', { count: i + 1 })
+  }));
+  await sendChoices(to, tr('players.ask'), tr('players.section'), playerRows);
+};
+
+// Add-ons at the session's venue that can go with its slot, and the most of each
+// that can still be added ({ addOns, limits }); null when the session has lost its slot
+const loadAddOnOptions = async (session) => {
+  const venue = await getVenue(session.meta?.selectedLocation);
+  const { selectedDate: date, selectedTimeSlot: time_slot } = session.meta || {};
+  if (!venue || !date || !time_slot) return null;
+  const addOns = (await getAddOnsForVenue(venue.code)).filter((addOn) => isAddOnOfferedAt(addOn, date, time_slot));
+  const limits = await getAddOnLimits({ centre: venue.name, date, time_slot, addOns });
+  return { addOns, limits };
+};
+
+// Put `quantity` of an add-on in the session's cart, replacing any earlier quantity (does not save)
+const setCartItem = (session, addOn, quantity) => {
+  const others = (session.additionalServices || []).filter((item) => item.code !== addOn.code);
+  session.additionalServices = [...others, { code: addOn.code, name: addOn.name, price: addOn.price, quantity }];
+};
+
+// Send the add-ons that can still be added (a list holds at most 10 rows), going
+// straight to checkout when there are none
+const sendAddOnMenu = async (to, session) => {
+  const tr = await translatorFor(to);
+  const options = await loadAddOnOptions(session);
+  if (!options) {
+    await sendMessage(to, tr('common.sessionExpired'));
+    return;
+  }
+  const cart = session.additionalServices || [];
+  const offered = options.addOns.filter((addOn) => options.limits[addOn.code] > 0).slice(0, 9);
+  if (offered.length === 0 && cart.length === 0) {
+    await handleSlotSelection(to, session, session.meta.selectedTimeSlot);
+    return;
+  }
+  
+  const addOnRows = offered.map((addOn) => {
+    const inCart = cart.find((item) => item.code === addOn.code);
+    const notes = [tr('addons.each', { price: addOn.price })];
+    if (addOn.stock != null) notes.push(tr('addons.left', { count: options.limits[addOn.code] }));
+    if (inCart) notes.push(tr('addons.inCart', { count: inCart.quantity || 1 }));
+    return { id: `addon_${addOn.code}`, title: addOn.name.slice(0, 24), description: notes.join(' · ') };
+  });
+  addOnRows.push(cart.length > 0
+    ? { id: 'cart_view', title: tr('addons.reviewCart'), description: tr('addons.total', { total: addOnsTotal(cart) }) }
+    : { id: 'addon_none', title: tr('addons.none'), description: tr('addons.noneDescription') });
+  
+  await sendListMessage(to, tr('addons.ask'), [{
+    title: tr('addons.section'),
+    rows: addOnRows
+  }]);
+};
+
+// Show the cart with its running total
+const sendCart = async (to, session) => {
+  const cart = session.additionalServices || [];
+  if (cart.length === 0) {
+    await sendAddOnMenu(to, session);
+    return;
+  }
+  const tr = await translatorFor(to);
+  const lines = cart.map((item) => `- ${item.name} × ${item.quantity || 1}: ₹${lineTotal(item)}`);
+  await sendButtonsMessage(
+    to,
+    tr('cart.text', { lines: lines.join('\n'), total: addOnsTotal(cart) }),
+    [
+      { id: 'cart_add', title: tr('cart.add') },
+      { id: 'cart_remove', title: tr('cart.remove') },
+      { id: 'cart_checkout', title: tr('cart.checkout') }
+    ]
+  );
+};
+
+// Booking summary shown before payment, with the court fee's pricing rules and any promo
+// discount, in the customer's language (tr from translatorFor)
+const bookingSummary = (booking, tr) => {
+  const addonsSummary = booking.additionalServices?.length > 0 
+    ? tr('summary.addons', {
+        lines: booking.additionalServices.map(addon => 
+          `- ${addon.name} × ${addon.quantity || 1}: ₹${lineTotal(addon)}`
+        ).join('\n')
+      })
+    : '';
+  const price = booking.meta?.pricing;
+  const priceNote = price?.rules?.length ? ` (${price.rules.join(', ')})` : '';
+  const courtFee = price ? tr('summary.courtFee', { amount: price.amount, rules: priceNote }) : '';
+  const coupon = booking.meta?.coupon;
+  const discount = coupon ? tr('summary.promo', { code: coupon.code, discount: coupon.discount }) : '';
+  
+  return tr('summary.text', {
+    name: booking.name,
+    sport: booking.sport,
+    centre: booking.centre,
+    court: booking.courtName || booking.court,
+    date: formatLongDate(booking.date, tr.locale),
+    time: booking.time_slot,
+    duration: formatDuration(slotDurationMinutes(booking.time_slot), tr.locale),
+    players: booking.players || 1,
+    courtFee,
+    addons: addonsSummary,
+    discount,
+    total: booking.totalAmount
+  });
+};
+
+// A split-bill share's label ("You", "Player 2", ...) in the customer's language
+const shareLabel = (tr, share) => {
+  if (share.label === 'You') return tr('split.you');
+  const player = share.label.match(/^Player (\d+)$/);
+  return player ? tr('split.player', { number: player[1] }) : share.label;
+};
+
+// Send a payment link as a tappable "Pay Now" button, or as plain text if the button fails
+const sendPayLink = async (to, text, url, tr) => {
+  try {
+    await sendUrlButtonMessage(to, text, url, tr('common.payNow'));
+  } catch (e) {
+    console.warn('URL button failed, falling back to text link:', e?.message || e);
+    await sendMessage(to, `${text}\n${url}`);
+  }
+};
+
+// Create a Razorpay payment link for a held booking and send it as a tappable URL button
+const sendPaymentLink = async (phone, booking) => {
+  const tr = await translatorFor(phone);
+  try {
+    // Use stored booking.totalAmount as authoritative amount
+    const paymentUrl = await createPaymentLink(booking, booking.totalAmount || 1);
+    if (paymentUrl) {
+      const minutesLeft = Math.max(1, Math.ceil((new Date(booking.holdExpiresAt) - Date.now()) / 60000)) || HOLD_TTL_MINUTES;
+      const body = tr('payment.link', { amount: booking.totalAmount, minutes: minutesLeft });
+      await sendPayLink(phone, body, paymentUrl, tr);
+    }
+  } catch (err) {
+    console.error('Failed to create/send payment link:', err?.message || err);
+    await sendMessage(phone, tr('payment.linkFailedFollowUp'));
+  }
+  
+  // We no longer ask for manual confirmation. The webhook will auto-confirm the booking
+  // and send the final confirmation message to the user after payment is captured.
+  await sendMessage(phone, tr('payment.sent'));
+};
+
+// Let the organiser pay what the other players of a split booking have not
+const sendRemainderLink = async (phone, booking) => {
+  const tr = await translatorFor(phone);
+  const remainder = booking && await startRemainderPayment(booking);
+  if (!remainder) {
+    await sendMessage(phone, tr(booking ? 'split.allPaid' : 'split.noneWaiting'));
+    return;
+  }
+  const body = tr('split.payRemainder', { amount: remainder.share.amount });
+  await sendPayLink(phone, body, remainder.share.paymentLinkUrl, tr);
+};
+
+// Bookings for several players can split the bill; everyone else goes straight to payment
+const offerPaymentOptions = async (phone, booking) => {
+  if (!canSplit(booking)) {
+    await collectPayment(phone, booking);
+    return;
+  }
+  const tr = await translatorFor(phone);
+  await sendButtonsMessage(phone, tr('payment.how', { amount: booking.totalAmount }), [
+    { id: 'pay_full', title: tr('payment.full') },
+    { id: 'pay_split', title: tr('payment.split') }
+  ]);
+};
+
+// Pay from the wallet when its credits cover the booking, otherwise send a payment link
+const collectPayment = async (phone, booking) => {
+  const tr = await translatorFor(phone);
+  const { balance } = await getWallet(phone);
+  if (balance >= booking.totalAmount) {
+    let paid;
+    try {
+      paid = await payWithCredits(booking);
+    } catch (err) {
+      if (err?.code !== 11000) throw err;
+      await sendMessage(phone, tr('payment.creditsSlotTaken'));
+      return;
+    }
+    if (paid) {
+      await sendMessage(phone, tr('payment.paidFromWallet', {
+        sport: paid.sport,
+        centre: paid.centre,
+        court: paid.courtName || paid.court || '-',
+        date: formatUserDate(paid.date, tr.locale),
+        time: paid.time_slot,
+        amount: paid.totalAmount,
+        balance: balance - paid.totalAmount
+      }));
+      return;
+    }
+  }
+  await sendPaymentLink(phone, booking);
+};
+
+// Wallet balance, with the credit packs on sale as a list
+const sendWalletMenu = async (to) => {
+  const tr = await translatorFor(to);
+  const [{ balance, nextExpiry }, packs] = await Promise.all([getWallet(to), getActivePacks()]);
+  const expiryNote = nextExpiry
+    ? `\n${tr('wallet.expiry', { date: formatUserDate(todayInTimezone(undefined, nextExpiry), tr.locale) })}`
+    : '';
+  const text = `${tr('wallet.balance', { balance })}${expiryNote}`;
+  if (packs.length === 0) {
+    await sendMessage(to, `${text}\n\n${tr('wallet.noPacks')}`);
+    return;
+  }
+  
+  await sendMessage(to, `${text}\n\n${tr('wallet.autoPay')}`);
+  const packRows = packs.slice(0, 10).map((pack) => ({
+    id: `pack_${pack.code}`,
+    title: pack.name.slice(0, 24),
+    description: tr(pack.validityDays ? 'wallet.packRowValidity' : 'wallet.packRow', {
+      price: pack.price,
+      credits: pack.credits,
+      days: pack.validityDays
+    }).slice(0, 72)
+  }));
+  await sendListMessage(to, tr('wallet.header'), [{
+    title: tr('wallet.section'),
+    rows: packRows
+  }]);
+};
+
+// The unpaid booking this conversation is holding, or null once its hold has lapsed
+const findHeldBooking = (session) => session.bookingId
+  ? Booking.findOne({ _id: session.bookingId, paid: false, holdsSlot: true, holdExpiresAt: { $gt: new Date() } })
+  : null;
+
 // Handle slot selection
-async function handleSlotSelection(phone, booking, msg) {
+async function handleSlotSelection(phone, session, timeRange) {
   try {
-    // Extract slot information from mapping
-    const timeRange = booking.meta?.slotMapping?.[msg];
-    const date = booking.meta?.selectedDate;
+    const tr = await translatorFor(phone);
+    const date = session.meta?.selectedDate;
     
     if (!timeRange || !date) {
-      await sendMessage(phone, '❌ Session expired. Please type "start" to begin again.');
+      await sendMessage(phone, tr('common.sessionExpired'));
       return;
     }
 
     // Prepare location and sport details for conflict check and DB persistence
-    const locationMap = {
-      'jw': 'JW Marriott',
-      'taj': 'Taj West End',
-      'itc': 'ITC Gardenia'
-    };
-    const sportName = booking.meta.selectedSport === 'pickleball' ? 'Pickleball' : 'Paddle';
-    const centre = locationMap[booking.meta.selectedLocation] || booking.meta.selectedLocation;
-
-    // Check if slot is available before proceeding
-    const available = await isSlotAvailable(centre, sportName, date, timeRange);
+    const sport = await getSport(session.meta.selectedSport);
+    const venue = await getVenue(session.meta.selectedLocation);
+    if (!sport || !venue) {
+      await sendMessage(phone, tr('slot.venueGone'));
+      return;
+    }
+    const sportName = sport.name;
+    const centre = venue.name;
+
+    // An unpaid hold left over from an earlier pass through this conversation
+    // would otherwise keep its slot reserved
+    if (session.bookingId) {
+      await releaseHold({ _id: session.bookingId });
+      session.bookingId = undefined;
+    }
+
+    // Check if slot is available before proceeding (courts closed in their calendar are out)
+    const courts = await getCalendarFreeCourts(date, timeRange, getCourtsForSport(venue, sport.code));
+    const available = await isSlotAvailable(centre, sportName, date, timeRange, courts);
+    const { slotMinutes } = getSlotSettings(venue, sport);
     if (!available) {
-      await sendMessage(phone, '❌ Sorry, this slot is no longer available. Please select a different time slot.');
+      await sendSlotTaken(phone, timeRange, slotMinutes, tr('slot.noLongerAvailable'));
       return;
     }
     
     // Store selection in meta
-    booking.meta.selectedTimeSlot = timeRange;
-    booking.meta.confirmDate = date;
-    booking.meta.confirmTime = timeRange;
-    booking.markModified('meta');
-    // Prepare update payload for persistent booking record
-    // Calculate total amount including base price and addons
-    const baseAmount = booking.meta?.price || Number(process.env.DEFAULT_BOOKING_AMOUNT) || 1;
-    const addonAmount = (booking.additionalServices || []).reduce((sum, addon) => sum + addon.price, 0);
-    const totalAmount = baseAmount + addonAmount;
+    session.meta.selectedTimeSlot = timeRange;
+    session.meta.confirmDate = date;
+    session.meta.confirmTime = timeRange;
+    session.markModified('meta');
+    // Add-ons can sell out or close while the cart is open
+    const cart = session.additionalServices || [];
+    if (cart.length > 0) {
+      const { limits = {} } = (await loadAddOnOptions(session)) || {};
+      const short = cart.filter((item) => !(limits[item.code] >= (item.quantity || 1)));
+      if (short.length > 0) {
+        session.additionalServices = cart.filter((item) => !short.includes(item));
+        await session.save();
+        await sendMessage(phone, tr('addons.soldOut', { count: short.length, items: short.map((item) => item.name).join(', ') }));
+        await sendCart(phone, session);
+        return;
+      }
+    }
+    const addonAmount = addOnsTotal(cart);
+    const priceSlot = await getPricer({ venue, sport, date });
 
-    const updatePayload = {
+    // The reservation lives in its own Booking document on the first free court;
+    // the session only points at it
+    const booking = await reserveCourt({
+      phone,
       sport: sportName,
+      sportCode: sport.code,
       centre,
+      venueCode: venue.code,
       date,
       time_slot: timeRange,
-      name: booking.name,
-      additionalServices: booking.additionalServices || [],
-      totalAmount: Number(totalAmount),
-      meta: booking.meta,
-      step: booking.step || 'payment_pending',
-    };
+      name: session.name,
+      players: session.meta.players,
+      playerPhones: session.meta.playerPhones,
+      additionalServices: cart.map(({ code, name, price, quantity }) => ({ code, name, price, quantity })),
+      totalAmount: addonAmount,
+      // Held for this customer while the payment link is open
+      holdExpiresAt: holdExpiry(),
+      meta: {},
+    }, courts);
 
-    try {
-      console.log('Persisting booking to DB (findByIdAndUpdate)', { bookingId: booking._id?.toString(), updatePayload });
-      // Use findByIdAndUpdate to ensure DB update even if model instance is out-of-sync
-      const updated = await Booking.findByIdAndUpdate(booking._id, updatePayload, { new: true, upsert: false });
-      if (!updated) {
-        console.warn('Failed to update booking record (not found):', booking._id);
-        await sendMessage(phone, '⚠️ Could not persist booking. Please try again.');
-        return;
-      }
-      // Replace local booking object with the one from DB
-      booking = updated;
-      console.log('Persisted booking to DB:', booking._id.toString());
-    } catch (err) {
-      // Handle duplicate slot (unique index on centre+sport+date+time_slot)
-      if (err?.code === 11000) {
-        console.warn('Slot already booked while trying to persist booking:', { centre, date, timeRange });
-      await sendMessage(from, 'Sorry, this slot was just booked by someone else. Please choose another slot or date.');
-        return;
-      }
-      console.error('Error persisting booking:', err);
-      throw err;
+    if (!booking) {
+      // Every court was taken between the availability check and the insert
+      console.warn('Slot already booked while trying to persist booking:', { centre, date, timeRange });
+      await sendSlotTaken(phone, timeRange, slotMinutes, tr('slot.justTaken'));
+      return;
     }
+    console.log('Persisted booking to DB:', booking._id.toString(), 'court', booking.court);
 
-    // Send booking summary to user before payment
-    const slotDate = new Date(date);
-    const formattedDate = slotDate.toLocaleDateString('en-US', {
-      weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
-    });
-    // Format addons summary
-    const addonsSummary = booking.additionalServices?.length > 0 
-      ? '\nAdditional Services:\n' + booking.additionalServices.map(addon => 
-          `- ${addon.name}: ₹${addon.price}`
-        ).join('\n')
-      : '';
+    // Courts can be priced differently, so the slot is priced once its court is known
+    const price = priceSlot(timeRange, courts.find((c) => c.code === booking.court));
+    booking.totalAmount = price.amount + addonAmount;
+    booking.meta = { ...booking.meta, pricing: price };
+    booking.markModified('meta');
+    await booking.save();
 
-    const summary = `Booking Summary\n\nName: ${booking.name}\nSport: ${sportName}\nLocation: ${centre}\nDate: ${formattedDate}\nTime: ${timeRange}${addonsSummary}\nTotal Amount: ₹${booking.totalAmount}`;
-    await sendMessage(phone, summary);
+    session.bookingId = booking._id;
+    session.step = 'payment_pending';
+    await session.save();
+
+    await sendMessage(phone, bookingSummary(booking, tr));
     
-    // Create a Razorpay payment link and send to the user as a tappable URL button
-    // Amount precedence: booking.meta.price -> DEFAULT_BOOKING_AMOUNT env -> 1
-    try {
-  // Use stored booking.totalAmount as authoritative amount
-  const paymentUrl = await createPaymentLink(booking, booking.totalAmount || 1);
-      if (paymentUrl) {
-        const body = `💳 Please complete payment to confirm your booking.\nAmount: ₹${amount}\nTap the button below to pay.\n\nWe'll confirm automatically after successful payment.`;
-        // Use interactive URL button when available
-        try {
-          await sendUrlButtonMessage(phone, body, paymentUrl, 'Pay Now');
-        } catch (e) {
-          // Fallback to plain URL text if interactive URL button fails
-          console.warn('URL button failed, falling back to text link:', e?.message || e);
-          await sendMessage(phone, `${body}\n${paymentUrl}\nAfter payment, tap "✅ Confirm".`);
-        }
+    // Offer the promo code step only while there is a code that could be used
+    if (await hasActiveCoupons()) {
+      await sendButtonsMessage(phone, tr('promo.ask'), [
+        { id: 'promo_enter', title: tr('promo.enter') },
+        { id: 'promo_skip', title: tr('promo.skip') }
+      ]);
+      return;
+    }
+    await offerPaymentOptions(phone, booking);
+  } catch (error) {
+    console.error('Slot selection error:', error);
+    const tr = await translatorFor(phone);
+    await sendMessage(phone, tr('slot.failed'));
+  }
+}
+
+// Handle the new slot picked for a reschedule
+async function handleRescheduleSelection(phone, session, timeRange) {
+  try {
+    const tr = await translatorFor(phone);
+    const date = session.meta?.selectedDate;
+    const booking = await Booking.findOne({ _id: session.meta.rescheduleBookingId, phone, paid: true, status: 'confirmed' });
+    const sport = await getSport(session.meta.selectedSport);
+    const venue = await getVenue(session.meta.selectedLocation);
+    
+    if (!booking || !sport || !venue || !date) {
+      await sendMessage(phone, tr('reschedule.expired'));
+      return;
+    }
+    
+    if (booking.date === date && normalizeSlotString(booking.time_slot) === normalizeSlotString(timeRange)) {
+      await sendMessage(phone, tr('reschedule.sameSlot'));
+      return;
+    }
+    
+    const target = { date, time_slot: timeRange, courts: await getCalendarFreeCourts(date, timeRange, getCourtsForSport(venue, sport.code)) };
+    const quote = await quoteReschedule(booking, venue, sport, target);
+    
+    // Done with the reschedule in this conversation either way
+    delete session.meta.rescheduleBookingId;
+    delete session.meta.rescheduleMapping;
+    session.step = 'welcome';
+    session.markModified('meta');
+    
+    if (quote.difference > 0) {
+      // Hold the new slot and collect the difference before moving anything
+      if (session.bookingId) {
+        await releaseHold({ _id: session.bookingId });
       }
-    } catch (err) {
-      console.error('Failed to create/send payment link:', err?.message || err);
-      await sendMessage(phone, '⚠️ Unable to create a payment link right now. You can still confirm and we will follow up for payment.');
+      const hold = await holdRescheduleSlot(booking, target, quote);
+      if (!hold) {
+        await session.save();
+        await sendMessage(phone, tr('reschedule.taken'));
+        return;
+      }
+      session.bookingId = hold._id;
+      session.step = 'payment_pending';
+      await session.save();
+      
+      const paymentUrl = await createPaymentLink(hold, quote.difference);
+      const body = tr('reschedule.payDifference', {
+        date: formatUserDate(date, tr.locale),
+        time: hold.time_slot,
+        amount: quote.difference,
+        minutes: HOLD_TTL_MINUTES
+      });
+      await sendPayLink(phone, body, paymentUrl, tr);
+      return;
     }
     
-    // We no longer ask for manual confirmation. The webhook will auto-confirm the booking
-    // and send the final confirmation message to the user after payment is captured.
-    await sendMessage(phone, `📩 Payment sent. We'll confirm your booking automatically once payment is received.`);
+    await session.save();
+    const result = await rescheduleBooking(booking, target, quote);
+    if (!result) {
+      await sendMessage(phone, tr('reschedule.taken'));
+      return;
+    }
+    
+    const { booking: moved, refund } = result;
+    let refundNote = '';
+    if (refund) {
+      refundNote = tr(refund.pending ? 'reschedule.refundPending' : 'reschedule.refunded', { amount: refund.amount });
+    }
+    await sendMessage(phone, tr('reschedule.done', {
+      sport: moved.sport,
+      centre: moved.centre,
+      court: moved.courtName || moved.court,
+      date: formatUserDate(moved.date, tr.locale),
+      time: moved.time_slot,
+      refund: refundNote
+    }));
   } catch (error) {
-    console.error('Slot selection error:', error);
-    await sendMessage(phone, '❌ Failed to process your selection. Please try again.');
+    console.error('Reschedule error:', error);
+    const tr = await translatorFor(phone);
+    await sendMessage(phone, tr('reschedule.failed'));
   }
 }
 
 // Handle booking confirmation
-async function handleBookingConfirmation(phone, booking, msg) {
+async function handleBookingConfirmation(phone, session, msg) {
   try {
+    const tr = await translatorFor(phone);
     if (msg === 'confirm_no') {
-      await Booking.deleteOne({ phone });
-      await sendMessage(phone, "❌ Booking cancelled. Type 'start' to begin a new booking.");
+      await resetSession(phone);
+      await sendMessage(phone, tr('booking.cancelled'));
       return;
     }
     
-    const date = booking.meta?.confirmDate;
-    const timeRange = booking.meta?.confirmTime;
+    const date = session.meta?.confirmDate;
+    const timeRange = session.meta?.confirmTime;
     
     if (!date || !timeRange) {
-      await sendMessage(phone, '❌ Session expired. Please type "start" to begin again.');
+      await sendMessage(phone, tr('common.sessionExpired'));
       return;
     }
     
-    const [startTime, endTime] = timeRange.split('-');
-    const sport = booking.meta.selectedSport === 'pickleball' ? 'Pickleball' : 'Paddle';
-    const sportEmoji = booking.meta.selectedSport === 'pickleball' ? '🏓' : '🎾';
-    
-    const locationMap = {
-      'jw': 'JW Marriott',
-      'taj': 'Taj West End',
-      'itc': 'ITC Gardenia'
-    };
-    const location = locationMap[booking.meta.selectedLocation] || booking.meta.selectedLocation;
+    const sportDoc = await getSport(session.meta.selectedSport);
+    const venue = await getVenue(session.meta.selectedLocation);
+    const sport = sportDoc?.name || session.meta.selectedSport;
+    const sportEmoji = sportDoc?.emoji || '🏅';
+    const location = venue?.name || session.meta.selectedLocation;
     
     // If payment is pending, block confirmation until webhook marks booking as paid
-    if (booking.step === 'payment_pending' && !booking.paid) {
+    const booking = session.bookingId ? await Booking.findById(session.bookingId) : null;
+    if (booking && booking.status === 'payment_pending' && !booking.paid) {
       const paymentUrl = booking.meta?.razorpay?.paymentLinkUrl;
-      const amount = booking.meta?.price || Number(process.env.DEFAULT_BOOKING_AMOUNT) || 300;
-      const body = `🔒 Payment required to confirm booking.\nAmount: ₹${amount}\nPlease complete payment and wait for confirmation.`;
-      try {
-        if (paymentUrl) {
-          await sendUrlButtonMessage(phone, body, paymentUrl, 'Pay Now');
-        } else {
-          await sendMessage(phone, `${body}\nWe couldn't find a payment link. Please try slot selection again or contact support.`);
-        }
-      } catch (e) {
-        console.warn('Failed to send payment reminder button:', e?.message || e);
-        if (paymentUrl) await sendMessage(phone, `${body}\n${paymentUrl}`);
+      const amount = booking.totalAmount || Number(process.env.DEFAULT_BOOKING_AMOUNT) || 300;
+      const body = tr('payment.required', { amount });
+      if (paymentUrl) {
+        await sendPayLink(phone, body, paymentUrl, tr);
+      } else {
+        await sendMessage(phone, `${body}\n${tr('payment.noLink')}`);
       }
       return;
     }
     
-    // Try to create Google Calendar event
-    let calendarCreated = false;
-    try {
-      await createEvent({
-        dateISO: date,
-        slot: timeRange,
-        summary: `${sport} Court Booking`,
-        description: `${sport} court booking via WhatsApp by ${phone}`,
-        timezone: process.env.GOOGLE_DEFAULT_TIMEZONE || 'Asia/Kolkata'
-      });
-      calendarCreated = true;
-    } catch (error) {
-      console.error('⚠️ Failed to create calendar event:', error.message);
-      // Continue with booking even if calendar creation fails
-    }
-    
+    // The calendar event is created by the payment webhook once the booking is paid
     // Send confirmation message
-    const slotDate = new Date(date);
-    const formattedDate = slotDate.toLocaleDateString('en-US', { 
-      weekday: 'long', 
-      year: 'numeric', 
-      month: 'long', 
-      day: 'numeric' 
-    });
+    const formattedDate = formatLongDate(date, tr.locale);
     
-    const calendarNote = calendarCreated 
-      ? '\n📆 Calendar event created!' 
-      : '\n⚠️ Note: Calendar sync unavailable';
+    const calendarNote = booking?.calendarEventId ? tr('booking.calendarCreated') : '';
     
-    await sendMessage(
-      phone,
-      `✅ Booking Confirmed!\n\n${sportEmoji} ${sport}\n📍 ${location}\n📅 ${formattedDate}\n🕒 ${timeRange}${calendarNote}\n\nSee you at the court! 🎉`
-    );
+    await sendMessage(phone, tr('booking.confirmed', {
+      emoji: sportEmoji,
+      sport,
+      centre: location,
+      date: formattedDate,
+      time: timeRange,
+      calendarNote
+    }));
     
-    // Reset booking state
-    await Booking.deleteOne({ phone });
+    // Conversation finished; the booking itself is kept
+    await Session.deleteOne({ phone });
     
   } catch (error) {
     console.error('Booking confirmation error:', error);
-    await sendMessage(phone, '❌ Failed to confirm booking. Please try again.');
+    const tr = await translatorFor(phone);
+    await sendMessage(phone, tr('booking.confirmFailed'));
   }
 }
 
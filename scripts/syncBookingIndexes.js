@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import Venue from "../models/Venue.js";
+import { getCourtsForSport } from "../utils/courts.js";
+import { slotUnits } from "../utils/slots.js";
+import dotenv from "dotenv";
+dotenv.config();
+
+// Moves bookings onto per-court slots: assigns the first court to bookings made
+// before courts existed, marks them as holding their slot, fills in the grid
+// units their time_slot covers, then swaps the old slot indexes for the
+// {centre, court, date, slotUnits} one.
+const { MONGO_URI, DB_NAME } = process.env;
+(async () => {
+  await mongoose.connect(MONGO_URI, { dbName: DB_NAME || "booking_bot" });
+  const venues = await Venue.find().lean();
+  const legacy = await Booking.find({ court: null });
+  let assigned = 0;
+  for (const b of legacy) {
+    const venue = venues.find((v) => v.code === b.venueCode || v.name === b.centre);
+    const [court] = getCourtsForSport(venue, b.sportCode || String(b.sport || "").toLowerCase());
+    if (!court) continue;
+    b.court = court.code;
+    b.courtName = court.name;
+    await b.save();
+    console.log(`Assigned booking ${b._id} => ${court.code}`);
+    assigned++;
+  }
+  const marked = await Booking.updateMany({ holdsSlot: { $exists: false } }, { $set: { holdsSlot: true } });
+  console.log(`Marked ${marked.modifiedCount} bookings as holding their slot`);
+  const unitless = await Booking.find({ "slotUnits.0": { $exists: false } }).select("time_slot").lean();
+  for (const b of unitless) {
+    await Booking.updateOne({ _id: b._id }, { $set: { slotUnits: slotUnits(b.time_slot) } });
+  }
+  console.log(`Filled slot units on ${unitless.length} bookings`);
+  const dropped = await Booking.syncIndexes();
+  console.log(`Done! Assigned ${assigned} of ${legacy.length} legacy bookings. Dropped indexes:`, dropped);
+  mongoose.disconnect();
+})();
@@ -5,8 +5,15 @@ dotenv.config();
 
 
 import mongoose from "mongoose";
-import whatsappRoutes from "./routes/whatsApp.js";
+import whatsappRoutes from "./routes/whatsapp.js";
 import razorpayWebhookRoutes from "./routes/razorpayWebhook.js";
+import adminRoutes from "./routes/admin.js";
+import { seedDefaultCatalog } from "./utils/catalog.js";
+import { startHoldSweeper } from "./utils/holds.js";
+import { startJobRunner } from "./utils/jobs.js";
+import { registerReminderJobs } from "./utils/reminders.js";
+import { registerCalendarJobs } from "./utils/calendarSync.js";
+import { registerRescheduleJobs } from "./utils/reschedule.js";
 
 
 const app = express();
@@ -61,6 +68,11 @@ console.warn("⚠️ razorpayWebhookRoutes not found - /razorpay not mounted");
 }
 
 
+// Staff API, guarded by ADMIN_API_KEY inside the router
+app.use("/admin", adminRoutes);
+console.log("Mounted /admin routes");
+
+
 // static (optional)
 app.use(express.static("public"));
 
@@ -91,11 +103,28 @@ console.warn("⚠️ MongoDB connection URI not available — DB features disabl
     w: 'majority'
   };
 
+  // Background jobs start once, on the first successful connection
+  let backgroundJobsStarted = false;
+  const startBackgroundJobs = () => {
+    if (backgroundJobsStarted) return;
+    backgroundJobsStarted = true;
+    startHoldSweeper();
+    registerReminderJobs();
+    registerCalendarJobs();
+    registerRescheduleJobs();
+    startJobRunner();
+  };
+
   // Function to connect with retry logic
   const connectWithRetry = () => {
     console.log('Attempting MongoDB connection...');
     mongoose.connect(mongoConnectUri, mongooseOptions)
-      .then(() => console.log("✅ MongoDB connected to database:", DB_NAME || "booking_bot"))
+      .then(() => {
+        console.log("✅ MongoDB connected to database:", DB_NAME || "booking_bot");
+        startBackgroundJobs();
+        // Make sure sports, venues and add-ons exist before the first customer asks
+        return seedDefaultCatalog().catch(err => console.error("Catalog seed error:", err.message));
+      })
       .catch(err => {
         console.error('MongoDB connection error:', err.message);
         console.log('Retrying connection in 5 seconds...');
@@ -0,0 +1,80 @@
+// test/bookingRequest.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseBookingRequest } from "../utils/bookingRequest.js";
+
+const sports = [
+  { code: "pickleball", name: "Pickleball" },
+  { code: "badminton", name: "Badminton" },
+];
+const venues = [
+  { code: "JW", name: "JW Marriott" },
+  { code: "KR", name: "Koramangala Arena" },
+];
+// Monday 19 October 2026, noon in Bengaluru
+const options = { sports, venues, timezone: "Asia/Kolkata", now: new Date("2026-10-19T06:30:00Z") };
+const parse = (text, extra = {}) => parseBookingRequest(text, { ...options, ...extra });
+const pick = ({ time, duration }) => ({ time, duration });
+
+test("picks the sport, venue, date and time out of a message", () => {
+  assert.deepEqual(parse("book pickleball tomorrow 7pm at JW"), {
+    sportCode: "pickleball",
+    venueCode: "JW",
+    date: "2026-10-20",
+    time: "19:00",
+    window: null,
+    duration: null,
+  });
+});
+
+test("matches venues by code, full name or first word", () => {
+  assert.equal(parse("badminton today 6pm at koramangala").venueCode, "KR");
+  assert.equal(parse("badminton today 6pm jw marriott").venueCode, "JW");
+  assert.equal(parse("Badminton, today 6pm!").venueCode, null);
+});
+
+test("counts weekdays from today in the venue timezone", () => {
+  assert.equal(parse("pickleball wednesday 7pm").date, "2026-10-21");
+  assert.equal(parse("pickleball monday 7pm").date, "2026-10-19");
+  assert.equal(parse("pickleball next monday 7pm").date, "2026-10-26");
+  assert.equal(parse("pickleball day after tomorrow 7pm").date, "2026-10-21");
+  // Late on Sunday in UTC is already Monday at the venue
+  assert.equal(parse("pickleball today 7pm", { now: new Date("2026-10-18T20:00:00Z") }).date, "2026-10-19");
+});
+
+test("reads dates without a year as the next time they come round", () => {
+  assert.equal(parse("pickleball 25 dec 7pm").date, "2026-12-25");
+  assert.equal(parse("pickleball jan 3rd 7pm").date, "2027-01-03");
+  assert.equal(parse("pickleball 12/10 7pm").date, "2027-10-12");
+  assert.equal(parse("pickleball 12-11 at 19").date, "2026-11-12");
+});
+
+test("reads a time range as a start time and a length", () => {
+  assert.deepEqual(pick(parse("pickleball 7-8pm today")), { time: "19:00", duration: 60 });
+  assert.deepEqual(pick(parse("pickleball 7pm to 8:30pm")), { time: "19:00", duration: 90 });
+  assert.deepEqual(pick(parse("pickleball 11-1pm")), { time: "11:00", duration: 120 });
+  assert.deepEqual(pick(parse("pickleball 19:00-20:00")), { time: "19:00", duration: 60 });
+  // A bare range is on the 24-hour clock, like a bare hour
+  assert.deepEqual(pick(parse("pickleball 7-8")), { time: "07:00", duration: 60 });
+});
+
+test("takes a part of the day when no time is given", () => {
+  assert.deepEqual(parse("pickleball saturday evening").window, { from: "17:00", to: "24:00" });
+  assert.equal(parse("pickleball saturday evening").time, null);
+  assert.equal(parse("pickleball tonight").date, "2026-10-19");
+  assert.deepEqual(parse("pickleball tonight").window, { from: "17:00", to: "24:00" });
+});
+
+test("needs a sport, venue or booking word unless a booking is under way", () => {
+  assert.equal(parse("see you tomorrow at 7pm"), null);
+  assert.equal(parse("sat morning"), null);
+  assert.equal(parse("can I book a court tomorrow 7pm").sportCode, null);
+  assert.deepEqual(parse("sat morning", { inBooking: true }).window, { from: "00:00", to: "12:00" });
+  // A date alone is not enough mid-booking
+  assert.equal(parse("saturday", { inBooking: true }), null);
+});
+
+test("returns null when the message names no date or time", () => {
+  assert.equal(parse("book pickleball at JW"), null);
+  assert.equal(parse(""), null);
+});
@@ -0,0 +1,106 @@
+// test/courtCapacity.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Booking from "../models/Booking.js";
+import SlotBlock from "../models/SlotBlock.js";
+import { getCourtsForSport, withCourtCapacity } from "../utils/courts.js";
+import { courtCalendars, isEventForCourt, busyCourtsBetween } from "../utils/googleCalendar.js";
+
+// Two courts on the venue's shared calendar and one with a calendar of its own
+const venue = {
+  code: "JW",
+  name: "JW Marriott",
+  calendarId: "venue@group.calendar.google.com",
+  courts: [
+    { code: "c1", name: "Court 1", sports: ["pickleball"] },
+    { code: "c2", name: "Court 2", sports: ["pickleball"] },
+    { code: "c3", name: "Court 3", calendarId: "court3@group.calendar.google.com" },
+    { code: "c4", name: "Court 4", sports: ["badminton"] },
+    { code: "c5", name: "Court 5", active: false },
+  ],
+};
+const courts = getCourtsForSport(venue, "pickleball");
+const calendars = courtCalendars({ courts });
+
+const DATE = "2026-10-21";
+const SLOT = { start: "2026-10-21T18:00:00+05:30", end: "2026-10-21T19:00:00+05:30" };
+const event = (fields) => ({ start: "2026-10-21T18:00:00+05:30", end: "2026-10-21T19:00:00+05:30", ...fields });
+const busyOn = (calendarId, ...events) => ({ [calendarId]: events });
+const busyAt = (busyById) => busyCourtsBetween(calendars, busyById, SLOT.start, SLOT.end);
+
+test("getCourtsForSport pairs each court with its calendar", () => {
+  assert.deepEqual(
+    courts.map(({ code, calendarId, sharedCalendar, centre }) => ({ code, calendarId, sharedCalendar, centre })),
+    [
+      { code: "c1", calendarId: venue.calendarId, sharedCalendar: true, centre: "JW Marriott" },
+      { code: "c2", calendarId: venue.calendarId, sharedCalendar: true, centre: "JW Marriott" },
+      { code: "c3", calendarId: "court3@group.calendar.google.com", sharedCalendar: false, centre: "JW Marriott" },
+    ]
+  );
+  assert.deepEqual(calendars.map(({ code, shared }) => [code, shared]), [["c1", true], ["c2", true], ["c3", false]]);
+});
+
+test("an event on a shared calendar that names no court closes none", () => {
+  assert.deepEqual(busyAt(busyOn(venue.calendarId, event({ location: "Lobby" }))), []);
+  assert.deepEqual(busyAt(busyOn(venue.calendarId, event({}))), []);
+});
+
+test("an event on a shared calendar closes only the court it names", () => {
+  assert.deepEqual(busyAt(busyOn(venue.calendarId, event({ court: "c2" }))), ["c2"]);
+  assert.deepEqual(busyAt(busyOn(venue.calendarId, event({ court: "c2", centre: "JW Marriott" }))), ["c2"]);
+  assert.deepEqual(busyAt(busyOn(venue.calendarId, event({ location: " court 1 " }))), ["c1"]);
+  assert.deepEqual(busyAt(busyOn(venue.calendarId, event({ location: "C2" }))), ["c2"]);
+  // The same court code at another venue sharing the calendar
+  assert.deepEqual(busyAt(busyOn(venue.calendarId, event({ court: "c2", centre: "Koramangala Arena" }))), []);
+});
+
+test("any event on a court's own calendar closes it", () => {
+  assert.deepEqual(busyAt(busyOn("court3@group.calendar.google.com", event({ location: "Coaching" }))), ["c3"]);
+});
+
+test("a calendar used by several courts counts as shared even when set on each court", () => {
+  const twins = [
+    { code: "a", calendarId: "same", sharedCalendar: false },
+    { code: "b", calendarId: "same", sharedCalendar: false },
+  ];
+  assert.deepEqual(courtCalendars({ courts: twins }).map(({ shared }) => shared), [true, true]);
+  assert.equal(isEventForCourt({}, courtCalendars({ courts: twins })[0]), false);
+});
+
+test("events that only touch the slot leave it open", () => {
+  const before = event({ court: "c1", start: "2026-10-21T17:00:00+05:30", end: "2026-10-21T18:00:00+05:30" });
+  const after = event({ court: "c1", start: "2026-10-21T19:00:00+05:30", end: "2026-10-21T20:00:00+05:30" });
+  const overlapping = event({ court: "c1", start: "2026-10-21T18:30:00+05:30", end: "2026-10-21T20:00:00+05:30" });
+  assert.deepEqual(busyAt(busyOn(venue.calendarId, before, after)), []);
+  assert.deepEqual(busyAt(busyOn(venue.calendarId, overlapping)), ["c1"]);
+});
+
+test("without courts the default calendar closes its single court outright", () => {
+  const [single] = courtCalendars();
+  assert.equal(single.shared, false);
+  assert.equal(isEventForCourt({ location: "Anything" }, single), true);
+});
+
+test("withCourtCapacity counts calendar-closed courts with bookings and blocks", async (t) => {
+  let bookings = [];
+  let blocks = [];
+  const lean = (rows) => () => ({ select: () => ({ lean: async () => rows() }) });
+  t.mock.method(Booking, "find", lean(() => bookings));
+  t.mock.method(SlotBlock, "find", lean(() => blocks));
+  const slots = [
+    { formatted: "18:00 - 19:00", busyCourts: busyAt(busyOn(venue.calendarId, event({ court: "c1" }))) },
+    { formatted: "19:00 - 20:00", busyCourts: [] },
+  ];
+  const capacity = (rows) => rows.map(({ formatted, capacity: total, remaining }) => [formatted, total, remaining]);
+
+  const options = { centre: venue.name, sport: "pickleball", date: DATE, courts };
+  assert.deepEqual(capacity(await withCourtCapacity(slots, options)), [
+    ["18:00 - 19:00", 3, 2],
+    ["19:00 - 20:00", 3, 3],
+  ]);
+
+  // A booking on the court the calendar already closed is not counted twice
+  bookings = [{ time_slot: "18:00 - 19:00", court: "c1" }, { time_slot: "18:30 - 19:30", court: "c2" }];
+  blocks = [{ time_slot: "18:00 - 20:00", court: "c3" }];
+  assert.deepEqual(capacity(await withCourtCapacity(slots, options)), [["19:00 - 20:00", 3, 1]]);
+});
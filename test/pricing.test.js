@@ -0,0 +1,94 @@
+// test/pricing.test.js
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import PricingRule from "../models/PricingRule.js";
+import Holiday from "../models/Holiday.js";
+import { getPricer, describePriceRange } from "../utils/pricing.js";
+
+const venue = { code: "JW", sports: [{ code: "badminton", price: 400, slotMinutes: 60 }] };
+const sport = { code: "badminton", basePrice: 300 };
+const WEDNESDAY = "2026-10-21";
+const SATURDAY = "2026-10-24";
+// Well ahead of both dates, so lead-time rules only match when a test sets `now`
+const now = new Date("2026-10-01T00:00:00Z");
+
+let rules;
+let holiday;
+
+const rule = (fields) => ({ name: "Rule", adjustment: { type: "percent", value: 0 }, ...fields });
+
+beforeEach(() => {
+  rules = [];
+  holiday = null;
+  mock.method(PricingRule, "find", () => ({ sort: () => ({ lean: async () => rules }) }));
+  mock.method(Holiday, "exists", async () => holiday);
+});
+
+afterEach(() => mock.restoreAll());
+
+test("charges the venue's slot price when no rule matches", async () => {
+  const priceSlot = await getPricer({ venue, sport, date: WEDNESDAY, now });
+  assert.deepEqual(priceSlot("10:00 - 11:00"), { amount: 400, base: 400, rules: [] });
+  assert.deepEqual(priceSlot("10:00 - 12:00"), { amount: 800, base: 800, rules: [] });
+});
+
+test("applies matching rules in order, each to the running price", async () => {
+  rules = [
+    rule({ name: "Peak", from: "18:00", to: "21:00", adjustment: { type: "percent", value: 50 } }),
+    rule({ name: "Lights", from: "18:00", adjustment: { type: "amount", value: 100 } }),
+  ];
+  const priceSlot = await getPricer({ venue, sport, date: WEDNESDAY, now });
+  assert.deepEqual(priceSlot("18:00 - 19:00"), { amount: 700, base: 400, rules: ["Peak", "Lights"] });
+  assert.deepEqual(priceSlot("21:00 - 22:00"), { amount: 500, base: 400, rules: ["Lights"] });
+  assert.deepEqual(priceSlot("17:00 - 18:00").rules, []);
+});
+
+test("prices a booking slot by slot when it runs into a peak window", async () => {
+  rules = [rule({ name: "Peak", from: "18:00", to: "21:00", adjustment: { type: "fixed", value: 1000 } })];
+  const priceSlot = await getPricer({ venue, sport, date: WEDNESDAY, now });
+  assert.deepEqual(priceSlot("17:00 - 19:00"), { amount: 1400, base: 800, rules: ["Peak"] });
+});
+
+test("a window whose end is before its start runs past midnight", async () => {
+  rules = [rule({ name: "Late night", from: "22:00", to: "02:00", adjustment: { type: "amount", value: -100 } })];
+  const priceSlot = await getPricer({ venue, sport, date: WEDNESDAY, now });
+  assert.equal(priceSlot("23:00 - 00:00").amount, 300);
+  assert.equal(priceSlot("01:00 - 02:00").amount, 300);
+  assert.equal(priceSlot("02:00 - 03:00").amount, 400);
+  assert.equal(priceSlot("21:00 - 22:00").amount, 400);
+});
+
+test("weekday and holiday rules follow the date", async () => {
+  rules = [rule({ name: "Weekend", days: [0, 6], onHolidays: true, adjustment: { type: "percent", value: 25 } })];
+  assert.equal((await getPricer({ venue, sport, date: SATURDAY, now }))("10:00 - 11:00").amount, 500);
+  assert.equal((await getPricer({ venue, sport, date: WEDNESDAY, now }))("10:00 - 11:00").amount, 400);
+
+  holiday = { _id: "diwali" };
+  assert.equal((await getPricer({ venue, sport, date: WEDNESDAY, now }))("10:00 - 11:00").amount, 500);
+});
+
+test("skips rules for other venues, sports and court types", async () => {
+  rules = [
+    rule({ name: "Other venue", venues: ["KR"], adjustment: { type: "fixed", value: 1 } }),
+    rule({ name: "Other sport", sports: ["tennis"], adjustment: { type: "fixed", value: 1 } }),
+    rule({ name: "Synthetic", courtTypes: ["synthetic"], adjustment: { type: "amount", value: 50 } }),
+  ];
+  const priceSlot = await getPricer({ venue, sport, date: WEDNESDAY, now });
+  assert.deepEqual(priceSlot("10:00 - 11:00", { type: "wooden" }), { amount: 400, base: 400, rules: [] });
+  assert.deepEqual(priceSlot("10:00 - 11:00", { type: "synthetic" }), { amount: 450, base: 400, rules: ["Synthetic"] });
+  assert.equal(describePriceRange(priceSlot, "10:00 - 11:00", [{ type: "wooden" }, { type: "synthetic" }]), "₹400 - ₹450");
+});
+
+test("lead-time rules compare against the slot's start", async () => {
+  rules = [rule({ name: "Last minute", maxLeadHours: 2, adjustment: { type: "percent", value: -20 } })];
+  // 10:00 IST on the Wednesday
+  const priceSlot = await getPricer({ venue, sport, date: WEDNESDAY, now: new Date("2026-10-21T04:30:00Z") });
+  assert.equal(priceSlot("11:00 - 12:00").amount, 320);
+  assert.equal(priceSlot("13:00 - 14:00").amount, 400);
+});
+
+test("never charges less than ₹1", async () => {
+  rules = [rule({ name: "Free", adjustment: { type: "amount", value: -1000 } })];
+  const priceSlot = await getPricer({ venue, sport, date: WEDNESDAY, now });
+  assert.equal(priceSlot("10:00 - 11:00").amount, 1);
+});
@@ -0,0 +1,15 @@
+// test/setup.js
+// Loaded before every test file (see the "test" script in package.json)
+import mongoose from "mongoose";
+
+// utils/payments.js creates its Razorpay client on import
+process.env.RAZORPAY_KEY_ID ||= "rzp_test_key";
+process.env.RAZORPAY_KEY_SECRET ||= "rzp_test_secret";
+// Keep a local .env from pointing tests at real Google or WhatsApp accounts
+process.env.GOOGLE_REFRESH_TOKEN = "";
+process.env.ACCESS_TOKEN = "";
+process.env.DOTENV_CONFIG_QUIET = "true";
+
+// Tests never connect to Mongo: a query a test has not stubbed fails straight
+// away instead of waiting for a connection
+mongoose.set("bufferCommands", false);
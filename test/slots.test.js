@@ -0,0 +1,54 @@
+// test/slots.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toMinutes, fromMinutes, formatSlot, parseSlot, slotDurationMinutes, slotUnits, formatDuration, parseTimeOfDay } from "../utils/slots.js";
+
+test("converts between HH:MM and minutes after midnight", () => {
+  assert.equal(toMinutes("06:30"), 390);
+  assert.equal(toMinutes("18"), 1080);
+  assert.equal(fromMinutes(390), "06:30");
+  assert.equal(formatSlot(1080, 1170), "18:00 - 19:30");
+});
+
+test("parses slot labels however they are spaced", () => {
+  assert.deepEqual(parseSlot("18:00 - 19:30"), { start: 1080, end: 1170 });
+  assert.deepEqual(parseSlot("18:00-19:30"), { start: 1080, end: 1170 });
+  assert.equal(parseSlot("19:00 - 18:00"), null);
+  assert.equal(parseSlot("evening"), null);
+  assert.equal(slotDurationMinutes("06:00 - 07:30"), 90);
+  assert.equal(slotDurationMinutes("evening"), 0);
+});
+
+test("slotUnits covers a slot in 15-minute units", () => {
+  assert.deepEqual(slotUnits("18:00 - 19:00"), ["18:00", "18:15", "18:30", "18:45"]);
+  assert.deepEqual(slotUnits("06:30 - 07:00"), ["06:30", "06:45"]);
+  // A start off the grid still claims the unit it falls in
+  assert.deepEqual(slotUnits("06:40 - 07:00"), ["06:30", "06:45"]);
+  assert.deepEqual(slotUnits("evening"), ["evening"]);
+});
+
+test("overlapping slots of different lengths share a unit, neighbours do not", () => {
+  const shared = (a, b) => slotUnits(a).some((unit) => slotUnits(b).includes(unit));
+  assert.equal(shared("18:00 - 20:00", "19:30 - 20:00"), true);
+  assert.equal(shared("18:00 - 19:00", "19:00 - 20:00"), false);
+  assert.equal(shared("18:00 - 19:30", "19:00 - 20:00"), true);
+});
+
+test("formatDuration reads naturally and follows the locale", () => {
+  assert.equal(formatDuration(30), "30 min");
+  assert.equal(formatDuration(60), "1 hour");
+  assert.equal(formatDuration(90), "1h 30m");
+  assert.equal(formatDuration(120), "2 hours");
+  assert.notEqual(formatDuration(120, "hi"), "2 hours");
+});
+
+test("parseTimeOfDay takes 24-hour and am/pm times", () => {
+  assert.equal(parseTimeOfDay("19:00"), 1140);
+  assert.equal(parseTimeOfDay("7pm"), 1140);
+  assert.equal(parseTimeOfDay("7:30 pm"), 1170);
+  assert.equal(parseTimeOfDay("12am"), 0);
+  assert.equal(parseTimeOfDay("12pm"), 720);
+  assert.equal(parseTimeOfDay("13pm"), null);
+  assert.equal(parseTimeOfDay("24:00"), null);
+  assert.equal(parseTimeOfDay("soon"), null);
+});
@@ -0,0 +1,106 @@
+// test/wallet.test.js
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import WalletEntry from "../models/WalletEntry.js";
+import Session from "../models/Session.js";
+import { getWallet, payWithCredits } from "../utils/wallet.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const inDays = (days) => new Date(Date.now() + days * DAY_MS);
+
+let lots;
+let spends;
+
+const lot = (name, remaining, expiresAt = null) => ({ _id: new mongoose.Types.ObjectId(), name, remaining, expiresAt });
+const remaining = () => Object.fromEntries(lots.map((l) => [l.name, l.remaining]));
+// Names of the lots a spend entry took from, with the amounts
+const spent = (spend) => spend.lots.map(({ entry, amount }) => [lots.find((l) => l._id.equals(entry)).name, amount]);
+
+// Held booking as payWithCredits receives it; save() stands in for the unique court index
+const heldBooking = (totalAmount, { saveError } = {}) => ({
+  _id: "booking-1",
+  phone: "919800000000",
+  totalAmount,
+  meta: {},
+  markModified() {},
+  async save() {
+    if (saveError) throw saveError;
+    return this;
+  },
+});
+
+beforeEach(() => {
+  lots = [];
+  spends = [];
+  // Stored in creation order; spendableLots orders them by expiry
+  mock.method(WalletEntry, "find", () => ({ sort: async () => lots.filter((l) => l.remaining > 0) }));
+  // The conditional decrement (and the $inc a reversal makes) applied to the lots above
+  mock.method(WalletEntry, "updateOne", async ({ _id, remaining: cond }, { $inc }) => {
+    const target = lots.find((l) => l._id.equals(_id));
+    if (!target || (cond && target.remaining < cond.$gte)) return { modifiedCount: 0 };
+    target.remaining += $inc.remaining;
+    return { modifiedCount: 1 };
+  });
+  mock.method(WalletEntry, "deleteOne", async () => ({ deletedCount: 1 }));
+  mock.method(WalletEntry.prototype, "save", async function () {
+    spends.push(this);
+    return this;
+  });
+  mock.method(Session, "deleteOne", async () => ({ deletedCount: 1 }));
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+test("getWallet sums the lots and reports the first expiry", async () => {
+  const soon = inDays(3);
+  lots = [lot("refund", 200), lot("pack", 500, inDays(30)), lot("promo", 100, soon)];
+  assert.deepEqual(await getWallet("919800000000"), { balance: 800, nextExpiry: soon });
+});
+
+test("spends the lots that expire soonest first and keeps credits that never expire for last", async () => {
+  lots = [lot("refund", 300), lot("pack", 500, inDays(30)), lot("promo", 100, inDays(3))];
+  const booking = await payWithCredits(heldBooking(400));
+
+  assert.equal(booking.status, "confirmed");
+  assert.equal(booking.paid, true);
+  assert.equal(booking.meta.wallet.amount, 400);
+  assert.deepEqual(remaining(), { refund: 300, pack: 200, promo: 0 });
+  assert.equal(spends.length, 1);
+  assert.equal(spends[0].amount, -400);
+  assert.deepEqual(spent(spends[0]), [["promo", 100], ["pack", 300]]);
+});
+
+test("moves on to the next lot when another spend took this one first", async () => {
+  lots = [lot("pack", 500, inDays(30)), lot("refund", 500)];
+  // Another booking drains the pack between the read and the decrement
+  WalletEntry.find.mock.mockImplementation(() => ({
+    sort: async () => {
+      const seen = lots.map((l) => ({ ...l }));
+      lots[0].remaining = 0;
+      return seen;
+    },
+  }));
+  await payWithCredits(heldBooking(300));
+  assert.deepEqual(remaining(), { pack: 0, refund: 200 });
+  assert.deepEqual(spent(spends[0]), [["refund", 300]]);
+});
+
+test("takes nothing when the balance does not cover the booking", async () => {
+  lots = [lot("refund", 100), lot("promo", 50, inDays(3))];
+  const booking = heldBooking(200);
+  assert.equal(await payWithCredits(booking), null);
+  assert.deepEqual(remaining(), { refund: 100, promo: 50 });
+  assert.equal(spends.length, 0);
+  assert.equal(booking.paid, undefined);
+});
+
+test("gives the credits back when the court was taken meanwhile", async () => {
+  lots = [lot("refund", 500)];
+  const duplicate = Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+  await assert.rejects(payWithCredits(heldBooking(300, { saveError: duplicate })), { code: 11000 });
+  assert.deepEqual(remaining(), { refund: 500 });
+  assert.equal(WalletEntry.deleteOne.mock.callCount(), 1);
+});
@@ -0,0 +1,55 @@
+// utils/addons.js
+import { getDay, parseISO } from "date-fns";
+import Booking from "../models/Booking.js";
+import { parseSlot, toMinutes, slotUnits } from "./slots.js";
+import { activeBookingFilter } from "./holds.js";
+
+// Most units of one add-on a booking can take when the add-on sets no limit
+const DEFAULT_MAX_QUANTITY = 10;
+
+// Rupees for one cart or booking line ({ price, quantity }); lines saved before quantities count once
+export const lineTotal = (item) => (item.price || 0) * (item.quantity || 1);
+
+export const addOnsTotal = (items = []) => items.reduce((sum, item) => sum + lineTotal(item), 0);
+
+/**
+ * isAddOnOfferedAt(addOn, date, time_slot)
+ * Whether the add-on's days of the week and opening hours allow it for the
+ * slot; the hours have to cover the whole slot.
+ */
+export const isAddOnOfferedAt = (addOn, date, timeSlot) => {
+  if (addOn.days?.length && !addOn.days.includes(getDay(parseISO(date)))) return false;
+  const slot = parseSlot(timeSlot);
+  if (!slot) return true;
+  if (addOn.availableFrom && slot.start < toMinutes(addOn.availableFrom)) return false;
+  if (addOn.availableTo && slot.end > toMinutes(addOn.availableTo)) return false;
+  return true;
+};
+
+/**
+ * getAddOnLimits({ centre, date, time_slot, addOns })
+ * The most of each add-on one booking can still take in a slot: its
+ * maxQuantity, or less when its stock is mostly taken by active bookings at
+ * the centre that overlap the slot. Returns { [code]: units }.
+ */
+export const getAddOnLimits = async ({ centre, date, time_slot, addOns }) => {
+  const stocked = addOns.filter((addOn) => addOn.stock != null);
+  const used = {};
+  if (stocked.length) {
+    const bookings = await Booking.find({
+      centre,
+      date,
+      slotUnits: { $in: slotUnits(time_slot) },
+      "additionalServices.code": { $in: stocked.map((addOn) => addOn.code) },
+      ...activeBookingFilter(),
+    }).select("additionalServices").lean();
+    for (const booking of bookings) {
+      for (const item of booking.additionalServices) used[item.code] = (used[item.code] || 0) + (item.quantity || 1);
+    }
+  }
+  return Object.fromEntries(addOns.map((addOn) => {
+    const max = addOn.maxQuantity || DEFAULT_MAX_QUANTITY;
+    const left = addOn.stock != null ? Math.max(0, addOn.stock - (used[addOn.code] || 0)) : max;
+    return [addOn.code, Math.min(max, left)];
+  }));
+};
@@ -0,0 +1,50 @@
+// utils/blocks.js
+import Booking from "../models/Booking.js";
+import SlotBlock from "../models/SlotBlock.js";
+import { normalizeSlotString } from "./normalizeSlot.js";
+import { slotUnits } from "./slots.js";
+import { activeBookingFilter } from "./holds.js";
+
+/**
+ * blockSlot({ venue, court, date, time_slot, reason, createdBy })
+ * Takes a slot out of sale on one court, or on every court when `court` is
+ * omitted. Existing bookings that overlap it are left alone; they are returned as `conflicts`
+ * so staff can move or cancel them.
+ */
+export const blockSlot = async ({ venue, court, date, time_slot, reason, createdBy }) => {
+  const label = normalizeSlotString(time_slot);
+  const courtDoc = court ? (venue.courts || []).find((c) => c.code === court) : null;
+  if (court && !courtDoc) throw new Error(`Unknown court "${court}" at ${venue.name}`);
+
+  const block = await SlotBlock.create({
+    centre: venue.name,
+    venueCode: venue.code,
+    court: courtDoc?.code || null,
+    courtName: courtDoc?.name,
+    date,
+    time_slot: label,
+    reason,
+    createdBy,
+  });
+
+  const units = slotUnits(label);
+  const conflicts = await Booking.find({
+    centre: venue.name,
+    date,
+    slotUnits: { $in: units },
+    ...(courtDoc ? { court: courtDoc.code } : {}),
+    ...activeBookingFilter(),
+  }).lean();
+
+  console.log(`🚧 Blocked ${venue.name} ${courtDoc?.name || "all courts"} ${date} ${label}`);
+  return { block, conflicts };
+};
+
+// Returns the removed block, or null if there was none
+export const unblockSlot = (blockId) => SlotBlock.findByIdAndDelete(blockId);
+
+// Blocks on any of `courts` (or on the whole centre) for a date
+export const findBlocks = ({ centre, date, courts }) =>
+  SlotBlock.find({ centre, date, court: { $in: [...courts.map((c) => c.code), null] } })
+    .select("time_slot court")
+    .lean();
@@ -0,0 +1,169 @@
+// utils/bookingRequest.js
+// Reads typed requests such as "book pickleball tomorrow 7pm at JW" without any
+// external service: plain matching against the catalog and a few date and time forms.
+import { getDay, parseISO } from "date-fns";
+import { getActiveSports, getActiveVenues } from "./catalog.js";
+import { addDaysToIsoDate, parseUserDate, todayInTimezone } from "./dateHelpers.js";
+import { fromMinutes, parseTimeOfDay } from "./slots.js";
+
+const WEEKDAYS = {
+  sunday: 0, sun: 0,
+  monday: 1, mon: 1,
+  tuesday: 2, tues: 2, tue: 2,
+  wednesday: 3, wed: 3,
+  thursday: 4, thurs: 4, thur: 4, thu: 4,
+  friday: 5, fri: 5,
+  saturday: 6, sat: 6,
+};
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// Parts of the day as start times, from inclusive and to exclusive; the bot
+// clips them to the venue's opening hours
+const WINDOWS = {
+  morning: { from: "00:00", to: "12:00" },
+  afternoon: { from: "12:00", to: "17:00" },
+  evening: { from: "17:00", to: "24:00" },
+  night: { from: "17:00", to: "24:00" },
+  tonight: { from: "17:00", to: "24:00" },
+};
+
+// Words that make a message with a date or time a booking request even without a sport or venue
+const BOOKING_WORDS = /\b(book|booking|play|court|slot|reserve)\b/;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const hasWord = (text, word) => new RegExp(`(^|[^a-z0-9])${escapeRegex(word)}($|[^a-z0-9])`).test(text);
+
+const alternation = (words) => [...words].sort((a, b) => b.length - a.length).join("|");
+const WEEKDAY_PATTERN = new RegExp(`\\b(next\\s+|this\\s+)?(${alternation(Object.keys(WEEKDAYS))})\\b`);
+const MONTH_PATTERN = `(${MONTHS.join("|")})[a-z]*`;
+
+// A day and month without a year is the next time that date comes round
+const upcomingDate = (today, month, day) => {
+  const year = Number(today.slice(0, 4));
+  const pad = (n) => String(n).padStart(2, "0");
+  const thisYear = parseUserDate(`${year}-${pad(month)}-${pad(day)}`);
+  if (thisYear && thisYear >= today) return thisYear;
+  return parseUserDate(`${year + 1}-${pad(month)}-${pad(day)}`);
+};
+
+const readDate = (text, today) => {
+  if (/\bday after (tomorrow|tmrw|tmr)\b/.test(text)) return addDaysToIsoDate(today, 2);
+  if (/\b(tomorrow|tomorow|tmrw|tmr)\b/.test(text)) return addDaysToIsoDate(today, 1);
+  if (/\b(today|tonight)\b/.test(text)) return today;
+
+  const weekday = text.match(WEEKDAY_PATTERN);
+  if (weekday) {
+    let days = (WEEKDAYS[weekday[2]] - getDay(parseISO(today)) + 7) % 7;
+    if (days === 0 && weekday[1]?.startsWith("next")) days = 7;
+    return addDaysToIsoDate(today, days);
+  }
+
+  const numeric = text.match(/\b(\d{1,2})[/-](\d{1,2})(?:[/-](\d{4}))?\b/);
+  if (numeric) {
+    const [, day, month, year] = numeric;
+    return year ? parseUserDate(`${day}/${month}/${year}`) : upcomingDate(today, Number(month), Number(day));
+  }
+
+  const dayMonth = text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_PATTERN}\\b`));
+  if (dayMonth) return upcomingDate(today, MONTHS.indexOf(dayMonth[2]) + 1, Number(dayMonth[1]));
+  const monthDay = text.match(new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`));
+  if (monthDay) return upcomingDate(today, MONTHS.indexOf(monthDay[1]) + 1, Number(monthDay[2]));
+  return null;
+};
+
+// "19:00", "7.30pm", "7 pm", "noon" or "at 19" (a bare hour is read on the 24-hour clock)
+const readTime = (text) => {
+  if (/\bnoon\b/.test(text)) return 12 * 60;
+  const match =
+    text.match(/\b\d{1,2}[:.]\d{2}\s*(am|pm)?\b/) ||
+    text.match(/\b\d{1,2}\s*(am|pm)\b/) ||
+    text.match(/\bat\s+(\d{1,2})\b(?![/:.-])/);
+  if (!match) return null;
+  return parseTimeOfDay(match[0].replace(/^at\s+/, ""));
+};
+
+// "7-8pm", "7pm to 8:30pm", "19:00-20:00" or a bare "7-8" (on the 24-hour
+// clock, like a bare hour): { start, minutes, text } in minutes from midnight,
+// or null. A bare range longer than 4 hours ("1-12") is left to be read as a date.
+const TIME_RANGE = /(?<![\d/.-])(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?\s*(?:-|to)\s*(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?\b(?![/.-]\d)/;
+const readTimeRange = (text) => {
+  const match = text.match(TIME_RANGE);
+  if (!match) return null;
+  const [whole, startHour, startMinutes, startSuffix, endHour, endMinutes, endSuffix] = match;
+  const time = (hour, minutes, suffix) => parseTimeOfDay(`${hour}${minutes ? `:${minutes}` : ""}${suffix ? ` ${suffix}` : ""}`);
+  const end = time(endHour, endMinutes, endSuffix);
+  // "7-8pm" is 7pm to 8pm, but "11-1pm" starts in the morning
+  let start = time(startHour, startMinutes, startSuffix || endSuffix);
+  if (!startSuffix && endSuffix && start !== null && start >= end) start = time(startHour, startMinutes);
+  if (start === null || end === null || end <= start) return null;
+  const bare = !startSuffix && !endSuffix && !startMinutes && !endMinutes;
+  if (bare && end - start > 4 * 60) return null;
+  return { start, minutes: end - start, text: whole };
+};
+
+const readWindow = (text) => {
+  const word = Object.keys(WINDOWS).find((w) => hasWord(text, w));
+  return word ? WINDOWS[word] : null;
+};
+
+// { date, time, window, duration } named in the text, or null when it names
+// no date or time. A time range is read first so "7-8" is not taken for 7 August.
+const readWhen = (text, today) => {
+  const range = readTimeRange(text);
+  const rest = range ? text.replace(range.text, " ") : text;
+  const date = readDate(rest, today);
+  const minutes = range ? range.start : readTime(rest);
+  const window = minutes === null ? readWindow(rest) : null;
+  if (!date && minutes === null && !window) return null;
+  return { date, time: minutes === null ? null : fromMinutes(minutes), window, duration: range?.minutes || null };
+};
+
+const normalise = (text) => String(text || "").toLowerCase().replace(/[,!?]/g, " ").replace(/\s+/g, " ").trim();
+
+// The longest catalog name or code in the text, so "jw marriott" beats "jw"
+const findInText = (text, items, namesOf) => {
+  let best = null;
+  for (const item of items) {
+    for (const name of namesOf(item)) {
+      if (name && hasWord(text, name) && (!best || name.length > best.name.length)) best = { item, name };
+    }
+  }
+  return best?.item || null;
+};
+
+/**
+ * parseBookingRequest(text, { sports, venues, inBooking, timezone, now })
+ * Picks the sport, venue, date and start time (or part of the day) out of a
+ * typed message, with "today" and weekdays counted in the venue timezone.
+ * inBooking is set when the conversation already has a sport or venue picked;
+ * then a date with a time or part of the day ("sat morning") is a request on
+ * its own.
+ * returns { sportCode, venueCode, date, time, window, duration } with whatever
+ * was found (time "HH:MM", window { from, to }, duration in minutes from a
+ * range such as "7-8pm"), or null when the message names no date or time, or
+ * nothing that makes it a booking request
+ */
+export const parseBookingRequest = (text, { sports = [], venues = [], inBooking = false, timezone, now = new Date() } = {}) => {
+  const lower = normalise(text);
+  const when = readWhen(lower, todayInTimezone(timezone, now));
+  if (!when) return null;
+
+  const sport = findInText(lower, sports, (s) => [s.code, s.name.toLowerCase()]);
+  const venue = findInText(lower, venues, (v) => [v.code, v.name.toLowerCase(), v.name.toLowerCase().split(" ")[0]]);
+  const whenOnly = inBooking && when.date && (when.time || when.window);
+  if (!sport && !venue && !whenOnly && !BOOKING_WORDS.test(lower)) return null;
+
+  return { sportCode: sport?.code || null, venueCode: venue?.code || null, ...when };
+};
+
+/**
+ * readBookingRequest(text, { inBooking, timezone, now })
+ * parseBookingRequest against the active catalog. The catalog is only loaded
+ * once the message has a date or time in it.
+ */
+export const readBookingRequest = async (text, options = {}) => {
+  if (!readWhen(normalise(text), todayInTimezone(options.timezone, options.now))) return null;
+  const [sports, venues] = await Promise.all([getActiveSports(), getActiveVenues()]);
+  return parseBookingRequest(text, { ...options, sports, venues });
+};
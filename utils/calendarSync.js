@@ -0,0 +1,128 @@
+// utils/calendarSync.js
+import Booking from "../models/Booking.js";
+import { ensureAuth, createEvent, updateEvent, deleteEvent, moveEvent, resolveCalendarId } from "./googleCalendar.js";
+import { getVenueForBooking } from "./catalog.js";
+import { scheduleJob, registerJobHandler } from "./jobs.js";
+import { lineTotal } from "./addons.js";
+
+const CALENDAR_JOB = "calendar_sync";
+// First retry after a minute; the job runner backs off further from there
+const RETRY_DELAY_MS = 60 * 1000;
+
+// Booking ids are hex, which is valid base32hex, so they make stable event ids
+const eventIdFor = (booking) => `bk${booking._id}`;
+
+const eventDetails = (booking) => {
+  const court = booking.courtName || booking.court || "-";
+  const addOns = (booking.additionalServices || []).map((a) => `${a.name} × ${a.quantity || 1} (₹${lineTotal(a)})`);
+  const lines = [
+    `Customer: ${booking.name || "-"}`,
+    `Phone: ${booking.phone}`,
+    `Sport: ${booking.sport}`,
+    `Centre: ${booking.centre}`,
+    `Court: ${court}`,
+    `Add-ons: ${addOns.length ? addOns.join(", ") : "None"}`,
+    `Amount paid: ₹${booking.totalAmount || 0}`,
+    `Booking ID: ${booking._id}`,
+  ];
+  return {
+    dateISO: booking.date,
+    slot: booking.time_slot,
+    summary: `${booking.sport} · ${court} · ${booking.name || booking.phone}`,
+    description: lines.join("\n"),
+    extendedProperties: {
+      private: {
+        bookingId: String(booking._id),
+        phone: booking.phone,
+        centre: booking.centre,
+        court: booking.court || "",
+        amount: String(booking.totalAmount || 0),
+      },
+    },
+  };
+};
+
+const saveEventId = async (booking, eventId, calendarId) => {
+  booking.calendarEventId = eventId;
+  booking.calendarId = calendarId;
+  await Booking.updateOne({ _id: booking._id }, { $set: { calendarEventId: eventId, calendarId } });
+};
+
+// The calendar of the court the booking is on
+const targetCalendarId = async (booking) => {
+  const venue = await getVenueForBooking(booking);
+  const court = (venue?.courts || []).find((c) => c.code === booking.court);
+  return resolveCalendarId(venue, court);
+};
+
+const createBookingEvent = async (booking, details) => {
+  try {
+    const event = await createEvent({ ...details, eventId: eventIdFor(booking) });
+    await saveEventId(booking, event.id, details.calendarId);
+  } catch (err) {
+    // Created on an earlier attempt whose id never got saved
+    if (err?.code !== 409) throw err;
+    await updateEvent(eventIdFor(booking), details);
+    await saveEventId(booking, eventIdFor(booking), details.calendarId);
+  }
+};
+
+/**
+ * reconcileBookingEvent(booking)
+ * Makes the calendar match the booking: confirmed bookings get an event at
+ * their current slot, on their court's calendar, with up to date details;
+ * anything else loses its event.
+ */
+const reconcileBookingEvent = async (booking) => {
+  if (!(await ensureAuth())) return;
+
+  // Events made before per-court calendars live on the default calendar
+  const currentCalendarId = booking.calendarId || resolveCalendarId();
+
+  if (!booking.paid || booking.status !== "confirmed") {
+    if (booking.calendarEventId) await deleteEvent(booking.calendarEventId, currentCalendarId);
+    return;
+  }
+
+  const details = { ...eventDetails(booking), calendarId: await targetCalendarId(booking) };
+  if (!booking.calendarEventId) return createBookingEvent(booking, details);
+  try {
+    // Moved to a court on another calendar
+    if (currentCalendarId !== details.calendarId) {
+      await moveEvent(booking.calendarEventId, currentCalendarId, details.calendarId);
+      await saveEventId(booking, booking.calendarEventId, details.calendarId);
+    }
+    await updateEvent(booking.calendarEventId, details);
+  } catch (err) {
+    // Removed by hand in Google Calendar; put it back under a fresh id
+    if (err?.code !== 404 && err?.code !== 410) throw err;
+    const event = await createEvent(details);
+    await saveEventId(booking, event.id, details.calendarId);
+  }
+};
+
+/**
+ * syncBookingEvent(booking)
+ * Call after a booking is confirmed, moved or cancelled. Never throws: a failed
+ * calendar call is logged and retried from the job queue.
+ */
+export const syncBookingEvent = async (booking) => {
+  try {
+    await reconcileBookingEvent(booking);
+  } catch (err) {
+    console.error(`⚠️ Calendar sync failed for booking ${booking._id}, will retry:`, err?.message || err);
+    try {
+      await scheduleJob(CALENDAR_JOB, new Date(Date.now() + RETRY_DELAY_MS), { bookingId: String(booking._id) }, { key: `calendar:${booking._id}` });
+    } catch (jobErr) {
+      console.error("⚠️ Failed to schedule calendar retry:", jobErr?.message || jobErr);
+    }
+  }
+};
+
+export const registerCalendarJobs = () => {
+  // Retries read the booking again, so they apply whatever state it has by then
+  registerJobHandler(CALENDAR_JOB, async ({ bookingId }) => {
+    const booking = await Booking.findById(bookingId);
+    if (booking) await reconcileBookingEvent(booking);
+  });
+};
@@ -0,0 +1,112 @@
+// utils/cancellation.js
+import Booking from "../models/Booking.js";
+import { getVenueForBooking } from "./catalog.js";
+import { refundBooking } from "./payments.js";
+import { creditWallet } from "./wallet.js";
+import { syncBookingEvent } from "./calendarSync.js";
+import { getSlotStart, todayInTimezone } from "./dateHelpers.js";
+import { cancelBookingReminders } from "./reminders.js";
+import { processWaitlist } from "./waitlist.js";
+
+// Applies to venues without a cancellationPolicy of their own:
+// full refund up to 24h before start, half up to 6h, nothing after that
+const DEFAULT_CANCELLATION_POLICY = [
+  { hoursBefore: 24, refundPercent: 100 },
+  { hoursBefore: 6, refundPercent: 50 },
+];
+
+// Paid bookings for a phone that have not started yet, soonest first
+export const getUpcomingPaidBookings = async (phone) => {
+  const bookings = await Booking.find({
+    phone,
+    paid: true,
+    status: "confirmed",
+    date: { $gte: todayInTimezone() },
+  }).sort({ date: 1, time_slot: 1 });
+  const now = new Date();
+  return bookings.filter((b) => getSlotStart(b.date, b.time_slot) > now);
+};
+
+/**
+ * getRefundQuote(booking, venue, now)
+ * Applies the venue's cancellation policy to a paid booking.
+ * returns { hoursBefore, refundPercent, refundAmount } with refundAmount in rupees
+ */
+export const getRefundQuote = (booking, venue, now = new Date()) => {
+  const policy = venue?.cancellationPolicy?.length ? venue.cancellationPolicy : DEFAULT_CANCELLATION_POLICY;
+  const hoursBefore = (getSlotStart(booking.date, booking.time_slot) - now) / (60 * 60 * 1000);
+  const tier = [...policy]
+    .sort((a, b) => b.hoursBefore - a.hoursBefore)
+    .find((t) => hoursBefore >= t.hoursBefore);
+  const refundPercent = hoursBefore > 0 ? tier?.refundPercent || 0 : 0;
+  const refundAmount = Math.floor(((booking.totalAmount || 0) * refundPercent) / 100);
+  return { hoursBefore, refundPercent, refundAmount };
+};
+
+/**
+ * cancelBooking(booking, { reason, refundPercent, refundTo })
+ * Refunds what the policy allows (or `refundPercent` of the total when staff
+ * override it), frees the court, offers it to the waitlist and removes the
+ * calendar event. The refund goes to the customer's wallet as credits; refundTo
+ * "payment" sends it back to the Razorpay payment instead, except for bookings
+ * paid with credits.
+ * The booking is claimed before any refund, so of two cancels running at once
+ * only one refunds; the other gets null. A refund that fails leaves the booking
+ * cancelled with whatever was refunded recorded and cancellation.refundIncomplete
+ * set for staff to finish by hand.
+ * Returns the refund quote plus where it went, any Razorpay refunds, whether
+ * the refund is incomplete and the cancelled booking.
+ */
+export const cancelBooking = async (booking, { reason = "customer", refundPercent, refundTo = "wallet" } = {}) => {
+  const venue = await getVenueForBooking(booking);
+  const quote = getRefundQuote(booking, venue);
+  if (refundPercent !== undefined) {
+    quote.refundPercent = refundPercent;
+    quote.refundAmount = Math.floor(((booking.totalAmount || 0) * refundPercent) / 100);
+  }
+
+  const cancelled = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: "confirmed" },
+    { $set: { status: "cancelled", holdsSlot: false } },
+    { new: true }
+  );
+  if (!cancelled) return null;
+
+  // Money taken at the desk is handed back at the desk
+  let refunds = [];
+  let refundedTo;
+  let refundIncomplete = false;
+  if (quote.refundAmount > 0 && !cancelled.meta?.offlinePayment) {
+    refundedTo = refundTo === "payment" && !cancelled.meta?.wallet ? "payment" : "wallet";
+    try {
+      if (refundedTo === "payment") {
+        refunds = await refundBooking(cancelled, quote.refundAmount, { bookingId: String(cancelled._id), reason });
+      } else {
+        await creditWallet(cancelled.phone, quote.refundAmount, { booking: cancelled._id, note: `Cancelled (${reason})` });
+      }
+    } catch (err) {
+      // The court is already given up and anything refunded stays refunded
+      refunds = err.refunds || [];
+      refundIncomplete = true;
+      console.error(`⚠️ Refund of ₹${quote.refundAmount} for cancelled booking ${cancelled._id} incomplete, needs staff follow-up:`, err?.message || err);
+    }
+  }
+
+  cancelled.cancellation = {
+    cancelledAt: new Date(),
+    reason,
+    refundPercent: quote.refundPercent,
+    refundAmount: quote.refundAmount,
+    refundedTo,
+    refundIds: refunds.map((r) => r.id),
+    refundIncomplete,
+  };
+  await cancelled.save();
+  console.log(`🗑️ Booking ${cancelled._id} cancelled (${reason}), refund ₹${quote.refundAmount}${refundIncomplete ? " (incomplete)" : ""}`);
+  await cancelBookingReminders(cancelled._id);
+
+  await syncBookingEvent(cancelled);
+  await processWaitlist({ centre: cancelled.centre, date: cancelled.date });
+
+  return { ...quote, refundedTo, refunds, refundIncomplete, booking: cancelled };
+};
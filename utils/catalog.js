@@ -0,0 +1,103 @@
+// utils/catalog.js
+import Sport from "../models/Sport.js";
+import Venue from "../models/Venue.js";
+import AddOn from "../models/AddOn.js";
+import CreditPack from "../models/CreditPack.js";
+
+// Seeded into empty collections so a fresh database offers what the bot always has.
+// After that the catalog is edited in Mongo; nothing here needs a deploy.
+const DEFAULT_CATALOG = {
+  sports: [
+    { code: "pickleball", name: "Pickleball", emoji: "🏓", sortOrder: 0 },
+  ],
+  venues: [
+    {
+      code: "jw",
+      name: "JW Marriott",
+      sports: [{ code: "pickleball" }],
+      courts: [{ code: "c1", name: "Court 1", sports: ["pickleball"] }],
+      sortOrder: 0,
+    },
+  ],
+  addOns: [
+    { code: "spa", name: "Spa", price: 2000, sortOrder: 0 },
+    { code: "gym", name: "Gym Access", price: 500, sortOrder: 1 },
+    { code: "sauna", name: "Sauna", price: 800, sortOrder: 2 },
+  ],
+};
+
+const bySortOrder = { sortOrder: 1, name: 1 };
+
+export const seedDefaultCatalog = async () => {
+  const seeds = [
+    [Sport, DEFAULT_CATALOG.sports],
+    [Venue, DEFAULT_CATALOG.venues],
+    [AddOn, DEFAULT_CATALOG.addOns],
+  ];
+  for (const [Model, docs] of seeds) {
+    if ((await Model.estimatedDocumentCount()) === 0) {
+      await Model.insertMany(docs);
+      console.log(`🌱 Seeded ${docs.length} default ${Model.collection.collectionName}`);
+    }
+  }
+};
+
+export const getActiveSports = () => Sport.find({ active: true }).sort(bySortOrder).lean();
+
+export const getSport = (code) => Sport.findOne({ code, active: true }).lean();
+
+export const getVenuesForSport = (sportCode) =>
+  Venue.find({ active: true, "sports.code": sportCode }).sort(bySortOrder).lean();
+
+export const getActiveVenues = () => Venue.find({ active: true }).sort(bySortOrder).lean();
+
+export const getVenue = (code) => Venue.findOne({ code, active: true }).lean();
+
+// Bookings made before the catalog existed only carry the venue name
+export const getVenueForBooking = (booking) =>
+  booking.venueCode ? Venue.findOne({ code: booking.venueCode }).lean() : Venue.findOne({ name: booking.centre }).lean();
+
+const addOnsForVenueQuery = (venueCode) => ({
+  active: true,
+  $or: [{ venues: { $size: 0 } }, { venues: { $exists: false } }, { venues: venueCode }],
+});
+
+export const getAddOnsForVenue = (venueCode) => AddOn.find(addOnsForVenueQuery(venueCode)).sort(bySortOrder).lean();
+
+export const getAddOn = (code, venueCode) => AddOn.findOne({ ...addOnsForVenueQuery(venueCode), code }).lean();
+
+export const getActivePacks = () => CreditPack.find({ active: true }).sort(bySortOrder).lean();
+
+export const getPack = (code) => CreditPack.findOne({ code, active: true }).lean();
+
+/**
+ * getSlotPrice(venue, sport)
+ * Base price of one slot in rupees, before pricing rules (utils/pricing.js):
+ * the venue's own price for the sport, then the sport's base price, then
+ * DEFAULT_BOOKING_AMOUNT, then ₹1.
+ */
+export const getSlotPrice = (venue, sport) => {
+  const offered = venue?.sports?.find((s) => s.code === sport?.code);
+  return offered?.price ?? sport?.basePrice ?? (Number(process.env.DEFAULT_BOOKING_AMOUNT) || 1);
+};
+
+/**
+ * getSlotSettings(venue, sport)
+ * How a sport is sold at a venue: slot length in minutes, the most consecutive
+ * slots one booking may take, opening hours ("HH:MM", venue time) and the most
+ * players per booking. The venue's settings for the sport win over the sport's own.
+ */
+export const getSlotSettings = (venue, sport) => {
+  const offered = venue?.sports?.find((s) => s.code === sport?.code);
+  return {
+    slotMinutes: offered?.slotMinutes || sport?.slotMinutes || 60,
+    maxSlots: offered?.maxSlots || sport?.maxSlots || 2,
+    open: venue?.openingHours?.open || "06:00",
+    close: venue?.openingHours?.close || "22:00",
+    maxPlayers: sport?.maxPlayers || 4,
+  };
+};
+
+// Booking lengths a customer can pick: one to maxSlots consecutive slots
+export const getDurationOptions = ({ slotMinutes, maxSlots }) =>
+  Array.from({ length: maxSlots }, (_, i) => (i + 1) * slotMinutes);
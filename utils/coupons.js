@@ -0,0 +1,147 @@
+// utils/coupons.js
+import Booking from "../models/Booking.js";
+import Coupon from "../models/Coupon.js";
+import CouponRedemption from "../models/CouponRedemption.js";
+import { createCouponDifferenceLink, recordPayment } from "./payments.js";
+import { sendMessage } from "./whatsapp.js";
+import { translatorFor } from "./i18n.js";
+
+// An empty or missing list places no restriction
+const appliesTo = (list, value) => !list?.length || list.includes(value);
+
+const validAt = (now) => ({
+  active: true,
+  $and: [
+    { $or: [{ validFrom: null }, { validFrom: { $lte: now } }] },
+    { $or: [{ validUntil: null }, { validUntil: { $gte: now } }] },
+  ],
+});
+
+// Whether any code can be used right now; the promo step is skipped when none can
+export const hasActiveCoupons = (now = new Date()) => Coupon.exists(validAt(now));
+
+// Why `coupon` cannot be used on `booking` at `subtotal` (a catalog key and its
+// values, see locales/), or null if it can
+const couponError = async (coupon, booking, subtotal, now) => {
+  if ((coupon.validFrom && coupon.validFrom > now) || (coupon.validUntil && coupon.validUntil < now)) {
+    return ["promo.notActive"];
+  }
+  if (!appliesTo(coupon.sports, booking.sportCode) || !appliesTo(coupon.venues, booking.venueCode)) {
+    return ["promo.notForBooking", { sport: booking.sport, centre: booking.centre }];
+  }
+  if (coupon.minSpend && subtotal < coupon.minSpend) {
+    return ["promo.minSpend", { amount: coupon.minSpend }];
+  }
+  if (coupon.maxRedemptions != null && coupon.redemptionCount >= coupon.maxRedemptions) {
+    return ["promo.fullyRedeemed"];
+  }
+  if (coupon.maxRedemptionsPerUser != null) {
+    const used = await CouponRedemption.countDocuments({ coupon: coupon._id, phone: booking.phone });
+    if (used >= coupon.maxRedemptionsPerUser) return ["promo.alreadyUsed"];
+  }
+  return null;
+};
+
+// Rupees off `subtotal`, always leaving at least ₹1 to pay
+const discountFor = (coupon, subtotal) => {
+  let discount = coupon.discountType === "percent" ? Math.round((subtotal * coupon.value) / 100) : coupon.value;
+  if (coupon.maxDiscount != null) discount = Math.min(discount, coupon.maxDiscount);
+  return Math.max(0, Math.min(discount, subtotal - 1));
+};
+
+/**
+ * applyCoupon(booking, code)
+ * Checks a promo code against an unpaid booking and, when it can be used,
+ * takes the discount off booking.totalAmount and keeps the details on
+ * meta.coupon ({ couponId, code, discount, subtotal }). Applying another code
+ * replaces the first. Nothing is counted against the coupon's limits until
+ * the payment is confirmed (recordCouponRedemption).
+ * Returns { coupon, discount } or { error } with a message for the customer,
+ * in their language.
+ */
+export const applyCoupon = async (booking, code, now = new Date()) => {
+  const tr = await translatorFor(booking.phone);
+  const coupon = await Coupon.findOne({ code: String(code || "").trim().toUpperCase(), active: true }).lean();
+  if (!coupon) return { error: tr("promo.invalid") };
+
+  const subtotal = booking.meta?.coupon?.subtotal ?? booking.totalAmount;
+  const error = await couponError(coupon, booking, subtotal, now);
+  if (error) return { error: tr(...error) };
+
+  const discount = discountFor(coupon, subtotal);
+  booking.totalAmount = subtotal - discount;
+  booking.meta = { ...booking.meta, coupon: { couponId: String(coupon._id), code: coupon.code, discount, subtotal } };
+  booking.markModified("meta");
+  await booking.save();
+  console.log(`🎟️ Coupon ${coupon.code} applied to booking ${booking._id}: ₹${discount} off`);
+  return { coupon, discount };
+};
+
+/**
+ * recordCouponRedemption(booking)
+ * Counts the coupon on a booking whose payment has just been confirmed. Two
+ * customers can pay with the last use of a code at once, so the limits are
+ * checked again here, atomically. A booking that finds the code used up keeps
+ * its court and is sent a payment link for the discount it got
+ * (meta.coupon.shortfall). Safe to call more than once for the same booking.
+ */
+export const recordCouponRedemption = async (booking) => {
+  const applied = booking.meta?.coupon;
+  if (!applied) return;
+  let redemption;
+  try {
+    redemption = await CouponRedemption.create({
+      coupon: applied.couponId,
+      code: applied.code,
+      phone: booking.phone,
+      booking: booking._id,
+      discount: applied.discount,
+    });
+  } catch (err) {
+    if (err?.code === 11000) return;
+    throw err;
+  }
+
+  // Redemptions are ranked by when they were recorded, so of two racing for a
+  // customer's last use only the later one is over the limit
+  const coupon = await Coupon.findById(applied.couponId).select("maxRedemptionsPerUser").lean();
+  const overUserLimit = coupon?.maxRedemptionsPerUser != null &&
+    (await CouponRedemption.countDocuments({ coupon: applied.couponId, phone: booking.phone, _id: { $lte: redemption._id } })) > coupon.maxRedemptionsPerUser;
+  const counted = !overUserLimit && await Coupon.findOneAndUpdate(
+    { _id: applied.couponId, $or: [{ maxRedemptions: null }, { $expr: { $lt: ["$redemptionCount", "$maxRedemptions"] } }] },
+    { $inc: { redemptionCount: 1 } }
+  );
+  if (counted) {
+    console.log(`🎟️ Coupon ${applied.code} redeemed by booking ${booking._id}`);
+    return;
+  }
+
+  await CouponRedemption.deleteOne({ _id: redemption._id });
+  console.warn(`🎟️ Coupon ${applied.code} was used up before booking ${booking._id} was paid; asking for the ₹${applied.discount} difference`);
+  const paymentUrl = await createCouponDifferenceLink(booking, applied.discount);
+  booking.meta = { ...booking.meta, coupon: { ...applied, shortfall: { amount: applied.discount, paid: false } } };
+  booking.markModified("meta");
+  await booking.save();
+  const tr = await translatorFor(booking.phone);
+  await sendMessage(booking.phone, tr("promo.usedUp", { code: applied.code, amount: applied.discount, url: paymentUrl }));
+};
+
+/**
+ * settleCouponDifference(bookingId, payment)
+ * Records the payment for the discount of a code that was used up (see
+ * recordCouponRedemption) and adds it to the booking's total.
+ * Returns the booking, or null when the difference was settled already.
+ */
+export const settleCouponDifference = async (bookingId, payment) => {
+  const booking = await Booking.findOneAndUpdate(
+    { _id: bookingId, "meta.coupon.shortfall.paid": false },
+    { $set: { "meta.coupon.shortfall.paid": true } },
+    { new: true }
+  );
+  if (!booking) return null;
+  booking.totalAmount = (booking.totalAmount || 0) + booking.meta.coupon.shortfall.amount;
+  recordPayment(booking, payment);
+  await booking.save();
+  console.log(`🎟️ Coupon difference of ₹${booking.meta.coupon.shortfall.amount} paid for booking ${booking._id}`);
+  return booking;
+};
@@ -0,0 +1,103 @@
+// utils/courts.js
+import Booking from "../models/Booking.js";
+import { slotUnits } from "./slots.js";
+import { activeBookingFilter, releaseExpiredHolds } from "./holds.js";
+import { findBlocks } from "./blocks.js";
+import { t } from "./i18n.js";
+
+// Venues saved before courts were modelled behave as a single court
+const DEFAULT_COURT = { code: "main", name: "Main Court" };
+
+// Active courts at a venue that can host the given sport. Each carries the
+// calendarId it is booked on (its own, else the venue's), whether that calendar
+// is shared with other courts, and the venue name as `centre`.
+export const getCourtsForSport = (venue, sportCode) => {
+  const courts = venue?.courts?.length
+    ? venue.courts.filter((c) => c.active !== false && (!c.sports?.length || c.sports.includes(sportCode)))
+    : [DEFAULT_COURT];
+  return courts.map((c) => ({
+    ...c,
+    calendarId: c.calendarId || venue?.calendarId,
+    sharedCalendar: !c.calendarId,
+    centre: venue?.name,
+  }));
+};
+
+/**
+ * getCourtOccupancy({ centre, sport, date, courts })
+ * Loads everything that stops those courts being sold that day: paid bookings,
+ * unexpired payment holds and staff blocks. Returns takenCourtsFor(slot), the
+ * Set of court codes with anything overlapping `slot`, whatever its length.
+ * Bookings made before courts existed have no court and count against the first one.
+ */
+export const getCourtOccupancy = async ({ centre, sport, date, courts }) => {
+  const codes = courts.map((c) => c.code);
+  const [bookings, blocks] = await Promise.all([
+    Booking.find({
+      centre,
+      date,
+      $and: [
+        { $or: [{ court: { $in: codes } }, { court: null, sport }] },
+        activeBookingFilter(),
+      ],
+    }).select("time_slot slotUnits court").lean(),
+    findBlocks({ centre, date, courts }),
+  ]);
+
+  const occupied = Object.fromEntries(codes.map((code) => [code, new Set()]));
+  const occupy = (code, units) => units.forEach((unit) => occupied[code]?.add(unit));
+  for (const b of bookings) occupy(b.court || codes[0], b.slotUnits?.length ? b.slotUnits : slotUnits(b.time_slot));
+  for (const b of blocks) (b.court ? [b.court] : codes).forEach((code) => occupy(code, slotUnits(b.time_slot)));
+
+  return (slot) => {
+    const units = slotUnits(slot);
+    return new Set(codes.filter((code) => units.some((unit) => occupied[code].has(unit))));
+  };
+};
+
+/**
+ * withCourtCapacity(slots, { centre, sport, date, courts })
+ * Adds `capacity` and `remaining` to each slot ({ formatted, busyCourts?, ... })
+ * and drops slots with no free court. `busyCourts` lists courts already closed
+ * by their calendar. Without centre/courts every slot counts as one court.
+ */
+export const withCourtCapacity = async (slots, { centre, sport, date, courts } = {}) => {
+  if (!centre || !courts?.length) {
+    return slots.map(({ busyCourts, ...slot }) => ({ ...slot, capacity: 1, remaining: 1 }));
+  }
+  const takenCourtsFor = await getCourtOccupancy({ centre, sport, date, courts });
+  return slots
+    .map(({ busyCourts = [], ...slot }) => {
+      const used = new Set([...takenCourtsFor(slot.formatted), ...busyCourts]).size;
+      return { ...slot, capacity: courts.length, remaining: Math.max(0, courts.length - used) };
+    })
+    .filter((slot) => slot.remaining > 0);
+};
+
+// "2 of 3 courts left", in `locale` (default English)
+export const describeCapacity = ({ capacity, remaining }, locale) =>
+  t(locale, "slot.courtsLeft", { count: capacity, remaining });
+
+/**
+ * reserveCourt(fields, courts)
+ * Saves a new Booking from `fields` on the first free court. Lapsed holds at the
+ * centre are released first so they cannot block the insert. A court taken by a
+ * concurrent request surfaces as a duplicate key error and the next one is tried.
+ * Returns the saved booking, or null when every court is taken.
+ */
+export const reserveCourt = async (fields, courts) => {
+  await releaseExpiredHolds({ centre: fields.centre, date: fields.date });
+  const takenCourtsFor = await getCourtOccupancy({ centre: fields.centre, sport: fields.sport, date: fields.date, courts });
+  const used = takenCourtsFor(fields.time_slot);
+
+  for (const court of courts) {
+    if (used.has(court.code)) continue;
+    try {
+      return await new Booking({ ...fields, court: court.code, courtName: court.name }).save();
+    } catch (err) {
+      if (err?.code === 11000) continue;
+      throw err;
+    }
+  }
+  return null;
+};
@@ -0,0 +1,23 @@
+// utils/customers.js
+import Customer from "../models/Customer.js";
+
+// WhatsApp's customer-service window: free-form replies are allowed for 24h after the customer writes
+const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Call for every inbound message so the session window can be worked out later
+export const recordInboundMessage = (phone, at = new Date()) =>
+  Customer.updateOne({ phone }, { $max: { lastInboundAt: at } }, { upsert: true });
+
+// "+91 98765 43210" or "98765 43210" → "919876543210" (WhatsApp's format); null if it is not a phone number.
+// 10-digit local numbers get DEFAULT_COUNTRY_CODE (91) in front.
+export const normalizePhone = (text) => {
+  const digits = String(text || "").replace(/\D/g, "").replace(/^0+/, "");
+  const phone = digits.length === 10 ? `${process.env.DEFAULT_COUNTRY_CODE || "91"}${digits}` : digits;
+  return phone.length >= 11 && phone.length <= 15 ? phone : null;
+};
+
+export const isSessionWindowOpen = async (phone, now = new Date()) => {
+  const customer = await Customer.findOne({ phone }).select("lastInboundAt").lean();
+  if (!customer?.lastInboundAt) return false;
+  return now - customer.lastInboundAt < SESSION_WINDOW_MS;
+};
@@ -1,15 +1,26 @@
 // utils/dateHelpers.js
-import { format, addDays, startOfWeek, parseISO } from "date-fns";
+import { format, addDays, startOfWeek, parseISO, isValid } from "date-fns";
+import { hi, kn } from "date-fns/locale";
+import { fromZonedTime, formatInTimeZone } from "date-fns-tz";
+import { normalizeSlotString } from "./normalizeSlot.js";
+
+const defaultTimezone = () => process.env.GOOGLE_DEFAULT_TIMEZONE || "Asia/Kolkata";
+
+// date-fns locales for the bot's languages (utils/i18n.js); English uses date-fns' default
+const DATE_LOCALES = { hi, kn };
+
+// "YYYY-MM-DD" in a date-fns pattern, with month and day names in `locale`
+const formatIsoDate = (isoDate, pattern, locale) =>
+  format(parseISO(isoDate), pattern, { locale: DATE_LOCALES[locale] });
 
 /**
- * formatUserDate(isoDate)
- * isoDate: "YYYY-MM-DD"
+ * formatUserDate(isoDate, locale)
+ * isoDate: "YYYY-MM-DD", locale: "en", "hi" or "kn" (default English)
  * returns: formatted string like "Wed Oct 29 2025"
  */
-export const formatUserDate = (isoDate) => {
+export const formatUserDate = (isoDate, locale) => {
   if (!isoDate) return "";
-  const d = parseISO(isoDate);
-  return format(d, "EEE MMM dd yyyy");
+  return formatIsoDate(isoDate, "EEE MMM dd yyyy", locale);
 };
 
 export const getDaysForWeekStartingAt = (startDateIso) => {
@@ -33,3 +44,63 @@ export const getNextNDates = (count = 7, fromDate = new Date()) => {
 export const startOfCurrentWeek = (from = new Date()) => {
   return format(startOfWeek(from, { weekStartsOn: 1 }), "yyyy-MM-dd"); // week starts Monday
 };
+
+/**
+ * getSlotStart(isoDate, slot, timezone)
+ * isoDate: "YYYY-MM-DD", slot: "HH:MM - HH:MM" in the venue's timezone
+ * returns: Date of the instant the slot starts
+ */
+export const getSlotStart = (isoDate, slot, timezone = defaultTimezone()) => {
+  const [start] = normalizeSlotString(slot).split(" - ");
+  return fromZonedTime(`${isoDate}T${start}:00`, timezone);
+};
+
+/**
+ * todayInTimezone(timezone)
+ * returns: today's date as "YYYY-MM-DD" in the given timezone
+ */
+export const todayInTimezone = (timezone = defaultTimezone(), now = new Date()) => {
+  return formatInTimeZone(now, timezone, "yyyy-MM-dd");
+};
+
+// "YYYY-MM-DD" shifted by a number of days
+export const addDaysToIsoDate = (isoDate, days) => format(addDays(parseISO(isoDate), days), "yyyy-MM-dd");
+
+/**
+ * formatShortDate(isoDate, locale)
+ * isoDate: "YYYY-MM-DD"
+ * returns: short label for date pickers like "Wed, 29 Oct"
+ */
+export const formatShortDate = (isoDate, locale) => formatIsoDate(isoDate, "EEE, dd MMM", locale);
+
+// The next `count` dates as "YYYY-MM-DD", starting today in the venue's timezone
+export const getUpcomingDates = (count = 7, timezone = defaultTimezone(), now = new Date()) => {
+  const today = todayInTimezone(timezone, now);
+  return Array.from({ length: count }, (_, i) => addDaysToIsoDate(today, i));
+};
+
+/**
+ * formatLongDate(isoDate, locale)
+ * isoDate: "YYYY-MM-DD"
+ * returns: "Wednesday, October 29, 2025", without going through a server-local Date
+ */
+export const formatLongDate = (isoDate, locale) => formatIsoDate(isoDate, "EEEE, MMMM d, yyyy", locale);
+
+// "Tuesday"
+export const formatWeekday = (isoDate, locale) => formatIsoDate(isoDate, "EEEE", locale);
+
+/**
+ * parseUserDate(text)
+ * text: "31/12/2026", "31-12-2026" or "2026-12-31" as a customer types it
+ * returns: "YYYY-MM-DD", or null when it is not a real date
+ */
+export const parseUserDate = (text) => {
+  const value = String(text || "").trim();
+  const dayFirst = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  const iso = dayFirst
+    ? `${dayFirst[3]}-${dayFirst[2].padStart(2, "0")}-${dayFirst[1].padStart(2, "0")}`
+    : /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : null;
+  if (!iso || !isValid(parseISO(iso))) return null;
+  // A real date formats back to itself, so days past the end of the month are rejected
+  return format(parseISO(iso), "yyyy-MM-dd") === iso ? iso : null;
+};
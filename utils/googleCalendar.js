@@ -1,26 +1,12 @@
 // utils/googleCalendar.js
 import { google } from "googleapis";
+import { fromZonedTime } from "date-fns-tz";
 import dotenv from "dotenv";
+import { normalizeSlotString } from "./normalizeSlot.js";
+import { toMinutes, fromMinutes, formatSlot } from "./slots.js";
+import { withCourtCapacity } from "./courts.js";
 dotenv.config();
 
-// Try importing zonedTimeToUtc from date-fns-tz in a safe way.
-// If it is not available, we'll use a fallback to construct UTC ISO strings.
-let zonedTimeToUtc = null;
-try {
-  // prefer namespace import to be compatible with many bundlers
-  // eslint-disable-next-line global-require
-  const tz = await (async () => {
-    try {
-      return await import("date-fns-tz");
-    } catch (e) {
-      return null;
-    }
-  })();
-  if (tz && typeof tz.zonedTimeToUtc === "function") zonedTimeToUtc = tz.zonedTimeToUtc;
-} catch (e) {
-  // ignore
-}
-
 const {
   GOOGLE_CLIENT_ID,
   GOOGLE_CLIENT_SECRET,
@@ -45,189 +31,168 @@ export const ensureAuth = async () => {
   return true;
 };
 
-// Helper to build an ISO string from date + time in a timezone-aware way.
-// If zonedTimeToUtc is available use it, otherwise fall back to a safe UTC construction.
-// NOTE: fallback assumes the provided time is local to the timezone parameter or server UTC.
-// It is conservative and works for availability checks in practically all simple deployments.
-const makeISO = (dateISO, timeHHMM, timezone) => {
-  // timeHHMM = "08:00"
-  if (zonedTimeToUtc) {
-    // returns a Date object; convert to ISO
-    return zonedTimeToUtc(`${dateISO}T${timeHHMM}:00`, timezone).toISOString();
-  }
-  // fallback: create a Date in the server local timezone by parsing and then convert to ISO.
-  // This is intentionally simple: "YYYY-MM-DDTHH:MM:SS"
-  // We append "Z" to treat as UTC time to avoid environment differences.
-  // Note: this will work as a consistent identifier for freebusy queries in most setups.
-  return new Date(`${dateISO}T${timeHHMM}:00Z`).toISOString();
+// UTC ISO string for a wall-clock time ("HH:MM" or "HH:MM:SS") on a date in the venue's timezone
+const makeISO = (dateISO, time, timezone) => {
+  const withSeconds = time.length === 5 ? `${time}:00` : time;
+  return fromZonedTime(`${dateISO}T${withSeconds}`, timezone).toISOString();
 };
 
-export const getBusyForRange = async (timeMinISO, timeMaxISO) => {
-  try {
-    await ensureAuth();
-    if (!calendar) return [];
-    const resp = await calendar.freebusy.query({
-      requestBody: {
+// Courts and venues can have their own calendar; anything unmapped uses GOOGLE_CALENDAR_ID
+export const resolveCalendarId = (venue, court) => court?.calendarId || venue?.calendarId || GOOGLE_CALENDAR_ID;
+
+// Bookings the bot made carry their id on their event (see calendarSync.js); they
+// are already counted from Mongo, so only events added by hand block courts here
+const isBookingEvent = (event) => Boolean(event.extendedProperties?.private?.bookingId);
+
+// Start or end of an event; all-day events run from midnight in the venue's timezone
+const eventTime = (when, timezone) => when.dateTime || makeISO(when.date, "00:00", timezone);
+
+/**
+ * getBusyForRange(timeMinISO, timeMaxISO, calendarIds, timezone)
+ * Lists the events on each calendar, leaving out the bot's own booking events
+ * and events marked "free".
+ * returns { [calendarId]: [{ start, end, court, centre, location }] }, where
+ * court/centre come from the event's extendedProperties.private, if set.
+ * Fails open: a calendar that cannot be read (or no calendar credentials) comes
+ * back with no events, so its courts count as free. Paid bookings, holds and
+ * staff blocks are in Mongo, so an outage only loses events added by hand.
+ */
+export const getBusyForRange = async (timeMinISO, timeMaxISO, calendarIds = [GOOGLE_CALENDAR_ID], timezone = GOOGLE_DEFAULT_TIMEZONE) => {
+  const ids = Array.from(new Set(calendarIds));
+  const busyById = Object.fromEntries(ids.map((id) => [id, []]));
+  await ensureAuth();
+  if (!calendar) return busyById;
+  await Promise.all(ids.map(async (id) => {
+    try {
+      const resp = await calendar.events.list({
+        calendarId: id,
         timeMin: timeMinISO,
         timeMax: timeMaxISO,
-        items: [{ id: GOOGLE_CALENDAR_ID }],
-      },
-    });
-    const busy = resp.data.calendars?.[GOOGLE_CALENDAR_ID]?.busy || [];
-    console.log("GCAL DEBUG: busy ranges for", timeMinISO.split("T")[0], busy);
-    return busy;
-  } catch (err) {
-    console.error("getBusyForRange error", err?.message || err);
-    return [];
-  }
+        singleEvents: true,
+        maxResults: 250,
+      });
+      busyById[id] = (resp.data.items || [])
+        .filter((event) => event.status !== "cancelled" && event.transparency !== "transparent" && !isBookingEvent(event))
+        .map((event) => ({
+          start: eventTime(event.start, timezone),
+          end: eventTime(event.end, timezone),
+          court: event.extendedProperties?.private?.court,
+          centre: event.extendedProperties?.private?.centre,
+          location: event.location,
+        }));
+    } catch (err) {
+      console.error(`⚠️ GCAL: could not read calendar ${id}, treating its courts as free:`, err?.message || err);
+    }
+  }));
+  return busyById;
 };
 
-export const getAvailableSlotsForDate = async (dateISO, options = {}) => {
-  const timezone = options.timezone || GOOGLE_DEFAULT_TIMEZONE;
-  const templateSlots =
-    options.templateSlots ||
-    [
-      { start: "06:00", end: "07:00" },
-      { start: "07:00", end: "08:00" },
-      { start: "08:00", end: "09:00" },
-      { start: "09:00", end: "10:00" },
-      { start: "10:00", end: "11:00" },
-      { start: "11:00", end: "12:00" },
-      { start: "12:00", end: "13:00" },
-      { start: "13:00", end: "14:00" },
-      { start: "14:00", end: "15:00" },
-      { start: "15:00", end: "16:00" },
-      { start: "16:00", end: "17:00" },
-      { start: "17:00", end: "18:00" },
-      { start: "18:00", end: "19:00" },
-      { start: "19:00", end: "20:00" },
-      { start: "20:00", end: "21:00" },
-      { start: "21:00", end: "22:00" },
-    ];
+// Pairs each court (from getCourtsForSport) with its calendar. Without courts
+// the default calendar stands in for a single unnamed court of its own.
+export const courtCalendars = ({ courts } = {}) =>
+  courts?.length
+    ? courts.map((court) => ({
+        ...court,
+        calendarId: resolveCalendarId(null, court),
+        // Only a court's own calendar, used by no other court, closes it outright
+        shared: court.sharedCalendar !== false || courts.filter((c) => c.calendarId === court.calendarId).length > 1,
+      }))
+    : [{ code: null, calendarId: GOOGLE_CALENDAR_ID, shared: false }];
 
-  try {
-    // 1. Fetch relevant context for filtering
-    const centre = options.centre || null;
-    const sport = options.sport || null;
-    // Import Booking dynamically here to avoid circular dependency
-    let Booking = null;
-    try { Booking = (await import("../models/Booking.js")).default; } catch { Booking = null; }
-
-    // 2. Mongo: get all paid bookings for this centre/date (optionally, sport)
-    let bookedSlots = [];
-    if (Booking && centre) {
-      // Hard Normalization
-      function normalizeSlotString(s) {
-        return String(s || "").replace(/[\u2013\u2014]/g, "-").replace(/-/g, " - ")
-          .replace(/\s+-\s+/g, " - ").replace(/\s+/g, " ").trim();
-      }
-      // Query to block **any** booking for given slot
-      const query = { date: dateISO, centre };
-      if (sport) query.sport = sport;
-      const bookings = await Booking.find(query).select("time_slot");
-      bookedSlots = bookings.map(b => normalizeSlotString(b.time_slot)).filter(Boolean);
-    }
+const sameName = (a, b) => Boolean(a && b) && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
 
-    const dayStartUTC = makeISO(dateISO, "00:00", timezone);
-    const dayEndUTC = makeISO(dateISO, "23:59:59", timezone);
-    const busy = await getBusyForRange(dayStartUTC, dayEndUTC);
-
-    const overlaps = (sISO, eISO) =>
-      busy.some((b) => !(new Date(eISO) <= new Date(b.start) || new Date(sISO) >= new Date(b.end)));
-
-    const available = templateSlots
-      .map((t) => {
-        const label = normalizeSlotString(`${t.start} - ${t.end}`);
-        if (!/^(\d{2}:\d{2}) - (\d{2}:\d{2})$/.test(label)) {
-          console.warn("Malformed slot time label (template):", label);
-          return null;
-        }
-        const sISO = makeISO(dateISO, t.start, timezone);
-        const eISO = makeISO(dateISO, t.end, timezone);
-        const isSlotFree = !overlaps(sISO, eISO) && !bookedSlots.includes(label);
-        return isSlotFree ? label : null;
-      })
-      .filter(Boolean);
-
-    // Log for debugging — ensure the intersection is always empty
-    console.log("[getAvailableSlotsForDate] Booked:", bookedSlots);
-    console.log("[getAvailableSlotsForDate] Returned:", available);
-
-    // dedupe & normalize formatting "HH:MM - HH:MM"
-    const normalize = (s) => String(s).trim().replace(/\s+/g, " ");
-    const uniq = Array.from(new Set((available || []).map(normalize)));
-    return uniq;
-  } catch (err) {
-    console.error("getAvailableSlotsForDate error", err?.message || err);
-    // fallback: return normalized template slots (no conflict checks)
-    return (templateSlots || []).map((t) => `${t.start} - ${t.end}`);
-  }
+/**
+ * isEventForCourt(event, court)
+ * Whether a calendar event (from getBusyForRange) closes a court. On a court's
+ * own calendar every event does. A calendar shared by several courts or venues
+ * only closes the court an event names: extendedProperties.private.court set to
+ * the court code (with `centre`, if set, matching the venue name), or the event
+ * location set to the court's name or code.
+ */
+export const isEventForCourt = (event, court) => {
+  if (!court.shared) return true;
+  if (event.court) return event.court === court.code && (!event.centre || !court.centre || event.centre === court.centre);
+  return sameName(event.location, court.name) || sameName(event.location, court.code);
 };
 
-// Get available time slots for a specific date
-export const getAvailableSlots = async (dateISO, timezone = GOOGLE_DEFAULT_TIMEZONE) => {
-  if (!(await ensureAuth())) {
-    throw new Error('Google Calendar authentication failed');
-  }
+// Court codes with a calendar event overlapping [start, end) that applies to them
+export const busyCourtsBetween = (calendars, busyById, start, end) =>
+  calendars
+    .filter((court) =>
+      (busyById[court.calendarId] || []).some((b) =>
+        !(new Date(end) <= new Date(b.start) || new Date(start) >= new Date(b.end)) && isEventForCourt(b, court)
+      )
+    )
+    .map(({ code }) => code);
 
-  try {
-    const startOfDay = new Date(dateISO);
-    startOfDay.setHours(0, 0, 0, 0);
-    
-    const endOfDay = new Date(dateISO);
-    endOfDay.setHours(23, 59, 59, 999);
-
-    // Get busy slots from calendar
-    const response = await calendar.freebusy.query({
-      requestBody: {
-        timeMin: startOfDay.toISOString(),
-        timeMax: endOfDay.toISOString(),
-        timeZone: timezone,
-        items: [{ id: GOOGLE_CALENDAR_ID }],
-      },
-    });
-
-    // Generate available slots (1-hour slots from 6 AM to 10 PM)
-    const slots = [];
-    const startHour = 6;
-    const endHour = 22; // 10 PM
-
-    for (let hour = startHour; hour < endHour; hour++) {
-      const slotStart = new Date(startOfDay);
-      slotStart.setHours(hour, 0, 0, 0);
-      
-      const slotEnd = new Date(slotStart);
-      slotEnd.setHours(hour + 1, 0, 0, 0);
-      
-      // Check if this slot is available
-      const isBusy = response.data.calendars[GOOGLE_CALENDAR_ID].busy.some(busy => {
-        const busyStart = new Date(busy.start);
-        const busyEnd = new Date(busy.end);
-        return !(slotStart >= busyEnd || slotEnd <= busyStart);
-      });
+/**
+ * getAvailableSlots(dateISO, { timezone, centre, sport, courts, slotMinutes, durationMinutes, open, close, now })
+ * The one availability engine. Works on wall-clock times in the venue's timezone:
+ * offers a start every `slotMinutes` between `open` and `close` (defaults: hourly,
+ * 06:00 - 22:00) for a booking of `durationMinutes`, and for each merges
+ *   - events added by hand to each court's Google Calendar (see isEventForCourt;
+ *     unreachable calendars count as free)
+ *   - paid bookings, unexpired payment holds and staff blocks from Mongo, by overlap
+ * Slots that have already started are hidden.
+ * returns [{ formatted: "HH:MM - HH:MM", start, end, capacity, remaining }]
+ * With centre and courts, capacity/remaining count courts; fully booked slots are left out.
+ */
+export const getAvailableSlots = async (dateISO, options = {}) => {
+  const timezone = options.timezone || GOOGLE_DEFAULT_TIMEZONE;
+  const slotMinutes = options.slotMinutes || 60;
+  const durationMinutes = options.durationMinutes || slotMinutes;
+  const open = toMinutes(options.open || "06:00");
+  const close = toMinutes(options.close || "22:00");
+  const now = options.now || new Date();
 
-      if (!isBusy) {
-        // Format time with leading zeros
-        const startTimeStr = hour.toString().padStart(2, '0') + ':00';
-        const endTimeStr = (hour + 1).toString().padStart(2, '0') + ':00';
-        
-        slots.push({
-          start: slotStart,
-          end: slotEnd,
-          formatted: `${startTimeStr} - ${endTimeStr}`
-        });
-      }
-    }
+  const calendars = courtCalendars(options);
+  const busyById = await getBusyForRange(
+    makeISO(dateISO, "00:00", timezone),
+    makeISO(dateISO, "23:59:59", timezone),
+    calendars.map((c) => c.calendarId),
+    timezone
+  );
 
-    return slots;
-  } catch (error) {
-    console.error('Error getting available slots:', error);
-    throw new Error('Failed to fetch available time slots');
+  const candidates = [];
+  for (let from = open; from + durationMinutes <= close; from += slotMinutes) {
+    const label = formatSlot(from, from + durationMinutes);
+    const start = new Date(makeISO(dateISO, fromMinutes(from), timezone));
+    const end = new Date(makeISO(dateISO, fromMinutes(from + durationMinutes), timezone));
+    if (start <= now) continue;
+
+    // A calendar event closes the slot on the courts it applies to
+    const busyCourts = busyCourtsBetween(calendars, busyById, start, end);
+    if (busyCourts.length === calendars.length) continue;
+    candidates.push({ formatted: label, start, end, busyCourts });
   }
+
+  // Courts taken by bookings, holds and blocks
+  return withCourtCapacity(candidates, {
+    centre: options.centre,
+    sport: options.sport,
+    date: dateISO,
+    courts: options.courts,
+  });
 };
 
-// Create a new calendar event
-export const createEvent = async ({ dateISO, slot, summary = "Booking", description = "", attendees = [], timezone = GOOGLE_DEFAULT_TIMEZONE }) => {
+/**
+ * getCalendarFreeCourts(dateISO, slot, courts, timezone)
+ * The courts with no calendar event for them during the slot, so a booking is
+ * never put on a court closed in Google Calendar.
+ */
+export const getCalendarFreeCourts = async (dateISO, slot, courts, timezone = GOOGLE_DEFAULT_TIMEZONE) => {
+  const [startTime, endTime] = normalizeSlotString(slot).split(" - ");
+  const start = makeISO(dateISO, startTime, timezone);
+  const end = makeISO(dateISO, endTime, timezone);
+  const calendars = courtCalendars({ courts });
+  const busyById = await getBusyForRange(start, end, calendars.map((c) => c.calendarId), timezone);
+  const busy = new Set(busyCourtsBetween(calendars, busyById, start, end));
+  return courts.filter((court) => !busy.has(court.code));
+};
+
+// Create a new calendar event. `eventId` (base32hex, 5-1024 chars) makes the insert
+// idempotent: a second insert with the same id fails with 409 instead of duplicating.
+export const createEvent = async ({ dateISO, slot, summary = "Booking", description = "", attendees = [], extendedProperties, eventId, calendarId = GOOGLE_CALENDAR_ID, timezone = GOOGLE_DEFAULT_TIMEZONE }) => {
   await ensureAuth();
   if (!calendar) throw new Error("Google Calendar not configured");
 
@@ -242,11 +207,58 @@ export const createEvent = async ({ dateISO, slot, summary = "Booking", descript
     end: { dateTime: endISO, timeZone: timezone },
     attendees: (attendees || []).map((email) => ({ email })),
   };
+  if (eventId) event.id = eventId;
+  if (extendedProperties) event.extendedProperties = extendedProperties;
 
   const res = await calendar.events.insert({
-    calendarId: GOOGLE_CALENDAR_ID,
+    calendarId,
     requestBody: event,
   });
 
   return res.data;
 };
+
+// Delete a calendar event (an already deleted event is not an error)
+export const deleteEvent = async (eventId, calendarId = GOOGLE_CALENDAR_ID) => {
+  await ensureAuth();
+  if (!calendar) throw new Error("Google Calendar not configured");
+
+  try {
+    await calendar.events.delete({ calendarId, eventId });
+  } catch (err) {
+    if (err?.code === 404 || err?.code === 410) return;
+    throw err;
+  }
+};
+
+// Move an existing calendar event to another slot and/or refresh its details
+export const updateEvent = async (eventId, { dateISO, slot, summary, description, extendedProperties, calendarId = GOOGLE_CALENDAR_ID, timezone = GOOGLE_DEFAULT_TIMEZONE }) => {
+  await ensureAuth();
+  if (!calendar) throw new Error("Google Calendar not configured");
+
+  const [startTime, endTime] = slot.split("-").map((s) => s.trim());
+  const requestBody = {
+    start: { dateTime: makeISO(dateISO, startTime, timezone), timeZone: timezone },
+    end: { dateTime: makeISO(dateISO, endTime, timezone), timeZone: timezone },
+  };
+  if (summary) requestBody.summary = summary;
+  if (description) requestBody.description = description;
+  if (extendedProperties) requestBody.extendedProperties = extendedProperties;
+
+  const res = await calendar.events.patch({
+    calendarId,
+    eventId,
+    requestBody,
+  });
+
+  return res.data;
+};
+
+// Move an event to another calendar, e.g. when a booking changes court
+export const moveEvent = async (eventId, fromCalendarId, toCalendarId) => {
+  await ensureAuth();
+  if (!calendar) throw new Error("Google Calendar not configured");
+
+  const res = await calendar.events.move({ calendarId: fromCalendarId, eventId, destination: toCalendarId });
+  return res.data;
+};
@@ -0,0 +1,95 @@
+// utils/holds.js
+import Booking from "../models/Booking.js";
+import { cancelPaymentLink } from "./payments.js";
+import { releaseSplitShares } from "./splitPayments.js";
+import { expireWaitlistOffer, processWaitlist } from "./waitlist.js";
+import { sendMessage } from "./whatsapp.js";
+import { formatUserDate } from "./dateHelpers.js";
+import { translatorFor } from "./i18n.js";
+import dotenv from "dotenv";
+dotenv.config();
+
+// How long an unpaid booking keeps its court once the payment link is issued
+export const HOLD_TTL_MINUTES = Number(process.env.HOLD_TTL_MINUTES) || 15;
+const HOLD_SWEEP_INTERVAL_SECONDS = Number(process.env.HOLD_SWEEP_INTERVAL_SECONDS) || 60;
+
+export const holdExpiry = (from = new Date()) => new Date(from.getTime() + HOLD_TTL_MINUTES * 60 * 1000);
+
+// Mongo filter for bookings that currently occupy their court: paid ones, and
+// unpaid ones whose hold has not lapsed (bookings from before holds never lapse)
+export const activeBookingFilter = (now = new Date()) => ({
+  holdsSlot: { $ne: false },
+  $or: [{ paid: true }, { holdExpiresAt: null }, { holdExpiresAt: { $gt: now } }],
+});
+
+/**
+ * releaseHold(booking)
+ * Ends an unpaid hold: frees the court and cancels the Razorpay payment link.
+ * Shares of a split bill already paid are refunded (released.splitRefund), and
+ * a lapsed waitlist offer takes its customer out of line. The other unpaid dates
+ * of a weekly booking are released with it (released.seriesDates).
+ * Returns the released booking, or null if it was paid or released already.
+ */
+export const releaseHold = async (booking) => {
+  const released = await Booking.findOneAndUpdate(
+    { _id: booking._id, paid: false, holdsSlot: { $ne: false } },
+    { $set: { status: "expired", holdsSlot: false } },
+    { new: true }
+  );
+  if (!released) return null;
+  await cancelPaymentLink(released.meta?.razorpay?.paymentLinkId);
+  if (released.split?.shares?.length) released.splitRefund = await releaseSplitShares(released);
+  // A weekly booking is held and paid for as one
+  if (released.series) {
+    const siblings = await Booking.find({ series: released.series, paid: false, holdsSlot: { $ne: false } }).select("date");
+    await Booking.updateMany({ _id: { $in: siblings.map((b) => b._id) } }, { $set: { status: "expired", holdsSlot: false } });
+    released.seriesDates = siblings.map((b) => b.date);
+  }
+  await expireWaitlistOffer(released);
+  return released;
+};
+
+/**
+ * releaseExpiredHolds(filter)
+ * Releases every lapsed hold matching `filter`, tells the customer and offers
+ * the freed courts to the waitlist. Returns the number of holds released.
+ */
+export const releaseExpiredHolds = async (filter = {}) => {
+  const lapsed = await Booking.find({
+    ...filter,
+    paid: false,
+    holdsSlot: { $ne: false },
+    holdExpiresAt: { $lte: new Date() },
+  });
+
+  let count = 0;
+  const freed = new Map();
+  for (const booking of lapsed) {
+    const released = await releaseHold(booking);
+    if (!released) continue;
+    count++;
+    for (const date of [released.date, ...(released.seriesDates || [])]) {
+      freed.set(`${released.centre}|${date}`, { centre: released.centre, date });
+    }
+    try {
+      const tr = await translatorFor(released.phone);
+      const refundNote = released.splitRefund ? tr("hold.splitRefund", { amount: released.splitRefund }) : "";
+      const when = released.series
+        ? tr("hold.weekly", { time: released.time_slot })
+        : `${formatUserDate(released.date, tr.locale)}, ${released.time_slot}`;
+      await sendMessage(released.phone, tr("hold.expired", { sport: released.sport, centre: released.centre, when, refund: refundNote }));
+    } catch (err) {
+      console.error("⚠️ Failed to send hold expiry message:", err.message || err);
+    }
+  }
+  if (count > 0) console.log(`⌛ Released ${count} expired slot hold(s)`);
+  for (const slot of freed.values()) await processWaitlist(slot);
+  return count;
+};
+
+// Periodically release lapsed holds; returns the interval handle
+export const startHoldSweeper = () => {
+  const sweep = () => releaseExpiredHolds().catch((err) => console.error("Hold sweep error:", err.message || err));
+  sweep();
+  return setInterval(sweep, HOLD_SWEEP_INTERVAL_SECONDS * 1000);
+};
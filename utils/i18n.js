@@ -0,0 +1,46 @@
+// utils/i18n.js
+import Customer from "../models/Customer.js";
+import en from "../locales/en.js";
+import hi from "../locales/hi.js";
+import kn from "../locales/kn.js";
+
+const CATALOGS = { en, hi, kn };
+
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+export const DEFAULT_LOCALE = "en";
+
+// Each language named in itself, for the picker
+export const LANGUAGE_NAMES = { en: "English", hi: "हिन्दी", kn: "ಕನ್ನಡ" };
+
+/**
+ * t(locale, key, vars)
+ * The catalog text for `key` in `locale`, falling back to English and then to
+ * the key itself, with {name} placeholders filled from `vars`. Entries with
+ * { one, other } forms are picked by vars.count.
+ */
+export const t = (locale, key, vars = {}) => {
+  const entry = CATALOGS[locale]?.[key] ?? en[key] ?? key;
+  const text = typeof entry === "object" ? (vars.count === 1 ? entry.one : entry.other) : entry;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+};
+
+// The language a phone picked, or null before it has picked one
+export const getLocale = async (phone) => {
+  const customer = await Customer.findOne({ phone }).select("locale").lean();
+  return customer?.locale || null;
+};
+
+export const setLocale = (phone, locale) =>
+  Customer.updateOne({ phone }, { $set: { locale } }, { upsert: true });
+
+/**
+ * translatorFor(phone)
+ * t() bound to the phone's language (English until one is picked), with the
+ * locale on `.locale` for the date helpers.
+ */
+export const translatorFor = async (phone) => {
+  const locale = (await getLocale(phone)) || DEFAULT_LOCALE;
+  const translate = (key, vars) => t(locale, key, vars);
+  translate.locale = locale;
+  return translate;
+};
@@ -0,0 +1,57 @@
+// utils/inbound.js
+import ProcessedMessage from "../models/ProcessedMessage.js";
+
+// A claim still "processing" after this long belongs to a handler that died
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * claimMessage(messageId, phone)
+ * Claims the message for handling. Resolves true for the first claim, or for
+ * one whose handler stopped without finishing it, and false for a message that
+ * is being handled or was handled before (a retry or a repeated delivery).
+ * Pair with finishMessage once it is handled or releaseMessage if it failed.
+ */
+export const claimMessage = async (messageId, phone) => {
+  try {
+    await ProcessedMessage.create({ messageId, phone });
+    return true;
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+  }
+  const stale = await ProcessedMessage.findOneAndUpdate(
+    { messageId, status: "processing", claimedAt: { $lte: new Date(Date.now() - CLAIM_TIMEOUT_MS) } },
+    { $set: { claimedAt: new Date() } }
+  );
+  return Boolean(stale);
+};
+
+// Marks a claimed message as handled, so later deliveries of it are ignored
+export const finishMessage = (messageId) =>
+  ProcessedMessage.updateOne({ messageId }, { $set: { status: "done" } });
+
+// Gives back the claim on a message that failed, so a redelivery is handled again
+export const releaseMessage = (messageId) =>
+  ProcessedMessage.deleteOne({ messageId, status: "processing" });
+
+// Tail of the work queued for each phone
+const queues = new Map();
+
+/**
+ * runInOrder(phone, task)
+ * Runs task once everything queued before it for the same phone has settled,
+ * so two quick taps never work on the same session at once. Resolves or
+ * rejects with task's result.
+ * The queues live in this process's memory: with several server instances,
+ * messages from one phone handled by different instances are not ordered
+ * against each other (the message claims still stop any being handled twice).
+ */
+export const runInOrder = (phone, task) => {
+  const previous = queues.get(phone) || Promise.resolve();
+  const run = previous.then(task);
+  const tail = run.catch(() => {});
+  queues.set(phone, tail);
+  tail.then(() => {
+    if (queues.get(phone) === tail) queues.delete(phone);
+  });
+  return run;
+};
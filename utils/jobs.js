@@ -0,0 +1,98 @@
+// utils/jobs.js
+import Job from "../models/Job.js";
+import dotenv from "dotenv";
+dotenv.config();
+
+const JOB_POLL_INTERVAL_SECONDS = Number(process.env.JOB_POLL_INTERVAL_SECONDS) || 30;
+const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 5;
+// A job still "running" after this long belongs to a runner that died; pick it up again
+const JOB_LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+const handlers = {};
+
+// Register the function that runs jobs of a type: async (payload, job) => {}
+export const registerJobHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+/**
+ * scheduleJob(type, runAt, payload, { key })
+ * Persists a job to run at `runAt`. With a key, scheduling again replaces the
+ * pending job with that key instead of adding a second one.
+ */
+export const scheduleJob = async (type, runAt, payload = {}, { key } = {}) => {
+  if (!key) return Job.create({ type, runAt, payload });
+  return Job.findOneAndUpdate(
+    { key },
+    { $set: { type, runAt, payload, status: "pending", attempts: 0, lastError: null, lockedAt: null } },
+    { upsert: true, new: true }
+  );
+};
+
+// Drop pending jobs matching a filter on type/payload, e.g. { type, "payload.bookingId": id }
+export const cancelJobs = async (filter) => {
+  const result = await Job.deleteMany({ ...filter, status: "pending" });
+  return result.deletedCount;
+};
+
+// Claim one due job atomically so several server instances never run it twice
+const claimNextJob = () => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", runAt: { $lte: now } },
+        { status: "running", lockedAt: { $lte: new Date(now.getTime() - JOB_LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { status: "running", lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { runAt: 1 } }
+  );
+};
+
+const runJob = async (job) => {
+  const handler = handlers[job.type];
+  try {
+    if (!handler) throw new Error(`No handler registered for job type "${job.type}"`);
+    await handler(job.payload || {}, job);
+    await Job.updateOne({ _id: job._id }, { $set: { status: "done", lockedAt: null } });
+  } catch (err) {
+    const giveUp = job.attempts >= JOB_MAX_ATTEMPTS;
+    // Back off 1, 2, 4, 8... minutes between attempts
+    const retryAt = new Date(Date.now() + 2 ** (job.attempts - 1) * 60 * 1000);
+    await Job.updateOne(
+      { _id: job._id },
+      { $set: { status: giveUp ? "failed" : "pending", runAt: giveUp ? job.runAt : retryAt, lockedAt: null, lastError: err.message || String(err) } }
+    );
+    console.error(`⚠️ Job ${job.type} (${job._id}) failed, attempt ${job.attempts}${giveUp ? ", giving up" : ""}:`, err.message || err);
+  }
+};
+
+// Run every job that is due, one at a time
+export const runDueJobs = async () => {
+  let job;
+  let count = 0;
+  while ((job = await claimNextJob())) {
+    await runJob(job);
+    count++;
+  }
+  return count;
+};
+
+// Poll for due jobs; returns the interval handle
+export const startJobRunner = () => {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runDueJobs();
+    } catch (err) {
+      console.error("Job runner error:", err.message || err);
+    } finally {
+      running = false;
+    }
+  };
+  tick();
+  return setInterval(tick, JOB_POLL_INTERVAL_SECONDS * 1000);
+};
@@ -2,6 +2,9 @@
 import Razorpay from "razorpay";
 import dotenv from "dotenv";
 import Booking from "../models/Booking.js";
+import Session from "../models/Session.js";
+import { scheduleBookingReminders } from "./reminders.js";
+import { syncBookingEvent } from "./calendarSync.js";
 
 dotenv.config();
 
@@ -16,35 +19,69 @@ const razor = new Razorpay({
   key_secret: RAZORPAY_KEY_SECRET,
 });
 
+/**
+ * Razorpay options shared by every payment link. amount in rupees (at least ₹1);
+ * the link expires with `holdExpiresAt` when that leaves it Razorpay's minimum
+ * of 15 minutes. Razorpay texts the link to `phone` as well.
+ */
+function buildLinkOptions({ amount, description, referenceId, notes, name, phone, holdExpiresAt }) {
+  const opts = {
+    amount: Math.max(1, Number(amount)) * 100,
+    currency: "INR",
+    description,
+    reference_id: referenceId,
+    notes,
+    customer: {
+      name: name || "Guest",
+      contact: phone,
+      email: `${phone || "noone"}@example.com`,
+    },
+    notify: { sms: true, email: false },
+    reminder_enable: true,
+    callback_url: `${BASE_URL || "http://localhost:5000"}/razorpay/webhook`,
+    callback_method: "get",
+  };
+  const expireBy = holdExpiresAt ? Math.floor(new Date(holdExpiresAt).getTime() / 1000) : null;
+  if (expireBy && expireBy - Date.now() / 1000 > 15 * 60) {
+    opts.expire_by = expireBy;
+  }
+  return opts;
+}
+
 /**
  * Create Razorpay payment link and persist meta on booking.
  * amount in rupees (default 1 — checkout set to ₹1).
+ * A link issued earlier for the booking (say, before a promo code changed the
+ * price) is cancelled; Razorpay wants a new reference_id for each link, so
+ * later links carry "<bookingId>_<n>".
  */
 export async function createPaymentLink(booking, amount = 1) {
   try {
     if (!booking || !booking._id) throw new Error("Booking required to create payment link");
 
-  // Ensure minimum checkout amount is 1 rupee. Convert rupees -> paise
-  const amountPaise = Math.max(1, Number(amount)) * 100;
-
-    const opts = {
-      amount: amountPaise,
-      currency: "INR",
+    const previousLinkId = booking.meta?.razorpay?.paymentLinkId;
+    const linkCount = (booking.meta?.razorpay?.linkCount || 0) + 1;
+    const opts = buildLinkOptions({
+      amount,
       description: `Sports Booking - ${booking.sport || "Sport"} at ${booking.centre || "Centre"}`,
-      reference_id: String(booking._id),
-      notes: { bookingId: String(booking._id) }, // crucial: copied into payment entity
-      customer: {
-        name: booking.name || "Guest",
-        contact: booking.phone,
-        email: `${booking.phone || "noone"}@example.com`,
+      referenceId: linkCount === 1 ? String(booking._id) : `${booking._id}_${linkCount}`,
+      notes: {
+        bookingId: String(booking._id), // crucial: copied into payment entity
+        // Promo code and discount, for reconciling discounted payments in the dashboard
+        ...(booking.meta?.coupon ? {
+          couponCode: booking.meta.coupon.code,
+          discount: String(booking.meta.coupon.discount),
+          subtotal: String(booking.meta.coupon.subtotal),
+        } : {}),
       },
-      notify: { sms: true, email: false },
-      reminder_enable: true,
-      callback_url: `${BASE_URL || "http://localhost:5000"}/razorpay/webhook`,
-      callback_method: "get",
-    };
+      name: booking.name,
+      phone: booking.phone,
+      // Let Razorpay expire the link with the slot hold
+      holdExpiresAt: booking.holdExpiresAt,
+    });
 
-    console.log("Creating Razorpay payment link:", { bookingId: booking._id, amountPaise });
+    await cancelPaymentLink(previousLinkId);
+    console.log("Creating Razorpay payment link:", { bookingId: booking._id, amountPaise: opts.amount });
     const resp = await razor.paymentLink.create(opts);
 
     // persist meta into booking
@@ -53,7 +90,9 @@ export async function createPaymentLink(booking, amount = 1) {
     booking.meta.razorpay.paymentLinkId = resp.id || booking.meta.razorpay.paymentLinkId;
     booking.meta.razorpay.paymentLinkUrl = resp.short_url || booking.meta.razorpay.paymentLinkUrl;
     booking.meta.razorpay.lastCreatedAt = new Date().toISOString();
-    booking.step = "payment_pending";
+    booking.meta.razorpay.linkCount = linkCount;
+    booking.markModified("meta");
+    booking.status = "payment_pending";
     await booking.save();
 
     console.log(`✅ Payment link created for booking ${booking._id}: ${resp.short_url}`);
@@ -63,3 +102,216 @@ export async function createPaymentLink(booking, amount = 1) {
     throw err;
   }
 }
+
+/**
+ * Create a Razorpay payment link for one share of a split booking
+ * (booking.split.shares) and store it on the share (does not save).
+ * The webhook recognises it by notes.shareId. Razorpay texts the link to the
+ * share's phone as well.
+ */
+export async function createShareLink(booking, share) {
+  const opts = buildLinkOptions({
+    amount: share.amount,
+    description: `${share.label} share - ${booking.sport || "Sport"} at ${booking.centre || "Centre"}`,
+    referenceId: `${booking._id}_${share._id}`,
+    notes: { bookingId: String(booking._id), shareId: String(share._id) },
+    name: share.phone === booking.phone ? booking.name : share.label,
+    phone: share.phone || booking.phone,
+    holdExpiresAt: booking.holdExpiresAt,
+  });
+
+  console.log("Creating Razorpay share payment link:", { bookingId: booking._id, shareId: share._id, amountPaise: opts.amount });
+  const resp = await razor.paymentLink.create(opts);
+  share.paymentLinkId = resp.id;
+  share.paymentLinkUrl = resp.short_url;
+  return resp.short_url;
+}
+
+/**
+ * Create a Razorpay payment link for a pending wallet purchase
+ * (models/WalletEntry.js) and store its id on the entry.
+ * The webhook recognises it by notes.walletEntryId.
+ */
+export async function createWalletPaymentLink(entry, { name, description } = {}) {
+  const opts = buildLinkOptions({
+    amount: entry.price,
+    description: description || "Wallet credits",
+    referenceId: `wallet_${entry._id}`,
+    notes: { walletEntryId: String(entry._id), pack: entry.pack || "" },
+    name,
+    phone: entry.phone,
+  });
+
+  console.log("Creating Razorpay wallet payment link:", { walletEntryId: entry._id, amountPaise: opts.amount });
+  const resp = await razor.paymentLink.create(opts);
+  entry.razorpay = { ...entry.razorpay, paymentLinkId: resp.id };
+  await entry.save();
+  console.log(`✅ Wallet payment link created for entry ${entry._id}: ${resp.short_url}`);
+  return resp.short_url;
+}
+
+/**
+ * Create one Razorpay payment link for every occurrence of a weekly booking
+ * (models/BookingSeries.js) and store it on the series (does not save).
+ * The webhook recognises it by notes.seriesId.
+ */
+export async function createSeriesPaymentLink(series) {
+  const opts = buildLinkOptions({
+    amount: series.totalAmount,
+    description: `Weekly Booking x${series.dates.length} - ${series.sport || "Sport"} at ${series.centre || "Centre"}`,
+    referenceId: `series_${series._id}`,
+    notes: { seriesId: String(series._id) },
+    name: series.name,
+    phone: series.phone,
+  });
+
+  console.log("Creating Razorpay series payment link:", { seriesId: series._id, amountPaise: opts.amount });
+  const resp = await razor.paymentLink.create(opts);
+  series.razorpay = { ...series.razorpay, paymentLinkId: resp.id, paymentLinkUrl: resp.short_url };
+  return resp.short_url;
+}
+
+/**
+ * Create a Razorpay payment link for the discount of a promo code that was used
+ * up by the time the booking's payment landed (see utils/coupons.js).
+ * The webhook recognises it by notes.couponDifference.
+ */
+export async function createCouponDifferenceLink(booking, amount) {
+  const opts = buildLinkOptions({
+    amount,
+    description: `Promo code ${booking.meta?.coupon?.code || ""} difference - ${booking.sport || "Sport"} at ${booking.centre || "Centre"}`,
+    referenceId: `coupon_${booking._id}`,
+    notes: { bookingId: String(booking._id), couponDifference: "true" },
+    name: booking.name,
+    phone: booking.phone,
+  });
+
+  console.log("Creating Razorpay coupon difference link:", { bookingId: booking._id, amountPaise: opts.amount });
+  const resp = await razor.paymentLink.create(opts);
+  return resp.short_url;
+}
+
+/**
+ * Cancel a Razorpay payment link so it can no longer be paid.
+ * Links that are already paid, cancelled or expired are left as they are.
+ */
+export async function cancelPaymentLink(paymentLinkId) {
+  if (!paymentLinkId) return null;
+  try {
+    const resp = await razor.paymentLink.cancel(paymentLinkId);
+    console.log(`🚫 Payment link cancelled: ${paymentLinkId}`);
+    return resp;
+  } catch (err) {
+    const description = err?.error?.description || err?.message || err;
+    console.warn(`Could not cancel payment link ${paymentLinkId}:`, description);
+    return null;
+  }
+}
+
+/**
+ * Refund (part of) a captured Razorpay payment.
+ * amount in rupees; notes are copied onto the refund entity.
+ */
+export async function refundPayment(paymentId, amount, notes = {}) {
+  if (!paymentId) throw new Error("Payment id required to issue a refund");
+  const amountPaise = Math.round(Number(amount) * 100);
+  console.log("Creating Razorpay refund:", { paymentId, amountPaise });
+  const resp = await razor.payments.refund(paymentId, {
+    amount: amountPaise,
+    speed: "normal",
+    notes,
+  });
+  console.log(`✅ Refund ${resp.id} created for payment ${paymentId}`);
+  return resp;
+}
+
+/**
+ * Record a captured Razorpay payment entity on the booking's meta.razorpay
+ * (does not save). Each payment is kept with its amount in rupees so later
+ * refunds can be spread across them.
+ */
+export function recordPayment(booking, payment) {
+  if (!payment?.id) return;
+  booking.meta = booking.meta || {};
+  const razorpayMeta = booking.meta.razorpay || {};
+  const payments = razorpayMeta.payments || [];
+  if (!payments.some((p) => p.id === payment.id)) {
+    payments.push({ id: payment.id, amount: Number(payment.amount || 0) / 100, refunded: 0 });
+  }
+  booking.meta.razorpay = { ...razorpayMeta, paymentId: razorpayMeta.paymentId || payment.id, payments };
+  booking.markModified("meta");
+}
+
+// Saves how much of each payment has been refunded, without touching the rest of the booking
+const saveRefundedAmounts = async (booking, payments) => {
+  booking.meta = booking.meta || {};
+  booking.meta.razorpay = { ...booking.meta.razorpay, payments };
+  booking.markModified("meta");
+  await Booking.updateOne({ _id: booking._id }, { $set: { "meta.razorpay.payments": payments } });
+};
+
+/**
+ * Refund an amount in rupees against the payments recorded on a booking,
+ * newest first. How much each payment has had refunded is saved after every
+ * refund, so a failure part way leaves the booking recording what went back.
+ * Throws before refunding anything if the payments cannot cover the amount;
+ * a refund failing after others went through throws with those on err.refunds.
+ */
+export async function refundBooking(booking, amount, notes = {}) {
+  const razorpayMeta = booking.meta?.razorpay || {};
+  // Bookings paid before payments were itemised only carry the payment id
+  const payments = razorpayMeta.payments?.length
+    ? razorpayMeta.payments
+    : razorpayMeta.paymentId
+      ? [{ id: razorpayMeta.paymentId, amount: booking.totalAmount || 0, refunded: 0 }]
+      : [];
+
+  const refundable = payments.reduce((sum, p) => sum + (p.amount - (p.refunded || 0)), 0);
+  if (refundable < amount) {
+    throw new Error(`Booking ${booking._id} has ₹${refundable} refundable, cannot refund ₹${amount}`);
+  }
+
+  const refunds = [];
+  let remaining = amount;
+  for (const payment of [...payments].reverse()) {
+    if (remaining <= 0) break;
+    const part = Math.min(payment.amount - (payment.refunded || 0), remaining);
+    if (part <= 0) continue;
+    try {
+      refunds.push(await refundPayment(payment.id, part, notes));
+    } catch (err) {
+      err.refunds = refunds;
+      throw err;
+    }
+    payment.refunded = (payment.refunded || 0) + part;
+    remaining -= part;
+    await saveRefundedAmounts(booking, payments);
+  }
+  return refunds;
+}
+
+/**
+ * Confirm a booking paid outside Razorpay (cash or UPI at the desk) and cancel
+ * its pending payment link. The payment is kept on meta.offlinePayment.
+ * Throws a duplicate key error (code 11000) if another booking took the court.
+ */
+export async function markPaidOffline(booking, { method = "cash", reference, by } = {}) {
+  booking.paid = true;
+  booking.status = "confirmed";
+  booking.holdsSlot = true;
+  booking.meta = booking.meta || {};
+  booking.meta.offlinePayment = { method, reference, by, amount: booking.totalAmount || 0, at: new Date().toISOString() };
+  booking.markModified("meta");
+  await booking.save();
+  console.log(`💵 Booking ${booking._id} marked paid (${method}) by ${by || "staff"}`);
+
+  await cancelPaymentLink(booking.meta.razorpay?.paymentLinkId);
+  await Session.deleteOne({ phone: booking.phone, bookingId: booking._id });
+  try {
+    await scheduleBookingReminders(booking);
+  } catch (err) {
+    console.error("⚠️ Failed to schedule booking reminders:", err.message || err);
+  }
+  await syncBookingEvent(booking);
+  return booking;
+}
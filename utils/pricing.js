@@ -0,0 +1,91 @@
+// utils/pricing.js
+import { getDay, parseISO } from "date-fns";
+import PricingRule from "../models/PricingRule.js";
+import Holiday from "../models/Holiday.js";
+import { getSlotPrice, getSlotSettings } from "./catalog.js";
+import { parseSlot, formatSlot, fromMinutes } from "./slots.js";
+import { getSlotStart } from "./dateHelpers.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// An empty or missing list places no restriction
+const appliesTo = (list, value) => !list?.length || list.includes(value);
+
+const matchesDay = (rule, weekday, isHoliday) => {
+  if (!rule.days?.length && !rule.onHolidays) return true;
+  return (rule.days || []).includes(weekday) || (rule.onHolidays && isHoliday);
+};
+
+// `start` is "HH:MM"; a window whose `to` is before its `from` runs past midnight
+const matchesTime = ({ from, to }, start) => {
+  if (from && to && to < from) return start >= from || start < to;
+  return (!from || start >= from) && (!to || start < to);
+};
+
+const matchesLead = ({ minLeadHours, maxLeadHours }, leadHours) =>
+  (minLeadHours == null || leadHours >= minLeadHours) && (maxLeadHours == null || leadHours <= maxLeadHours);
+
+const applyAdjustment = (price, { type, value }) => {
+  if (type === "fixed") return value;
+  if (type === "amount") return price + value;
+  return price * (1 + value / 100);
+};
+
+/**
+ * getPricer({ venue, sport, date, now })
+ * Loads the pricing rules and holidays that apply to a sport at a venue on one
+ * date, and returns priceSlot(time_slot, court) → { amount, base, rules }.
+ * Each slot the booking covers starts at the base slot price and goes through
+ * the rules matching its start time, the court's type and how far ahead it is
+ * booked; `rules` names the ones that applied. Amounts are whole rupees, at least ₹1.
+ */
+export const getPricer = async ({ venue, sport, date, now = new Date() }) => {
+  const [rules, holiday] = await Promise.all([
+    PricingRule.find({ active: true }).sort({ priority: 1, _id: 1 }).lean(),
+    Holiday.exists({ date, $or: [{ venues: { $size: 0 } }, { venues: { $exists: false } }, { venues: venue.code }] }),
+  ]);
+  const weekday = getDay(parseISO(date));
+  const dayRules = rules.filter((rule) =>
+    appliesTo(rule.venues, venue.code) &&
+    appliesTo(rule.sports, sport.code) &&
+    matchesDay(rule, weekday, Boolean(holiday))
+  );
+  const { slotMinutes } = getSlotSettings(venue, sport);
+  const slotPrice = getSlotPrice(venue, sport);
+
+  return (timeSlot, court) => {
+    const range = parseSlot(timeSlot) || { start: 0, end: slotMinutes };
+    const courtRules = dayRules.filter((rule) => appliesTo(rule.courtTypes, court?.type));
+    const applied = new Set();
+    let base = 0;
+    let total = 0;
+
+    // A booking of several slots is priced slot by slot, so one that runs into a peak window pays peak for that part
+    for (let start = range.start; start < range.end; start += slotMinutes) {
+      const share = Math.min(slotMinutes, range.end - start) / slotMinutes;
+      const leadHours = (getSlotStart(date, formatSlot(start, start + slotMinutes)) - now) / HOUR_MS;
+      let price = slotPrice;
+      for (const rule of courtRules) {
+        if (!matchesTime(rule, fromMinutes(start)) || !matchesLead(rule, leadHours)) continue;
+        price = applyAdjustment(price, rule.adjustment);
+        applied.add(rule.name);
+      }
+      base += slotPrice * share;
+      total += Math.max(0, price) * share;
+    }
+
+    return { amount: Math.max(1, Math.round(total)), base: Math.round(base), rules: [...applied] };
+  };
+};
+
+// One-off price for a slot on a given court
+export const quoteSlotPrice = async ({ venue, sport, date, time_slot, court, now }) =>
+  (await getPricer({ venue, sport, date, now }))(time_slot, court);
+
+// "₹900", or "₹900 - ₹1200" when the slot costs different amounts on different courts
+export const describePriceRange = (priceSlot, timeSlot, courts) => {
+  const amounts = (courts?.length ? courts : [null]).map((court) => priceSlot(timeSlot, court).amount);
+  const min = Math.min(...amounts);
+  const max = Math.max(...amounts);
+  return min === max ? `₹${min}` : `₹${min} - ₹${max}`;
+};
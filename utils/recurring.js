@@ -0,0 +1,194 @@
+// utils/recurring.js
+import { getDay, parseISO } from "date-fns";
+import Booking from "../models/Booking.js";
+import BookingSeries from "../models/BookingSeries.js";
+import Session from "../models/Session.js";
+import { getCourtsForSport, getCourtOccupancy, reserveCourt } from "./courts.js";
+import { getCalendarFreeCourts } from "./googleCalendar.js";
+import { getPricer } from "./pricing.js";
+import { createSeriesPaymentLink, refundPayment } from "./payments.js";
+import { holdExpiry, releaseHold } from "./holds.js";
+import { scheduleBookingReminders } from "./reminders.js";
+import { syncBookingEvent } from "./calendarSync.js";
+import { addDaysToIsoDate, getSlotStart } from "./dateHelpers.js";
+
+// Longest weekly booking that can be made in one go (about six months)
+export const MAX_SERIES_WEEKS = 26;
+
+/**
+ * getSeriesDates(startDate, { weeks, endDate })
+ * startDate and the same weekday after it, for `weeks` weeks or up to and
+ * including endDate ("YYYY-MM-DD"). Returns null when that would be more
+ * than MAX_SERIES_WEEKS dates.
+ */
+export const getSeriesDates = (startDate, { weeks, endDate } = {}) => {
+  const dates = [];
+  for (let date = startDate; weeks ? dates.length < weeks : date <= endDate; date = addDaysToIsoDate(date, 7)) {
+    if (dates.length === MAX_SERIES_WEEKS) return null;
+    dates.push(date);
+  }
+  return dates;
+};
+
+/**
+ * checkSeries({ venue, sport, time_slot, dates, now })
+ * Works out which dates of a weekly booking can be had, and for each the court
+ * it would go on (keeping to one court where it can) and its price. Dates that
+ * have started or have no free court are conflicts.
+ * returns { available: [{ date, court, amount }], conflicts: [date] }
+ */
+export const checkSeries = async ({ venue, sport, time_slot, dates, now = new Date() }) => {
+  const courts = getCourtsForSport(venue, sport.code);
+  const available = [];
+  const conflicts = [];
+  let preferred;
+  for (const date of dates) {
+    if (getSlotStart(date, time_slot) <= now) {
+      conflicts.push(date);
+      continue;
+    }
+    const [calendarFree, takenCourtsFor] = await Promise.all([
+      getCalendarFreeCourts(date, time_slot, courts),
+      getCourtOccupancy({ centre: venue.name, sport: sport.name, date, courts }),
+    ]);
+    const taken = takenCourtsFor(time_slot);
+    const free = calendarFree.filter((c) => !taken.has(c.code));
+    if (free.length === 0) {
+      conflicts.push(date);
+      continue;
+    }
+    const court = free.find((c) => c.code === preferred) || free[0];
+    preferred = preferred || court.code;
+    const priceSlot = await getPricer({ venue, sport, date, now });
+    available.push({ date, court: court.code, amount: priceSlot(time_slot, court).amount });
+  }
+  return { available, conflicts };
+};
+
+/**
+ * holdSeries({ phone, name, players, venue, sport, time_slot, plan, conflicts })
+ * Holds every date of `plan` (checkSeries' available dates) on its planned court,
+ * or another free one, and creates one payment link for them all. Dates taken
+ * since the check are added to the conflicts. Returns the saved series, or null
+ * when no date could be held.
+ */
+export const holdSeries = async ({ phone, name, players, venue, sport, time_slot, plan, conflicts = [] }) => {
+  const series = new BookingSeries({
+    phone,
+    name,
+    sport: sport.name,
+    sportCode: sport.code,
+    centre: venue.name,
+    venueCode: venue.code,
+    weekday: getDay(parseISO(plan[0].date)),
+    time_slot,
+    conflicts: [...conflicts],
+  });
+  const courts = getCourtsForSport(venue, sport.code);
+  const holdExpiresAt = holdExpiry();
+  const held = [];
+
+  for (const { date, court } of plan) {
+    const calendarFree = await getCalendarFreeCourts(date, time_slot, courts);
+    const ordered = [...calendarFree].sort((a, b) => (b.code === court) - (a.code === court));
+    const booking = await reserveCourt({
+      phone,
+      name,
+      players,
+      sport: sport.name,
+      sportCode: sport.code,
+      centre: venue.name,
+      venueCode: venue.code,
+      date,
+      time_slot,
+      series: series._id,
+      totalAmount: 0,
+      holdExpiresAt,
+      meta: {},
+    }, ordered);
+    if (!booking) {
+      series.conflicts.push(date);
+      continue;
+    }
+    const price = (await getPricer({ venue, sport, date }))(time_slot, courts.find((c) => c.code === booking.court));
+    booking.totalAmount = price.amount;
+    booking.meta = { pricing: price };
+    booking.markModified("meta");
+    await booking.save();
+    held.push(booking);
+  }
+  if (held.length === 0) return null;
+
+  series.dates = held.map((b) => b.date);
+  series.bookings = held.map((b) => b._id);
+  series.totalAmount = held.reduce((sum, b) => sum + b.totalAmount, 0);
+  series.conflicts.sort();
+  try {
+    await createSeriesPaymentLink(series);
+  } catch (err) {
+    for (const booking of held) await releaseHold(booking);
+    throw err;
+  }
+  await series.save();
+  // Each occurrence knows the link, so releasing its hold cancels it (utils/holds.js)
+  await Booking.updateMany({ series: series._id }, { $set: { "meta.razorpay": { paymentLinkId: series.razorpay.paymentLinkId } } });
+  console.log(`🔁 Series ${series._id}: ${held.length} weekly ${sport.name} bookings held for ${phone}, ₹${series.totalAmount}`);
+  return series;
+};
+
+/**
+ * confirmSeries(seriesId, payment)
+ * Confirms every occurrence of a paid series. Each keeps its own part of the
+ * payment so it can be cancelled and refunded on its own. An occurrence whose
+ * hold lapsed and lost its court is marked conflict and its price refunded.
+ * Returns { series, confirmed, lost, refunded }, or null if the series is
+ * unknown or was confirmed already.
+ */
+export const confirmSeries = async (seriesId, payment) => {
+  const series = await BookingSeries.findOneAndUpdate(
+    { _id: seriesId, status: "payment_pending" },
+    { $set: { status: "confirmed", "razorpay.paymentId": payment?.id } },
+    { new: true }
+  );
+  if (!series) return null;
+
+  const confirmed = [];
+  const lost = [];
+  for (const booking of await Booking.find({ _id: { $in: series.bookings } }).sort({ date: 1 })) {
+    booking.paid = true;
+    booking.status = "confirmed";
+    booking.holdsSlot = true;
+    const payments = payment?.id ? [{ id: payment.id, amount: booking.totalAmount || 0, refunded: 0 }] : [];
+    booking.meta = { ...booking.meta, razorpay: { ...booking.meta?.razorpay, paymentId: payment?.id, payments } };
+    booking.markModified("meta");
+    try {
+      await booking.save();
+      confirmed.push(booking);
+    } catch (err) {
+      if (err?.code !== 11000) throw err;
+      await Booking.updateOne({ _id: booking._id }, { $set: { status: "conflict", holdsSlot: false } });
+      lost.push(booking);
+    }
+  }
+
+  const refunded = lost.reduce((sum, b) => sum + (b.totalAmount || 0), 0);
+  if (refunded > 0 && payment?.id) {
+    try {
+      await refundPayment(payment.id, refunded, { seriesId: String(series._id), reason: "series_dates_taken" });
+    } catch (err) {
+      console.error(`⚠️ Refund of lost series dates failed for ${series._id}:`, err?.message || err);
+    }
+  }
+
+  await Session.deleteOne({ phone: series.phone, "meta.seriesId": String(series._id) });
+  for (const booking of confirmed) {
+    try {
+      await scheduleBookingReminders(booking);
+    } catch (err) {
+      console.error("⚠️ Failed to schedule booking reminders:", err.message || err);
+    }
+    await syncBookingEvent(booking);
+  }
+  console.log(`🔁 Series ${series._id} confirmed: ${confirmed.length} booked, ${lost.length} lost`);
+  return { series, confirmed, lost, refunded };
+};
@@ -0,0 +1,59 @@
+// utils/reminders.js
+import Booking from "../models/Booking.js";
+import { scheduleJob, cancelJobs, registerJobHandler } from "./jobs.js";
+import { sendTemplate } from "./whatsapp.js";
+import { formatUserDate, getSlotStart } from "./dateHelpers.js";
+import { normalizeSlotString } from "./normalizeSlot.js";
+import { getLocale } from "./i18n.js";
+import { templateLanguage } from "./templates.js";
+
+const REMINDER_JOB = "booking_reminder";
+// Hours before a booking starts at which a reminder goes out
+const REMINDER_OFFSETS_HOURS = [24, 2];
+
+/**
+ * scheduleBookingReminders(booking)
+ * Schedules (or moves) the reminders for a paid booking. Reminders whose time
+ * has already passed are dropped, so a booking made 3 hours ahead only gets the 2h one.
+ */
+export const scheduleBookingReminders = async (booking) => {
+  const start = getSlotStart(booking.date, booking.time_slot);
+  const bookingId = String(booking._id);
+
+  for (const hoursBefore of REMINDER_OFFSETS_HOURS) {
+    const key = `reminder:${bookingId}:${hoursBefore}h`;
+    const runAt = new Date(start.getTime() - hoursBefore * 60 * 60 * 1000);
+    if (runAt <= new Date()) {
+      await cancelJobs({ key });
+      continue;
+    }
+    await scheduleJob(
+      REMINDER_JOB,
+      runAt,
+      { bookingId, hoursBefore, date: booking.date, time_slot: booking.time_slot },
+      { key }
+    );
+  }
+};
+
+export const cancelBookingReminders = (bookingId) =>
+  cancelJobs({ type: REMINDER_JOB, "payload.bookingId": String(bookingId) });
+
+const sendBookingReminder = async ({ bookingId, date, time_slot }) => {
+  const booking = await Booking.findById(bookingId);
+  // Skip bookings that were cancelled or moved after the reminder was scheduled
+  if (!booking || !booking.paid || booking.status !== "confirmed") return;
+  if (booking.date !== date || normalizeSlotString(booking.time_slot) !== normalizeSlotString(time_slot)) return;
+
+  const language = templateLanguage("booking_reminder", await getLocale(booking.phone));
+  await sendTemplate(booking.phone, "booking_reminder", {
+    language,
+    body: [booking.name, booking.sport, booking.centre, formatUserDate(booking.date, language), booking.time_slot],
+    buttons: [`remind_late_${bookingId}`, `remind_cancel_${bookingId}`],
+  });
+  console.log(`⏰ Reminder sent for booking ${bookingId}`);
+};
+
+export const registerReminderJobs = () => {
+  registerJobHandler(REMINDER_JOB, sendBookingReminder);
+};
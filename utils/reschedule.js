@@ -0,0 +1,242 @@
+// utils/reschedule.js
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import { getCourtOccupancy, reserveCourt } from "./courts.js";
+import { holdExpiry, releaseExpiredHolds } from "./holds.js";
+import { recordPayment, refundBooking, refundPayment } from "./payments.js";
+import { syncBookingEvent } from "./calendarSync.js";
+import { normalizeSlotString } from "./normalizeSlot.js";
+import { slotUnits } from "./slots.js";
+import { quoteSlotPrice } from "./pricing.js";
+import { scheduleBookingReminders } from "./reminders.js";
+import { creditWallet } from "./wallet.js";
+import { addOnsTotal } from "./addons.js";
+import { processWaitlist } from "./waitlist.js";
+import { scheduleJob, registerJobHandler } from "./jobs.js";
+import { sendMessage } from "./whatsapp.js";
+import { translatorFor } from "./i18n.js";
+
+const REFUND_JOB = "reschedule_refund";
+// First retry after a minute; the job runner backs off further from there
+const REFUND_RETRY_DELAY_MS = 60 * 1000;
+
+/**
+ * quoteReschedule(booking, venue, sport, target)
+ * What the booking costs at the current price of the target slot
+ * ({ date, time_slot, courts }, the same length as the booking) plus the same
+ * add-ons, less any promo discount it was paid with, and the difference against what was paid; positive means the
+ * customer owes more. It is priced on the booking's own court when that court
+ * is among the targets, else on the first of them.
+ */
+export const quoteReschedule = async (booking, venue, sport, { date, time_slot, courts }) => {
+  const addOnTotal = addOnsTotal(booking.additionalServices);
+  const court = courts.find((c) => c.code === booking.court) || courts[0];
+  const { amount } = await quoteSlotPrice({ venue, sport, date, time_slot, court });
+  const newTotal = Math.max(1, amount + addOnTotal - (booking.meta?.coupon?.discount || 0));
+  return { newTotal, difference: newTotal - (booking.totalAmount || 0) };
+};
+
+// Move the reminders along with the booking
+const moveReminders = async (booking) => {
+  try {
+    await scheduleBookingReminders(booking);
+  } catch (err) {
+    console.error("⚠️ Failed to move booking reminders:", err?.message || err);
+  }
+};
+
+/**
+ * moveBooking(booking, { date, time_slot, courts }, fields)
+ * Moves a confirmed booking onto the first free court of another slot with a
+ * single update, so the unique slot index either accepts the new slot or
+ * rejects it while the old one stays booked. `fields` are set in the same update.
+ * Returns the moved booking, or null if no court is free.
+ */
+const moveBooking = async (booking, { date, time_slot, courts }, fields = {}) => {
+  await releaseExpiredHolds({ centre: booking.centre, date });
+  const label = normalizeSlotString(time_slot);
+  const takenCourtsFor = await getCourtOccupancy({ centre: booking.centre, sport: booking.sport, date, courts });
+  // The booking itself may overlap its new slot; moving within its own time is fine
+  const used = new Set([...takenCourtsFor(label)].filter((code) => !(code === booking.court && date === booking.date)));
+
+  for (const court of courts) {
+    if (used.has(court.code)) continue;
+    try {
+      return await Booking.findOneAndUpdate(
+        { _id: booking._id, status: "confirmed" },
+        { $set: { ...fields, date, time_slot: label, slotUnits: slotUnits(label), court: court.code, courtName: court.name } },
+        { new: true }
+      );
+    } catch (err) {
+      if (err?.code === 11000) continue;
+      throw err;
+    }
+  }
+  return null;
+};
+
+// Rupees refunded so far against the booking's Razorpay payments
+const refundedSoFar = (booking) => (booking.meta?.razorpay?.payments || []).reduce((sum, p) => sum + (p.refunded || 0), 0);
+
+// Gives back the price difference of a cheaper slot, as credits if the booking was paid with credits
+const refundDifference = (booking, amount) =>
+  booking.meta?.wallet
+    ? creditWallet(booking.phone, amount, { booking: booking._id, note: "Rescheduled to a cheaper slot" })
+    : refundBooking(booking, amount, { bookingId: String(booking._id), reason: "reschedule" });
+
+const logReschedule = (booking, from, difference) => {
+  booking.meta = booking.meta || {};
+  booking.meta.reschedules = [
+    ...(booking.meta.reschedules || []),
+    { from, to: { date: booking.date, time_slot: booking.time_slot }, difference, at: new Date().toISOString() },
+  ];
+  booking.markModified("meta");
+};
+
+/**
+ * rescheduleBooking(booking, target, quote)
+ * Moves a paid booking to a slot that costs the same or less, refunds any
+ * difference (through Razorpay, or as credits if it was paid with credits),
+ * moves its calendar event and offers the slot it left to the waitlist.
+ * A refund that fails is retried from the job queue and the customer is told
+ * once it goes through.
+ * Returns { booking, refund: { amount, pending } | null }, or null when the
+ * slot is no longer free.
+ */
+export const rescheduleBooking = async (booking, target, { newTotal, difference }) => {
+  const from = { date: booking.date, time_slot: booking.time_slot };
+  const moved = await moveBooking(booking, target, { totalAmount: newTotal });
+  if (!moved) return null;
+
+  logReschedule(moved, from, difference);
+  await moved.save();
+  let refund = null;
+  if (difference < 0) {
+    refund = { amount: -difference, pending: false };
+    // Where the refunds should stand once this one is through; see registerRescheduleJobs
+    const refundedTarget = refundedSoFar(moved) + refund.amount;
+    try {
+      await refundDifference(moved, refund.amount);
+    } catch (err) {
+      console.error(`⚠️ Reschedule refund of ₹${refund.amount} failed for booking ${moved._id}, will retry:`, err?.message || err);
+      refund.pending = true;
+      try {
+        await scheduleJob(REFUND_JOB, new Date(Date.now() + REFUND_RETRY_DELAY_MS), { bookingId: String(moved._id), amount: refund.amount, refundedTarget });
+      } catch (jobErr) {
+        console.error("⚠️ Failed to schedule reschedule refund retry:", jobErr?.message || jobErr);
+      }
+    }
+  }
+  await syncBookingEvent(moved);
+  await moveReminders(moved);
+  console.log(`🔁 Booking ${moved._id} moved from ${from.date} ${from.time_slot} to ${moved.date} ${moved.time_slot}`);
+  await processWaitlist({ centre: moved.centre, date: from.date });
+  return { booking: moved, refund };
+};
+
+/**
+ * holdRescheduleSlot(booking, target, quote)
+ * For a reschedule that costs more: holds a court in the target slot as a
+ * separate unpaid booking for the difference, pointing back at the original
+ * through meta.rescheduleOf. Returns the hold, or null if no court is free.
+ */
+export const holdRescheduleSlot = (booking, { date, time_slot, courts }, { newTotal, difference }) =>
+  reserveCourt({
+    phone: booking.phone,
+    name: booking.name,
+    sport: booking.sport,
+    sportCode: booking.sportCode,
+    centre: booking.centre,
+    venueCode: booking.venueCode,
+    date,
+    time_slot: normalizeSlotString(time_slot),
+    totalAmount: difference,
+    holdExpiresAt: holdExpiry(),
+    meta: { rescheduleOf: String(booking._id), newTotal },
+  }, courts);
+
+/**
+ * takeOverHold(original, hold, fields)
+ * Releases the hold and moves the original booking onto its court and slot in
+ * one transaction, so the court is never free in between. `fields` are set on
+ * the original in the same update. Returns the moved booking, or null if the
+ * original is no longer confirmed (the hold is released all the same).
+ */
+const takeOverHold = async (original, hold, fields) => {
+  let moved = null;
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      await Booking.updateOne({ _id: hold._id }, { $set: { holdsSlot: false } }, { session });
+      moved = await Booking.findOneAndUpdate(
+        { _id: original._id, status: "confirmed" },
+        { $set: { ...fields, date: hold.date, time_slot: hold.time_slot, slotUnits: slotUnits(hold.time_slot), court: hold.court, courtName: hold.courtName } },
+        { new: true, session }
+      );
+    });
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+    return null;
+  }
+  // Saved later outside the finished transaction
+  moved?.$session(null);
+  return moved;
+};
+
+/**
+ * applyPaidReschedule(hold, payment)
+ * Called once the difference for a hold from holdRescheduleSlot is paid: hands
+ * the hold's court to the original booking, moves its calendar event and offers
+ * the slot it left to the waitlist. The hold keeps the court until the original
+ * takes it over. If the original can no longer be moved there the hold is
+ * released and the payment refunded.
+ * Returns the moved booking, or null.
+ */
+export const applyPaidReschedule = async (hold, payment) => {
+  hold.paid = true;
+  hold.status = "rescheduled";
+  recordPayment(hold, payment);
+  await hold.save();
+
+  const original = await Booking.findById(hold.meta.rescheduleOf);
+  const from = original && { date: original.date, time_slot: original.time_slot };
+  const moved = original && await takeOverHold(original, hold, { totalAmount: hold.meta.newTotal });
+
+  if (!moved) {
+    console.warn(`Reschedule hold ${hold._id} paid but booking ${hold.meta.rescheduleOf} could not be moved; refunding`);
+    await Booking.updateOne({ _id: hold._id }, { $set: { holdsSlot: false } });
+    if (payment?.id) {
+      try {
+        await refundPayment(payment.id, hold.totalAmount, { bookingId: String(hold._id), reason: "reschedule_failed" });
+      } catch (err) {
+        console.error(`⚠️ Refund for failed reschedule ${hold._id} failed:`, err?.message || err);
+      }
+    }
+    return null;
+  }
+
+  recordPayment(moved, payment);
+  logReschedule(moved, from, hold.totalAmount);
+  await moved.save();
+  await syncBookingEvent(moved);
+  await moveReminders(moved);
+  console.log(`🔁 Booking ${moved._id} moved to ${moved.date} ${moved.time_slot} after paying ₹${hold.totalAmount}`);
+  await processWaitlist({ centre: moved.centre, date: from.date });
+  return moved;
+};
+
+export const registerRescheduleJobs = () => {
+  // Razorpay refunds that went through before a failure are saved on the booking,
+  // so a retry only refunds what is still missing
+  registerJobHandler(REFUND_JOB, async ({ bookingId, amount, refundedTarget }) => {
+    const booking = await Booking.findById(bookingId);
+    if (!booking) return;
+    const left = booking.meta?.wallet ? amount : refundedTarget - refundedSoFar(booking);
+    if (left > 0) await refundDifference(booking, left);
+    try {
+      const tr = await translatorFor(booking.phone);
+      await sendMessage(booking.phone, tr("reschedule.refundIssued", { amount }));
+    } catch (err) {
+      console.error("⚠️ Failed to send reschedule refund message:", err?.message || err);
+    }
+  });
+};
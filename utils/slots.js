@@ -0,0 +1,71 @@
+// utils/slots.js
+import { normalizeSlotString } from "./normalizeSlot.js";
+import { t } from "./i18n.js";
+
+// Bookings, blocks and holds are compared on a 15-minute grid, so any slot
+// length that is a multiple of it (30, 60, 90, 120...) can sit side by side
+export const SLOT_UNIT_MINUTES = 15;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+export const toMinutes = (hhmm) => {
+  const [h, m] = String(hhmm).split(":").map(Number);
+  return h * 60 + (m || 0);
+};
+
+export const fromMinutes = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+// 1080, 1170 → "18:00 - 19:30"
+export const formatSlot = (start, end) => `${fromMinutes(start)} - ${fromMinutes(end)}`;
+
+// "18:00 - 19:30" → { start: 1080, end: 1170 }, or null if it is not a time range
+export const parseSlot = (slot) => {
+  const m = normalizeSlotString(slot).match(/^(\d{1,2}:\d{2}) - (\d{1,2}:\d{2})$/);
+  if (!m) return null;
+  const start = toMinutes(m[1]);
+  const end = toMinutes(m[2]);
+  return end > start ? { start, end } : null;
+};
+
+export const slotDurationMinutes = (slot) => {
+  const parsed = parseSlot(slot);
+  return parsed ? parsed.end - parsed.start : 0;
+};
+
+/**
+ * slotUnits(slot)
+ * The grid units a slot covers, by start time:
+ * "18:00 - 19:00" → ["18:00", "18:15", "18:30", "18:45"].
+ * Two slots overlap exactly when they share a unit. A label that is not a time
+ * range is its own single unit, so it still only clashes with itself.
+ */
+export const slotUnits = (slot) => {
+  const parsed = parseSlot(slot);
+  if (!parsed) return [normalizeSlotString(slot)];
+  const units = [];
+  const first = Math.floor(parsed.start / SLOT_UNIT_MINUTES) * SLOT_UNIT_MINUTES;
+  for (let t = first; t < parsed.end; t += SLOT_UNIT_MINUTES) units.push(fromMinutes(t));
+  return units;
+};
+
+// 30 → "30 min", 60 → "1 hour", 90 → "1h 30m", 120 → "2 hours", in `locale` (default English)
+export const formatDuration = (minutes, locale) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!hours) return t(locale, "duration.minutes", { count: rest });
+  if (!rest) return t(locale, "duration.hours", { count: hours });
+  return t(locale, "duration.mixed", { hours, minutes: rest });
+};
+
+// "19:00", "7pm" or "7:30 pm" → minutes after midnight; null if it is not a time of day
+export const parseTimeOfDay = (text) => {
+  const match = String(text || "").trim().toLowerCase().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  if (match[3] && (hours < 1 || hours > 12)) return null;
+  if (match[3] === "pm" && hours < 12) hours += 12;
+  if (match[3] === "am" && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+};
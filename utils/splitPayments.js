@@ -0,0 +1,160 @@
+// utils/splitPayments.js
+import Booking from "../models/Booking.js";
+import { createShareLink, cancelPaymentLink, refundPayment, refundBooking, recordPayment } from "./payments.js";
+import dotenv from "dotenv";
+dotenv.config();
+
+// Collecting from several people takes longer than one payment, so split bookings are held longer
+export const SPLIT_HOLD_MINUTES = Number(process.env.SPLIT_HOLD_MINUTES) || 60;
+
+// Shares that still need paying
+export const openShares = (booking) => (booking.split?.shares || []).filter((share) => !share.paid && !share.closed);
+
+export const unpaidAmount = (booking) => openShares(booking).reduce((sum, share) => sum + share.amount, 0);
+
+// A share can't be less than Razorpay's ₹1 minimum
+export const canSplit = (booking) => booking.players > 1 && (booking.totalAmount || 0) >= booking.players;
+
+/**
+ * startSplitPayment(booking)
+ * Splits a held booking's total equally between its players, the organiser's
+ * share taking any rupees left over, creates a payment link per share and
+ * holds the slot for SPLIT_HOLD_MINUTES. A split already collecting is kept
+ * as it is, and a full-payment link sent earlier is cancelled.
+ * Returns the saved booking.
+ */
+export const startSplitPayment = async (booking) => {
+  if (openShares(booking).length) return booking;
+  const players = booking.players;
+  const total = booking.totalAmount || 0;
+  const each = Math.floor(total / players);
+  const phones = booking.playerPhones || [];
+  booking.split = {
+    shares: Array.from({ length: players }, (_, i) => ({
+      label: i === 0 ? "You" : `Player ${i + 1}`,
+      phone: i === 0 ? booking.phone : phones[i - 1],
+      amount: i === 0 ? total - each * (players - 1) : each,
+    })),
+  };
+  booking.holdExpiresAt = new Date(Date.now() + SPLIT_HOLD_MINUTES * 60 * 1000);
+
+  try {
+    for (const share of booking.split.shares) await createShareLink(booking, share);
+  } catch (err) {
+    // Don't leave payable links behind for a split that never started
+    for (const share of booking.split.shares) await cancelPaymentLink(share.paymentLinkId);
+    throw err;
+  }
+  await cancelPaymentLink(booking.meta?.razorpay?.paymentLinkId);
+  booking.status = "payment_pending";
+  await booking.save();
+  console.log(`👥 Booking ${booking._id} split into ${players} shares of about ₹${each}`);
+  return booking;
+};
+
+/**
+ * closeOpenShares(booking)
+ * Stops collecting the shares still open and cancels their links, so they can
+ * no longer be paid. A share paid while this runs stays paid and is left out.
+ * Returns the rupees the closed shares were for.
+ */
+export const closeOpenShares = async (booking) => {
+  let amount = 0;
+  for (const share of openShares(booking)) {
+    const { modifiedCount } = await Booking.updateOne(
+      { _id: booking._id, "split.shares": { $elemMatch: { _id: share._id, paid: false, closed: false } } },
+      { $set: { "split.shares.$.closed": true } }
+    );
+    if (!modifiedCount) continue;
+    amount += share.amount;
+    await cancelPaymentLink(share.paymentLinkId);
+  }
+  return amount;
+};
+
+// Whether any player has paid their share of the booking yet
+export const hasPaidShares = (booking) => (booking.split?.shares || []).some((share) => share.paid);
+
+/**
+ * startRemainderPayment(booking)
+ * Lets the organiser pay whatever the other players have not: closes the open
+ * shares (closeOpenShares) and adds one "Remainder" share for their total.
+ * Returns { booking, share } with the new share, or null when nothing is left to pay.
+ */
+export const startRemainderPayment = async (booking) => {
+  const amount = await closeOpenShares(booking);
+  if (!amount) return null;
+
+  const fresh = await Booking.findById(booking._id);
+  fresh.split.shares.push({ label: "Remainder", phone: fresh.phone, amount, remainder: true });
+  const share = fresh.split.shares[fresh.split.shares.length - 1];
+  await createShareLink(fresh, share);
+  await fresh.save();
+  return { booking: fresh, share };
+};
+
+/**
+ * recordSharePayment(bookingId, shareId, payment)
+ * Marks a share paid and records the payment on the booking. A share paid after
+ * the booking stopped waiting for it (closed by a remainder payment or a switch
+ * to paying in full, or the hold was released) is refunded instead, and so is
+ * a payment for a share the booking no longer has (a split that was redone).
+ * Returns { booking, share, complete, refunded } (share is null when unknown),
+ * or null when this payment was recorded already.
+ */
+export const recordSharePayment = async (bookingId, shareId, payment) => {
+  const booking = await Booking.findOneAndUpdate(
+    { _id: bookingId, "split.shares": { $elemMatch: { _id: shareId, paid: false } } },
+    { $set: { "split.shares.$.paid": true, "split.shares.$.paymentId": payment?.id, "split.shares.$.paidAt": new Date() } },
+    { new: true }
+  );
+  if (!booking) {
+    const current = await Booking.findById(bookingId);
+    const known = current?.split?.shares?.id(shareId);
+    if (known?.paid && (!payment?.id || known.paymentId === payment.id)) return null;
+    console.warn(`Payment for unknown or already paid share ${shareId} of booking ${bookingId}; refunding`);
+    if (payment?.id) {
+      try {
+        await refundPayment(payment.id, Number(payment.amount || 0) / 100, { bookingId: String(bookingId), reason: "split_share_unknown" });
+      } catch (err) {
+        console.error(`⚠️ Refund of share ${shareId} failed:`, err?.message || err);
+      }
+    }
+    return { booking: current, share: null, complete: false, refunded: true };
+  }
+  const share = booking.split.shares.id(shareId);
+
+  if (share.closed || booking.paid || !booking.holdsSlot) {
+    console.warn(`Share ${shareId} of booking ${bookingId} paid after it was no longer needed; refunding`);
+    if (payment?.id) {
+      try {
+        await refundPayment(payment.id, share.amount, { bookingId: String(booking._id), reason: "split_share_not_needed" });
+      } catch (err) {
+        console.error(`⚠️ Refund of share ${shareId} failed:`, err?.message || err);
+      }
+    }
+    return { booking, share, complete: false, refunded: true };
+  }
+
+  recordPayment(booking, payment);
+  await booking.save();
+  return { booking, share, complete: openShares(booking).length === 0, refunded: false };
+};
+
+/**
+ * releaseSplitShares(booking)
+ * For a split booking whose hold was released unpaid: cancels the links still
+ * open and refunds the shares already paid. Returns the rupees refunded.
+ */
+export const releaseSplitShares = async (booking) => {
+  for (const share of openShares(booking)) await cancelPaymentLink(share.paymentLinkId);
+  const paid = (booking.split?.shares || []).filter((share) => share.paid).reduce((sum, share) => sum + share.amount, 0);
+  if (!paid) return 0;
+  try {
+    await refundBooking(booking, paid, { bookingId: String(booking._id), reason: "split_hold_expired" });
+  } catch (err) {
+    console.error(`⚠️ Refund of paid shares failed for booking ${booking._id}:`, err?.message || err);
+    return 0;
+  }
+  return paid;
+};
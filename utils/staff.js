@@ -0,0 +1,268 @@
+// utils/staff.js
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import SlotBlock from "../models/SlotBlock.js";
+import { sendMessage } from "./whatsapp.js";
+import { getActiveVenues, getVenue, getSport, getSlotSettings } from "./catalog.js";
+import { getCourtsForSport, reserveCourt } from "./courts.js";
+import { activeBookingFilter, holdExpiry } from "./holds.js";
+import { blockSlot } from "./blocks.js";
+import { markPaidOffline } from "./payments.js";
+import { getAvailableSlots, getCalendarFreeCourts } from "./googleCalendar.js";
+import { getPricer } from "./pricing.js";
+import { formatUserDate, todayInTimezone, addDaysToIsoDate } from "./dateHelpers.js";
+import { normalizeSlotString } from "./normalizeSlot.js";
+import dotenv from "dotenv";
+dotenv.config();
+
+// Comma separated WhatsApp numbers (as they arrive in webhooks, e.g. 9198xxxxxxxx)
+const STAFF_NUMBERS = (process.env.STAFF_NUMBERS || "")
+  .split(",")
+  .map((n) => n.replace(/\D/g, ""))
+  .filter(Boolean);
+
+export const isStaffNumber = (phone) => STAFF_NUMBERS.includes(String(phone || "").replace(/\D/g, ""));
+
+const HELP_TEXT = [
+  "🛠️ Staff commands:",
+  "• today [centre] — today's bookings (also: tomorrow, YYYY-MM-DD)",
+  "• free [date] [centre] — open slots",
+  "• block 18:00-19:00 [date] [centre] [court] [reason...]",
+  "• unblock 18:00-19:00 [date] [centre] [court]",
+  "• paid <booking id> — mark a cash booking as paid",
+  "• walkin [sport] 18:00-19:00 <customer number> [date] [centre] [court] [name...] — book a slot paid at the desk",
+].join("\n");
+
+// "18-19", "6:30-7:30" or "18:00-19:00" → "18:00 - 19:00"
+const parseSlot = (token) => {
+  const m = token.match(/^(\d{1,2})(?::(\d{2}))?-(\d{1,2})(?::(\d{2}))?$/);
+  if (!m) return null;
+  const pad = (h, min) => `${h.padStart(2, "0")}:${min || "00"}`;
+  return normalizeSlotString(`${pad(m[1], m[2])} - ${pad(m[3], m[4])}`);
+};
+
+const parseDate = (token) => {
+  const today = todayInTimezone();
+  if (token === "today") return today;
+  if (token === "tomorrow") return addDaysToIsoDate(today, 1);
+  return /^\d{4}-\d{2}-\d{2}$/.test(token) ? token : null;
+};
+
+/**
+ * parseArgs(tokens)
+ * Picks a slot, a date, a centre and a court out of the words after the
+ * command, in any order. Words that match none of them are returned as `rest`.
+ * Without a centre the only active venue is used.
+ */
+const parseArgs = async (tokens) => {
+  const args = { date: null, slot: null, venue: null, court: null, rest: [] };
+  const unmatched = [];
+  for (const token of tokens) {
+    const lower = token.toLowerCase();
+    const slot = !args.slot && parseSlot(lower);
+    const date = !args.date && parseDate(lower);
+    const venue = !args.venue && !slot && !date && (await getVenue(lower));
+    if (slot) args.slot = slot;
+    else if (date) args.date = date;
+    else if (venue) args.venue = venue;
+    else unmatched.push(token);
+  }
+  if (!args.venue) {
+    const venues = await getActiveVenues();
+    if (venues.length === 1) args.venue = venues[0];
+  }
+  for (const token of unmatched) {
+    const court = !args.court && (args.venue?.courts || []).find((c) => c.code === token.toLowerCase());
+    if (court) args.court = court;
+    else args.rest.push(token);
+  }
+  args.date = args.date || todayInTimezone();
+  return args;
+};
+
+const NEED_CENTRE = "❌ Which centre? Add its code, e.g. \"today jw\".";
+
+const listBookings = async (args) => {
+  if (!args.venue) return NEED_CENTRE;
+  const { venue, date } = args;
+  const [bookings, blocks] = await Promise.all([
+    Booking.find({ centre: venue.name, date, ...activeBookingFilter() }).sort({ time_slot: 1, court: 1 }).lean(),
+    SlotBlock.find({ centre: venue.name, date }).sort({ time_slot: 1 }).lean(),
+  ]);
+  if (!bookings.length && !blocks.length) return `📋 ${venue.name}, ${formatUserDate(date)}: no bookings.`;
+
+  const lines = bookings.map((b) =>
+    `${b.time_slot} · ${b.courtName || b.court || "-"} · ${b.sport}\n   ${b.name} (${b.phone}) ${b.paid ? "✅ paid" : "⏳ unpaid"} · #${String(b._id).slice(-6)}`
+  );
+  const blockLines = blocks.map((b) => `${b.time_slot} · ${b.courtName || "all courts"} · 🚧 blocked${b.reason ? ` (${b.reason})` : ""}`);
+  return [`📋 ${venue.name}, ${formatUserDate(date)}`, ...lines, ...blockLines].join("\n");
+};
+
+const listFreeSlots = async (args) => {
+  if (!args.venue) return NEED_CENTRE;
+  const { venue, date } = args;
+  const sections = [];
+  for (const { code } of venue.sports || []) {
+    const sport = await getSport(code);
+    if (!sport) continue;
+    const slots = await getAvailableSlots(date, {
+      centre: venue.name,
+      sport: sport.name,
+      courts: getCourtsForSport(venue, sport.code),
+      ...getSlotSettings(venue, sport),
+    });
+    const lines = slots.map((s) => `${s.formatted} (${s.remaining}/${s.capacity})`);
+    sections.push(`${sport.emoji} ${sport.name}\n${lines.length ? lines.join("\n") : "Fully booked"}`);
+  }
+  return [`🟢 Open slots at ${venue.name}, ${formatUserDate(date)}`, ...sections].join("\n\n");
+};
+
+const block = async (args, staffPhone) => {
+  if (!args.slot) return "❌ Which slot? e.g. \"block 18:00-19:00 tomorrow\"";
+  if (!args.venue) return NEED_CENTRE;
+  const { conflicts } = await blockSlot({
+    venue: args.venue,
+    court: args.court?.code,
+    date: args.date,
+    time_slot: args.slot,
+    reason: args.rest.join(" ") || undefined,
+    createdBy: staffPhone,
+  });
+  const where = `${args.venue.name} ${args.court?.name || "(all courts)"}, ${formatUserDate(args.date)} ${args.slot}`;
+  const warning = conflicts.length
+    ? `\n⚠️ ${conflicts.length} existing booking(s) in this slot: ${conflicts.map((b) => `#${String(b._id).slice(-6)} ${b.name}`).join(", ")}`
+    : "";
+  return `🚧 Blocked ${where}${warning}`;
+};
+
+const unblock = async (args) => {
+  if (!args.slot) return "❌ Which slot? e.g. \"unblock 18:00-19:00 tomorrow\"";
+  if (!args.venue) return NEED_CENTRE;
+  const { deletedCount } = await SlotBlock.deleteMany({
+    centre: args.venue.name,
+    date: args.date,
+    time_slot: args.slot,
+    court: args.court?.code || null,
+  });
+  return deletedCount
+    ? `✅ Unblocked ${args.venue.name} ${args.court?.name || "(all courts)"}, ${formatUserDate(args.date)} ${args.slot}`
+    : "❌ No block found for that slot.";
+};
+
+/**
+ * findBookingByRef(ref)
+ * Accepts a full booking id, or the 6+ character "#suffix" shown in listings,
+ * which is matched against unpaid bookings from today on.
+ */
+const findBookingByRef = async (ref) => {
+  const id = String(ref || "").replace(/^#/, "").toLowerCase();
+  if (mongoose.isValidObjectId(id) && id.length === 24) return { booking: await Booking.findById(id) };
+  if (!/^[a-f0-9]{6,23}$/.test(id)) return {};
+  const unpaid = await Booking.find({ paid: false, status: "payment_pending", date: { $gte: todayInTimezone() } });
+  const matches = unpaid.filter((b) => String(b._id).endsWith(id));
+  return matches.length > 1 ? { ambiguous: true } : { booking: matches[0] };
+};
+
+const markPaid = async (ref, staffPhone) => {
+  if (!ref) return "❌ Which booking? e.g. \"paid #a1b2c3\"";
+  const { booking, ambiguous } = await findBookingByRef(ref);
+  if (ambiguous) return "❌ More than one booking matches. Send the full id.";
+  if (!booking) return `❌ No booking found for ${ref}.`;
+  if (booking.paid) return `ℹ️ Booking #${String(booking._id).slice(-6)} is already paid.`;
+  if (["cancelled", "rescheduled"].includes(booking.status)) return `❌ Booking is ${booking.status}.`;
+  try {
+    await markPaidOffline(booking, { method: "cash", by: staffPhone });
+  } catch (err) {
+    if (err?.code === 11000) return "❌ That court has been taken by another booking in the meantime.";
+    throw err;
+  }
+  return `✅ Marked paid: ${booking.name}, ${booking.sport} at ${booking.centre} (${booking.courtName || booking.court || "-"}), ${formatUserDate(booking.date)} ${booking.time_slot}, ₹${booking.totalAmount || 0}`;
+};
+
+/**
+ * recordWalkIn(args, staffPhone)
+ * Books a slot for a customer who paid at the desk: the sport (optional when the
+ * centre has only one) and the customer's WhatsApp number come from the words
+ * parseArgs left over, the rest is their name. The booking goes on the given
+ * court, else the first free one, at the slot's current price, and is marked
+ * paid in cash, so it gets reminders and a calendar event like any other.
+ */
+const recordWalkIn = async (args, staffPhone) => {
+  if (!args.venue) return NEED_CENTRE;
+  const { venue, date, slot } = args;
+  const offered = (venue.sports || []).map((s) => s.code);
+  const sportToken = args.rest.find((token) => offered.includes(token.toLowerCase()));
+  const sport = await getSport(sportToken ? sportToken.toLowerCase() : offered.length === 1 ? offered[0] : null);
+  if (!sport) return `❌ Which sport? One of: ${offered.join(", ")}`;
+  if (!slot) return "❌ Which slot? e.g. \"walkin 18:00-19:00 919812345678 Ravi\"";
+  const phoneToken = args.rest.find((token) => /^\+?\d{10,15}$/.test(token));
+  if (!phoneToken) return "❌ Add the customer's WhatsApp number, e.g. \"walkin 18:00-19:00 919812345678 Ravi\"";
+  const name = args.rest.filter((token) => token !== sportToken && token !== phoneToken).join(" ") || "Walk-in";
+
+  const courts = getCourtsForSport(venue, sport.code).filter((c) => !args.court || c.code === args.court.code);
+  if (!courts.length) return `❌ ${args.court.name || args.court.code} is not set up for ${sport.name}.`;
+  const booking = await reserveCourt({
+    phone: phoneToken.replace(/\D/g, ""),
+    name,
+    sport: sport.name,
+    sportCode: sport.code,
+    centre: venue.name,
+    venueCode: venue.code,
+    date,
+    time_slot: slot,
+    totalAmount: 0,
+    // Released like any hold should marking it paid fail
+    holdExpiresAt: holdExpiry(),
+    meta: {},
+  }, await getCalendarFreeCourts(date, slot, courts));
+  if (!booking) return `❌ No court is free at ${venue.name}, ${formatUserDate(date)} ${slot}.`;
+
+  const priceSlot = await getPricer({ venue, sport, date });
+  booking.totalAmount = priceSlot(slot, courts.find((c) => c.code === booking.court)).amount;
+  await markPaidOffline(booking, { method: "cash", by: staffPhone });
+  return `✅ Walk-in booked: ${booking.name} (${booking.phone}), ${sport.name} at ${venue.name} (${booking.courtName || booking.court}), ${formatUserDate(date)} ${slot}, ₹${booking.totalAmount} paid · #${String(booking._id).slice(-6)}`;
+};
+
+/**
+ * handleStaffCommand(from, text)
+ * Runs one operator command from an allow-listed number and replies with the result.
+ */
+export const handleStaffCommand = async (from, text) => {
+  // Let "18:00 - 19:00" through as a single word
+  const tokens = String(text || "").trim().replace(/\s*-\s*/g, "-").split(/\s+/).filter(Boolean);
+  const [command = "", ...rest] = tokens;
+
+  let reply;
+  try {
+    switch (command.toLowerCase()) {
+      case "today":
+      case "tomorrow":
+        reply = await listBookings(await parseArgs([command, ...rest]));
+        break;
+      case "bookings":
+        reply = await listBookings(await parseArgs(rest));
+        break;
+      case "free":
+        reply = await listFreeSlots(await parseArgs(rest));
+        break;
+      case "block":
+        reply = await block(await parseArgs(rest), from);
+        break;
+      case "unblock":
+        reply = await unblock(await parseArgs(rest));
+        break;
+      case "paid":
+        reply = await markPaid(rest[0], from);
+        break;
+      case "walkin":
+        reply = await recordWalkIn(await parseArgs(rest), from);
+        break;
+      default:
+        reply = HELP_TEXT;
+    }
+  } catch (err) {
+    console.error("⚠️ Staff command failed:", text, err?.message || err);
+    reply = "⚠️ Something went wrong running that command. Please try again.";
+  }
+  await sendMessage(from, reply);
+};
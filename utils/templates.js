@@ -0,0 +1,120 @@
+// utils/templates.js
+import dotenv from "dotenv";
+dotenv.config();
+
+const { WHATSAPP_TEMPLATE_LANGUAGE = "en", WHATSAPP_TEMPLATE_LANGUAGES = "en,hi,kn" } = process.env;
+
+// Languages the templates below are approved in, one per customer locale (locales/);
+// the first is the fallback for customers whose language has no approved version
+const TEMPLATE_LANGUAGES = WHATSAPP_TEMPLATE_LANGUAGES.split(",").map((code) => code.trim()).filter(Boolean);
+
+/**
+ * Local registry of the templates approved in WhatsApp Manager, keyed by the
+ * name the code uses. Meta only reports a parameter mismatch after accepting
+ * the request, so parameters are checked against this before anything is sent.
+ *
+ *   name       approved template name (defaults to the key)
+ *   languages  language codes the template is approved in
+ *   header     { type: "text", params: n } or { type: "image" | "video" | "document" }
+ *   body       number of {{n}} parameters in the body
+ *   buttons    button types in order: "quick_reply" (takes a payload),
+ *              "url" (takes the dynamic URL suffix) or "static" (no parameter)
+ */
+const TEMPLATES = {
+  booking_reminder: {
+    name: process.env.REMINDER_TEMPLATE_NAME || "booking_reminder",
+    languages: TEMPLATE_LANGUAGES,
+    // {{1}} name, {{2}} sport, {{3}} centre, {{4}} date, {{5}} time
+    body: 5,
+    buttons: ["quick_reply", "quick_reply"], // Running late, Cancel
+  },
+  booking_confirmed: {
+    languages: TEMPLATE_LANGUAGES,
+    // {{1}} sport, {{2}} centre, {{3}} court, {{4}} date, {{5}} time, {{6}} total
+    body: 6,
+  },
+  booking_rescheduled: {
+    languages: TEMPLATE_LANGUAGES,
+    // {{1}} sport, {{2}} centre, {{3}} court, {{4}} date, {{5}} time, {{6}} total
+    body: 6,
+  },
+  waitlist_offer: {
+    languages: TEMPLATE_LANGUAGES,
+    // {{1}} name, {{2}} sport, {{3}} centre, {{4}} date, {{5}} time, {{6}} total,
+    // {{7}} minutes the offer is held, {{8}} payment link
+    body: 8,
+  },
+};
+
+export const getTemplate = (key) => {
+  const template = TEMPLATES[key];
+  if (!template) throw new Error(`Unknown WhatsApp template "${key}"`);
+  return { name: key, languages: [WHATSAPP_TEMPLATE_LANGUAGE], body: 0, buttons: [], ...template };
+};
+
+/**
+ * templateLanguage(key, locale)
+ * The language to send template `key` in to a customer with `locale`: their own
+ * when the template is approved in it, else the template's first language.
+ * Parameters such as dates should be formatted in this language too.
+ */
+export const templateLanguage = (key, locale) => {
+  const { languages } = getTemplate(key);
+  return languages.includes(locale) ? locale : languages[0];
+};
+
+const textParam = (value) => ({ type: "text", text: String(value ?? "-") });
+
+const expectCount = (key, part, expected, given) => {
+  if (expected !== given) {
+    throw new Error(`Template "${key}" ${part} takes ${expected} parameter(s), got ${given}`);
+  }
+};
+
+/**
+ * buildTemplatePayload(key, { language, header, body, buttons })
+ * Validates parameters against the registry and returns the `template` object
+ * for the Cloud API. header/body are arrays of values; a media header takes a
+ * single link. buttons is indexed like the template's buttons, with null for
+ * static ones.
+ */
+export const buildTemplatePayload = (key, { language, header = [], body = [], buttons = [] } = {}) => {
+  const template = getTemplate(key);
+  const languageCode = language || template.languages[0];
+  if (!template.languages.includes(languageCode)) {
+    throw new Error(`Template "${key}" is not approved in language "${languageCode}"`);
+  }
+
+  const components = [];
+
+  if (template.header?.type === "text") {
+    expectCount(key, "header", template.header.params || 0, header.length);
+    if (header.length) components.push({ type: "header", parameters: header.map(textParam) });
+  } else if (template.header) {
+    expectCount(key, "header", 1, header.length);
+    const mediaType = template.header.type;
+    components.push({ type: "header", parameters: [{ type: mediaType, [mediaType]: { link: header[0] } }] });
+  } else {
+    expectCount(key, "header", 0, header.length);
+  }
+
+  expectCount(key, "body", template.body, body.length);
+  if (body.length) components.push({ type: "body", parameters: body.map(textParam) });
+
+  expectCount(key, "buttons", template.buttons.length, buttons.length);
+  template.buttons.forEach((type, index) => {
+    const value = buttons[index];
+    if (type === "static") return;
+    if (value === null || value === undefined || value === "") {
+      throw new Error(`Template "${key}" button ${index} (${type}) needs a parameter`);
+    }
+    components.push({
+      type: "button",
+      sub_type: type,
+      index: String(index),
+      parameters: [type === "quick_reply" ? { type: "payload", payload: String(value) } : textParam(value)],
+    });
+  });
+
+  return { name: template.name, language: { code: languageCode }, components };
+};
@@ -0,0 +1,171 @@
+// utils/waitlist.js
+import WaitlistEntry from "../models/WaitlistEntry.js";
+import { getSport, getVenue, getSlotSettings } from "./catalog.js";
+import { getCourtsForSport, reserveCourt } from "./courts.js";
+import { getAvailableSlots, getCalendarFreeCourts } from "./googleCalendar.js";
+import { getPricer } from "./pricing.js";
+import { createPaymentLink } from "./payments.js";
+import { releaseHold } from "./holds.js";
+import { sendMessageOrTemplate } from "./whatsapp.js";
+import { addDaysToIsoDate, formatUserDate, getSlotStart } from "./dateHelpers.js";
+import { translatorFor } from "./i18n.js";
+import { templateLanguage } from "./templates.js";
+import dotenv from "dotenv";
+dotenv.config();
+
+// How long the next person in line has to pay for a court offered to them
+export const WAITLIST_OFFER_MINUTES = Number(process.env.WAITLIST_OFFER_MINUTES) || 15;
+
+/**
+ * joinWaitlist({ phone, name, venue, sport, date, from, to, durationMinutes })
+ * Puts a customer in line for a court starting between `from` and `to`
+ * ("HH:MM", to exclusive) on `date`. Joining the same window twice keeps the
+ * original place. Returns the entry.
+ */
+export const joinWaitlist = async ({ phone, name, venue, sport, date, from, to, durationMinutes }) => {
+  const key = { phone, venueCode: venue.code, sportCode: sport.code, date, from, to, durationMinutes };
+  const existing = await WaitlistEntry.findOne({ ...key, status: { $in: ["waiting", "offered"] } });
+  if (existing) return existing;
+
+  const entry = await WaitlistEntry.create({
+    ...key,
+    name,
+    centre: venue.name,
+    sport: sport.name,
+    expiresAt: getSlotStart(addDaysToIsoDate(date, 1), "00:00 - 00:00"),
+  });
+  console.log(`🔔 ${phone} joined the waitlist for ${sport.name} at ${venue.name} on ${date} (${from}-${to})`);
+  return entry;
+};
+
+// Stops every wait a phone has going; returns how many there were
+export const leaveWaitlist = async (phone) => {
+  const { modifiedCount } = await WaitlistEntry.updateMany({ phone, status: "waiting" }, { $set: { status: "cancelled" } });
+  return modifiedCount;
+};
+
+const offerText = (booking, paymentUrl, tr) =>
+  tr("waitlist.offer", {
+    sport: booking.sport,
+    centre: booking.centre,
+    date: formatUserDate(booking.date, tr.locale),
+    time: booking.time_slot,
+    total: booking.totalAmount,
+    minutes: WAITLIST_OFFER_MINUTES,
+    url: paymentUrl,
+  });
+
+/**
+ * offerSlot(entry)
+ * Holds the first free slot in the entry's window for WAITLIST_OFFER_MINUTES
+ * and sends the customer a payment link for it. The entry is claimed before
+ * anything is held, so two runs cannot offer it twice. Returns the held
+ * booking, or null when nothing in the window is free.
+ */
+const offerSlot = async (entry) => {
+  const [venue, sport] = await Promise.all([getVenue(entry.venueCode), getSport(entry.sportCode)]);
+  if (!venue || !sport) return null;
+  const courts = getCourtsForSport(venue, sport.code);
+  const slots = await getAvailableSlots(entry.date, {
+    centre: entry.centre,
+    sport: entry.sport,
+    courts,
+    ...getSlotSettings(venue, sport),
+    durationMinutes: entry.durationMinutes,
+  });
+  const slot = slots.find(({ formatted }) => {
+    const [start] = formatted.split(" - ");
+    return start >= entry.from && start < entry.to;
+  });
+  if (!slot) return null;
+
+  const claimed = await WaitlistEntry.findOneAndUpdate({ _id: entry._id, status: "waiting" }, { $set: { status: "offered" } }, { new: true });
+  if (!claimed) return null;
+  const backInLine = () => WaitlistEntry.updateOne({ _id: entry._id, status: "offered" }, { $set: { status: "waiting" } });
+
+  const freeCourts = await getCalendarFreeCourts(entry.date, slot.formatted, courts);
+  const booking = await reserveCourt({
+    phone: entry.phone,
+    name: entry.name,
+    sport: entry.sport,
+    sportCode: entry.sportCode,
+    centre: entry.centre,
+    venueCode: entry.venueCode,
+    date: entry.date,
+    time_slot: slot.formatted,
+    totalAmount: 0,
+    holdExpiresAt: new Date(Date.now() + WAITLIST_OFFER_MINUTES * 60 * 1000),
+    meta: { waitlistEntryId: String(entry._id) },
+  }, freeCourts);
+  if (!booking) {
+    await backInLine();
+    return null;
+  }
+
+  let paymentUrl;
+  try {
+    const price = (await getPricer({ venue, sport, date: entry.date }))(slot.formatted, courts.find((c) => c.code === booking.court));
+    booking.totalAmount = price.amount;
+    booking.meta = { ...booking.meta, pricing: price };
+    booking.markModified("meta");
+    paymentUrl = await createPaymentLink(booking, booking.totalAmount);
+  } catch (err) {
+    // Leave the court to the next run rather than holding it without a link
+    await backInLine();
+    await releaseHold(booking);
+    throw err;
+  }
+
+  claimed.offer = { booking: booking._id, time_slot: booking.time_slot, expiresAt: booking.holdExpiresAt };
+  await claimed.save();
+  console.log(`🔔 Offered ${booking.time_slot} on ${booking.date} at ${booking.centre} to waitlisted ${entry.phone}`);
+
+  try {
+    const tr = await translatorFor(entry.phone);
+    const language = templateLanguage("waitlist_offer", tr.locale);
+    await sendMessageOrTemplate(entry.phone, offerText(booking, paymentUrl, tr), "waitlist_offer", {
+      language,
+      body: [entry.name || "there", booking.sport, booking.centre, formatUserDate(booking.date, language), booking.time_slot, `₹${booking.totalAmount}`, WAITLIST_OFFER_MINUTES, paymentUrl],
+    });
+  } catch (err) {
+    console.error("⚠️ Failed to send WhatsApp waitlist offer:", err.message || err);
+  }
+  return booking;
+};
+
+/**
+ * processWaitlist({ centre, date })
+ * Call whenever a court may have freed up at a centre on a date. Goes through
+ * the people waiting, first come first served, and offers each a slot in their
+ * window while there is one. Never throws; returns the number of offers made.
+ */
+export const processWaitlist = async ({ centre, date }) => {
+  let offers = 0;
+  try {
+    const waiting = await WaitlistEntry.find({ centre, date, status: "waiting" }).sort({ createdAt: 1 });
+    for (const entry of waiting) {
+      try {
+        if (await offerSlot(entry)) offers++;
+      } catch (err) {
+        console.error(`⚠️ Waitlist offer for entry ${entry._id} failed:`, err.message || err);
+      }
+    }
+  } catch (err) {
+    console.error("⚠️ Waitlist processing failed:", err.message || err);
+  }
+  return offers;
+};
+
+// The offer behind a waitlist booking was taken up
+export const markWaitlistBooked = async (booking) => {
+  const entryId = booking.meta?.waitlistEntryId;
+  if (!entryId) return;
+  await WaitlistEntry.updateOne({ _id: entryId }, { $set: { status: "booked" } });
+};
+
+// The offer behind a released waitlist hold lapsed; the customer is out of line
+export const expireWaitlistOffer = async (booking) => {
+  const entryId = booking.meta?.waitlistEntryId;
+  if (!entryId) return;
+  await WaitlistEntry.updateOne({ _id: entryId, status: "offered" }, { $set: { status: "expired" } });
+};
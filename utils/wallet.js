@@ -0,0 +1,151 @@
+// utils/wallet.js
+import WalletEntry from "../models/WalletEntry.js";
+import Session from "../models/Session.js";
+import { createWalletPaymentLink, cancelPaymentLink } from "./payments.js";
+import { scheduleBookingReminders } from "./reminders.js";
+import { syncBookingEvent } from "./calendarSync.js";
+import { recordCouponRedemption } from "./coupons.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Credit entries of a phone with something left to spend, soonest to expire first
+const spendableLots = async (phone, now = new Date()) => {
+  const lots = await WalletEntry.find({
+    phone,
+    status: "completed",
+    remaining: { $gt: 0 },
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+  }).sort({ createdAt: 1 });
+  const expiry = (lot) => lot.expiresAt?.getTime() ?? Infinity;
+  return lots.sort((a, b) => expiry(a) - expiry(b));
+};
+
+/**
+ * getWallet(phone)
+ * returns { balance, nextExpiry } — unspent, unexpired credits in rupees and
+ * when the first of them runs out (null if none expire)
+ */
+export const getWallet = async (phone, now = new Date()) => {
+  const lots = await spendableLots(phone, now);
+  return {
+    balance: lots.reduce((sum, lot) => sum + lot.remaining, 0),
+    nextExpiry: lots.find((lot) => lot.expiresAt)?.expiresAt || null,
+  };
+};
+
+// Adds credits that never expire, e.g. a cancellation refund. Returns the entry.
+export const creditWallet = async (phone, amount, { type = "refund", booking, note } = {}) => {
+  const entry = await WalletEntry.create({ phone, type, amount, remaining: amount, booking, note });
+  console.log(`👛 ₹${amount} credited to wallet ${phone} (${type})`);
+  return entry;
+};
+
+// Puts back what a spend took, e.g. when the booking it paid for could not be saved
+const reverseSpend = async (spend) => {
+  for (const { entry, amount } of spend.lots) {
+    await WalletEntry.updateOne({ _id: entry }, { $inc: { remaining: amount } });
+  }
+  await WalletEntry.deleteOne({ _id: spend._id });
+};
+
+/**
+ * spendCredits(phone, amount, bookingId)
+ * Takes `amount` from the phone's credits, soonest to expire first. Each credit
+ * entry is decremented conditionally, so two spends racing for the same credits
+ * cannot both have them. Returns the spend entry, or null (with nothing taken)
+ * when the balance does not cover the amount.
+ */
+const spendCredits = async (phone, amount, bookingId) => {
+  const lots = [];
+  let left = amount;
+  for (const lot of await spendableLots(phone)) {
+    if (left <= 0) break;
+    const take = Math.min(lot.remaining, left);
+    const { modifiedCount } = await WalletEntry.updateOne({ _id: lot._id, remaining: { $gte: take } }, { $inc: { remaining: -take } });
+    if (!modifiedCount) continue;
+    lots.push({ entry: lot._id, amount: take });
+    left -= take;
+  }
+
+  const spend = new WalletEntry({ phone, type: "spend", amount: -amount, booking: bookingId, lots });
+  if (left > 0) {
+    await reverseSpend(spend);
+    return null;
+  }
+  return spend.save();
+};
+
+/**
+ * payWithCredits(booking)
+ * Pays for a held booking from the customer's wallet and confirms it, the way
+ * a Razorpay payment would. Returns the confirmed booking, or null when the
+ * balance does not cover booking.totalAmount. A court lost in the meantime
+ * surfaces as a duplicate key error, with the credits given back.
+ */
+export const payWithCredits = async (booking) => {
+  const amount = booking.totalAmount || 0;
+  const spend = await spendCredits(booking.phone, amount, booking._id);
+  if (!spend) return null;
+
+  booking.paid = true;
+  booking.status = "confirmed";
+  booking.holdsSlot = true;
+  booking.meta = { ...booking.meta, wallet: { entryId: String(spend._id), amount } };
+  booking.markModified("meta");
+  try {
+    await booking.save();
+  } catch (err) {
+    await reverseSpend(spend);
+    throw err;
+  }
+  console.log(`👛 Booking ${booking._id} paid with ₹${amount} of wallet credits`);
+
+  await cancelPaymentLink(booking.meta.razorpay?.paymentLinkId);
+  await Session.deleteOne({ phone: booking.phone, bookingId: booking._id });
+  try {
+    await scheduleBookingReminders(booking);
+  } catch (err) {
+    console.error("⚠️ Failed to schedule booking reminders:", err.message || err);
+  }
+  try {
+    await recordCouponRedemption(booking);
+  } catch (err) {
+    console.error("⚠️ Failed to record coupon redemption:", err.message || err);
+  }
+  await syncBookingEvent(booking);
+  return booking;
+};
+
+/**
+ * startPackPurchase(phone, pack, name)
+ * Records a pending purchase of a CreditPack and returns the Razorpay payment
+ * link for it. The credits are added by completePackPurchase once it is paid.
+ */
+export const startPackPurchase = async (phone, pack, name) => {
+  const entry = await WalletEntry.create({
+    phone,
+    type: "purchase",
+    status: "pending",
+    amount: pack.credits,
+    pack: pack.code,
+    price: pack.price,
+    validityDays: pack.validityDays,
+    note: pack.name,
+  });
+  return createWalletPaymentLink(entry, { name, description: `${pack.name} - ₹${pack.credits} wallet credits` });
+};
+
+/**
+ * completePackPurchase(entryId, payment)
+ * Adds the credits of a paid pack purchase, starting its validity now.
+ * Returns the completed entry, or null if it was completed already.
+ */
+export const completePackPurchase = async (entryId, payment, now = new Date()) => {
+  const pending = await WalletEntry.findOne({ _id: entryId, type: "purchase", status: "pending" });
+  if (!pending) return null;
+  const update = { status: "completed", remaining: pending.amount, "razorpay.paymentId": payment?.id };
+  if (pending.validityDays) update.expiresAt = new Date(now.getTime() + pending.validityDays * DAY_MS);
+  const completed = await WalletEntry.findOneAndUpdate({ _id: pending._id, status: "pending" }, { $set: update }, { new: true });
+  if (completed) console.log(`👛 ₹${completed.amount} of ${completed.pack} credits added to wallet ${completed.phone}`);
+  return completed;
+};
@@ -1,5 +1,8 @@
 // utils/whatsapp.js
 import axios from "axios";
+import { buildTemplatePayload } from "./templates.js";
+import { isSessionWindowOpen } from "./customers.js";
+import { translatorFor } from "./i18n.js";
 import dotenv from "dotenv";
 dotenv.config();
 
@@ -75,6 +78,7 @@ export const sendUrlButtonMessage = async (to, body, url, title = 'Pay Now') =>
 };
 
 export const sendListMessage = async (to, headerText, sections) => {
+  const tr = await translatorFor(to);
   const payload = {
     messaging_product: "whatsapp",
     to,
@@ -82,9 +86,55 @@ export const sendListMessage = async (to, headerText, sections) => {
     interactive: {
       type: "list",
       header: { type: "text", text: headerText },
-      body: { text: "Please select from the list below" },
-      action: { button: "View Options", sections },
+      body: { text: tr("common.listBody") },
+      action: { button: tr("common.listButton"), sections },
     },
   };
   return sendApi(payload);
 };
+
+// Send an approved template message. Unlike the session messages above, templates
+// can be sent outside the 24-hour customer-service window.
+export const sendTemplateMessage = async (to, name, languageCode = "en", components = []) => {
+  const payload = {
+    messaging_product: "whatsapp",
+    to,
+    type: "template",
+    template: {
+      name,
+      language: { code: languageCode },
+      components,
+    },
+  };
+  return sendApi(payload);
+};
+
+/**
+ * sendTemplate(to, key, { language, header, body, buttons })
+ * Sends a template from the local registry in utils/templates.js. Parameters
+ * are checked against the registry first, so a wrong count throws here
+ * instead of failing silently on WhatsApp's side.
+ */
+export const sendTemplate = async (to, key, params = {}) => {
+  const template = buildTemplatePayload(key, params);
+  return sendTemplateMessage(to, template.name, template.language.code, template.components);
+};
+
+// Meta's error code for a free-form message sent outside the 24-hour window
+const REENGAGEMENT_ERROR = 131047;
+
+/**
+ * sendMessageOrTemplate(to, text, key, params)
+ * Sends `text` while the customer-service window is open, otherwise (or if
+ * WhatsApp rejects it as out of window) the template `key` with `params`.
+ */
+export const sendMessageOrTemplate = async (to, text, key, params = {}) => {
+  if (await isSessionWindowOpen(to)) {
+    try {
+      return await sendMessage(to, text);
+    } catch (err) {
+      if (err.response?.data?.error?.code !== REENGAGEMENT_ERROR) throw err;
+    }
+  }
+  return sendTemplate(to, key, params);
+};